@@ -0,0 +1,138 @@
+/**
+ * ePlanning Register Search for Planning Document Scraper
+ * Finds applications in a council's ePlanning register (the weekly lists of applications
+ * received and decided), for councils whose documents are kept in iDocsWeb
+ */
+
+import { createRequire } from 'module';
+const require = createRequire(
+    import.meta.url);
+
+const cheerio = require('cheerio');
+import { getFieldForLabel, normaliseDate, DATE_FIELDS } from '../application-details.mjs';
+import { logger } from '../logger.mjs';
+
+// Register lists, keyed by the name used in --list=, and the date each one is filtered on
+export const DISCOVER_LISTS = {
+    received: { path: 'RECEIVED', dateField: 'receivedDate' },
+    decided: { path: 'DECIDED', dateField: 'decisionDate' }
+};
+
+// Stop following "Next" links after this many result pages
+const MAX_PAGES = 50;
+
+/**
+ * Convert an ISO date to the register's dd/mm/yyyy
+ * @param {string} isoDate - Date as yyyy-mm-dd
+ * @returns {string} Date as dd/mm/yyyy
+ */
+function toPortalDate(isoDate) {
+    const [year, month, day] = isoDate.split('-');
+    return `${day}/${month}/${year}`;
+}
+
+/**
+ * Parse one page of register search results
+ * Columns are recognised from their headings, so their order does not matter.
+ * @param {string} html - Results page
+ * @param {string} pageUrl - URL of the page, for resolving links
+ * @returns {Object} { applications, nextUrl } where each application has applicationId, reference,
+ *          status, applicant, address, description, receivedDate, decision, decisionDate and detailsUrl
+ */
+export function parseSearchResults(html, pageUrl) {
+    const $ = cheerio.load(html);
+    const applications = [];
+
+    $('table').each((_, table) => {
+        const headings = $(table).find('tr').first().find('th, td').toArray().map(cell => getFieldForLabel($(cell).text()));
+        if (!headings.includes('reference')) {
+            return;
+        }
+
+        $(table).find('tr').slice(1).each((_, row) => {
+            const cells = $(row).find('td');
+            const application = {};
+
+            cells.each((index, cell) => {
+                const field = headings[index];
+                const value = $(cell).text().replace(/\s+/g, ' ').trim();
+                if (field && value && !(field in application)) {
+                    application[field] = DATE_FIELDS.includes(field) ? normaliseDate(value) : value;
+                }
+                const href = field === 'reference' && $(cell).find('a').attr('href');
+                if (href) {
+                    application.detailsUrl = new URL(href, pageUrl).href;
+                }
+            });
+
+            if (application.reference) {
+                applications.push({
+                    // iDocsWeb IDs are the file number without separators, e.g. 24/61047 → 2461047
+                    applicationId: application.reference.replace(/[^0-9A-Za-z]/g, ''),
+                    reference: application.reference,
+                    status: application.status || null,
+                    applicant: application.applicant || null,
+                    address: application.address || null,
+                    description: application.description || null,
+                    receivedDate: application.receivedDate || null,
+                    decision: application.decision || null,
+                    decisionDate: application.decisionDate || null,
+                    detailsUrl: application.detailsUrl || null
+                });
+            }
+        });
+    });
+
+    const next = $('a[rel="next"]').first().attr('href') ||
+        $('a').filter((_, el) => /^next\b/i.test($(el).text().trim())).first().attr('href');
+
+    return { applications, nextUrl: next ? new URL(next, pageUrl).href : null };
+}
+
+/**
+ * Create the register search part of an adapter
+ * @param {Object} config - Register configuration
+ * @param {string} config.searchUrl - ePlanning root URL for the council, without trailing slash
+ * @returns {Object} { searchUrl, searchApplications } to merge into a portal adapter
+ */
+export function createEPlanningSearch({ searchUrl }) {
+    return {
+        searchUrl,
+
+        /**
+         * Fetch one list from the register for a date range, following result pages
+         * @param {Object} http - Rate limited HTTP helper ({ get, post })
+         * @param {Object} criteria - Search criteria
+         * @param {string} criteria.list - "received" or "decided"
+         * @param {string} criteria.from - First date, yyyy-mm-dd
+         * @param {string} criteria.to - Last date, yyyy-mm-dd
+         * @param {string} criteria.address - Development address keyword
+         * @returns {Promise<Object[]>} Applications as returned by parseSearchResults
+         */
+        async searchApplications(http, { list, from, to, address = null }) {
+            const params = new URLSearchParams({ DateFrom: toPortalDate(from), DateTo: toPortalDate(to) });
+            if (address) {
+                params.set('Address', address);
+            }
+
+            const applications = [];
+            const seen = new Set();
+            let url = `${searchUrl}/SearchListing/${DISCOVER_LISTS[list].path}?${params}`;
+
+            while (url && !seen.has(url) && seen.size < MAX_PAGES) {
+                seen.add(url);
+                logger.debug(`🔗 Register page: ${url}`);
+                const response = await http.get(url);
+                const page = parseSearchResults(response.data, url);
+                applications.push(...page.applications);
+                url = page.nextUrl;
+            }
+
+            if (url && seen.size >= MAX_PAGES) {
+                logger.warn(`⚠️  Stopped after ${MAX_PAGES} result pages; narrow the date range to see the rest`);
+            }
+
+            return applications;
+        }
+    };
+}
@@ -0,0 +1,407 @@
+/**
+ * iDocsWeb Portal Adapter
+ * Shared logic for council portals running iDocsWeb (copyright.aspx disclaimer,
+ * VIEWSTATE postback file list, ViewFiles → ViewPdf → file chain)
+ */
+
+import { createRequire } from 'module';
+const require = createRequire(
+    import.meta.url);
+
+const cheerio = require('cheerio');
+import { normaliseDate } from '../application-details.mjs';
+import { portalError } from '../diagnostics.mjs';
+import { logger } from '../logger.mjs';
+
+const PORTAL_DATE = /^\d{1,2}\/\d{1,2}\/\d{4}$/;
+
+// Shown in place of the file table when an application has no documents
+const NO_FILES_MESSAGE = /no (files|documents|records)\b/i;
+
+/**
+ * Check whether the portal sent its copyright disclaimer instead of the page asked for,
+ * as it does once the session has expired
+ * @param {Object} response - Axios response; streamed responses are judged by their final URL
+ * @returns {boolean} True for the disclaimer
+ */
+function isTermsPage(response) {
+    if (typeof response.data === 'string') {
+        return /name="chkAgree"/i.test(response.data);
+    }
+    return /\/copyright\.aspx/i.test(response.request?.path || '');
+}
+
+/**
+ * Create an adapter for an iDocsWeb portal
+ * @param {Object} config - Portal configuration
+ * @param {string} config.id - Council ID used in --council= and storage paths
+ * @param {string} config.name - Council display name
+ * @param {string} config.baseUrl - iDocsWeb root URL, without trailing slash
+ * @param {string} config.catalog - Catalog name in the copyright.aspx URL (default: planning)
+ * @returns {PortalAdapter} Adapter
+ */
+export function createIDocsWebAdapter({ id, name, baseUrl, catalog = 'planning' }) {
+    return {
+        id,
+        name,
+        baseUrl,
+        isTermsPage,
+
+        /**
+         * Accept the copyright disclaimer for an application
+         * Nothing is submitted when the portal session has already agreed.
+         * @param {Object} http - Rate limited HTTP helper ({ get, post, trace })
+         * @param {string} appId - The planning application ID
+         * @returns {Promise<Object>} Session used by listDocuments
+         */
+        async acceptTerms(http, appId) {
+            const url = `${baseUrl}/copyright.aspx?catalog=${catalog}&id=${appId}`;
+
+            // Step 1: Load the page with the disclaimer
+            logger.info('🔄 Loading disclaimer page...');
+            const response = await http.get(url);
+            const $disclaimer = cheerio.load(response.data);
+
+            // A session that has already agreed is shown the application, with its View Files button
+            if (!isTermsPage(response) && $disclaimer('#btnViewFiles, [name="btnViewFiles"]').length > 0) {
+                const formAction = $disclaimer('form').attr('action');
+                if (!formAction) {
+                    throw portalError('PORTAL_DISCLAIMER_FORM', 'Form action not found', 'application', response.data);
+                }
+                http.trace?.('disclaimer', 'Already accepted in this session: the portal showed the application page');
+                logger.info('🍪 Disclaimer already accepted in this session');
+                return {
+                    submitUrl: `${baseUrl}/${formAction}`,
+                    $confirm: $disclaimer
+                };
+            }
+
+            if (!isTermsPage(response)) {
+                throw portalError('PORTAL_DISCLAIMER_FORM', 'Disclaimer agreement checkbox not found', 'disclaimer', response.data);
+            }
+            const formAction = $disclaimer('form').attr('action');
+            if (!formAction) {
+                throw portalError('PORTAL_DISCLAIMER_FORM', 'Form action not found', 'disclaimer', response.data);
+            }
+            if ($disclaimer('input[name="__VIEWSTATE"]').length === 0) {
+                throw portalError('PORTAL_VIEWSTATE', 'No __VIEWSTATE field on the disclaimer page', 'disclaimer', response.data);
+            }
+
+            // Step 2: Build form data from all hidden fields
+            const formData = new URLSearchParams();
+
+            $disclaimer('input[type="hidden"]').each((_, el) => {
+                const name = $disclaimer(el).attr('name');
+                const value = $disclaimer(el).val();
+                if (name) formData.append(name, value);
+            });
+
+            // Add checkbox and submit button
+            formData.append('chkAgree', 'on');
+            formData.append('btnAgree', 'I Agree');
+
+            // Step 3: Submit the form
+            logger.info('🔄 Submitting disclaimer agreement...');
+            const submitUrl = `${baseUrl}/${formAction}`;
+            const confirmRes = await http.post(submitUrl, formData, {
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                }
+            });
+
+            logger.info(`✅ Submitted 'I Agree' form, status: ${confirmRes.status}`);
+            if (isTermsPage(confirmRes)) {
+                throw portalError('PORTAL_DISCLAIMER_REJECTED', 'The portal showed the disclaimer again after agreeing to it', 'agreement', confirmRes.data);
+            }
+
+            return {
+                submitUrl,
+                $confirm: cheerio.load(confirmRes.data)
+            };
+        },
+
+        /**
+         * List the documents for an application
+         * @param {Object} http - Rate limited HTTP helper ({ get, post, trace })
+         * @param {string} appId - The planning application ID
+         * @param {Object} session - Result of acceptTerms
+         * @returns {Promise<Object>} { links, pages } where pages can be parsed for application details
+         *          and each link has url, title, docid and date (yyyy-mm-dd, or null if not shown)
+         */
+        async listDocuments(http, appId, session) {
+            const { submitUrl, $confirm } = session;
+            if (!$confirm('input[name="__VIEWSTATE"]').val()) {
+                throw portalError('PORTAL_VIEWSTATE', 'No __VIEWSTATE field on the application page', 'application', $confirm.html());
+            }
+
+            // Extract hidden fields for postback
+            const postBackData = new URLSearchParams();
+            ['__VIEWSTATE', '__VIEWSTATEGENERATOR', '__EVENTVALIDATION'].forEach(field => {
+                const val = $confirm(`input[name="${field}"]`).val();
+                if (val) postBackData.append(field, val);
+            });
+
+            // Simulate the View Files button
+            postBackData.append('__EVENTTARGET', 'btnViewFiles');
+            postBackData.append('__EVENTARGUMENT', '');
+
+            // Submit postback to trigger file listing
+            logger.info('🔄 Fetching file list...');
+            const viewFilesRes = await http.post(submitUrl, postBackData, {
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                }
+            });
+
+            if (isTermsPage(viewFilesRes)) {
+                throw portalError('PORTAL_DISCLAIMER_REJECTED', 'The file list postback returned the disclaimer', 'file-list', viewFilesRes.data);
+            }
+
+            const $files = cheerio.load(viewFilesRes.data);
+            const links = [];
+
+            // The date column is found from its heading ("Date Received"), so its position does not matter
+            const $fileTable = $files('a[href*="ViewFiles.aspx"]').first().closest('table');
+            const dateColumn = $fileTable.find('tr').filter((_, row) => $files(row).children('th').length > 0).first()
+                .children('th, td').toArray().findIndex(heading => /date/i.test($files(heading).text()));
+
+            // Look for table rows containing document information
+            $files('tr').each((_, row) => {
+                const $row = $files(row);
+                const link = $row.find('a[href*="ViewFiles.aspx"]');
+
+                if (link.length > 0) {
+                    const href = link.attr('href');
+                    const docidMatch = href.match(/docid=(\d+)/);
+
+                    if (docidMatch) {
+                        const docid = docidMatch[1];
+
+                        // Get document title from the second column (Comment)
+                        const cells = $row.find('td');
+                        let docTitle = '';
+                        if (cells.length >= 2) {
+                            docTitle = $files(cells[1]).text().trim();
+                        }
+
+                        // Date received, from the date column or failing that any cell holding a date
+                        const cellTexts = cells.toArray().map(cell => $files(cell).text().trim());
+                        const dateText = dateColumn >= 0 && PORTAL_DATE.test(cellTexts[dateColumn] || '')
+                            ? cellTexts[dateColumn]
+                            : cellTexts.find(text => PORTAL_DATE.test(text));
+
+                        // Use the actual ViewFiles URL directly
+                        const viewFilesUrl = `${baseUrl}/${href}`;
+
+                        // Create download object with title and URL
+                        links.push({
+                            url: viewFilesUrl,
+                            title: docTitle,
+                            docid: docid,
+                            date: dateText ? normaliseDate(dateText) : null
+                        });
+                    }
+                }
+            });
+
+            // Check the file list still looks the way it is parsed above
+            const viewFilesLinks = $files('a[href*="ViewFiles.aspx"]').length;
+            http.trace?.('file-list', `${links.length} documents from ${viewFilesLinks} ViewFiles links`, {
+                dateColumn: dateColumn >= 0 ? dateColumn : null
+            });
+            if (links.length === 0 && viewFilesLinks > 0) {
+                throw portalError('PORTAL_FILE_ROWS', `None of the ${viewFilesLinks} ViewFiles links has a document ID`, 'file-list', viewFilesRes.data);
+            }
+            if (viewFilesLinks === 0 && $files('th').length === 0 && !NO_FILES_MESSAGE.test($files('body').text())) {
+                throw portalError('PORTAL_FILE_LIST', 'No file table found on the file list page', 'file-list', viewFilesRes.data);
+            }
+            if (links.length < viewFilesLinks) {
+                http.trace?.('file-list', `Skipped ${viewFilesLinks - links.length} ViewFiles links without a document ID`);
+            }
+            if (links.length > 0 && dateColumn < 0) {
+                http.trace?.('file-list', 'No date column heading; dates taken from any cell holding a date');
+            }
+
+            return { links, pages: [$confirm, $files] };
+        },
+
+        /**
+         * Accept the copyright disclaimer and open the file list in a headless browser page,
+         * so the browser context holds the same session as acceptTerms() and listDocuments()
+         * @param {Page} page - Puppeteer page
+         * @param {string} appId - The planning application ID
+         */
+        async acceptTermsInBrowser(page, appId) {
+            await page.goto(`${baseUrl}/copyright.aspx?catalog=${catalog}&id=${appId}`, { waitUntil: 'domcontentloaded' });
+
+            const checkbox = await page.$('input[name="chkAgree"]');
+            if (!checkbox) {
+                throw new Error('Disclaimer checkbox not found in the browser');
+            }
+            if (!(await checkbox.evaluate(el => el.checked))) {
+                await checkbox.click();
+            }
+            await Promise.all([
+                page.waitForNavigation({ waitUntil: 'domcontentloaded' }),
+                page.click('input[name="btnAgree"]')
+            ]);
+
+            // The View Files button posts back to list the files, as in listDocuments()
+            if (await page.$('#btnViewFiles, [name="btnViewFiles"]')) {
+                await Promise.all([
+                    page.waitForNavigation({ waitUntil: 'domcontentloaded' }),
+                    page.click('#btnViewFiles, [name="btnViewFiles"]')
+                ]);
+            }
+        },
+
+        /**
+         * Follow the ViewFiles → ViewPdf chain to the URL of the actual file
+         * Errors from the ViewPdf page are marked with stage "viewpdf"; the caller treats the rest as "viewfiles".
+         * @param {Object} http - Rate limited HTTP helper ({ get, post, trace })
+         * @param {string} viewFilesUrl - ViewFiles URL from listDocuments
+         * @param {Object} download - Request config for the file itself ({ timeout, headers })
+         * @returns {Promise<Object>} { url, referer } for the final download, plus the streamed response
+         *          when ViewFiles pointed straight at the file
+         */
+        async resolveFileUrl(http, viewFilesUrl, download = {}) {
+            // First, get the ViewFiles page to extract the real PDF URL
+            // A document's ViewFiles and ViewPdf pages do not change, so they may be cached
+            const viewResponse = await http.get(viewFilesUrl, { cache: true });
+
+            // Parse the ViewFiles page to find the iframe src with the actual PDF
+            const $view = cheerio.load(viewResponse.data);
+            let actualPdfUrl = null;
+
+            // Look for iframe with PDF source
+            $view('iframe').each((_, el) => {
+                const src = $view(el).attr('src');
+                if (src && src.includes('.pdf')) {
+                    // Convert relative path to full URL
+                    if (src.startsWith('.\\files\\') || src.startsWith('./files/')) {
+                        const cleanPath = src.replace(/^\.\\/, '').replace(/^\.\//, '');
+                        actualPdfUrl = `${baseUrl}/${cleanPath}`;
+                    } else if (!src.startsWith('http')) {
+                        actualPdfUrl = `${baseUrl}/${src}`;
+                    } else {
+                        actualPdfUrl = src;
+                    }
+                    logger.debug(`🔗 Found PDF URL: ${actualPdfUrl}`);
+                    http.trace?.('viewfiles', 'File URL from iframe', { src, url: actualPdfUrl });
+                    return false; // break
+                }
+            });
+
+            // Also check for direct links (for mobile/iOS fallback)
+            if (!actualPdfUrl) {
+                $view('a').each((_, el) => {
+                    const href = $view(el).attr('href');
+                    if (href && href.includes('.pdf')) {
+                        if (href.startsWith('.\\files\\') || href.startsWith('./files/')) {
+                            const cleanPath = href.replace(/^\.\\/, '').replace(/^\.\//, '');
+                            actualPdfUrl = `${baseUrl}/${cleanPath}`;
+                        } else if (!href.startsWith('http')) {
+                            actualPdfUrl = `${baseUrl}/${href}`;
+                        } else {
+                            actualPdfUrl = href;
+                        }
+                        logger.debug(`🔗 Found PDF URL in link: ${actualPdfUrl}`);
+                        http.trace?.('viewfiles', 'File URL from link (no iframe)', { href, url: actualPdfUrl });
+                        return false; // break
+                    }
+                });
+            }
+
+            if (!actualPdfUrl) {
+                logger.warn(`⚠️  No PDF URL found in ViewFiles page`);
+                throw portalError('PORTAL_VIEWFILES_SOURCE', 'No PDF URL found in ViewFiles page', 'viewfiles', viewResponse.data);
+            }
+
+            // Clean the URL (remove PDF viewer parameters)
+            actualPdfUrl = actualPdfUrl.split('#')[0];
+            logger.debug(`📥 Accessing PDF URL: ${actualPdfUrl}`);
+
+            // Get the ViewPdf page first to check if it's another layer
+            // It is streamed in case it is the file itself; the HTTP client reads pages in full
+            const pdfPageResponse = await http.get(actualPdfUrl, {
+                ...download,
+                responseType: 'stream',
+                cache: true,
+                headers: { ...download.headers, 'Referer': viewFilesUrl }
+            }).catch(error => {
+                throw Object.assign(error, { stage: 'viewpdf' });
+            });
+
+            const contentType = pdfPageResponse.headers['content-type'];
+            logger.debug(`📄 PDF URL Content-Type: ${contentType}`);
+
+            let finalPdfUrl = actualPdfUrl;
+
+            // If it's HTML, parse it to find the real PDF
+            if (contentType && contentType.includes('text/html')) {
+                logger.debug(`🔄 PDF URL returned HTML, parsing for real PDF link...`);
+
+                const $pdfPage = cheerio.load(pdfPageResponse.data);
+                let realPdfUrl = null;
+
+                $pdfPage('iframe, embed, object').each((_, el) => {
+                    const src = $pdfPage(el).attr('src') || $pdfPage(el).attr('data');
+                    if (src && (src.includes('.pdf') || src.includes('pdf'))) {
+                        if (!src.startsWith('http')) {
+                            realPdfUrl = `${baseUrl}/${src.replace(/^\.?[\/\\]/, '')}`;
+                        } else {
+                            realPdfUrl = src;
+                        }
+                        logger.debug(`🔗 Found real PDF URL: ${realPdfUrl}`);
+                        http.trace?.('viewpdf', `File URL from ${el.tagName}`, { src, url: realPdfUrl });
+                        return false;
+                    }
+                });
+
+                // Also check for direct links or JavaScript redirects
+                if (!realPdfUrl) {
+                    $pdfPage('a').each((_, el) => {
+                        const href = $pdfPage(el).attr('href');
+                        if (href && (href.includes('.pdf') || href.includes('GetDocument'))) {
+                            if (!href.startsWith('http')) {
+                                realPdfUrl = `${baseUrl}/${href.replace(/^\.?[\/\\]/, '')}`;
+                            } else {
+                                realPdfUrl = href;
+                            }
+                            logger.debug(`🔗 Found real PDF URL in link: ${realPdfUrl}`);
+                            http.trace?.('viewpdf', 'File URL from link', { href, url: realPdfUrl });
+                            return false;
+                        }
+                    });
+                }
+
+                // Look for JavaScript variables or window.open calls
+                if (!realPdfUrl) {
+                    const pageText = pdfPageResponse.data;
+                    const jsMatches = pageText.match(/(?:window\.open|location\.href|src\s*=\s*['"])(.*?\.pdf.*?)['"\)]/gi);
+                    if (jsMatches && jsMatches.length > 0) {
+                        const match = jsMatches[0];
+                        realPdfUrl = match.replace(/.*['"]([^'"]+)['"].*/, '$1');
+                        if (!realPdfUrl.startsWith('http')) {
+                            realPdfUrl = `${baseUrl}/${realPdfUrl.replace(/^\.?[\/\\]/, '')}`;
+                        }
+                        logger.debug(`🔗 Found PDF URL in JavaScript: ${realPdfUrl}`);
+                        http.trace?.('viewpdf', 'File URL from script', { match, url: realPdfUrl });
+                    }
+                }
+
+                if (realPdfUrl) {
+                    finalPdfUrl = realPdfUrl.split('#')[0]; // Remove parameters
+                } else {
+                    logger.warn(`⚠️  No real PDF URL found in ViewPdf page`);
+                    throw portalError('PORTAL_VIEWPDF_SOURCE', 'No real PDF URL found in ViewPdf page', 'viewpdf', pdfPageResponse.data);
+                }
+            } else {
+                http.trace?.('viewpdf', 'The file URL from ViewFiles is the file itself', { contentType: contentType || null });
+                return { url: actualPdfUrl, referer: viewFilesUrl, response: pdfPageResponse };
+            }
+
+            return { url: finalPdfUrl, referer: actualPdfUrl };
+        }
+    };
+}
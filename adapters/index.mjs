@@ -0,0 +1,41 @@
+/**
+ * Portal Adapter Registry
+ * Each council portal is described by an adapter selected with --council=
+ *
+ * @typedef {Object} PortalAdapter
+ * @property {string} id - Council ID, also used in local folder names and S3 keys
+ * @property {string} name - Council display name
+ * @property {string} baseUrl - Portal root URL
+ * @property {Function} acceptTerms - async (http, appId) => session
+ * @property {Function} listDocuments - async (http, appId, session) => { links, pages }
+ * @property {Function} resolveFileUrl - async (http, viewFilesUrl, download) => { url, referer, response? }, where response
+ *           is the streamed file when the adapter already fetched it
+ * @property {Function} [isTermsPage] - (response) => true when the portal bounced a request back to its disclaimer
+ * @property {Function} [acceptTermsInBrowser] - async (page, appId), prepares a Puppeteer page for browser downloads
+ * @property {Function} [searchApplications] - async (http, { list, from, to, address }) => applications, for discover
+ */
+
+import meath from './meath.mjs';
+
+const adapters = {
+    [meath.id]: meath
+};
+
+export const DEFAULT_COUNCIL = 'meath';
+
+/**
+ * Get the adapter for a council
+ * @param {string} councilId - Council ID, e.g. "meath"
+ * @returns {PortalAdapter|null} Adapter, or null if the council is not supported
+ */
+export function getAdapter(councilId) {
+    return adapters[councilId] || null;
+}
+
+/**
+ * List the supported council IDs
+ * @returns {string[]} Council IDs
+ */
+export function listCouncils() {
+    return Object.keys(adapters);
+}
@@ -0,0 +1,18 @@
+/**
+ * Meath County Council Portal Adapter
+ * Documents come from iDocsWeb; applications are found through the ePlanning register.
+ */
+
+import { createIDocsWebAdapter } from './idocsweb.mjs';
+import { createEPlanningSearch } from './eplanning.mjs';
+
+export default {
+    ...createIDocsWebAdapter({
+        id: 'meath',
+        name: 'Meath County Council',
+        baseUrl: 'https://idocswebdpss.meathcoco.ie/iDocsWebDPSS'
+    }),
+    ...createEPlanningSearch({
+        searchUrl: 'https://www.eplanning.ie/MeathCC'
+    })
+};
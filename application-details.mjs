@@ -0,0 +1,123 @@
+/**
+ * Application Details Module for Planning Document Scraper
+ * Extracts the planning register details shown alongside an application's files
+ */
+
+// Label patterns are matched against the text of a label cell, first match wins
+const FIELD_LABELS = [
+    { field: 'appealReference', pattern: /appeal\s*(ref|reference|no|number)/i },
+    { field: 'appealDecisionDate', pattern: /appeal\s*decision\s*date|date\s*of\s*appeal\s*decision/i },
+    { field: 'appealDecision', pattern: /appeal\s*(decision|outcome)/i },
+    { field: 'appealStatus', pattern: /appeal/i },
+    { field: 'decisionDate', pattern: /decision\s*date|date\s*of\s*decision/i },
+    { field: 'decision', pattern: /^decision(\s*(type|code))?$/i },
+    { field: 'validatedDate', pattern: /valid(ated|ation)?\s*date|date\s*valid/i },
+    { field: 'receivedDate', pattern: /(received|lodge?ment|registration)\s*date|date\s*(received|lodged|registered)/i },
+    { field: 'reference', pattern: /file\s*(no|number|ref)|planning\s*ref|application\s*(no|number|ref)|^reference$/i },
+    { field: 'applicant', pattern: /applicant/i },
+    { field: 'address', pattern: /(development\s*)?(address|location)/i },
+    { field: 'description', pattern: /(development\s*)?description|proposal|nature\s*of\s*(the\s*)?development/i },
+    { field: 'status', pattern: /status/i }
+];
+
+export const DATE_FIELDS = ['receivedDate', 'validatedDate', 'decisionDate', 'appealDecisionDate'];
+
+/**
+ * Convert a portal date (dd/mm/yyyy) to ISO yyyy-mm-dd, leaving other formats as-is
+ * @param {string} value - Date text from the portal
+ * @returns {string} Normalised date
+ */
+export function normaliseDate(value) {
+    const match = value.match(/^(\d{1,2})[\/\-.](\d{1,2})[\/\-.](\d{4})/);
+    if (!match) {
+        return value;
+    }
+    const [, day, month, year] = match;
+    return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+}
+
+/**
+ * Map a label (or a results table heading) to a details field
+ * @param {string} label - Label text, e.g. "Date Received:"
+ * @returns {string|null} Field name, or null if not recognised
+ */
+export function getFieldForLabel(label) {
+    const clean = label.replace(/[:*]/g, '').replace(/\s+/g, ' ').trim();
+    if (!clean || clean.length > 40) {
+        return null;
+    }
+    const match = FIELD_LABELS.find(({ pattern }) => pattern.test(clean));
+    return match ? match.field : null;
+}
+
+/**
+ * Collect label/value pairs from table rows, definition lists and label elements
+ * @param {CheerioAPI} $ - Loaded page
+ * @returns {Array<[string, string]>} Label/value pairs in page order
+ */
+function collectPairs($) {
+    const pairs = [];
+    const text = el => $(el).text().replace(/\s+/g, ' ').trim();
+
+    $('tr').each((_, row) => {
+        // Document rows in the file list are not details
+        if ($(row).find('a[href*="ViewFiles.aspx"]').length > 0) {
+            return;
+        }
+
+        const cells = $(row).children('th, td');
+        // Rows may hold several label/value pairs side by side
+        for (let i = 0; i + 1 < cells.length; i += 2) {
+            pairs.push([text(cells[i]), text(cells[i + 1])]);
+        }
+    });
+
+    $('dt').each((_, dt) => {
+        pairs.push([text(dt), text($(dt).next('dd'))]);
+    });
+
+    $('label[for]').each((_, label) => {
+        const target = $(`#${$(label).attr('for')}`);
+        pairs.push([text(label), target.val() || text(target)]);
+    });
+
+    return pairs;
+}
+
+/**
+ * Parse application details from one or more portal pages
+ * @param {CheerioAPI[]} pages - Loaded pages, earlier pages take precedence
+ * @returns {Object} Details with null for anything the portal did not show
+ */
+export function parseApplicationDetails(pages) {
+    const found = {};
+
+    pages.forEach($ => {
+        collectPairs($).forEach(([label, value]) => {
+            const field = getFieldForLabel(label);
+            if (field && value && !(field in found)) {
+                found[field] = DATE_FIELDS.includes(field) ? normaliseDate(value) : value;
+            }
+        });
+    });
+
+    const hasAppeal = found.appealReference || found.appealStatus || found.appealDecision || found.appealDecisionDate;
+
+    return {
+        reference: found.reference || null,
+        applicant: found.applicant || null,
+        address: found.address || null,
+        description: found.description || null,
+        receivedDate: found.receivedDate || null,
+        validatedDate: found.validatedDate || null,
+        status: found.status || null,
+        decision: found.decision || null,
+        decisionDate: found.decisionDate || null,
+        appeal: hasAppeal ? {
+            reference: found.appealReference || null,
+            status: found.appealStatus || null,
+            decision: found.appealDecision || null,
+            decisionDate: found.appealDecisionDate || null
+        } : null
+    };
+}
@@ -0,0 +1,179 @@
+/**
+ * Browser Fetcher Module for Planning Document Scraper
+ * Fetches documents through headless Chromium (Puppeteer) for when the HTML chain cannot find the file,
+ * e.g. when the portal builds its viewer with JavaScript
+ */
+
+import { logger } from './logger.mjs';
+
+// Content types that are never the document itself
+const PAGE_CONTENT_TYPES = /^(text\/|application\/(json|javascript|x-javascript|xml|xhtml\+xml))|^image\/(gif|png|jpeg|svg|x-icon|vnd\.microsoft\.icon|webp)|^font\//i;
+
+/**
+ * Check whether a browser response is a document rather than part of a page
+ * @param {HTTPResponse} response - Puppeteer response
+ * @returns {boolean} True for PDFs, DjVu files, Office documents and other downloads
+ */
+function isDocumentResponse(response) {
+    const contentType = response.headers()['content-type'] || '';
+    const resourceType = response.request().resourceType();
+    return response.ok() && Boolean(contentType) && !PAGE_CONTENT_TYPES.test(contentType) &&
+        !['stylesheet', 'script', 'font'].includes(resourceType);
+}
+
+/**
+ * Fetch a URL from inside the page, so the browser's session cookies are sent
+ * Used when Chromium treated the file as a download and kept no body for it.
+ * @param {Page} page - Puppeteer page
+ * @param {string} url - File URL
+ * @returns {Promise<Buffer>} File content
+ */
+async function fetchInPage(page, url) {
+    const base64 = await page.evaluate(async fileUrl => {
+        const response = await fetch(fileUrl, { credentials: 'include' });
+        const bytes = new Uint8Array(await response.arrayBuffer());
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }, url);
+    return Buffer.from(base64, 'base64');
+}
+
+/**
+ * Open a ViewFiles page and capture the first document response from it or its frames
+ * @param {Page} page - Puppeteer page in a session that has agreed to the disclaimer
+ * @param {string} viewFilesUrl - ViewFiles URL from the file list
+ * @param {number} timeout - Milliseconds to wait for the document
+ * @returns {Promise<Object>} { url, body, contentType }
+ */
+async function captureDocument(page, viewFilesUrl, timeout) {
+    let timer;
+    const captured = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`No document response within ${timeout / 1000}s of opening ${viewFilesUrl}`)), timeout);
+
+        page.on('response', async response => {
+            if (!isDocumentResponse(response)) {
+                return;
+            }
+            const url = response.url();
+            const contentType = response.headers()['content-type'];
+            try {
+                resolve({ url, body: await response.buffer(), contentType });
+            } catch {
+                fetchInPage(page, url).then(body => resolve({ url, body, contentType }), reject);
+            }
+        });
+    });
+
+    try {
+        // Opening a file directly turns into a download, which aborts the navigation
+        const navigation = page.goto(viewFilesUrl, { waitUntil: 'networkidle2', timeout }).catch(error => {
+            if (!/ERR_ABORTED/.test(error.message)) {
+                throw error;
+            }
+        });
+        const [result] = await Promise.all([captured, navigation.then(() => null)]);
+        return result;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Create a fetcher that downloads documents with headless Chromium
+ * Chromium is only started on the first fetch. Each application gets its own browser context,
+ * which accepts the portal's disclaimer once through the adapter's acceptTermsInBrowser().
+ * @param {Object} options - Fetcher settings
+ * @param {PortalAdapter} options.adapter - Portal adapter with acceptTermsInBrowser(page, appId)
+ * @param {Object} options.launchOptions - Extra puppeteer.launch() options, e.g. { executablePath }
+ * @param {number} options.timeout - Milliseconds allowed for each page and document (default: 60000)
+ * @param {string} options.userAgent - User-Agent for every page, as sent by the HTTP client
+ * @param {string|false|null} options.proxy - Proxy URL passed to Chromium; otherwise Chromium uses the system settings
+ * @returns {Object} { fetchDocument(appId, linkObj), close() }
+ */
+export function createBrowserFetcher({ adapter, launchOptions = {}, timeout = 60000, userAgent = null, proxy = null }) {
+    let browserPromise = null;
+    const sessions = new Map();
+
+    const getBrowser = () => {
+        if (!browserPromise) {
+            logger.info('🌐 Starting headless browser...');
+            browserPromise = import('puppeteer').then(({ default: puppeteer }) => puppeteer.launch({
+                headless: true,
+                args: ['--no-sandbox', '--disable-dev-shm-usage', ...(proxy ? [`--proxy-server=${proxy}`] : [])],
+                ...launchOptions
+            }));
+            // Let a later fetch try again if Chromium could not start
+            browserPromise.catch(() => {
+                browserPromise = null;
+            });
+        }
+        return browserPromise;
+    };
+
+    // Pages get the fetcher's timeout and the same User-Agent as HTTP requests
+    const openPage = async context => {
+        const page = await context.newPage();
+        page.setDefaultTimeout(timeout);
+        if (userAgent) {
+            await page.setUserAgent(userAgent);
+        }
+        return page;
+    };
+
+    const getSession = appId => {
+        if (!sessions.has(appId)) {
+            const session = (async () => {
+                const browser = await getBrowser();
+                const context = await browser.createBrowserContext({ downloadBehavior: { policy: 'deny' } });
+                const page = await openPage(context);
+                try {
+                    await adapter.acceptTermsInBrowser(page, appId);
+                } finally {
+                    await page.close().catch(() => {});
+                }
+                return context;
+            })();
+            session.catch(() => sessions.delete(appId));
+            sessions.set(appId, session);
+        }
+        return sessions.get(appId);
+    };
+
+    return {
+        /**
+         * Fetch one document through the browser
+         * @param {string} appId - The planning application ID
+         * @param {Object} linkObj - Document from the file list
+         * @returns {Promise<Object>} { url, body, contentType }
+         */
+        async fetchDocument(appId, linkObj) {
+            if (typeof adapter.acceptTermsInBrowser !== 'function') {
+                throw new Error(`${adapter.name} does not support browser downloads`);
+            }
+
+            const context = await getSession(appId);
+            const page = await openPage(context);
+            try {
+                return await captureDocument(page, linkObj.url, timeout);
+            } finally {
+                await page.close().catch(() => {});
+            }
+        },
+
+        /**
+         * Close Chromium, if it was started
+         */
+        async close() {
+            const pending = browserPromise;
+            browserPromise = null;
+            sessions.clear();
+            if (pending) {
+                const browser = await pending.catch(() => null);
+                await browser?.close();
+            }
+        }
+    };
+}
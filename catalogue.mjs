@@ -0,0 +1,459 @@
+/**
+ * Catalogue Module for Planning Document Scraper
+ * Keeps every application, document and run the scraper has seen in a SQLite database, so they
+ * can be listed and queried across runs
+ */
+
+import { createRequire } from 'module';
+const require = createRequire(
+    import.meta.url);
+
+const Database = require('better-sqlite3');
+import fs from 'fs';
+import { logger } from './logger.mjs';
+import { getOption } from './cli-args.mjs';
+
+export const DEFAULT_CATALOGUE_PATH = process.env.CATALOGUE_PATH || 'catalogue.db';
+
+// Register details copied into their own columns; all of them are kept in details as JSON
+const DETAIL_COLUMNS = {
+    reference: 'reference',
+    status: 'status',
+    decision: 'decision',
+    decisionDate: 'decision_date',
+    receivedDate: 'received_date',
+    applicant: 'applicant',
+    address: 'address',
+    description: 'description'
+};
+
+const APPLICATION_FIELDS = `
+    a.council, a.application_id AS applicationId, a.reference, a.status, a.decision, a.decision_date AS decisionDate,
+    a.received_date AS receivedDate, a.applicant, a.address, a.description, a.first_seen AS firstSeen, a.last_seen AS lastSeen
+`;
+
+const DOCUMENT_FIELDS = `
+    docid, title, category, date, listed, status, filename, content_type AS contentType, size, sha256, storage,
+    local_path AS localPath, downloaded_at AS downloadedAt, error, error_category AS errorCategory,
+    first_seen AS firstSeen, last_seen AS lastSeen
+`;
+
+export class Catalogue {
+    /**
+     * @param {string} dbPath - SQLite database file
+     * @param {Object} options - { readonly } opens an existing catalogue without changing it
+     */
+    constructor(dbPath = DEFAULT_CATALOGUE_PATH, options = {}) {
+        this.dbPath = dbPath;
+        this.readonly = options.readonly === true;
+        // Run that listings and downloads are recorded against, set by startRun()
+        this.runId = null;
+
+        this.db = new Database(dbPath, this.readonly ? { readonly: true, fileMustExist: true } : {});
+        if (this.readonly) {
+            return;
+        }
+
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS runs (
+                id INTEGER PRIMARY KEY,
+                council TEXT,
+                mode TEXT NOT NULL,
+                job_id TEXT,
+                application_ids TEXT,
+                started_at TEXT NOT NULL,
+                finished_at TEXT,
+                status TEXT,
+                applications INTEGER,
+                downloaded INTEGER,
+                failed INTEGER,
+                errored INTEGER
+            );
+            CREATE TABLE IF NOT EXISTS applications (
+                id INTEGER PRIMARY KEY,
+                council TEXT NOT NULL,
+                application_id TEXT NOT NULL,
+                reference TEXT,
+                status TEXT,
+                decision TEXT,
+                decision_date TEXT,
+                received_date TEXT,
+                applicant TEXT,
+                address TEXT,
+                description TEXT,
+                details TEXT,
+                first_seen TEXT NOT NULL,
+                last_seen TEXT NOT NULL,
+                last_run_id INTEGER REFERENCES runs (id),
+                UNIQUE (council, application_id)
+            );
+            CREATE TABLE IF NOT EXISTS documents (
+                id INTEGER PRIMARY KEY,
+                council TEXT NOT NULL,
+                application_id TEXT NOT NULL,
+                docid TEXT NOT NULL,
+                title TEXT,
+                category TEXT,
+                date TEXT,
+                listed INTEGER NOT NULL DEFAULT 1,
+                status TEXT NOT NULL DEFAULT 'listed',
+                filename TEXT,
+                content_type TEXT,
+                size INTEGER,
+                sha256 TEXT,
+                storage TEXT,
+                local_path TEXT,
+                downloaded_at TEXT,
+                error TEXT,
+                error_category TEXT,
+                first_seen TEXT NOT NULL,
+                last_seen TEXT NOT NULL,
+                last_run_id INTEGER REFERENCES runs (id),
+                UNIQUE (council, application_id, docid)
+            );
+            CREATE INDEX IF NOT EXISTS documents_category ON documents (category);
+        `);
+    }
+
+    /**
+     * Start recording a run; listings and downloads are linked to it until finishRun()
+     * @param {Object} run - { council, mode, jobId, applicationIds }
+     * @returns {number} Run ID
+     */
+    startRun(run = {}) {
+        this.runId = Number(this.db.prepare(`
+            INSERT INTO runs (council, mode, job_id, application_ids, started_at) VALUES (?, ?, ?, ?, ?)
+        `).run(run.council ?? null, run.mode || 'scrape', run.jobId ?? null, JSON.stringify(run.applicationIds || []), new Date().toISOString()).lastInsertRowid);
+        return this.runId;
+    }
+
+    /**
+     * Record the outcome of the current run
+     * @param {Object} report - Result of buildRunReport
+     */
+    finishRun(report) {
+        if (this.runId === null) {
+            return;
+        }
+
+        const { totals } = report;
+        this.db.prepare(`
+            UPDATE runs SET finished_at = ?, status = ?, applications = ?, downloaded = ?, failed = ?, errored = ? WHERE id = ?
+        `).run(report.finishedAt || new Date().toISOString(), report.status, totals.applications, totals.downloaded, totals.failed, totals.errored, this.runId);
+        this.runId = null;
+    }
+
+    /**
+     * Add or refresh an application and its file list
+     * Documents no longer in the file list are kept, marked as not listed.
+     * @param {string} council - Council ID
+     * @param {string} appId - Application ID
+     * @param {Object} details - Parsed planning register details
+     * @param {Object[]} links - Listed documents with docid, title, category and date
+     */
+    recordListing(council, appId, details, links) {
+        const now = new Date().toISOString();
+        const detailValues = Object.keys(DETAIL_COLUMNS).map(field => details[field] ?? null);
+
+        const save = this.db.transaction(() => {
+            this.db.prepare(`
+                INSERT INTO applications (council, application_id, ${Object.values(DETAIL_COLUMNS).join(', ')}, details, first_seen, last_seen, last_run_id)
+                VALUES (?, ?, ${detailValues.map(() => '?').join(', ')}, ?, ?, ?, ?)
+                ON CONFLICT (council, application_id) DO UPDATE SET
+                    ${Object.values(DETAIL_COLUMNS).map(column => `${column} = excluded.${column}`).join(', ')},
+                    details = excluded.details, last_seen = excluded.last_seen, last_run_id = excluded.last_run_id
+            `).run(council, appId, ...detailValues, JSON.stringify(details), now, now, this.runId);
+
+            const upsertDocument = this.db.prepare(`
+                INSERT INTO documents (council, application_id, docid, title, category, date, first_seen, last_seen, last_run_id)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                ON CONFLICT (council, application_id, docid) DO UPDATE SET
+                    title = excluded.title, category = excluded.category, date = excluded.date, listed = 1,
+                    last_seen = excluded.last_seen, last_run_id = excluded.last_run_id
+            `);
+            links.forEach(linkObj => {
+                upsertDocument.run(council, appId, linkObj.docid, linkObj.title, linkObj.category, linkObj.date ?? null, now, now, this.runId);
+            });
+
+            this.db.prepare(`
+                UPDATE documents SET listed = 0
+                WHERE council = ? AND application_id = ? AND docid NOT IN (SELECT value FROM json_each(?))
+            `).run(council, appId, JSON.stringify(links.map(linkObj => linkObj.docid)));
+        });
+        save();
+    }
+
+    /**
+     * Record a downloaded document
+     * @param {string} council - Council ID
+     * @param {string} appId - Application ID
+     * @param {Object} document - Manifest record for the document
+     */
+    recordDownload(council, appId, document) {
+        const now = new Date().toISOString();
+        this.db.prepare(`
+            INSERT INTO documents (council, application_id, docid, title, category, date, status, filename, content_type, size, sha256,
+                                   storage, local_path, downloaded_at, first_seen, last_seen, last_run_id)
+            VALUES (?, ?, ?, ?, ?, ?, 'downloaded', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT (council, application_id, docid) DO UPDATE SET
+                status = 'downloaded', filename = excluded.filename, content_type = excluded.content_type, size = excluded.size,
+                sha256 = excluded.sha256, storage = excluded.storage, local_path = excluded.local_path,
+                downloaded_at = excluded.downloaded_at, error = NULL, error_category = NULL, last_run_id = excluded.last_run_id
+        `).run(council, appId, document.docid, document.title, document.category, document.date ?? null, document.filename,
+            document.contentType, document.size, document.sha256, JSON.stringify(document.storage || {}), document.localPath ?? null,
+            document.downloadedAt || now, now, now, this.runId);
+    }
+
+    /**
+     * Record a document that could not be downloaded
+     * A document downloaded by an earlier run keeps its stored copy and status; only the error is added.
+     * @param {string} council - Council ID
+     * @param {string} appId - Application ID
+     * @param {Object} failure - { docid, title, category, error, errorCategory }
+     */
+    recordFailure(council, appId, failure) {
+        const now = new Date().toISOString();
+        this.db.prepare(`
+            INSERT INTO documents (council, application_id, docid, title, category, status, error, error_category, first_seen, last_seen, last_run_id)
+            VALUES (?, ?, ?, ?, ?, 'failed', ?, ?, ?, ?, ?)
+            ON CONFLICT (council, application_id, docid) DO UPDATE SET
+                status = CASE WHEN downloaded_at IS NULL THEN 'failed' ELSE status END,
+                error = excluded.error, error_category = excluded.error_category, last_run_id = excluded.last_run_id
+        `).run(council, appId, failure.docid, failure.title, failure.category, failure.error, failure.errorCategory, now, now, this.runId);
+    }
+
+    /**
+     * List applications with their document counts
+     * @param {Object} filters - { council, has, missing, decision, limit } where has and missing match a listed
+     *        document's category exactly or its title by substring
+     * @returns {Object[]} Applications, most recently seen first
+     */
+    listApplications(filters = {}) {
+        const { council = null, has = null, missing = null, decision = null, limit = 100 } = filters;
+        const documentMatches = `
+            SELECT 1 FROM documents m
+            WHERE m.council = a.council AND m.application_id = a.application_id AND m.listed = 1
+              AND (m.category = ? OR m.title LIKE ?)
+        `;
+        const like = value => value === null ? null : `%${value}%`;
+
+        return this.db.prepare(`
+            SELECT ${APPLICATION_FIELDS},
+                   COUNT(d.id) AS documents,
+                   COALESCE(SUM(d.status = 'downloaded'), 0) AS downloaded,
+                   COALESCE(SUM(d.status = 'failed'), 0) AS failed
+            FROM applications a
+            LEFT JOIN documents d ON d.council = a.council AND d.application_id = a.application_id AND d.listed = 1
+            WHERE (? IS NULL OR a.council = ?)
+              AND (? IS NULL OR a.decision LIKE ?)
+              AND (? IS NULL OR EXISTS (${documentMatches}))
+              AND (? IS NULL OR NOT EXISTS (${documentMatches}))
+            GROUP BY a.id
+            ORDER BY a.last_seen DESC
+            LIMIT ?
+        `).all(council, council, decision, like(decision), has, has, like(has), missing, missing, like(missing), limit);
+    }
+
+    /**
+     * Get an application with every document it has listed
+     * @param {string} appId - Application ID
+     * @param {string|null} council - Council ID, or null for the most recently seen application with this ID
+     * @returns {Object|null} Application with details and documents, or null if it is not in the catalogue
+     */
+    getApplication(appId, council = null) {
+        const application = this.db.prepare(`
+            SELECT ${APPLICATION_FIELDS}, a.details FROM applications a
+            WHERE a.application_id = ? AND (? IS NULL OR a.council = ?)
+            ORDER BY a.last_seen DESC
+        `).get(appId, council, council);
+        if (!application) {
+            return null;
+        }
+
+        const documents = this.db.prepare(`
+            SELECT ${DOCUMENT_FIELDS} FROM documents
+            WHERE council = ? AND application_id = ?
+            ORDER BY listed DESC, date, docid
+        `).all(application.council, appId).map(doc => ({ ...doc, listed: doc.listed === 1, storage: JSON.parse(doc.storage || '{}') }));
+
+        return { ...application, details: JSON.parse(application.details || '{}'), documents };
+    }
+
+    /**
+     * List the most recent runs
+     * @param {number} limit - Runs returned at most
+     * @returns {Object[]} Runs, newest first
+     */
+    listRuns(limit = 20) {
+        return this.db.prepare(`
+            SELECT id, council, mode, job_id AS jobId, application_ids AS applicationIds, started_at AS startedAt, finished_at AS finishedAt,
+                   status, applications, downloaded, failed, errored
+            FROM runs ORDER BY id DESC LIMIT ?
+        `).all(limit).map(run => ({ ...run, applicationIds: JSON.parse(run.applicationIds || '[]') }));
+    }
+
+    /**
+     * Run a read-only SQL query against the catalogue
+     * @param {string} sql - SELECT statement over the runs, applications and documents tables
+     * @param {Array} params - Values for ? placeholders
+     * @returns {Object[]} Rows
+     */
+    query(sql, params = []) {
+        const statement = this.db.prepare(sql);
+        if (!statement.reader || !statement.readonly) {
+            throw new Error('Only read-only queries (SELECT) can be run against the catalogue');
+        }
+        return statement.all(...params);
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+/**
+ * Open the catalogue for a read command, exiting if there is none yet
+ * @param {string[]} args - Command arguments
+ * @returns {Catalogue} Read-only catalogue
+ */
+function openForReading(args) {
+    const dbPath = getOption(args, 'catalogue') || DEFAULT_CATALOGUE_PATH;
+    if (!fs.existsSync(dbPath)) {
+        logger.error(`❌ Catalogue not found: ${dbPath}`);
+        logger.error('It is filled in by every scrape, e.g.: node scrape.mjs 2461047');
+        process.exit(1);
+    }
+    return new Catalogue(dbPath, { readonly: true });
+}
+
+/**
+ * `list` command: applications in the catalogue, or its recent runs with --runs
+ * @param {string[]} args - Arguments after the command name
+ */
+export async function runListCommand(args) {
+    const catalogue = openForReading(args);
+    const limit = Number(getOption(args, 'limit')) || (args.includes('--runs') ? 20 : 100);
+
+    if (args.includes('--runs')) {
+        const runs = catalogue.listRuns(limit);
+        if (args.includes('--json')) {
+            console.log(JSON.stringify(runs, null, 2));
+        } else {
+            runs.forEach(run => {
+                const outcome = run.finishedAt
+                    ? `${run.status}: ${run.downloaded} downloaded, ${run.failed} failed`
+                    : 'did not finish';
+                console.log(`🏃 Run ${run.id} ${run.startedAt} ${run.mode}${run.jobId ? ` (job ${run.jobId})` : ''} - ${run.applicationIds.join(', ')} - ${outcome}`);
+            });
+        }
+        catalogue.close();
+        return;
+    }
+
+    const applications = catalogue.listApplications({
+        council: getOption(args, 'council') || null,
+        has: getOption(args, 'has') || null,
+        missing: getOption(args, 'missing') || null,
+        decision: getOption(args, 'decision') || null,
+        limit
+    });
+
+    if (args.includes('--json')) {
+        console.log(JSON.stringify(applications, null, 2));
+    } else {
+        applications.forEach(application => {
+            const reference = application.reference && application.reference !== application.applicationId ? ` (${application.reference})` : '';
+            const failedPart = application.failed > 0 ? `, ${application.failed} failed` : '';
+            console.log(`📋 ${application.council}/${application.applicationId}${reference} ${application.decision || application.status || 'status unknown'} - ${application.documents} documents, ${application.downloaded} downloaded${failedPart}`);
+            if (application.address) {
+                console.log(`   📍 ${application.address}`);
+            }
+            console.log(`   🕒 First seen ${application.firstSeen}, last seen ${application.lastSeen}`);
+        });
+        console.log(`\n🗂️  ${applications.length} application${applications.length === 1 ? '' : 's'} in ${catalogue.dbPath}`);
+    }
+
+    catalogue.close();
+}
+
+/**
+ * `show` command: one application's details and documents
+ * @param {string[]} args - Arguments after the command name
+ */
+export async function runShowCommand(args) {
+    const appId = args.find(arg => !arg.startsWith('--'));
+    if (!appId) {
+        console.log('📋 Usage: node scrape.mjs show <APPLICATION_ID> [--council=ID] [--json] [--catalogue=PATH]');
+        process.exit(1);
+    }
+
+    const catalogue = openForReading(args);
+    const application = catalogue.getApplication(appId, getOption(args, 'council') || null);
+    catalogue.close();
+
+    if (!application) {
+        logger.error(`❌ ${appId} is not in the catalogue`);
+        process.exit(1);
+    }
+
+    if (args.includes('--json')) {
+        console.log(JSON.stringify(application, null, 2));
+        return;
+    }
+
+    console.log(`📋 ${application.council}/${application.applicationId}${application.reference ? ` (${application.reference})` : ''}`);
+    [
+        ['Status', application.status],
+        ['Decision', application.decision && `${application.decision}${application.decisionDate ? ` (${application.decisionDate})` : ''}`],
+        ['Received', application.receivedDate],
+        ['Applicant', application.applicant],
+        ['Address', application.address],
+        ['First seen', application.firstSeen],
+        ['Last seen', application.lastSeen]
+    ].filter(([, value]) => value).forEach(([label, value]) => console.log(`   ${label}: ${value}`));
+
+    console.log(`\n📄 ${application.documents.length} documents:`);
+    application.documents.forEach(doc => {
+        const notListed = doc.listed ? '' : ' (no longer listed)';
+        console.log(`   ${doc.docid} [${doc.category}] ${doc.date || 'undated'} ${doc.title}${notListed}`);
+        if (doc.status === 'downloaded') {
+            console.log(`      ✅ ${doc.filename} (${doc.size} bytes, sha256 ${doc.sha256.slice(0, 12)}…) ${Object.values(doc.storage).join(', ')}`);
+        } else if (doc.status === 'failed') {
+            console.log(`      ❌ ${doc.errorCategory}: ${doc.error}`);
+        }
+    });
+}
+
+/**
+ * `query` command: run a read-only SQL query against the catalogue
+ * @param {string[]} args - Arguments after the command name
+ */
+export async function runQueryCommand(args) {
+    const sql = args.filter(arg => !arg.startsWith('--')).join(' ').trim();
+    if (!sql) {
+        console.log('📋 Usage: node scrape.mjs query "<SELECT ...>" [--json] [--catalogue=PATH]');
+        console.log('   Tables: runs, applications, documents');
+        process.exit(1);
+    }
+
+    const catalogue = openForReading(args);
+    let rows;
+    try {
+        rows = catalogue.query(sql);
+    } catch (error) {
+        logger.error(`❌ ${error.message}`);
+        process.exit(1);
+    } finally {
+        catalogue.close();
+    }
+
+    if (args.includes('--json')) {
+        console.log(JSON.stringify(rows, null, 2));
+    } else {
+        if (rows.length > 0) {
+            console.table(rows);
+        }
+        console.log(`🔎 ${rows.length} row${rows.length === 1 ? '' : 's'}`);
+    }
+}
@@ -0,0 +1,74 @@
+/**
+ * Document Classifier Module for Planning Document Scraper
+ * Sorts documents into categories from their titles using ordered regex rules
+ */
+
+import fs from 'fs';
+
+export const DEFAULT_CATEGORY = 'other';
+
+// Checked in order, first match wins. Specific categories (receipts, decisions,
+// prescribed body responses) come before broad ones (reports, drawings).
+export const DEFAULT_RULES = [
+    { category: 'receipt', pattern: /receipt/i },
+    { category: 'decision', pattern: /notification of (decision|final grant)|final grant|chief executive'?s? order|\bdecision\b|grant of permission|refusal/i },
+    { category: 'planners-report', pattern: /planner'?s'?\s*report/i },
+    { category: 'prescribed-body-response', pattern: /external (prescribed )?body|prescribed body/i },
+    { category: 'referral', pattern: /referral/i },
+    // Reports from the council's own departments answer internal referrals
+    { category: 'referral', pattern: /report received|executive scientist|environment department|(transportation|conservation officer|section planning|flooding-surface water)\s*report/i },
+    { category: 'further-information', pattern: /further information|\bf\.?\s?i\b|clarification of|revised public notices/i },
+    { category: 'public-notice', pattern: /site notice|press notice|newspaper notice|public notice/i },
+    { category: 'correspondence', pattern: /correspondence|letter|acknowledg|submission|observation|^\[e\]/i },
+    { category: 'drawing', pattern: /\b(PA|EX|DR|SK|P|A)-?\d{2,}\b/ },
+    { category: 'applicant-report', pattern: /report|assessment|statement|appraisal|study|schedule|\bahia\b|\bnis\b|\beiar\b|management plan|screening/i },
+    { category: 'drawing', pattern: /plan\b|plans\b|elevation|section|layout|drawing|survey|swept path|details?\b|photomontage/i }
+];
+
+/**
+ * Load custom rules from a JSON file
+ * The file holds an array of { "category", "pattern", "flags" } objects.
+ * @param {string} rulesPath - Path to the JSON rules file
+ * @returns {Object[]} Rules with compiled patterns
+ */
+export function loadRules(rulesPath) {
+    const raw = JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+    if (!Array.isArray(raw)) {
+        throw new Error(`Category rules file must contain an array: ${rulesPath}`);
+    }
+
+    return raw.map((rule, index) => {
+        if (!rule.category || !rule.pattern) {
+            throw new Error(`Category rule ${index + 1} needs "category" and "pattern"`);
+        }
+        return {
+            category: rule.category,
+            pattern: new RegExp(rule.pattern, rule.flags ?? 'i')
+        };
+    });
+}
+
+/**
+ * Create a classifier from custom rules, checked before the defaults
+ * @param {Object[]} customRules - Rules from loadRules
+ * @returns {Object} { classify(title), categories }
+ */
+export function createClassifier(customRules = []) {
+    const rules = [...customRules, ...DEFAULT_RULES];
+    const categories = [...new Set([...rules.map(rule => rule.category), DEFAULT_CATEGORY])];
+
+    return {
+        categories,
+
+        /**
+         * Classify a document title
+         * @param {string} title - Document title from the file list
+         * @returns {string} Category
+         */
+        classify(title) {
+            const text = (title || '').replace(/_/g, ' ').trim();
+            const match = rules.find(rule => rule.pattern.test(text));
+            return match ? match.category : DEFAULT_CATEGORY;
+        }
+    };
+}
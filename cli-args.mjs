@@ -0,0 +1,15 @@
+/**
+ * CLI Arguments Module for Planning Document Scraper
+ * Option parsing shared by the command line, its subcommands and the API server command
+ */
+
+/**
+ * Read an option value such as --catalogue=PATH from command arguments
+ * @param {string[]} args - Command arguments
+ * @param {string} name - Option name without dashes
+ * @returns {string|undefined} Value, or undefined if the option is not given
+ */
+export function getOption(args, name) {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : undefined;
+}
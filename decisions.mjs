@@ -0,0 +1,259 @@
+/**
+ * Decisions Module for Planning Document Scraper
+ * Extracts the outcome, dates, numbered conditions with their reasons, and financial contribution
+ * and bond amounts from decision documents into a decisions.json per application
+ */
+
+import { extractPdfText } from './text-index.mjs';
+import { normaliseDate } from './application-details.mjs';
+import { saveMetadataFile } from './manifest.mjs';
+import { logger } from './logger.mjs';
+
+export const DECISIONS_FILENAME = 'decisions.json';
+
+// Document types, checked in order against the start of the text
+const DOCUMENT_TYPES = [
+    { type: 'final-grant', pattern: /notification of final grant/i },
+    { type: 'chief-executive-order', pattern: /chief executive'?’?s? order/i },
+    { type: 'notification-of-decision', pattern: /notification of decision/i }
+];
+
+// When a document set holds several decision documents, the summary comes from the first type present
+const SUMMARY_PRIORITY = ['final-grant', 'notification-of-decision', 'chief-executive-order', null];
+
+// Financial conditions, checked in order against the sentence holding the amount
+const FINANCIAL_TYPES = [
+    // "Security" on its own also turns up in site security, security fencing and the like
+    { type: 'bond', pattern: /\bbond\b|cash (?:deposit|security)|security deposit|lodge[^.]*\bsecurity\b/i },
+    { type: 'special-contribution', pattern: /special (financial )?contribution/i },
+    { type: 'contribution', pattern: /contribution/i }
+];
+
+const PORTAL_DATE = /(\d{1,2}\/\d{1,2}\/\d{4})/;
+const AMOUNT = /(?:€|EUR\s?)\s?(\d{1,3}(?:,\d{3})+|\d+)(\.\d{2})?/gi;
+
+/**
+ * Drop the page furniture pdf-parse leaves between pages
+ * @param {string} text - Extracted text
+ * @returns {string[]} Content lines, trimmed
+ */
+function getContentLines(text) {
+    return text.split(/\r?\n/)
+        .map(line => line.replace(/\s+/g, ' ').trim())
+        .filter(line => line && !/^-- \d+ of \d+ --$/.test(line) && !/viewing purposes only/i.test(line) && !/^\d{5,}$/.test(line));
+}
+
+/**
+ * Find the decision outcome in a decision document
+ * @param {string} text - Document text
+ * @returns {Object} { outcome: "grant" | "refuse" | null, outcomeText }
+ */
+function findOutcome(text) {
+    const match = text.match(/(?:decided to|hereby)?\s*\b(grant(?:ed)?|refuse[ds]?|refusal of)\s+((?:outline\s+|retention\s+)?permission(?:\s+for\s+retention)?|retention(?:\s+permission)?)/i);
+    if (!match) {
+        return { outcome: null, outcomeText: null };
+    }
+
+    const outcome = /^grant/i.test(match[1]) ? 'grant' : 'refuse';
+    const permission = match[2].toLowerCase().replace(/\s+/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase());
+    return { outcome, outcomeText: `${outcome === 'grant' ? 'Grant' : 'Refuse'} ${permission}` };
+}
+
+/**
+ * Split a numbered schedule into its items
+ * Items must be numbered 1, 2, 3... in order, so numbered lines inside an item's text are not mistaken for new items.
+ * @param {string[]} lines - Lines of the schedule
+ * @returns {Object[]} [{ number, lines }]
+ */
+function splitNumberedItems(lines) {
+    const items = [];
+
+    lines.forEach(line => {
+        const match = line.match(/^(\d{1,3})\.\s*(.*)$/);
+        if (match && Number(match[1]) === items.length + 1) {
+            items.push({ number: items.length + 1, lines: match[2] ? [match[2]] : [] });
+        } else if (items.length > 0) {
+            items[items.length - 1].lines.push(line);
+        }
+    });
+
+    return items;
+}
+
+/**
+ * Turn a condition's lines into its text, lettered or roman numeral parts and reason
+ * @param {Object} item - { number, lines } from splitNumberedItems
+ * @returns {Object} { number, text, parts, reason }
+ */
+function parseCondition({ number, lines }) {
+    const reasonIndex = lines.findIndex(line => /^reasons?\s*:/i.test(line));
+    const body = reasonIndex >= 0 ? lines.slice(0, reasonIndex) : lines;
+    const reason = reasonIndex >= 0
+        ? lines.slice(reasonIndex).join(' ').replace(/^reasons?\s*:\s*/i, '').trim()
+        : null;
+
+    const parts = [];
+    body.forEach(line => {
+        const part = line.match(/^\(([ivxlc]+|[a-z])\)\s*(.*)$/i);
+        if (part) {
+            parts.push({ label: part[1], text: part[2] });
+        } else if (parts.length > 0) {
+            parts[parts.length - 1].text += ` ${line}`;
+        }
+    });
+
+    return { number, text: body.join(' ').trim(), parts, reason: reason || null };
+}
+
+/**
+ * Find contribution and bond amounts in a condition
+ * @param {Object} condition - Parsed condition
+ * @returns {Object[]} [{ condition, type, amount, currency, text }]
+ */
+function findFinancialAmounts(condition) {
+    const found = [];
+
+    condition.text.split(/(?<=\.)\s+(?=[A-Z(])/).forEach(sentence => {
+        const financial = FINANCIAL_TYPES.find(({ pattern }) => pattern.test(sentence));
+        if (!financial) {
+            return;
+        }
+
+        for (const match of sentence.matchAll(AMOUNT)) {
+            found.push({
+                condition: condition.number,
+                type: financial.type,
+                amount: Number(`${match[1].replace(/,/g, '')}${match[2] || ''}`),
+                currency: 'EUR',
+                text: sentence
+            });
+        }
+    });
+
+    return found;
+}
+
+/**
+ * Parse the text of a decision document (notification of decision, Chief Executive's order or final grant)
+ * @param {string} text - Document text
+ * @returns {Object} { documentType, reference, orderNumber, outcome, outcomeText, decisionDate, issuedDate,
+ *          statedConditionCount, conditions, refusalReasons, contributions }
+ */
+export function parseDecisionText(text) {
+    const lines = getContentLines(text);
+    const joined = lines.join(' ');
+    const head = lines.slice(0, 5).join(' ');
+
+    const orderDate = joined.match(new RegExp(`order\\s+dated\\s*${PORTAL_DATE.source}`, 'i'));
+    // The signed date is on a line of its own, sometimes after the signature underline
+    const dateLine = lines.map(line => line.match(new RegExp(`^(?:_+\\s*)?date\\s*:\\s*${PORTAL_DATE.source}`, 'i'))).find(Boolean);
+    const stated = joined.match(/subject to (?:the )?(\d+)\s+condition/i);
+
+    // Conditions run from the schedule heading to the advice notes; refusals list numbered reasons instead
+    const conditionsStart = lines.findIndex(line => /^schedule of conditions|^conditions\s*:?$/i.test(line));
+    const reasonsStart = lines.findIndex(line => /^(schedule of reasons|reasons? for (the )?refusal)/i.test(line));
+    const scheduleEnd = start => {
+        const end = lines.findIndex((line, index) => index > start && /^(advice notes?|notes?\s*:?$|note\s*:)/i.test(line));
+        return end >= 0 ? end : lines.length;
+    };
+
+    const conditions = conditionsStart >= 0
+        ? splitNumberedItems(lines.slice(conditionsStart + 1, scheduleEnd(conditionsStart))).map(parseCondition)
+        : [];
+    const refusalReasons = reasonsStart >= 0
+        ? splitNumberedItems(lines.slice(reasonsStart + 1, scheduleEnd(reasonsStart)))
+            .map(({ number, lines: reasonLines }) => ({ number, text: reasonLines.join(' ').trim() }))
+        : [];
+
+    return {
+        documentType: DOCUMENT_TYPES.find(({ pattern }) => pattern.test(head))?.type || null,
+        reference: joined.match(/(?:planning register number|reference number|planning ref(?:erence)?)\s*:?\s*(\d{2}\/\d+)/i)?.[1] || null,
+        orderNumber: joined.match(/order no\.?\s*:?\s*([\w/]+)/i)?.[1] || null,
+        ...findOutcome(joined),
+        decisionDate: normaliseDate((orderDate || dateLine)?.[1] || '') || null,
+        issuedDate: normaliseDate(dateLine?.[1] || '') || null,
+        statedConditionCount: stated ? Number(stated[1]) : null,
+        conditions,
+        refusalReasons,
+        contributions: conditions.flatMap(findFinancialAmounts)
+    };
+}
+
+/**
+ * Extract the decision details from a downloaded decision document
+ * @param {Buffer} buffer - PDF content
+ * @returns {Promise<Object>} Result of parseDecisionText, plus the page count
+ */
+export async function extractDecision(buffer) {
+    const { text, pages } = await extractPdfText(buffer);
+    return { ...parseDecisionText(text), pages };
+}
+
+/**
+ * Sum the amounts of one kind of financial condition
+ * @param {Object[]} contributions - Financial conditions
+ * @param {string[]} types - Types to include
+ * @returns {number|null} Total, or null if there are none
+ */
+function sumAmounts(contributions, types) {
+    const matching = contributions.filter(item => types.includes(item.type));
+    return matching.length > 0 ? matching.reduce((total, item) => total + item.amount, 0) : null;
+}
+
+/**
+ * Merge extracted decision documents into the application's decisions.json and store it
+ * Entries are keyed by docid, like the manifest.
+ * @param {StorageSet} storage - Storage backends for the run
+ * @param {Object} application - Key template values for the application ({ council, appId, year })
+ * @param {Object[]} extracted - [{ docid, title, filename, ...parseDecisionText result }]
+ * @returns {Promise<Object>} The decisions file that was written
+ */
+export async function updateDecisions(storage, application, extracted) {
+    const existing = await loadDecisions(storage, application);
+    const byDocid = new Map();
+
+    (existing?.documents || []).forEach(doc => byDocid.set(doc.docid, doc));
+    extracted.forEach(doc => byDocid.set(doc.docid, doc));
+
+    const documents = [...byDocid.values()].sort((a, b) => Number(a.docid) - Number(b.docid));
+    const main = [...documents].sort((a, b) =>
+        SUMMARY_PRIORITY.indexOf(a.documentType) - SUMMARY_PRIORITY.indexOf(b.documentType))
+        .find(doc => doc.outcome || doc.conditions.length > 0) || null;
+
+    const decisions = {
+        applicationId: application.appId,
+        council: application.council,
+        updatedAt: new Date().toISOString(),
+        summary: main ? {
+            docid: main.docid,
+            outcome: main.outcome,
+            outcomeText: main.outcomeText,
+            decisionDate: main.decisionDate,
+            conditionCount: main.conditions.length,
+            refusalReasonCount: main.refusalReasons.length,
+            contributionTotal: sumAmounts(main.contributions, ['contribution', 'special-contribution']),
+            bondTotal: sumAmounts(main.contributions, ['bond'])
+        } : null,
+        documents
+    };
+
+    await saveMetadataFile(storage, application, DECISIONS_FILENAME, decisions);
+    return decisions;
+}
+
+/**
+ * Load the decisions file for an application from the first backend that has one
+ * @param {StorageSet} storage - Storage backends for the run
+ * @param {Object} application - Key template values for the application ({ council, appId, year })
+ * @returns {Promise<Object|null>} Decisions, or null if none have been extracted yet
+ */
+export async function loadDecisions(storage, application) {
+    try {
+        const body = await storage.getMetadata(application, DECISIONS_FILENAME);
+        return body ? JSON.parse(body.toString('utf8')) : null;
+    } catch (error) {
+        logger.warn(`⚠️  Could not read existing decisions, starting new ones: ${error.message}`);
+    }
+
+    return null;
+}
@@ -0,0 +1,164 @@
+/**
+ * Diagnostics Module for Planning Document Scraper
+ * Error codes for the portal structures the scraper relies on, and per-run diagnostics bundles
+ * (page snapshots, request and response metadata, parser decisions) written when a run fails
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const DEFAULT_DIAGNOSTICS_DIR = process.env.DIAGNOSTICS_DIR || 'diagnostics';
+
+// Portal structures the scraper relies on, by the code reported when one is missing or has changed
+export const PORTAL_ERROR_CODES = {
+    PORTAL_DISCLAIMER_FORM: 'The disclaimer page has no agreement form and is not the application page either',
+    PORTAL_DISCLAIMER_REJECTED: 'The portal showed the disclaimer again after it was agreed to',
+    PORTAL_VIEWSTATE: 'A page the scraper posts back to has no __VIEWSTATE field',
+    PORTAL_FILE_LIST: 'The file list page has no table of ViewFiles links',
+    PORTAL_FILE_ROWS: 'The file list has ViewFiles links without a document ID',
+    PORTAL_VIEWFILES_SOURCE: 'The ViewFiles page has no iframe or link to the file',
+    PORTAL_VIEWPDF_SOURCE: 'The ViewPdf page has no iframe, embed, link or script pointing at the file',
+    PORTAL_DETAILS: 'The pages around the file list have no planning register details with a file number',
+    PORTAL_NOT_DOCUMENT: 'The file URL answered with a web page instead of the document'
+};
+
+// Checks made by the doctor command, in order, with the labels they are printed under
+export const DOCTOR_CHECKS = {
+    'disclaimer': 'Disclaimer form',
+    'file-list': 'File list',
+    'details': 'Register details',
+    'file-url': 'ViewFiles and ViewPdf pages',
+    'file': 'Document file'
+};
+
+// Requests and parser decisions kept per run, so a long run does not hold them all
+const MAX_ENTRIES = 2000;
+
+/**
+ * Build the error for a portal page that does not have the structure the scraper relies on
+ * The error is reported in the "portal-page" category, at the stage named after the page,
+ * and carries a snapshot of the page for the failure queue and diagnostics bundle.
+ * @param {string} code - Key of PORTAL_ERROR_CODES
+ * @param {string} message - What was missing
+ * @param {string} name - Page name, e.g. "disclaimer", "file-list" or "viewfiles"
+ * @param {string} content - Page content
+ * @returns {Error} Error with code, category, stage and artifact
+ */
+export function portalError(code, message, name, content) {
+    return Object.assign(new Error(message), {
+        code,
+        category: 'portal-page',
+        stage: name,
+        artifact: { name, content }
+    });
+}
+
+/**
+ * Make a snapshot name safe to use in a file name
+ * @param {string} value - Name part
+ * @returns {string} Letters, digits, dots, underscores and dashes only
+ */
+function safeName(value) {
+    return String(value).replace(/[^\w.-]+/g, '_');
+}
+
+export class Diagnostics {
+    constructor() {
+        this.startedAt = new Date();
+        // { at, method, url, status, finalPath, contentType, contentLength, durationMs, fromCache, error }
+        this.exchanges = [];
+        // { at, step, message, ...data }
+        this.decisions = [];
+        // { applicationId, docid, title, stage, code, category, message, artifact }
+        this.problems = [];
+    }
+
+    /**
+     * Keep an entry, dropping the oldest once the list is full
+     * @param {Object[]} list - exchanges or decisions
+     * @param {Object} entry - Entry to keep
+     */
+    keep(list, entry) {
+        list.push({ at: new Date().toISOString(), ...entry });
+        if (list.length > MAX_ENTRIES) {
+            list.shift();
+        }
+    }
+
+    /**
+     * Record a request and its response, or the error it ended in
+     * @param {Object} exchange - { method, url, status, finalPath, contentType, contentLength, durationMs, fromCache, error }
+     */
+    recordExchange(exchange) {
+        this.keep(this.exchanges, exchange);
+    }
+
+    /**
+     * Record a choice a page parser made, e.g. which element the file URL came from
+     * @param {string} step - Page or step, e.g. "viewfiles"
+     * @param {string} message - What was decided
+     * @param {Object} data - Details such as the URL found
+     */
+    recordDecision(step, message, data = {}) {
+        this.keep(this.decisions, { step, message, ...data });
+    }
+
+    /**
+     * Record a failed document or application
+     * @param {Object} problem - { applicationId, docid, title, stage }
+     * @param {Error} error - The error, with its code, category and page snapshot if it has them
+     */
+    recordProblem(problem, error) {
+        this.problems.push({
+            ...problem,
+            code: error.code ?? null,
+            category: error.category ?? null,
+            message: error.message,
+            artifact: error.artifact ?? null
+        });
+    }
+
+    /**
+     * Write the diagnostics bundle for the run into its own folder
+     * @param {string} rootDir - Folder holding every run's bundle
+     * @param {Object} summary - { council, ... } merged into summary.json, e.g. the run report or doctor checks
+     * @returns {string} Bundle folder
+     */
+    writeBundle(rootDir, summary = {}) {
+        const stamp = this.startedAt.toISOString().replace(/[:.]/g, '-');
+        const bundleDir = path.join(rootDir, `${stamp}-${safeName(summary.council || 'run')}`);
+        fs.mkdirSync(path.join(bundleDir, 'pages'), { recursive: true });
+
+        const problems = this.problems.map(({ artifact, ...problem }) => {
+            if (!artifact) {
+                return { ...problem, snapshot: null };
+            }
+            const parts = [problem.applicationId, problem.docid, artifact.name].filter(Boolean).map(safeName);
+            const snapshot = path.join('pages', `${parts.join('-')}.html`);
+            fs.writeFileSync(path.join(bundleDir, snapshot), String(artifact.content));
+            return { ...problem, snapshot };
+        });
+
+        const codes = {};
+        problems.filter(problem => problem.code).forEach(problem => {
+            codes[problem.code] = (codes[problem.code] || 0) + 1;
+        });
+
+        fs.writeFileSync(path.join(bundleDir, 'summary.json'), JSON.stringify({
+            ...summary,
+            startedAt: this.startedAt.toISOString(),
+            writtenAt: new Date().toISOString(),
+            codes,
+            explanations: Object.fromEntries(Object.keys(codes)
+                .filter(code => PORTAL_ERROR_CODES[code])
+                .map(code => [code, PORTAL_ERROR_CODES[code]])),
+            problems
+        }, null, 2));
+
+        const toLines = entries => entries.map(entry => JSON.stringify(entry)).join('\n') + (entries.length ? '\n' : '');
+        fs.writeFileSync(path.join(bundleDir, 'requests.jsonl'), toLines(this.exchanges));
+        fs.writeFileSync(path.join(bundleDir, 'decisions.jsonl'), toLines(this.decisions));
+
+        return bundleDir;
+    }
+}
@@ -0,0 +1,131 @@
+/**
+ * Discover Module for Planning Document Scraper
+ * Date ranges, weekly windows and filters for finding applications in a council's register
+ */
+
+import { DISCOVER_LISTS } from './adapters/eplanning.mjs';
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse an ISO date as midnight UTC
+ * @param {string} value - Date as yyyy-mm-dd
+ * @returns {Date} Date
+ */
+function parseDay(value) {
+    const date = new Date(`${value}T00:00:00Z`);
+    if (!ISO_DATE.test(value) || Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid date: ${value} (expected YYYY-MM-DD)`);
+    }
+    return date;
+}
+
+/**
+ * Format a date as yyyy-mm-dd
+ * @param {Date} date - Date
+ * @returns {string} ISO date
+ */
+function formatDay(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Get the Monday to Sunday week containing a date, as in the register's weekly lists
+ * @param {string} day - Any date in the week, yyyy-mm-dd
+ * @returns {Object} { from, to } as yyyy-mm-dd
+ */
+export function getWeek(day) {
+    const date = parseDay(day);
+    const monday = new Date(date.getTime() - ((date.getUTCDay() + 6) % 7) * DAY_MS);
+    return { from: formatDay(monday), to: formatDay(new Date(monday.getTime() + 6 * DAY_MS)) };
+}
+
+/**
+ * Split a date range into weekly windows, the first and last clipped to the range
+ * @param {string} from - First date, yyyy-mm-dd
+ * @param {string} to - Last date, yyyy-mm-dd
+ * @returns {Object[]} [{ from, to }] in date order
+ */
+export function splitIntoWeeks(from, to) {
+    const end = parseDay(to);
+    const weeks = [];
+    let start = parseDay(from);
+
+    while (start <= end) {
+        const sunday = parseDay(getWeek(formatDay(start)).to);
+        const windowEnd = sunday < end ? sunday : end;
+        weeks.push({ from: formatDay(start), to: formatDay(windowEnd) });
+        start = new Date(windowEnd.getTime() + DAY_MS);
+    }
+
+    return weeks;
+}
+
+/**
+ * Check and complete discover criteria
+ * Without dates the last 7 days are searched; a decision filter searches the decided list by default.
+ * @param {Object} criteria - { list, from, to, week, address, decision }
+ * @param {string} today - Today's date, yyyy-mm-dd
+ * @returns {Object} { list, from, to, address, decision }
+ */
+export function normaliseCriteria(criteria = {}, today = formatDay(new Date())) {
+    const { week, address = null, decision = null } = criteria;
+    const list = criteria.list || (decision ? 'decided' : 'received');
+
+    if (!DISCOVER_LISTS[list]) {
+        throw new Error(`Unknown list: ${list} (valid: ${Object.keys(DISCOVER_LISTS).join(', ')})`);
+    }
+
+    let { from, to } = week ? getWeek(week) : criteria;
+    to = to || today;
+    from = from || formatDay(new Date(parseDay(to).getTime() - 6 * DAY_MS));
+
+    if (parseDay(from) > parseDay(to)) {
+        throw new Error(`--from (${from}) is after --to (${to})`);
+    }
+
+    return { list, from, to, address, decision };
+}
+
+/**
+ * Check whether a register entry matches the criteria
+ * The register is asked for the same things; this guards against it ignoring a filter.
+ * @param {Object} application - Entry from the register search
+ * @param {Object} criteria - Result of normaliseCriteria
+ * @returns {boolean} True if it matches
+ */
+export function matchesCriteria(application, criteria) {
+    const date = application[DISCOVER_LISTS[criteria.list].dateField];
+    if (date && ISO_DATE.test(date) && (date < criteria.from || date > criteria.to)) {
+        return false;
+    }
+    if (criteria.address && !(application.address || '').toLowerCase().includes(criteria.address.toLowerCase())) {
+        return false;
+    }
+    if (criteria.decision && !(application.decision || '').toLowerCase().includes(criteria.decision.toLowerCase())) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Quote a CSV field when needed
+ * @param {string|null} value - Field value
+ * @returns {string} CSV field
+ */
+export function csvField(value) {
+    const text = value == null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format discovered applications as CSV, readable again with --file=
+ * @param {Object[]} applications - Discovered applications
+ * @returns {string} CSV with a header row
+ */
+export function toCsv(applications) {
+    const columns = ['applicationId', 'reference', 'receivedDate', 'status', 'decision', 'decisionDate', 'address', 'description'];
+    const header = 'application_id,reference,received_date,status,decision,decision_date,address,description';
+    return [header, ...applications.map(application => columns.map(column => csvField(application[column])).join(','))].join('\n') + '\n';
+}
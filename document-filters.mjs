@@ -0,0 +1,179 @@
+/**
+ * Document Filters Module for Planning Document Scraper
+ * Narrows an application's file list by category, title, document ID and count, and exports it as CSV
+ */
+
+import { csvField } from './discover.mjs';
+
+/**
+ * Compile a title pattern, matched case-insensitively
+ * @param {string|RegExp|null} pattern - Regular expression or its source
+ * @param {string} name - Filter name for the error message
+ * @returns {RegExp|null} Compiled pattern
+ */
+function compileTitlePattern(pattern, name) {
+    if (pattern === null || pattern === undefined || pattern === '') {
+        return null;
+    }
+    if (pattern instanceof RegExp) {
+        return pattern;
+    }
+    try {
+        return new RegExp(pattern, 'i');
+    } catch (error) {
+        throw new Error(`Invalid ${name} pattern: ${pattern} (${error.message})`);
+    }
+}
+
+/**
+ * Read a document ID as a number, for ranges
+ * @param {string|number} value - Document ID
+ * @returns {number} Numeric ID
+ */
+function toDocidNumber(value) {
+    const number = Number(String(value).trim());
+    if (!/^\d+$/.test(String(value).trim()) || !Number.isSafeInteger(number)) {
+        throw new Error(`Invalid document ID: ${value}`);
+    }
+    return number;
+}
+
+/**
+ * Parse document ID ranges such as "2633597-2633700,2646005"
+ * @param {string|string[]} value - Comma separated IDs and inclusive ranges, or an array of them
+ * @returns {Object[]} [{ from, to }]
+ */
+export function parseDocidRanges(value) {
+    const parts = (Array.isArray(value) ? value : String(value).split(','))
+        .map(part => String(part).trim())
+        .filter(Boolean);
+
+    if (parts.length === 0) {
+        throw new Error('At least one document ID or range is needed');
+    }
+
+    return parts.map(part => {
+        const [from, to = from, extra] = part.split('-');
+        if (extra !== undefined) {
+            throw new Error(`Invalid document ID range: ${part}`);
+        }
+        const range = { from: toDocidNumber(from), to: toDocidNumber(to) };
+        if (range.from > range.to) {
+            throw new Error(`Invalid document ID range: ${part} (start is after end)`);
+        }
+        return range;
+    });
+}
+
+/**
+ * Check and complete document filters
+ * @param {Object} filters - { categories, includeTitle, excludeTitle, docids, sinceDocid, maxDocs }
+ * @returns {Object} Filters with compiled patterns and parsed ranges; unset filters are null
+ */
+export function normaliseFilters(filters = {}) {
+    const { categories = null, includeTitle = null, excludeTitle = null, docids = null, sinceDocid = null, maxDocs = null } = filters;
+
+    const normalised = {
+        categories: categories && categories.length > 0 ? categories : null,
+        includeTitle: compileTitlePattern(includeTitle, 'include-title'),
+        excludeTitle: compileTitlePattern(excludeTitle, 'exclude-title'),
+        docids: docids === null || docids === undefined ? null : parseDocidRanges(docids),
+        sinceDocid: sinceDocid === null || sinceDocid === undefined ? null : toDocidNumber(sinceDocid),
+        maxDocs: null
+    };
+
+    if (maxDocs !== null && maxDocs !== undefined) {
+        normalised.maxDocs = Number(maxDocs);
+        if (!Number.isInteger(normalised.maxDocs) || normalised.maxDocs < 1) {
+            throw new Error(`Invalid max-docs: ${maxDocs} (expected a whole number above 0)`);
+        }
+    }
+
+    return normalised;
+}
+
+/**
+ * Check whether any filter is set
+ * @param {Object} filters - Result of normaliseFilters
+ * @returns {boolean} True if some documents may be left out
+ */
+export function hasFilters(filters) {
+    return Object.values(filters).some(value => value !== null);
+}
+
+/**
+ * Describe the filters in use, for log messages
+ * @param {Object} filters - Result of normaliseFilters
+ * @returns {string} e.g. "categories drawing, title /plan/i, newest 5"
+ */
+export function describeFilters(filters) {
+    return [
+        filters.categories && `categories ${filters.categories.join(', ')}`,
+        filters.includeTitle && `title ${filters.includeTitle}`,
+        filters.excludeTitle && `title not ${filters.excludeTitle}`,
+        filters.docids && `IDs ${filters.docids.map(({ from, to }) => from === to ? from : `${from}-${to}`).join(', ')}`,
+        filters.sinceDocid !== null && `IDs above ${filters.sinceDocid}`,
+        filters.maxDocs !== null && `newest ${filters.maxDocs}`
+    ].filter(Boolean).join(', ');
+}
+
+/**
+ * Check one document against every filter except maxDocs
+ * Documents whose ID is not a number never match ID filters.
+ * @param {Object} linkObj - Document from the file list
+ * @param {Object} filters - Result of normaliseFilters
+ * @returns {boolean} True if it matches
+ */
+function matchesFilters(linkObj, filters) {
+    const title = linkObj.title || '';
+    const docid = /^\d+$/.test(linkObj.docid) ? Number(linkObj.docid) : null;
+
+    if (filters.categories && !filters.categories.includes(linkObj.category)) {
+        return false;
+    }
+    if (filters.includeTitle && !filters.includeTitle.test(title)) {
+        return false;
+    }
+    if (filters.excludeTitle && filters.excludeTitle.test(title)) {
+        return false;
+    }
+    if (filters.docids && (docid === null || !filters.docids.some(({ from, to }) => docid >= from && docid <= to))) {
+        return false;
+    }
+    if (filters.sinceDocid !== null && (docid === null || docid <= filters.sinceDocid)) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Narrow a file list to the documents matching the filters
+ * maxDocs keeps the newest matching documents (the highest IDs), in file list order.
+ * @param {Object[]} links - Documents from the file list
+ * @param {Object} filters - Result of normaliseFilters
+ * @returns {Object[]} Matching documents
+ */
+export function filterDocuments(links, filters) {
+    const selected = links.filter(linkObj => matchesFilters(linkObj, filters));
+    if (filters.maxDocs === null || selected.length <= filters.maxDocs) {
+        return selected;
+    }
+
+    const newest = new Set([...selected]
+        .sort((a, b) => (Number(b.docid) || 0) - (Number(a.docid) || 0))
+        .slice(0, filters.maxDocs));
+    return selected.filter(linkObj => newest.has(linkObj));
+}
+
+/**
+ * Format applications' file lists as CSV, one row per document
+ * @param {Object[]} listings - [{ applicationId, documents }]
+ * @returns {string} CSV with a header row
+ */
+export function documentsToCsv(listings) {
+    const columns = ['docid', 'title', 'category', 'date', 'url'];
+    const header = 'application_id,docid,title,category,date,url';
+    const rows = listings.flatMap(listing => listing.documents.map(doc =>
+        [listing.applicationId, ...columns.map(column => doc[column])].map(csvField).join(',')));
+    return [header, ...rows].join('\n') + '\n';
+}
@@ -0,0 +1,145 @@
+/**
+ * Download Stream Module for Planning Document Scraper
+ * Streams a download to a temporary file and to storage at the same time, hashing it and keeping
+ * its first and last bytes on the way, so memory use stays flat whatever the size of the document
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import { finished } from 'stream/promises';
+import { writeChunk } from './storage/backend.mjs';
+
+// Enough of the start of a file to recognise it, including the folder names inside Office ZIP files
+export const HEAD_BYTES = 64 * 1024;
+
+// Enough of the end of a file to find a PDF's %%EOF marker
+export const TAIL_BYTES = 4096;
+
+// Web pages read whole for a failure snapshot are cut off after this many bytes
+const PAGE_LIMIT = 2 * 1024 * 1024;
+
+/**
+ * Read the start of a download, so its type is known before anything is stored
+ * @param {Readable|Buffer} stream - Response body, or content already in memory
+ * @param {number} size - Bytes to read (default: HEAD_BYTES)
+ * @returns {Promise<Object>} Source for readToEnd() and spoolDownload(): { head, iterator }
+ */
+export async function readHead(stream, size = HEAD_BYTES) {
+    const readable = Buffer.isBuffer(stream) ? Readable.from([stream]) : stream;
+    const iterator = readable[Symbol.asyncIterator]();
+    const chunks = [];
+    let length = 0;
+
+    while (length < size) {
+        const { value, done } = await iterator.next();
+        if (done) {
+            break;
+        }
+        chunks.push(Buffer.from(value));
+        length += value.length;
+    }
+
+    return { head: Buffer.concat(chunks), iterator };
+}
+
+/**
+ * Go through a source's chunks: the head, then the rest of the stream
+ * Stopping early destroys the stream, so its connection is not left open.
+ * @param {Object} source - Result of readHead
+ * @yields {Buffer} Chunks in order
+ */
+async function* readChunks({ head, iterator }) {
+    try {
+        if (head.length > 0) {
+            yield head;
+        }
+        while (true) {
+            const { value, done } = await iterator.next();
+            if (done) {
+                return;
+            }
+            yield Buffer.from(value);
+        }
+    } finally {
+        await iterator.return?.();
+    }
+}
+
+/**
+ * Read the rest of a source into memory, for small responses such as web pages
+ * @param {Object} source - Result of readHead
+ * @param {number} limit - Bytes kept at most (default: 2 MB)
+ * @returns {Promise<Buffer>} Content, cut off at the limit
+ */
+export async function readToEnd(source, limit = PAGE_LIMIT) {
+    const chunks = [];
+    let length = 0;
+
+    for await (const chunk of readChunks(source)) {
+        chunks.push(chunk);
+        length += chunk.length;
+        if (length >= limit) {
+            break;
+        }
+    }
+
+    return Buffer.concat(chunks).subarray(0, limit);
+}
+
+/**
+ * Copy a source to a temporary file and, optionally, a storage writer as it arrives
+ * Nothing is committed here: the caller checks the result and then commits or aborts the writer.
+ * @param {Object} source - Result of readHead
+ * @param {Object|null} writer - Writer from StorageSet.openDocument, or null to only write the temporary file
+ * @returns {Promise<Object>} { path, size, sha256, tail, read(), discard() } where read() loads the file
+ *          and discard() removes it
+ */
+export async function spoolDownload(source, writer = null) {
+    const folder = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'planning-download-'));
+    const filePath = path.join(folder, 'download');
+    const discard = () => fs.promises.rm(folder, { recursive: true, force: true });
+
+    const file = fs.createWriteStream(filePath);
+    const closed = finished(file);
+    closed.catch(() => {});
+
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+    let tail = Buffer.alloc(0);
+
+    try {
+        for await (const chunk of readChunks(source)) {
+            hash.update(chunk);
+            size += chunk.length;
+            tail = Buffer.concat([tail, chunk.subarray(-TAIL_BYTES)]).subarray(-TAIL_BYTES);
+            await Promise.all([writeChunk(file, chunk, closed), writer?.write(chunk)]);
+        }
+        file.end();
+        await closed;
+    } catch (error) {
+        file.destroy();
+        await discard();
+        throw error;
+    }
+
+    return {
+        path: filePath,
+        size,
+        sha256: hash.digest('hex'),
+        tail,
+        read: () => fs.promises.readFile(filePath),
+        discard
+    };
+}
+
+/**
+ * Open a file on disk as a source, e.g. to store a converted document
+ * @param {string} filePath - File to read
+ * @returns {Promise<Object>} Result of readHead
+ */
+export function readFileHead(filePath) {
+    return readHead(fs.createReadStream(filePath));
+}
@@ -0,0 +1,107 @@
+/**
+ * Failure Queue Module for Planning Document Scraper
+ * Keeps a failures.json per application listing the documents that could not be stored,
+ * with the stage they failed at and snapshots of the pages involved, for retry-failed
+ */
+
+import fs from 'fs';
+import { logger } from './logger.mjs';
+import { saveMetadataFile, findMetadataFiles } from './manifest.mjs';
+
+export const FAILURES_FILENAME = 'failures.json';
+
+// Where in the ViewFiles → ViewPdf (or headless browser) → file → storage chain a document failed
+export const FAILURE_STAGES = ['viewfiles', 'viewpdf', 'browser', 'download', 'validation', 'storage'];
+
+/**
+ * Load the failure queue for an application from the first backend that has one
+ * @param {StorageSet} storage - Storage backends for the run
+ * @param {Object} application - Key template values for the application ({ council, appId, year })
+ * @returns {Promise<Object|null>} Failure queue, or null if nothing has failed yet
+ */
+export async function loadFailures(storage, application) {
+    try {
+        const body = await storage.getMetadata(application, FAILURES_FILENAME);
+        return body ? JSON.parse(body.toString('utf8')) : null;
+    } catch (error) {
+        logger.warn(`⚠️  Could not read existing failure queue, starting a new one: ${error.message}`);
+    }
+
+    return null;
+}
+
+/**
+ * Add this run's failed documents to the application's failure queue and drop the ones now stored
+ * Page snapshots are stored next to the queue as failures/<docid>-<name>.html.
+ * @param {StorageSet} storage - Storage backends for the run
+ * @param {Object} application - Key template values for the application ({ council, appId, year })
+ * @param {Object} outcome - { documents, failures } from downloadAllDocuments
+ * @returns {Promise<Object|null>} The queue that was written, or null if nothing has ever failed
+ */
+export async function updateFailures(storage, application, { documents, failures }) {
+    const existing = await loadFailures(storage, application);
+    const byDocid = new Map();
+
+    (existing?.documents || []).forEach(doc => byDocid.set(doc.docid, doc));
+    const resolved = documents.filter(doc => byDocid.delete(doc.docid));
+
+    if (failures.length === 0 && resolved.length === 0) {
+        return existing;
+    }
+
+    const now = new Date().toISOString();
+    for (const failure of failures) {
+        const previous = byDocid.get(failure.docid);
+        const artifacts = [];
+
+        if (failure.artifact) {
+            const artifactName = `failures/${failure.docid}-${failure.artifact.name}.html`;
+            await storage.putMetadata(application, artifactName, Buffer.from(String(failure.artifact.content)));
+            artifacts.push(artifactName);
+        }
+
+        byDocid.set(failure.docid, {
+            docid: failure.docid,
+            title: failure.title,
+            category: failure.category,
+            url: failure.url,
+            stage: failure.stage,
+            error: failure.error,
+            errorCategory: failure.errorCategory,
+            errorCode: failure.errorCode ?? null,
+            httpStatus: failure.httpStatus ?? null,
+            attempts: (previous?.attempts || 0) + 1,
+            firstFailedAt: previous?.firstFailedAt || now,
+            lastFailedAt: now,
+            artifacts
+        });
+    }
+
+    if (resolved.length > 0) {
+        logger.info(`🩹 ${resolved.length} previously failed document${resolved.length === 1 ? '' : 's'} now stored`);
+    }
+
+    const queue = {
+        applicationId: application.appId,
+        council: application.council,
+        updatedAt: now,
+        failureCount: byDocid.size,
+        documents: [...byDocid.values()].sort((a, b) => Number(a.docid) - Number(b.docid))
+    };
+
+    await saveMetadataFile(storage, application, FAILURES_FILENAME, queue);
+    return queue;
+}
+
+/**
+ * Find the applications with failed documents in a local download folder
+ * @param {string} folder - Folder to search, e.g. the local backend's root
+ * @param {string} council - Only applications from this council
+ * @returns {string[]} Application IDs
+ */
+export function findFailedApplications(folder, council) {
+    return findMetadataFiles(folder, FAILURES_FILENAME)
+        .map(queuePath => JSON.parse(fs.readFileSync(queuePath, 'utf8')))
+        .filter(queue => queue.council === council && queue.documents.length > 0)
+        .map(queue => queue.applicationId);
+}
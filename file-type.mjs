@@ -0,0 +1,199 @@
+/**
+ * File Type Module for Planning Document Scraper
+ * Detects what a downloaded file really is, checks that PDFs arrived complete
+ * and converts DjVu files and scanned images to PDF
+ */
+
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { CONTENT_TYPES } from './storage/backend.mjs';
+
+const execFileAsync = promisify(execFile);
+
+// Magic numbers at the start of a file, checked in order
+const SIGNATURES = [
+    { ext: 'pdf', magic: Buffer.from('%PDF-') },
+    { ext: 'png', magic: Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]) },
+    { ext: 'jpg', magic: Buffer.from([0xFF, 0xD8, 0xFF]) },
+    { ext: 'gif', magic: Buffer.from('GIF8') },
+    { ext: 'tif', magic: Buffer.from([0x49, 0x49, 0x2A, 0x00]) },
+    { ext: 'tif', magic: Buffer.from([0x4D, 0x4D, 0x00, 0x2A]) },
+    { ext: 'rtf', magic: Buffer.from('{\\rtf') },
+    // OLE2 compound file: Word 97-2003, and older Excel
+    { ext: 'doc', magic: Buffer.from([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]) },
+    // ZIP: Office Open XML documents are told apart by the folders inside
+    { ext: 'zip', magic: Buffer.from([0x50, 0x4B, 0x03, 0x04]) }
+];
+
+// Types that can be converted to PDF, and the tool used for each
+const CONVERTERS = {
+    djvu: (input, output) => ['ddjvu', ['-format=pdf', input, output]],
+    png: (input, output) => ['img2pdf', [input, '-o', output]],
+    jpg: (input, output) => ['img2pdf', [input, '-o', output]],
+    gif: (input, output) => ['img2pdf', [input, '-o', output]],
+    tif: (input, output) => ['img2pdf', [input, '-o', output]]
+};
+
+export const CONVERTIBLE_TYPES = Object.keys(CONVERTERS);
+
+/**
+ * Recognise a file from its first bytes
+ * @param {Buffer} buffer - File content
+ * @returns {string|null} Extension, or null if not recognised
+ */
+function sniffExtension(buffer) {
+    // DjVu: "AT&TFORM", a length, then DJVU (single page) or DJVM (multi page)
+    if (buffer.subarray(0, 8).toString('latin1') === 'AT&TFORM' && /^DJV[UM]$/.test(buffer.subarray(12, 16).toString('latin1'))) {
+        return 'djvu';
+    }
+
+    const signature = SIGNATURES.find(({ magic }) => buffer.subarray(0, magic.length).equals(magic));
+    if (signature?.ext === 'zip') {
+        if (buffer.includes('word/')) return 'docx';
+        if (buffer.includes('xl/')) return 'xlsx';
+    }
+    if (signature) {
+        return signature.ext;
+    }
+
+    const start = buffer.subarray(0, 512).toString('utf8').replace(/^\uFEFF/, '').trimStart().toLowerCase();
+    if (start.startsWith('<!doctype html') || start.startsWith('<html')) {
+        return 'html';
+    }
+
+    return null;
+}
+
+/**
+ * Check whether a file looks like plain text
+ * @param {Buffer} buffer - File content
+ * @returns {boolean} True if the start has no control characters other than whitespace
+ */
+function looksLikeText(buffer) {
+    const sample = buffer.subarray(0, 512);
+    return sample.length > 0 && !sample.some(byte => byte < 0x09 || (byte > 0x0D && byte < 0x20));
+}
+
+/**
+ * Get the extension the server suggests, from Content-Disposition or Content-Type
+ * @param {Object} headers - Response headers
+ * @returns {string|null} Known extension, or null
+ */
+export function getHeaderExtension(headers = {}) {
+    const disposition = headers['content-disposition'] || '';
+    const plainMatch = disposition.match(/filename\s*=\s*"?([^";]+)"?/i);
+    let filename = plainMatch ? plainMatch[1] : null;
+
+    // Only the RFC 5987 filename*= form is percent-encoded; a plain name such as "50%_plan.pdf" is used as sent
+    const encodedMatch = disposition.match(/filename\*\s*=\s*[\w-]*'[^']*'([^;\s]+)/i);
+    if (encodedMatch) {
+        try {
+            filename = decodeURIComponent(encodedMatch[1]);
+        } catch {
+            // Badly encoded: keep the plain name, if there is one
+        }
+    }
+
+    if (filename) {
+        const ext = path.extname(filename).slice(1).toLowerCase();
+        if (CONTENT_TYPES[ext]) {
+            return ext === 'jpeg' ? 'jpg' : ext;
+        }
+    }
+
+    const contentType = (headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    const match = Object.entries(CONTENT_TYPES).find(([, type]) => type === contentType);
+    return match ? match[0] : null;
+}
+
+/**
+ * Work out the real type of a downloaded file
+ * The file's own magic bytes win; the server's headers are used when they are not recognised.
+ * @param {Buffer} buffer - File content
+ * @param {Object} headers - Response headers
+ * @returns {Object} { ext, contentType, detectedBy } where detectedBy is "magic", "headers", "text" or "unknown"
+ */
+export function detectFileType(buffer, headers = {}) {
+    const hint = getHeaderExtension(headers);
+    let ext = sniffExtension(buffer);
+    let detectedBy = 'magic';
+
+    // OLE2 files are Word or Excel; only the server can tell which
+    if (ext === 'doc' && hint === 'xls') {
+        ext = 'xls';
+    }
+
+    if (!ext && hint && hint !== 'html') {
+        ext = hint;
+        detectedBy = 'headers';
+    } else if (!ext && looksLikeText(buffer)) {
+        ext = 'txt';
+        detectedBy = 'text';
+    } else if (!ext) {
+        ext = 'bin';
+        detectedBy = 'unknown';
+    }
+
+    return { ext, contentType: CONTENT_TYPES[ext] || 'application/octet-stream', detectedBy };
+}
+
+/**
+ * Look for signs that a file did not arrive complete
+ * @param {Buffer|Object} content - File content, or { size, tail } for a file that was streamed to disk
+ * @param {string} ext - Detected extension
+ * @param {Object} headers - Response headers
+ * @returns {string|null} Problem description, or null if the file looks complete
+ */
+export function findIntegrityProblem(content, ext, headers = {}) {
+    const size = Buffer.isBuffer(content) ? content.length : content.size;
+    const tail = Buffer.isBuffer(content) ? content.subarray(-4096) : content.tail;
+
+    // Content-Length counts encoded bytes, so only compare unencoded responses
+    const encoding = headers['content-encoding'];
+    const expectedLength = Number(headers['content-length']);
+    if ((!encoding || encoding === 'identity') && expectedLength > 0 && size !== expectedLength) {
+        return `Received ${size} of ${expectedLength} bytes`;
+    }
+
+    if (ext === 'pdf' && !tail.toString('latin1').includes('%%EOF')) {
+        return 'PDF is truncated or corrupt: no %%EOF marker at the end';
+    }
+
+    return null;
+}
+
+/**
+ * Replace a filename's extension
+ * @param {string} filename - Filename
+ * @param {string} ext - New extension, without the dot
+ * @returns {string} Filename with the new extension
+ */
+export function replaceExtension(filename, ext) {
+    const current = path.extname(filename);
+    return `${current ? filename.slice(0, -current.length) : filename}.${ext}`;
+}
+
+/**
+ * Convert a DjVu file or image on disk to PDF
+ * Uses ddjvu (DjVuLibre) for DjVu and img2pdf for images; both must be on the PATH.
+ * @param {string} input - Path of the file to convert
+ * @param {string} ext - Detected extension, one of CONVERTIBLE_TYPES
+ * @param {string} output - Path to write the PDF to
+ */
+export async function convertFileToPdf(input, ext, output) {
+    const converter = CONVERTERS[ext];
+    if (!converter) {
+        throw new Error(`Cannot convert .${ext} files to PDF`);
+    }
+
+    const [command, commandArgs] = converter(input, output);
+    try {
+        await execFileAsync(command, commandArgs, { timeout: 120000 });
+    } catch (error) {
+        if (error.code === 'ENOENT' && error.syscall?.startsWith('spawn')) {
+            throw new Error(`${command} is not installed`);
+        }
+        throw new Error(`${command} failed: ${(error.stderr || error.message).toString().trim()}`);
+    }
+}
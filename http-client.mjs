@@ -0,0 +1,447 @@
+/**
+ * HTTP Client Module for Planning Document Scraper
+ * The one HTTP layer every portal request goes through: a cookie jar kept on disk between runs,
+ * the User-Agent, timeouts and HTTP(S) proxy, and an optional cache of portal pages that is
+ * revalidated with conditional requests
+ */
+
+import { createRequire } from 'module';
+const require = createRequire(
+    import.meta.url);
+
+const axios = require('axios');
+const tough = require('tough-cookie');
+const axiosCookieJarSupport = require('axios-cookiejar-support').default;
+const { HttpProxyAgent } = require('http-proxy-agent');
+const { HttpsProxyAgent } = require('https-proxy-agent');
+const { getProxyForUrl } = require('proxy-from-env');
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.mjs';
+import { getOption } from './cli-args.mjs';
+import { readHead, readToEnd } from './download-stream.mjs';
+
+axiosCookieJarSupport(axios);
+
+export const DEFAULT_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/141.0.0.0 Safari/537.36';
+export const DEFAULT_SESSION_DIR = process.env.SESSION_DIR || 'sessions';
+export const DEFAULT_CACHE_DIR = process.env.HTTP_CACHE_DIR || '.http-cache';
+
+// iDocsWeb runs on ASP.NET, which drops a session after 20 minutes without a request
+export const DEFAULT_SESSION_TTL = 20 * 60 * 1000;
+
+// How often a session in use is saved when no new cookies arrive, so its last use stays current
+const SESSION_SAVE_INTERVAL = 60 * 1000;
+
+// Response headers kept with cached pages
+const CACHED_HEADERS = ['content-type', 'etag', 'last-modified'];
+
+// Content types that are portal pages rather than documents
+const PAGE_TYPES = /html|xml|json|text/i;
+
+/**
+ * Get the session file for a council
+ * @param {string} councilId - Council ID, e.g. "meath"
+ * @param {string} sessionDir - Folder holding the session files (default: sessions)
+ * @returns {string} File path
+ */
+export function getSessionFile(councilId, sessionDir = DEFAULT_SESSION_DIR) {
+    return path.join(sessionDir, `${councilId}.json`);
+}
+
+/**
+ * Read the HTTP client settings from command line arguments
+ * @param {string[]} args - Command line arguments
+ * @returns {Object} HttpClient options, with sessionDir in place of sessionFile; unset options are undefined
+ * @throws {Error} When a time is not a number
+ */
+export function getHttpOptions(args) {
+    const getTime = (name, unit) => {
+        const value = getOption(args, name);
+        if (value === undefined) {
+            return undefined;
+        }
+        const number = Number(value);
+        if (Number.isNaN(number) || number < 0) {
+            throw new Error(`Invalid value for --${name}: ${value}`);
+        }
+        return number * unit;
+    };
+    const cacheArg = args.find(arg => arg === '--http-cache' || arg.startsWith('--http-cache='));
+
+    return {
+        userAgent: getOption(args, 'user-agent') || process.env.USER_AGENT || undefined,
+        timeout: getTime('timeout', 1000),
+        downloadTimeout: getTime('download-timeout', 1000),
+        proxy: args.includes('--no-proxy') ? false : getOption(args, 'proxy') || null,
+        sessionDir: args.includes('--no-session') ? null : getOption(args, 'session-dir') || DEFAULT_SESSION_DIR,
+        sessionTtl: getTime('session-ttl', 60 * 1000),
+        cacheDir: cacheArg ? getOption(args, 'http-cache') || DEFAULT_CACHE_DIR : null,
+        cacheTtl: getTime('cache-ttl', 1000),
+        conditional: !args.includes('--no-conditional')
+    };
+}
+
+/**
+ * Write a file through a temporary file, so a reader never sees half of it
+ * @param {string} filePath - File to write
+ * @param {string} content - File content
+ */
+function writeFileAtomic(filePath, content) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, content);
+    fs.renameSync(tempPath, filePath);
+}
+
+export class HttpClient {
+    /**
+     * @param {Object} options - Client settings
+     * @param {string} options.userAgent - User-Agent sent with every request (default: a current desktop Chrome)
+     * @param {number} options.timeout - Milliseconds allowed for a portal page (default: 30000)
+     * @param {number} options.downloadTimeout - Milliseconds allowed for a file to start arriving (default: 60000)
+     * @param {string|false|null} options.proxy - HTTP(S) proxy URL for every request, false for none,
+     *        or null to follow HTTPS_PROXY, HTTP_PROXY and NO_PROXY (default: null)
+     * @param {string|null} options.sessionFile - File the cookie jar is kept in between runs, or null to keep it in memory
+     * @param {number} options.sessionTtl - Milliseconds without a request after which the portal session has expired (default: 20 minutes)
+     * @param {string|null} options.cacheDir - Folder for cached pages, or null for no cache
+     * @param {number} options.cacheTtl - Milliseconds a cached page is used without asking the portal (default: 0)
+     * @param {boolean} options.conditional - Revalidate cached pages with If-None-Match / If-Modified-Since (default: true)
+     * @param {Function} options.isTermsPage - (response) => true when the portal sent its disclaimer instead, never cached
+     * @param {Function|null} options.onExchange - Called with the metadata of every request once it has been answered or failed
+     */
+    constructor(options = {}) {
+        const {
+            userAgent = DEFAULT_USER_AGENT,
+            timeout = 30000,
+            downloadTimeout = 60000,
+            proxy = null,
+            sessionFile = null,
+            sessionTtl = DEFAULT_SESSION_TTL,
+            cacheDir = null,
+            cacheTtl = 0,
+            conditional = true,
+            isTermsPage = () => false,
+            onExchange = null
+        } = options;
+
+        this.userAgent = userAgent;
+        this.timeout = timeout;
+        this.downloadTimeout = downloadTimeout;
+        this.proxy = proxy;
+        this.sessionFile = sessionFile;
+        this.sessionTtl = sessionTtl;
+        this.cacheDir = cacheDir;
+        this.cacheTtl = cacheTtl;
+        this.conditional = conditional;
+        this.isTermsPage = isTermsPage;
+        this.onExchange = onExchange;
+
+        // Proxy agents, one pair per proxy URL
+        this.agents = new Map();
+
+        this.jar = new tough.CookieJar();
+        this.lastUsed = 0;
+        this.savedAt = 0;
+        this.sessionRestored = this.loadSession();
+
+        this.client = axios.create({
+            jar: this.jar,
+            withCredentials: true,
+            timeout,
+            // Proxies are handled by the agents below, which tunnel HTTPS through CONNECT
+            proxy: false,
+            headers: {
+                'User-Agent': userAgent,
+                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+                'Accept-Language': 'en-GB,en;q=0.5'
+            }
+        });
+        this.client.interceptors.request.use(config => this.useProxy(config));
+    }
+
+    /**
+     * Restore the cookie jar from the session file, unless the session has expired
+     * @returns {boolean} True if a saved session was restored
+     */
+    loadSession() {
+        if (!this.sessionFile || !fs.existsSync(this.sessionFile)) {
+            return false;
+        }
+
+        try {
+            const saved = JSON.parse(fs.readFileSync(this.sessionFile, 'utf8'));
+            if (Date.now() - saved.lastUsed > this.sessionTtl) {
+                logger.debug(`🍪 Saved portal session has expired: ${this.sessionFile}`);
+                return false;
+            }
+            this.jar = tough.CookieJar.deserializeSync(saved.cookies);
+            this.lastUsed = saved.lastUsed;
+            logger.info(`🍪 Reusing portal session from ${this.sessionFile}`);
+            return true;
+        } catch (error) {
+            logger.warn(`⚠️  Could not read session file ${this.sessionFile}: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Save the cookie jar to the session file, if there is one
+     */
+    saveSession() {
+        if (!this.sessionFile) {
+            return;
+        }
+        try {
+            writeFileAtomic(this.sessionFile, JSON.stringify({
+                lastUsed: this.lastUsed,
+                cookies: this.jar.serializeSync()
+            }, null, 2));
+            this.savedAt = Date.now();
+        } catch (error) {
+            logger.warn(`⚠️  Could not save session file ${this.sessionFile}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Forget the portal session, in memory and on disk
+     */
+    clearSession() {
+        this.jar.removeAllCookiesSync();
+        this.lastUsed = 0;
+        if (this.sessionFile) {
+            fs.rmSync(this.sessionFile, { force: true });
+        }
+    }
+
+    /**
+     * Note that the portal answered, saving the session when its cookies changed or it has not been saved for a while
+     * @param {Object} response - Axios response
+     */
+    touchSession(response) {
+        this.lastUsed = Date.now();
+        if (response.headers?.['set-cookie'] || this.lastUsed - this.savedAt > SESSION_SAVE_INTERVAL) {
+            this.saveSession();
+        }
+    }
+
+    /**
+     * Start a new session when the portal will already have dropped this one
+     */
+    expireIdleSession() {
+        if (this.lastUsed && Date.now() - this.lastUsed > this.sessionTtl) {
+            logger.debug('🍪 Portal session has expired, starting a new one');
+            this.jar.removeAllCookiesSync();
+            this.lastUsed = 0;
+        }
+    }
+
+    /**
+     * Route a request through the configured or environment proxy
+     * @param {Object} config - Axios request config
+     * @returns {Object} The config, with proxy agents when a proxy applies
+     */
+    useProxy(config) {
+        const proxyUrl = this.proxy === null ? getProxyForUrl(config.url) : this.proxy;
+        if (!proxyUrl) {
+            return config;
+        }
+
+        if (!this.agents.has(proxyUrl)) {
+            this.agents.set(proxyUrl, {
+                httpAgent: new HttpProxyAgent(proxyUrl),
+                httpsAgent: new HttpsProxyAgent(proxyUrl)
+            });
+        }
+        return Object.assign(config, this.agents.get(proxyUrl));
+    }
+
+    /**
+     * Get the file a page is cached in
+     * @param {string} url - Page URL
+     * @returns {string} File path
+     */
+    getCachePath(url) {
+        return path.join(this.cacheDir, `${crypto.createHash('sha256').update(url).digest('hex')}.json`);
+    }
+
+    /**
+     * Read a cached page
+     * @param {string} url - Page URL
+     * @returns {Object|null} { url, savedAt, headers, data }, or null if the page is not cached
+     */
+    readCache(url) {
+        try {
+            return JSON.parse(fs.readFileSync(this.getCachePath(url), 'utf8'));
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Cache a page, unless it is not a web page or not the page asked for
+     * @param {string} url - Page URL
+     * @param {Object} response - Axios response
+     */
+    writeCache(url, response) {
+        const isPage = PAGE_TYPES.test(response.headers['content-type'] || '');
+        if (response.status !== 200 || typeof response.data !== 'string' || !isPage || this.isTermsPage(response)) {
+            return;
+        }
+        const headers = Object.fromEntries(CACHED_HEADERS
+            .filter(name => response.headers[name])
+            .map(name => [name, response.headers[name]]));
+        writeFileAtomic(this.getCachePath(url), JSON.stringify({ url, savedAt: Date.now(), headers, data: response.data }));
+    }
+
+    /**
+     * Turn a cached page into a response
+     * @param {Object} entry - Result of readCache
+     * @param {Object} config - Request config
+     * @returns {Object} Axios-like response with fromCache set
+     */
+    cachedResponse(entry, config) {
+        return { status: 200, statusText: 'OK', headers: { ...entry.headers }, data: entry.data, config, request: null, fromCache: true };
+    }
+
+    /**
+     * Get a page from the cache without asking the portal, while it is fresh
+     * @param {string} url - Page URL
+     * @param {Object} config - Request config; only requests with cache: true use the cache
+     * @returns {Object|null} Cached response, or null if the portal has to be asked
+     */
+    lookup(url, config = {}) {
+        if (!this.cacheDir || !config.cache || this.cacheTtl <= 0) {
+            return null;
+        }
+        const entry = this.readCache(url);
+        if (!entry || Date.now() - entry.savedAt > this.cacheTtl) {
+            return null;
+        }
+        logger.debug(`💾 Cached: ${url}`);
+        const response = this.cachedResponse(entry, config);
+        this.report('GET', url, Date.now(), response);
+        return response;
+    }
+
+    /**
+     * Pass the metadata of an answered or failed request to the onExchange listener
+     * @param {string} method - HTTP method
+     * @param {string} url - URL asked for
+     * @param {number} started - Time the request was sent
+     * @param {Object|null} response - Axios response, or the error response
+     * @param {Error|null} error - Error the request ended in
+     */
+    report(method, url, started, response, error = null) {
+        if (!this.onExchange) {
+            return;
+        }
+        const headers = response?.headers || {};
+        this.onExchange({
+            method,
+            url,
+            status: response?.status ?? null,
+            finalPath: response?.request?.path ?? null,
+            contentType: headers['content-type'] ?? null,
+            contentLength: headers['content-length'] ? Number(headers['content-length']) : null,
+            durationMs: Date.now() - started,
+            fromCache: Boolean(response?.fromCache),
+            error: error ? error.message : null
+        });
+    }
+
+    /**
+     * Send a request, reporting it to the onExchange listener
+     * @param {string} method - HTTP method
+     * @param {string} url - URL
+     * @param {Function} send - () => Promise of the response
+     * @returns {Promise<Object>} Axios response
+     */
+    async track(method, url, send) {
+        const started = Date.now();
+        try {
+            const response = await send();
+            this.report(method, url, started, response);
+            return response;
+        } catch (error) {
+            this.report(method, url, started, error.response || null, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Send a GET request
+     * Requests made with cache: true are answered from the cache while fresh, then revalidated with a conditional
+     * request when the cached page has an ETag or Last-Modified date; a 304 answer is returned as the cached page.
+     * Such requests made with responseType "stream" get a page back as text, and anything else as a stream.
+     * @param {string} url - URL
+     * @param {Object} config - Axios request config, plus cache
+     * @returns {Promise<Object>} Axios response
+     */
+    async get(url, config = {}) {
+        const fresh = this.lookup(url, config);
+        if (fresh) {
+            return fresh;
+        }
+        return this.track('GET', url, () => this.revalidate(url, config));
+    }
+
+    /**
+     * Send a GET request to the portal, conditional when the page is cached with validators
+     * @param {string} url - URL
+     * @param {Object} config - Axios request config, plus cache
+     * @returns {Promise<Object>} Axios response, or the cached page when the portal answered 304
+     */
+    async revalidate(url, config) {
+        const { cache = false, ...axiosConfig } = config;
+        const useCache = cache && Boolean(this.cacheDir);
+
+        const entry = useCache && this.conditional ? this.readCache(url) : null;
+        const validators = {};
+        if (entry?.headers.etag) validators['If-None-Match'] = entry.headers.etag;
+        if (entry?.headers['last-modified']) validators['If-Modified-Since'] = entry.headers['last-modified'];
+        const conditional = Object.keys(validators).length > 0;
+
+        this.expireIdleSession();
+        const response = await this.client.get(url, {
+            ...axiosConfig,
+            headers: { ...validators, ...axiosConfig.headers },
+            validateStatus: status => (status >= 200 && status < 300) || (conditional && status === 304)
+        });
+        this.touchSession(response);
+
+        if (response.status === 304) {
+            logger.debug(`💾 Not modified: ${url}`);
+            entry.savedAt = Date.now();
+            writeFileAtomic(this.getCachePath(url), JSON.stringify(entry));
+            return this.cachedResponse(entry, response.config);
+        }
+
+        // A page asked for as a stream, in case the URL turns out to be a file, is read in full like any other page
+        if (cache && axiosConfig.responseType === 'stream' && PAGE_TYPES.test(response.headers['content-type'] || '')) {
+            response.data = (await readToEnd(await readHead(response.data))).toString('utf8');
+        }
+
+        if (useCache) {
+            this.writeCache(url, response);
+        }
+        return response;
+    }
+
+    /**
+     * Send a POST request
+     * @param {string} url - URL
+     * @param {*} data - Request body
+     * @param {Object} config - Axios request config
+     * @returns {Promise<Object>} Axios response
+     */
+    async post(url, data, config = {}) {
+        return this.track('POST', url, async () => {
+            this.expireIdleSession();
+            const response = await this.client.post(url, data, config);
+            this.touchSession(response);
+            return response;
+        });
+    }
+}
@@ -0,0 +1,110 @@
+/**
+ * Planning Document Scraper - Library Entry Point
+ * Import this module to list and download planning documents from other Node services.
+ */
+
+import { PlanningScraper } from './scraper.mjs';
+import { filterDocuments } from './document-filters.mjs';
+
+/**
+ * Create a scraper, forwarding progress events to an optional callback
+ * @param {Object} options - PlanningScraper options plus onProgress
+ * @returns {PlanningScraper} Scraper
+ */
+function createScraper(options = {}) {
+    const { onProgress, ...scraperOptions } = options;
+    const scraper = new PlanningScraper(scraperOptions);
+    if (onProgress) {
+        scraper.on('progress', onProgress);
+    }
+    return scraper;
+}
+
+/**
+ * List an application's documents without downloading them
+ * @param {string} appId - The planning application ID
+ * @param {Object} options - PlanningScraper options plus { filters, onProgress }, e.g. { council }
+ * @returns {Promise<Object>} { applicationId, council, details, documents }
+ */
+export async function listDocuments(appId, options = {}) {
+    const { filters, ...scraperOptions } = options;
+    const scraper = createScraper(scraperOptions);
+    const checkedFilters = scraper.checkFilters(filters);
+    const listing = await scraper.listDocuments(appId);
+    return { ...listing, documents: filterDocuments(listing.documents, checkedFilters) };
+}
+
+/**
+ * Find applications in a council's register by date range, address keyword or decision
+ * @param {Object} criteria - { list, from, to, week, address, decision }
+ * @param {Object} options - PlanningScraper options, e.g. { council, onProgress }
+ * @returns {Promise<Object[]>} Applications with applicationId, reference, dates, decision and address
+ */
+export async function discoverApplications(criteria = {}, options = {}) {
+    return createScraper(options).discoverApplications(criteria);
+}
+
+/**
+ * Build an application's lifecycle timeline from its file list, without downloading documents
+ * timeline.json and timeline.md are saved next to the application's documents.
+ * @param {string} appId - The planning application ID
+ * @param {Object} options - PlanningScraper options, e.g. { council, storage, onProgress }
+ * @returns {Promise<Object>} { applicationId, council, reference, events, durations, undated }
+ */
+export async function getTimeline(appId, options = {}) {
+    return createScraper(options).getTimeline(appId);
+}
+
+/**
+ * Check that a council's portal still has the pages and fields the scraper relies on, for one application
+ * @param {string} appId - The planning application ID
+ * @param {Object} options - PlanningScraper options plus { docid }, e.g. { council, diagnosticsDir }
+ * @returns {Promise<Object>} { ok, checks, bundle }
+ */
+export async function diagnoseApplication(appId, options = {}) {
+    const { docid, ...scraperOptions } = options;
+    return createScraper(scraperOptions).diagnose(appId, { docid });
+}
+
+/**
+ * Download an application's documents
+ * @param {string} appId - The planning application ID
+ * @param {Object} options - PlanningScraper options plus { sync, retryFailed, dryRun, filters, onProgress }
+ * @returns {Promise<Object>} Result with counts, details and downloaded documents (or the plan of a dry run)
+ */
+export async function scrapeApplication(appId, options = {}) {
+    const { sync, retryFailed, dryRun, filters, ...scraperOptions } = options;
+    return createScraper(scraperOptions).scrapeApplication(appId, { sync, retryFailed, dryRun, filters });
+}
+
+/**
+ * Download several applications' documents with one portal session
+ * @param {string[]} appIds - Planning application IDs
+ * @param {Object} options - PlanningScraper options plus { sync, retryFailed, dryRun, filters, onProgress }
+ * @returns {Promise<Object[]>} Per-application results
+ */
+export async function scrapeApplications(appIds, options = {}) {
+    const { sync, retryFailed, dryRun, filters, ...scraperOptions } = options;
+    return createScraper(scraperOptions).scrapeApplications(appIds, { sync, retryFailed, dryRun, filters });
+}
+
+export { PlanningScraper, BROWSER_MODES } from './scraper.mjs';
+export { StorageSet, LocalStorage, S3Storage, StorageBackend, getStorageSpecs, selectStorageSpecs } from './storage/index.mjs';
+export { getAdapter, listCouncils, DEFAULT_COUNCIL } from './adapters/index.mjs';
+export { createClassifier, loadRules, DEFAULT_RULES, DEFAULT_CATEGORY } from './classifier.mjs';
+export { TextIndex } from './text-index.mjs';
+export { Catalogue } from './catalogue.mjs';
+export { startServer } from './server.mjs';
+export { parseApplicationDetails } from './application-details.mjs';
+export { logger, configureLogger, LOG_LEVELS } from './logger.mjs';
+export { buildRunReport, categorizeError, EXIT_CODES } from './run-report.mjs';
+export { DISCOVER_LISTS } from './adapters/eplanning.mjs';
+export { getWeek, splitIntoWeeks, toCsv } from './discover.mjs';
+export { normaliseFilters, filterDocuments, parseDocidRanges, documentsToCsv } from './document-filters.mjs';
+export { loadFailures, findFailedApplications, FAILURE_STAGES } from './failures.mjs';
+export { detectFileType, convertFileToPdf, CONVERTIBLE_TYPES } from './file-type.mjs';
+export { parseDecisionText, extractDecision, loadDecisions, DECISIONS_FILENAME } from './decisions.mjs';
+export { buildTimeline, timelineToMarkdown, getStageForTitle, TIMELINE_STAGES, TIMELINE_RULES, REFERRAL_AGENCIES } from './timeline.mjs';
+export { createBrowserFetcher } from './browser-fetcher.mjs';
+export { HttpClient, getHttpOptions, getSessionFile, DEFAULT_USER_AGENT } from './http-client.mjs';
+export { Diagnostics, PORTAL_ERROR_CODES, portalError, DEFAULT_DIAGNOSTICS_DIR } from './diagnostics.mjs';
@@ -0,0 +1,113 @@
+/**
+ * Job Queue Module for Planning Document Scraper
+ * Keeps scrape jobs submitted to the API server in a JSON file so a restart does not lose them
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import { logger } from './logger.mjs';
+
+export const DEFAULT_JOBS_PATH = process.env.JOBS_PATH || 'jobs.json';
+
+/**
+ * Read the jobs saved by an earlier run
+ * @param {string} jobsPath - JSON file holding all jobs
+ * @returns {Object[]} Jobs
+ */
+function readJobs(jobsPath) {
+    let jobs;
+    try {
+        jobs = JSON.parse(fs.readFileSync(jobsPath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Job queue file could not be read: ${jobsPath} (${error.message}). Fix or delete it to start afresh`);
+    }
+    if (!Array.isArray(jobs)) {
+        throw new Error(`Job queue file must contain an array: ${jobsPath}`);
+    }
+    return jobs;
+}
+
+export class JobQueue {
+    /**
+     * @param {string} jobsPath - JSON file holding all jobs
+     */
+    constructor(jobsPath = DEFAULT_JOBS_PATH) {
+        this.jobsPath = jobsPath;
+        this.jobs = fs.existsSync(jobsPath) ? readJobs(jobsPath) : [];
+
+        // Jobs that were running when the process stopped start again from the top
+        let requeued = 0;
+        this.jobs.forEach(job => {
+            if (job.status === 'running') {
+                job.status = 'queued';
+                job.startedAt = null;
+                requeued++;
+            }
+        });
+        if (requeued > 0) {
+            logger.info(`♻️  Requeued ${requeued} interrupted job${requeued === 1 ? '' : 's'}`);
+            this.save();
+        }
+    }
+
+    /**
+     * Write the queue, going through a temp file so a crash cannot corrupt it
+     */
+    save() {
+        const tmpPath = `${this.jobsPath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(this.jobs, null, 2));
+        fs.renameSync(tmpPath, this.jobsPath);
+    }
+
+    /**
+     * Add a job to the end of the queue
+     * @param {Object} request - { applicationIds, council, storage, sync, retryFailed, categories }
+     * @returns {Object} The new job
+     */
+    add(request) {
+        const job = {
+            id: crypto.randomUUID(),
+            status: 'queued',
+            ...request,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            progress: {
+                applications: { total: request.applicationIds.length, done: 0 },
+                documents: { total: 0, completed: 0, failed: 0 },
+                current: null
+            },
+            results: [],
+            errors: []
+        };
+        this.jobs.push(job);
+        this.save();
+        return job;
+    }
+
+    /**
+     * Find a job by ID
+     * @param {string} id - Job ID
+     * @returns {Object|undefined} Job
+     */
+    get(id) {
+        return this.jobs.find(job => job.id === id);
+    }
+
+    /**
+     * List jobs, newest first
+     * @param {string} status - Only return jobs with this status
+     * @returns {Object[]} Jobs
+     */
+    list(status = null) {
+        return this.jobs.filter(job => !status || job.status === status).reverse();
+    }
+
+    /**
+     * Get the oldest queued job
+     * @returns {Object|undefined} Job
+     */
+    next() {
+        return this.jobs.find(job => job.status === 'queued');
+    }
+}
@@ -0,0 +1,107 @@
+/**
+ * Logging Module for Planning Document Scraper
+ * Levelled log output, either as the usual emoji text or as JSON lines for log aggregators
+ */
+
+import fs from 'fs';
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+// Emoji and spacing at the start of a message, left out of JSON entries
+const LEADING_EMOJI = /^[\p{Extended_Pictographic}\uFE0F\u200D\s]+(?=\S)/u;
+
+class Logger {
+    constructor() {
+        this.configure();
+    }
+
+    /**
+     * Change where and how much is logged
+     * @param {Object} options - Logger settings
+     * @param {string} options.level - Lowest level shown: debug, info, warn, error or silent (default: info)
+     * @param {boolean} options.json - Write JSON lines to stdout instead of text (default: false)
+     * @param {string} options.file - Also append JSON lines to this file
+     */
+    configure(options = {}) {
+        const { level = 'info', json = false, file = null } = options;
+
+        if (!LOG_LEVELS.includes(level)) {
+            throw new Error(`Unknown log level: ${level} (valid: ${LOG_LEVELS.join(', ')})`);
+        }
+
+        this.level = level;
+        this.json = json;
+        this.file = file;
+    }
+
+    /**
+     * Check whether messages at a level are written
+     * @param {string} level - Log level
+     * @returns {boolean} True if enabled
+     */
+    isEnabled(level) {
+        return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(this.level);
+    }
+
+    /**
+     * Write a log entry
+     * Text output shows only the message; JSON entries also carry the fields.
+     * @param {string} level - debug, info, warn or error
+     * @param {string} message - Message for people, may start with an emoji
+     * @param {Object} fields - Extra data, e.g. { applicationId, docid }
+     */
+    log(level, message, fields = {}) {
+        if (!this.isEnabled(level)) {
+            return;
+        }
+
+        if (this.json || this.file) {
+            const line = JSON.stringify({
+                time: new Date().toISOString(),
+                level,
+                msg: message.trim().replace(LEADING_EMOJI, ''),
+                ...fields
+            });
+            if (this.file) {
+                fs.appendFileSync(this.file, `${line}\n`);
+            }
+            if (this.json) {
+                console.log(line);
+                return;
+            }
+        }
+
+        if (level === 'warn' || level === 'error') {
+            console.error(message);
+        } else {
+            console.log(message);
+        }
+    }
+
+    debug(message, fields) {
+        this.log('debug', message, fields);
+    }
+
+    info(message, fields) {
+        this.log('info', message, fields);
+    }
+
+    warn(message, fields) {
+        this.log('warn', message, fields);
+    }
+
+    error(message, fields) {
+        this.log('error', message, fields);
+    }
+}
+
+// Shared by every module, configured once by the CLI or library user
+export const logger = new Logger();
+
+/**
+ * Configure the shared logger
+ * @param {Object} options - { level, json, file }, see Logger.configure
+ */
+export function configureLogger(options) {
+    logger.configure(options);
+}
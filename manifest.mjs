@@ -0,0 +1,85 @@
+/**
+ * Manifest Module for Planning Document Scraper
+ * Keeps a manifest.json per application describing every stored document
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.mjs';
+
+export const MANIFEST_FILENAME = 'manifest.json';
+
+/**
+ * Load the existing manifest for an application from the first backend that has one
+ * @param {StorageSet} storage - Storage backends for the run
+ * @param {Object} application - Key template values for the application ({ council, appId, year })
+ * @returns {Promise<Object|null>} Manifest, or null if none has been written yet
+ */
+export async function loadManifest(storage, application) {
+    try {
+        const body = await storage.getMetadata(application, MANIFEST_FILENAME);
+        return body ? JSON.parse(body.toString('utf8')) : null;
+    } catch (error) {
+        logger.warn(`⚠️  Could not read existing manifest, starting a new one: ${error.message}`);
+    }
+
+    return null;
+}
+
+/**
+ * Merge newly downloaded documents into the application's manifest and store it
+ * Entries are keyed by docid, so a re-download replaces the previous entry.
+ * @param {StorageSet} storage - Storage backends for the run
+ * @param {Object} application - Key template values for the application ({ council, appId, year })
+ * @param {Object[]} documents - Document records returned by downloadFile
+ * @param {Object} details - Run details (source URL and storage backend names)
+ * @returns {Promise<Object>} The manifest that was written
+ */
+export async function updateManifest(storage, application, documents, details) {
+    const existing = await loadManifest(storage, application);
+    const byDocid = new Map();
+
+    (existing?.documents || []).forEach(doc => byDocid.set(doc.docid, doc));
+    documents.forEach(doc => byDocid.set(doc.docid, doc));
+
+    const manifest = {
+        applicationId: application.appId,
+        council: application.council,
+        source: details.source,
+        storage: details.storage,
+        createdAt: existing?.createdAt || new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+        documentCount: byDocid.size,
+        documents: [...byDocid.values()].sort((a, b) => Number(a.docid) - Number(b.docid))
+    };
+
+    await saveMetadataFile(storage, application, MANIFEST_FILENAME, manifest);
+    return manifest;
+}
+
+/**
+ * Store a JSON metadata file next to the application's documents in every backend
+ * @param {StorageSet} storage - Storage backends for the run
+ * @param {Object} application - Key template values for the application ({ council, appId, year })
+ * @param {string} filename - Metadata filename, e.g. manifest.json
+ * @param {Object} data - Data to serialise
+ */
+export async function saveMetadataFile(storage, application, filename, data) {
+    await storage.putMetadata(application, filename, Buffer.from(JSON.stringify(data, null, 2)));
+}
+
+/**
+ * Find metadata files under a local folder, wherever the local key template put them
+ * @param {string} folder - Folder to search
+ * @param {string} filename - Metadata filename, e.g. manifest.json
+ * @param {number} depth - Folder levels left to search
+ * @returns {string[]} File paths
+ */
+export function findMetadataFiles(folder, filename, depth = 6) {
+    return fs.readdirSync(folder, { withFileTypes: true }).flatMap(entry => {
+        if (entry.isDirectory() && depth > 0 && entry.name !== 'node_modules' && !entry.name.startsWith('.')) {
+            return findMetadataFiles(path.join(folder, entry.name), filename, depth - 1);
+        }
+        return entry.name === filename ? [path.join(folder, entry.name)] : [];
+    });
+}
@@ -0,0 +1,106 @@
+/**
+ * Run Report Module for Planning Document Scraper
+ * Error categories, a machine-readable summary of a run and the matching exit code
+ */
+
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE', 'ENETUNREACH', 'EHOSTUNREACH'];
+
+// Process exit codes for a scrape run
+export const EXIT_CODES = {
+    success: 0,
+    error: 1,      // Bad arguments or configuration, nothing was attempted
+    partial: 2,    // Some documents or applications failed
+    failed: 3      // Nothing was downloaded and something failed
+};
+
+/**
+ * Sort an error into a category for reports and log aggregation
+ * Errors thrown by the scraper may carry their own category (e.g. "not-pdf", "storage").
+ * @param {Error} error - The error
+ * @returns {string} timeout, network, http-4xx, http-5xx, or the error's own category, else "other"
+ */
+export function categorizeError(error) {
+    if (error.category) {
+        return error.category;
+    }
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || /timeout/i.test(error.message)) {
+        return 'timeout';
+    }
+    if (error.response) {
+        return error.response.status >= 500 ? 'http-5xx' : 'http-4xx';
+    }
+    if (NETWORK_ERROR_CODES.includes(error.code)) {
+        return 'network';
+    }
+    return 'other';
+}
+
+/**
+ * Work out the overall status of a run
+ * @param {Object} totals - { downloaded, failed, errored, applicationsOk } counts
+ * @returns {string} success, partial or failed
+ */
+export function getRunStatus(totals) {
+    if (totals.failed === 0 && totals.errored === 0) {
+        return 'success';
+    }
+    return totals.downloaded > 0 || totals.applicationsOk > 0 ? 'partial' : 'failed';
+}
+
+/**
+ * Build the report for a scrape run
+ * @param {Object[]} results - Per-application results from PlanningScraper.scrapeApplications
+ * @param {Object} run - { council, storage, startedAt } describing the run
+ * @returns {Object} Report with per-application outcomes, totals, status and exitCode
+ */
+export function buildRunReport(results, run = {}) {
+    const finishedAt = new Date();
+    const startedAt = run.startedAt ? new Date(run.startedAt) : finishedAt;
+
+    const applications = results.map(result => ({
+        applicationId: result.applicationId,
+        council: result.council,
+        reference: result.details?.reference || null,
+        status: result.error ? 'error' : (result.failCount > 0 ? 'partial' : 'success'),
+        error: result.error,
+        errorCategory: result.errorCategory || null,
+        errorCode: result.errorCode || null,
+        durationMs: result.durationMs ?? null,
+        found: result.found,
+        downloaded: result.successCount,
+        failed: result.failCount,
+        ...(result.sync ? { sync: result.sync } : {}),
+        ...(result.retry ? { retry: result.retry } : {}),
+        ...(result.storageStats ? { storage: result.storageStats } : {}),
+        documents: result.outcomes || []
+    }));
+
+    const totals = applications.reduce((acc, application) => {
+        acc.applications++;
+        if (application.error) {
+            acc.errored++;
+        } else if (application.failed === 0) {
+            acc.applicationsOk++;
+        }
+        acc.found += application.found;
+        acc.downloaded += application.downloaded;
+        acc.failed += application.failed;
+        acc.bytes += application.documents.reduce((sum, doc) => sum + (doc.bytes || 0), 0);
+        acc.retries += application.documents.reduce((sum, doc) => sum + (doc.retries || 0), 0);
+        return acc;
+    }, { applications: 0, applicationsOk: 0, errored: 0, found: 0, downloaded: 0, failed: 0, bytes: 0, retries: 0 });
+
+    const status = getRunStatus(totals);
+
+    return {
+        status,
+        exitCode: EXIT_CODES[status],
+        council: run.council || null,
+        storage: run.storage || null,
+        startedAt: startedAt.toISOString(),
+        finishedAt: finishedAt.toISOString(),
+        durationMs: finishedAt - startedAt,
+        totals,
+        applications
+    };
+}
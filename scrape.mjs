@@ -1,506 +1,813 @@
 import 'dotenv/config';
-import { createRequire } from 'module';
-const require = createRequire(
-    import.meta.url);
-
-const axios = require('axios');
-const cheerio = require('cheerio');
-const tough = require('tough-cookie');
-const axiosCookieJarSupport = require('axios-cookiejar-support').default;
 import fs from 'fs';
-import path from 'path';
-import s3Uploader from './s3-uploader.mjs';
-
-const jar = new tough.CookieJar();
-axiosCookieJarSupport(axios);
-
-const client = axios.create({
-    jar,
-    withCredentials: true,
-});
+import { PlanningScraper } from './scraper.mjs';
+import { listCouncils, DEFAULT_COUNCIL } from './adapters/index.mjs';
+import { loadRules } from './classifier.mjs';
+import { getStorageSpecs, selectStorageSpecs, StorageSet } from './storage/index.mjs';
+import { TextIndex, runIndexCommand, runSearchCommand } from './text-index.mjs';
+import { runServeCommand } from './server.mjs';
+import { Catalogue, DEFAULT_CATALOGUE_PATH, runListCommand, runShowCommand, runQueryCommand } from './catalogue.mjs';
+import { loadWatchState, saveWatchState, buildPayload, sendNotifications, DEFAULT_STATE_PATH } from './watch.mjs';
+import { logger, configureLogger } from './logger.mjs';
+import { buildRunReport, categorizeError, EXIT_CODES } from './run-report.mjs';
+import { findFailedApplications } from './failures.mjs';
+import { normaliseCriteria, toCsv } from './discover.mjs';
+import { normaliseFilters, filterDocuments, documentsToCsv } from './document-filters.mjs';
+import { timelineToMarkdown } from './timeline.mjs';
+import { getHttpOptions } from './http-client.mjs';
+import { getOption } from './cli-args.mjs';
+import { DEFAULT_DIAGNOSTICS_DIR, DOCTOR_CHECKS, PORTAL_ERROR_CODES } from './diagnostics.mjs';
 
 // Parse command line arguments
 const args = process.argv.slice(2);
-const applicationId = args.find(arg => !arg.startsWith('--'));
-let storageMode = 'local';
-const storageArg = args.find(arg => arg.startsWith('--storage='));
-if (storageArg) {
-    const parts = storageArg.split('=');
-    if (parts.length > 1 && parts[1]) {
-        storageMode = parts[1];
+
+/**
+ * Pick the log level from the command line
+ * Commands printing JSON to stdout only log warnings and errors, so the JSON stays readable.
+ * @param {string[]} args - Command line arguments
+ * @returns {string} Log level
+ */
+function resolveLogLevel(args) {
+    const level = getOption(args, 'log-level');
+    if (level !== undefined) {
+        return level;
+    }
+    if (args.includes('--verbose')) {
+        return 'debug';
     }
+    const printsJson = args.includes('--json') && (args[0] === 'timeline' || args[0] === 'doctor' || args.includes('--list'));
+    if (args.includes('--quiet') || printsJson) {
+        return 'warn';
+    }
+    return 'info';
 }
 
-if (!applicationId) {
-    console.log(`
-📋 Usage: node scrape.mjs <APPLICATION_ID> [--storage=MODE]
+// Logging applies to every command
+try {
+    configureLogger({
+        level: resolveLogLevel(args),
+        json: args.includes('--log-json'),
+        file: getOption(args, 'log-file') ?? null
+    });
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(EXIT_CODES.error);
+}
 
-Storage Modes:
-  --storage=local     Save files locally only (default)
-  --storage=s3        Upload to S3 only (no local files)
-  --storage=both      Save locally AND upload to S3
+// Commands that work on already downloaded data, and the API server
+const commands = {
+    index: runIndexCommand,
+    search: runSearchCommand,
+    list: runListCommand,
+    show: runShowCommand,
+    query: runQueryCommand,
+    serve: runServeCommand
+};
+
+if (commands[args[0]]) {
+    let exitCode;
+    try {
+        exitCode = await commands[args[0]](args.slice(1)) ?? EXIT_CODES.success;
+    } catch (error) {
+        logger.error(`❌ ${error.message}`);
+        exitCode = EXIT_CODES.error;
+    }
+    process.exit(exitCode);
+}
 
-Examples:
-  node scrape.mjs 2461047                    # Local storage only
-  node scrape.mjs 2461047 --storage=s3       # S3 only
-  node scrape.mjs 2461047 --storage=both     # Local + S3
+/**
+ * Parse application IDs from a text or CSV listing.
+ * Takes the first column of each line, skipping blank lines, # comments and a header row before the first ID.
+ * @param {string} text - File or stdin contents
+ * @returns {string[]} Application IDs in listing order
+ */
+function parseApplicationIds(text) {
+    const ids = [];
+    let firstRow = true;
+
+    text.split(/\r?\n/).forEach(line => {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) {
+            return;
+        }
 
-Environment Variables (required for S3):
-  S3_BUCKET           Your S3 bucket name
-  S3_REGION           AWS region (default: us-east-1)
-  S3_PREFIX           S3 folder prefix (default: planning-docs)
-  AWS_ACCESS_KEY_ID   AWS access key
-  AWS_SECRET_ACCESS_KEY AWS secret key
-`);
-    process.exit(1);
-}
+        const firstCell = trimmed.split(/[,;\t]/)[0].trim().replace(/^["']|["']$/g, '');
+        if (!firstCell) {
+            return;
+        }
 
-// Validate storage mode
-const validModes = ['local', 's3', 'both'];
-if (!validModes.includes(storageMode)) {
-    console.error(`❌ Invalid storage mode: ${storageMode}`);
-    console.error(`Valid modes: ${validModes.join(', ')}`);
-    process.exit(1);
-}
+        // Skip a CSV header such as "application_id,notes", even below blank lines or comments
+        const isFirstRow = firstRow;
+        firstRow = false;
+        if (isFirstRow && !/\d/.test(firstCell)) {
+            return;
+        }
 
-// Override environment variables based on storage mode
-if (storageMode === 's3' || storageMode === 'both') {
-    process.env.S3_ENABLED = 'true';
-    process.env.KEEP_LOCAL_FILES = storageMode === 'both' ? 'true' : 'false';
-} else {
-    process.env.S3_ENABLED = 'false';
-    process.env.KEEP_LOCAL_FILES = 'true';
+        // Plain text lists may hold several space separated IDs per line
+        firstCell.split(/\s+/).forEach(id => ids.push(id));
+    });
+
+    return ids;
 }
 
-console.log(`🚀 Starting scraper for application ${applicationId}`);
-console.log(`📦 Storage mode: ${storageMode.toUpperCase()}`);
+const syncMode = args.includes('--sync');
+const council = getOption(args, 'council') || DEFAULT_COUNCIL;
+const categoryOption = getOption(args, 'category');
+const categoryFilter = categoryOption !== undefined ? categoryOption.split(',').map(c => c.trim()).filter(Boolean) : null;
+const indexMode = args.includes('--index');
+const reportPath = getOption(args, 'report');
+const convertMode = args.includes('--convert-to-pdf');
+const skipDecisions = args.includes('--skip-decisions');
+const debugMode = args.includes('--debug');
+const browserMode = args.includes('--browser') ? 'always' : (args.includes('--no-browser') ? 'off' : 'fallback');
+
+/**
+ * Read a numeric --name=value option
+ * @param {string} name - Option name without dashes
+ * @param {number} defaultValue - Value used when the option is absent
+ * @returns {number} Parsed value
+ */
+function getNumberOption(name, defaultValue) {
+    const text = getOption(args, name);
+    if (text === undefined) {
+        return defaultValue;
+    }
 
-// Validate S3 configuration if needed
-if (storageMode === 's3' || storageMode === 'both') {
-    if (!process.env.S3_BUCKET) {
-        console.error(`❌ S3_BUCKET environment variable is required for storage mode: ${storageMode}`);
-        console.error('Set it with: export S3_BUCKET=your-bucket-name');
-        process.exit(1);
+    const value = Number(text);
+    if (Number.isNaN(value) || value < 0) {
+        logger.error(`❌ Invalid value for --${name}: ${text}`);
+        process.exit(EXIT_CODES.error);
     }
+    return value;
 }
 
-const BASE_URL = `https://idocswebdpss.meathcoco.ie/iDocsWebDPSS`;
-
-// Create downloads folder (only if keeping local files or S3 is disabled)
-const downloadsFolder = `downloads_${applicationId}`;
-if (s3Uploader.shouldKeepLocalFiles() || !s3Uploader.isEnabled()) {
-    if (!fs.existsSync(downloadsFolder)) {
-        fs.mkdirSync(downloadsFolder);
-        console.log(`📁 Created folder: ${downloadsFolder}`);
+const concurrency = Math.max(1, Math.floor(getNumberOption('concurrency', 3)));
+const requestsPerSecond = getNumberOption('rps', 2);
+const maxRetries = Math.floor(getNumberOption('retries', 3));
+
+// Watch mode polls the given applications instead of scraping them once
+const watchMode = args[0] === 'watch';
+const watchOnce = args.includes('--once');
+const watchIntervalMinutes = getNumberOption('interval', 60);
+const watchStatePath = getOption(args, 'state') || DEFAULT_STATE_PATH;
+const notifyOptions = {
+    webhookUrl: getOption(args, 'webhook') ?? process.env.WATCH_WEBHOOK_URL,
+    emailTo: getOption(args, 'email') ?? process.env.WATCH_EMAIL_TO,
+    smtpUrl: process.env.SMTP_URL,
+    emailFrom: process.env.SMTP_FROM
+};
+
+// retry-failed re-attempts the documents in each application's failure queue
+const retryMode = args[0] === 'retry-failed';
+
+// discover finds application IDs in the council's register instead of taking them as arguments
+const discoverMode = args[0] === 'discover';
+const discoverDownload = args.includes('--download');
+const savePath = getOption(args, 'save');
+let discoverCriteria = null;
+if (discoverMode) {
+    const criteria = Object.fromEntries(['list', 'from', 'to', 'week', 'address', 'decision']
+        .map(name => [name, getOption(args, name)])
+        .filter(([, value]) => value));
+    try {
+        discoverCriteria = normaliseCriteria(criteria);
+    } catch (error) {
+        logger.error(`❌ ${error.message}`);
+        process.exit(EXIT_CODES.error);
     }
 }
 
-async function downloadFile(url, filename, index, total) {
-    try {
-        console.log(`📥 Downloading ${index}/${total}: ${filename}`);
-        console.log(`🔗 ViewFiles URL: ${url}`);
-
-        // First, get the ViewFiles page to extract the real PDF URL
-        const viewResponse = await client.get(url, {
-            timeout: 30000,
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-                'Accept-Language': 'en-US,en;q=0.5',
-                'Accept-Encoding': 'gzip, deflate, br',
-                'Connection': 'keep-alive',
-            }
-        });
+// timeline prints each application's lifecycle from its file list instead of downloading
+const timelineMode = args[0] === 'timeline';
+
+// doctor checks that the portal still has the pages and fields the scraper relies on
+const doctorMode = args[0] === 'doctor';
+
+// --list prints the file list and --dry-run what would be downloaded; neither downloads or saves anything
+const listMode = args.includes('--list');
+const dryRun = args.includes('--dry-run');
+
+// timeline, doctor and --list print JSON instead of text
+const jsonOutput = args.includes('--json');
+
+// Document filters, applied to the file list before anything is downloaded
+const filters = {
+    categories: categoryFilter,
+    includeTitle: getOption(args, 'include-title'),
+    excludeTitle: getOption(args, 'exclude-title'),
+    docids: getOption(args, 'docids'),
+    sinceDocid: getOption(args, 'since-docid'),
+    maxDocs: getOption(args, 'max-docs')
+};
+try {
+    normaliseFilters(filters);
+} catch (error) {
+    logger.error(`❌ ${error.message}`);
+    process.exit(EXIT_CODES.error);
+}
 
-        // Parse the ViewFiles page to find the iframe src with the actual PDF
-        const $view = cheerio.load(viewResponse.data);
-        let actualPdfUrl = null;
-
-        // Look for iframe with PDF source
-        $view('iframe').each((_, el) => {
-            const src = $view(el).attr('src');
-            if (src && src.includes('.pdf')) {
-                // Convert relative path to full URL
-                if (src.startsWith('.\\files\\') || src.startsWith('./files/')) {
-                    const cleanPath = src.replace(/^\.\\/, '').replace(/^\.\//, '');
-                    actualPdfUrl = `${BASE_URL}/${cleanPath}`;
-                } else if (!src.startsWith('http')) {
-                    actualPdfUrl = `${BASE_URL}/${src}`;
-                } else {
-                    actualPdfUrl = src;
-                }
-                console.log(`🔗 Found PDF URL: ${actualPdfUrl}`);
-                return false; // break
-            }
-        });
+// Portal session, proxy, User-Agent, timeouts and page cache for every request
+let httpOptions;
+try {
+    httpOptions = getHttpOptions(args);
+} catch (error) {
+    logger.error(`❌ ${error.message}`);
+    process.exit(EXIT_CODES.error);
+}
 
-        // Also check for direct links (for mobile/iOS fallback)
-        if (!actualPdfUrl) {
-            $view('a').each((_, el) => {
-                const href = $view(el).attr('href');
-                if (href && href.includes('.pdf')) {
-                    if (href.startsWith('.\\files\\') || href.startsWith('./files/')) {
-                        const cleanPath = href.replace(/^\.\\/, '').replace(/^\.\//, '');
-                        actualPdfUrl = `${BASE_URL}/${cleanPath}`;
-                    } else if (!href.startsWith('http')) {
-                        actualPdfUrl = `${BASE_URL}/${href}`;
-                    } else {
-                        actualPdfUrl = href;
-                    }
-                    console.log(`🔗 Found PDF URL in link: ${actualPdfUrl}`);
-                    return false; // break
-                }
-            });
-        }
+// doctor sees the portal as a first visit does: a new session and no cached pages
+if (doctorMode) {
+    httpOptions = { ...httpOptions, sessionDir: null, cacheDir: null };
+}
 
-        if (!actualPdfUrl) {
-            console.log(`⚠️  No PDF URL found in ViewFiles page`);
-            fs.writeFileSync(`debug-viewfiles-${index}.html`, viewResponse.data);
-            console.log(`📄 ViewFiles page saved to debug-viewfiles-${index}.html`);
-            throw new Error('No PDF URL found in ViewFiles page');
-        }
+// Failed runs leave their page snapshots, requests and parser decisions here
+const diagnosticsDir = args.includes('--no-diagnostics') ? null : getOption(args, 'diagnostics') || DEFAULT_DIAGNOSTICS_DIR;
 
-        // Clean the URL (remove PDF viewer parameters)
-        actualPdfUrl = actualPdfUrl.split('#')[0];
-        console.log(`📥 Accessing PDF URL: ${actualPdfUrl}`);
-
-        // Get the ViewPdf page first to check if it's another layer
-        const pdfPageResponse = await client.get(actualPdfUrl, {
-            timeout: 30000,
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-                'Accept-Language': 'en-US,en;q=0.5',
-                'Referer': url,
-                'Connection': 'keep-alive'
-            }
-        });
+// Collect application IDs from positional args, --file= and stdin
+const applicationIds = [];
+args.slice(watchMode || retryMode || discoverMode || timelineMode || doctorMode ? 1 : 0).filter(arg => !arg.startsWith('--') && arg !== '-').forEach(id => applicationIds.push(id));
 
-        const contentType = pdfPageResponse.headers['content-type'];
-        console.log(`📄 PDF URL Content-Type: ${contentType}`);
+const idsFile = getOption(args, 'file');
+if (idsFile !== undefined) {
+    if (!idsFile || !fs.existsSync(idsFile)) {
+        logger.error(`❌ Application ID file not found: ${idsFile}`);
+        process.exit(EXIT_CODES.error);
+    }
+    applicationIds.push(...parseApplicationIds(fs.readFileSync(idsFile, 'utf8')));
+}
 
-        let finalPdfUrl = actualPdfUrl;
+if (args.includes('--stdin') || args.includes('-')) {
+    applicationIds.push(...parseApplicationIds(fs.readFileSync(0, 'utf8')));
+}
 
-        // If it's HTML, parse it to find the real PDF
-        if (contentType && contentType.includes('text/html')) {
-            console.log(`🔄 PDF URL returned HTML, parsing for real PDF link...`);
+// Without IDs, retry every application with a failure queue in the local download folder
+if (retryMode && applicationIds.length === 0) {
+    const root = getOption(args, 'root') || '.';
+    applicationIds.push(...findFailedApplications(root, council));
+    if (applicationIds.length === 0) {
+        logger.info(`✅ No failed documents to retry under ${root}`);
+        process.exit(EXIT_CODES.success);
+    }
+    logger.info(`🔁 Found failed documents in ${applicationIds.length} application${applicationIds.length === 1 ? '' : 's'}`);
+}
 
-            const $pdfPage = cheerio.load(pdfPageResponse.data);
-            let realPdfUrl = null;
+// Drop duplicates while keeping the order they were given in
+const uniqueApplicationIds = [...new Set(applicationIds)];
 
-            $pdfPage('iframe, embed, object').each((_, el) => {
-                const src = $pdfPage(el).attr('src') || $pdfPage(el).attr('data');
-                if (src && (src.includes('.pdf') || src.includes('pdf'))) {
-                    if (!src.startsWith('http')) {
-                        realPdfUrl = `${BASE_URL}/${src.replace(/^\.?[\/\\]/, '')}`;
-                    } else {
-                        realPdfUrl = src;
-                    }
-                    console.log(`🔗 Found real PDF URL: ${realPdfUrl}`);
-                    return false;
-                }
-            });
+if (uniqueApplicationIds.length === 0 && !discoverMode) {
+    console.log(`
+📋 Usage: node scrape.mjs <APPLICATION_ID...> [--file=PATH] [--stdin] [--storage=NAMES]
+       node scrape.mjs retry-failed [APPLICATION_ID...] [--root=PATH]
+       node scrape.mjs discover [--from=DATE] [--to=DATE] [--week=DATE] [--list=received|decided] [--address=TEXT] [--decision=TEXT] [--save=PATH] [--download]
+       node scrape.mjs <APPLICATION_ID...> --list [--json] [--save=PATH]
+       node scrape.mjs <APPLICATION_ID...> --dry-run
+       node scrape.mjs timeline <APPLICATION_ID...> [--json]
+       node scrape.mjs doctor <APPLICATION_ID...> [--docid=N] [--json]
+       node scrape.mjs watch <APPLICATION_ID...> [--interval=MINUTES] [--once] [--webhook=URL] [--email=ADDRESS]
+       node scrape.mjs index [APPLICATION_ID...] [--council=ID] [--root=PATH]
+       node scrape.mjs search <QUERY> [--council=ID] [--application=ID] [--limit=N]
+       node scrape.mjs list [--has=TEXT] [--missing=TEXT] [--decision=TEXT] [--council=ID] [--runs] [--json]
+       node scrape.mjs show <APPLICATION_ID> [--council=ID] [--json]
+       node scrape.mjs query "<SELECT ...>" [--json]
+       node scrape.mjs serve [--port=3000] [--host=127.0.0.1] [--jobs=PATH] [--catalogue=PATH|--no-catalogue] [--convert-to-pdf] [--skip-decisions] [--browser|--no-browser]
+
+Application IDs:
+  <APPLICATION_ID...> One or more application IDs
+  --file=PATH         Read IDs from a text or CSV file (first column, one per line)
+  --stdin, -          Read IDs from stdin
+
+Options:
+  --council=ID        Council portal to scrape: ${listCouncils().join(', ')} (default: ${DEFAULT_COUNCIL})
+  --sync              Only download documents not already in every storage backend
+  --category=LIST     Only download these categories (comma separated, e.g. drawing,decision)
+  --category-rules=PATH  JSON file of extra classification rules, checked before the defaults
+  --include-title=RE  Only download documents whose title matches the regular expression (case-insensitive)
+  --exclude-title=RE  Skip documents whose title matches the regular expression (case-insensitive)
+  --docids=RANGES     Only download these document IDs, e.g. 2633597-2633700,2646005
+  --since-docid=N     Only download documents with an ID above N
+  --max-docs=N        Only download the N newest matching documents (highest IDs)
+  --list              Print the file list (after filters) instead of downloading; --json prints JSON,
+                      --save=PATH saves CSV, or JSON if PATH ends in .json
+  --dry-run           Show which documents would be downloaded and where they would be stored
+  --index             Extract text from downloaded PDFs into the search index
+  --index-db=PATH     Search index database (default: search-index.db)
+  --catalogue=PATH    Catalogue of applications, documents and runs (default: catalogue.db)
+  --no-catalogue      Do not record this run in the catalogue
+  --convert-to-pdf    Convert DjVu files (ddjvu) and scanned images (img2pdf) to PDF
+  --skip-decisions    Do not extract conditions and contributions from decision PDFs into decisions.json
+  --browser           Download every document with headless Chromium (Puppeteer)
+  --no-browser        Never fall back to headless Chromium when the portal pages cannot be followed
+  --concurrency=N     Documents downloaded in parallel (default: 3)
+  --rps=N             Maximum requests per second to the portal, 0 = unlimited (default: 2)
+  --retries=N         Retries for network errors, 429 and 5xx responses (default: 3)
+
+HTTP Options:
+  --user-agent=TEXT   User-Agent sent to the portal (default: USER_AGENT or a current desktop Chrome)
+  --timeout=SECONDS   Time allowed for each portal page (default: 30)
+  --download-timeout=SECONDS  Time allowed for a file to start arriving (default: 60)
+  --proxy=URL         HTTP(S) proxy for every request (default: HTTPS_PROXY / HTTP_PROXY, minus NO_PROXY)
+  --no-proxy          Ignore the proxy environment variables
+  --session-dir=DIR   Keep each council's portal cookies in DIR/<council>.json between runs (default: sessions)
+  --session-ttl=MINUTES  Idle time after which the portal has dropped the session (default: 20)
+  --no-session        Start a new portal session every run
+  --http-cache[=DIR]  Cache ViewFiles and ViewPdf pages in DIR (default: .http-cache)
+  --cache-ttl=SECONDS Use cached pages without asking the portal for this long (default: 0)
+  --no-conditional    Do not revalidate cached pages with If-None-Match / If-Modified-Since
+
+Diagnostics:
+  doctor              Check the disclaimer form, __VIEWSTATE fields, file list rows and ViewFiles/ViewPdf
+                      file sources of each application, and report what has changed on the portal
+  --docid=N           Document doctor follows to its file (default: the first listed)
+  --json              Print the checks as JSON instead
+  --diagnostics=DIR   Write a bundle of page snapshots, requests and parser decisions for each failed run (default: diagnostics)
+  --no-diagnostics    Do not write diagnostics bundles
+
+Retry Options:
+  retry-failed        Re-attempt only the documents in each application's failures.json
+  --root=PATH         Without IDs, retry every application with failures under this folder (default: .)
+
+Discover Options:
+  --from=DATE, --to=DATE  Date range as YYYY-MM-DD (default: the last 7 days), fetched a week at a time
+  --week=DATE         The Monday to Sunday week containing DATE
+  --list=NAME         received (by received date, default) or decided (by decision date)
+  --address=TEXT      Development address contains TEXT, e.g. Navan
+  --decision=TEXT     Decision contains TEXT, e.g. grant or refuse (searches the decided list)
+  --save=PATH         Save the applications as CSV (readable with --file=), or JSON if PATH ends in .json
+  --download          Download the documents of every application found
+
+Timeline Options:
+  timeline            Print each application's lifecycle (lodgement, referrals, FI, decision) as Markdown,
+                      and save timeline.json and timeline.md next to its documents
+  --json              Print the timeline as JSON instead (progress output is then limited to warnings)
+
+Catalogue Commands:
+  list                Applications in the catalogue with their document counts, most recently seen first
+  --has=TEXT          Only applications with a listed document in category TEXT or whose title contains TEXT
+  --missing=TEXT      Only applications without such a document
+  --decision=TEXT     Only applications whose decision contains TEXT
+  --runs              List recent runs instead
+  show <ID>           One application's register details and every document it has listed
+  query "<SQL>"       Read-only SQL over the runs, applications and documents tables
+  --json              Print JSON instead of text
+
+Watch Options:
+  --interval=MINUTES  Time between checks (default: 60)
+  --once              Check once and exit (for cron)
+  --state=PATH        Last known file lists (default: watch-state.json)
+  --webhook=URL       POST a JSON payload when an application changes (or WATCH_WEBHOOK_URL)
+  --email=ADDRESS     Email changes through SMTP_URL (or WATCH_EMAIL_TO)
+
+Logging:
+  --quiet             Only show warnings and errors
+  --verbose           Also show each request in the ViewFiles → PDF chain and failed response headers
+  --log-level=LEVEL   debug, info, warn, error or silent (default: info)
+  --log-json          Write JSON lines to stdout instead of text
+  --log-file=PATH     Also append JSON lines to a file
+  --debug             Write every discovered document link to debug-links.txt in the working directory
+  --report=PATH       Write a JSON run report (outcome, bytes, duration, retries and error of every document)
+
+Exit codes: 0 all downloaded, 1 bad arguments, 2 some downloads failed, 3 nothing downloaded
+
+Storage:
+  --storage=local     Save files locally only (default)
+  --storage=s3        Upload to S3 only (no local files)
+  --storage=local,s3  Save to several backends at once ("both" is the same as local,s3)
+  --storage-config=PATH  JSON file defining named backends (e.g. MinIO); all are used unless --storage= picks some
+  --key-template=TPL  Key for each document, e.g. {council}/{year}/{appId}/{category}/{docid}.pdf
 
-            // Also check for direct links or JavaScript redirects
-            if (!realPdfUrl) {
-                $pdfPage('a').each((_, el) => {
-                    const href = $pdfPage(el).attr('href');
-                    if (href && (href.includes('.pdf') || href.includes('GetDocument'))) {
-                        if (!href.startsWith('http')) {
-                            realPdfUrl = `${BASE_URL}/${href.replace(/^\.?[\/\\]/, '')}`;
-                        } else {
-                            realPdfUrl = href;
-                        }
-                        console.log(`🔗 Found real PDF URL in link: ${realPdfUrl}`);
-                        return false;
-                    }
-                });
-            }
+Examples:
+  node scrape.mjs 2461047                    # Local storage only
+  node scrape.mjs 2461047 --storage=s3       # S3 only
+  node scrape.mjs 2461047 --storage=both     # Local + S3
+  node scrape.mjs 2461047 2461048 2461049    # Several applications in one run
+  node scrape.mjs --file=applications.csv    # IDs from a file
+  cat ids.txt | node scrape.mjs --stdin      # IDs from stdin
+  node scrape.mjs 2461047 --sync             # Fetch only new documents
+  node scrape.mjs retry-failed               # Retry every failed document
+  node scrape.mjs discover --week=2025-06-02 --address=Navan --download
+  node scrape.mjs timeline 2461047 --json    # Lifecycle events and durations
+  node scrape.mjs doctor 2461047             # Check the portal pages still parse
 
-            // Look for JavaScript variables or window.open calls
-            if (!realPdfUrl) {
-                const pageText = pdfPageResponse.data;
-                const jsMatches = pageText.match(/(?:window\.open|location\.href|src\s*=\s*['"])(.*?\.pdf.*?)['"\)]/gi);
-                if (jsMatches && jsMatches.length > 0) {
-                    const match = jsMatches[0];
-                    realPdfUrl = match.replace(/.*['"]([^'"]+)['"].*/, '$1');
-                    if (!realPdfUrl.startsWith('http')) {
-                        realPdfUrl = `${BASE_URL}/${realPdfUrl.replace(/^\.?[\/\\]/, '')}`;
-                    }
-                    console.log(`🔗 Found PDF URL in JavaScript: ${realPdfUrl}`);
-                }
-            }
+Environment Variables (required for S3):
+  S3_BUCKET           Your S3 bucket name
+  S3_REGION           AWS region (default: us-east-1)
+  S3_PREFIX           S3 folder prefix (default: planning-docs)
+  S3_ENDPOINT         S3-compatible server, e.g. http://localhost:9000 for MinIO
+  S3_FORCE_PATH_STYLE Use path-style URLs (default: true when S3_ENDPOINT is set)
+  AWS_ACCESS_KEY_ID   AWS access key
+  AWS_SECRET_ACCESS_KEY AWS secret key
+`);
+    process.exit(EXIT_CODES.error);
+}
 
-            if (realPdfUrl) {
-                finalPdfUrl = realPdfUrl.split('#')[0]; // Remove parameters
-            } else {
-                console.log(`⚠️  No real PDF URL found in ViewPdf page`);
-                fs.writeFileSync(`debug-viewpdf-${index}.html`, pdfPageResponse.data);
-                console.log(`📄 ViewPdf page saved to debug-viewpdf-${index}.html`);
-                throw new Error('No real PDF URL found in ViewPdf page');
-            }
-        }
+// Load custom classification rules
+let categoryRules = [];
+try {
+    const rulesPath = getOption(args, 'category-rules');
+    categoryRules = rulesPath ? loadRules(rulesPath) : [];
+} catch (error) {
+    logger.error(`❌ Could not load category rules: ${error.message}`);
+    process.exit(EXIT_CODES.error);
+}
 
-        console.log(`📥 Downloading final PDF: ${finalPdfUrl}`);
-
-        // Download the actual PDF file with proper binary handling
-        const finalPdfResponse = await client.get(finalPdfUrl, {
-            responseType: 'arraybuffer',
-            timeout: 60000,
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-                'Accept': 'application/pdf,*/*',
-                'Accept-Language': 'en-US,en;q=0.5',
-                'Accept-Encoding': 'identity',
-                'Referer': actualPdfUrl,
-                'Connection': 'keep-alive'
-            }
-        });
+// Set up the storage backends
+let storage;
+try {
+    const { specs, defaultSelection } = getStorageSpecs(process.env, getOption(args, 'storage-config') || null);
+    const selected = selectStorageSpecs(getOption(args, 'storage') || defaultSelection, specs);
+
+    const missingBucket = selected.find(spec => spec.type === 's3' && !spec.bucket);
+    if (missingBucket) {
+        logger.error(`❌ A bucket is required for storage: ${missingBucket.name}`);
+        logger.error('Set it with: export S3_BUCKET=your-bucket-name (or "bucket" in --storage-config)');
+        process.exit(EXIT_CODES.error);
+    }
 
-        // Check the final response
-        const finalContentType = finalPdfResponse.headers['content-type'];
-        console.log(`📄 Final Content-Type: ${finalContentType}`);
-        console.log(`📄 Final Content-Length: ${finalPdfResponse.headers['content-length']}`);
+    storage = new StorageSet(selected, {
+        keyTemplate: getOption(args, 'key-template')
+    });
+} catch (error) {
+    logger.error(`❌ ${error.message}`);
+    process.exit(EXIT_CODES.error);
+}
 
-        // Verify we got binary data, not HTML
-        const responseData = Buffer.from(finalPdfResponse.data);
-        const firstBytes = responseData.slice(0, 10).toString();
+if (discoverMode) {
+    logger.info(`🚀 Discovering ${discoverCriteria.list} applications from ${discoverCriteria.from} to ${discoverCriteria.to}`);
+} else if (uniqueApplicationIds.length === 1) {
+    logger.info(`🚀 Starting scraper for application ${uniqueApplicationIds[0]}`);
+} else {
+    logger.info(`🚀 Starting scraper for ${uniqueApplicationIds.length} applications`);
+}
 
-        if (firstBytes.includes('<!DOCTYPE') || firstBytes.includes('<html')) {
-            console.log(`⚠️  Still got HTML response instead of PDF`);
-            fs.writeFileSync(`debug-final-response-${index}.html`, responseData.toString());
-            throw new Error('Still receiving HTML instead of PDF content after multiple redirects');
-        }
+// Full-text index, only opened when --index is given
+const textIndex = indexMode ? new TextIndex(getOption(args, 'index-db')) : null;
+
+// Catalogue of every application, document and run, unless turned off or nothing is downloaded
+const catalogue = args.includes('--no-catalogue') || listMode || dryRun || doctorMode ? null : new Catalogue(getOption(args, 'catalogue') || DEFAULT_CATALOGUE_PATH);
+
+let scraper;
+try {
+    scraper = new PlanningScraper({
+        council,
+        storage,
+        concurrency,
+        requestsPerSecond,
+        retries: maxRetries,
+        categoryRules,
+        textIndex,
+        catalogue,
+        debugFiles: debugMode && !listMode && !dryRun && !doctorMode,
+        convertToPdf: convertMode,
+        extractDecisions: !skipDecisions,
+        browser: browserMode,
+        httpOptions,
+        diagnosticsDir
+    });
+} catch (error) {
+    logger.error(`❌ ${error.message}`);
+    process.exit(EXIT_CODES.error);
+}
 
-        if (!firstBytes.startsWith('%PDF-')) {
-            console.log(`⚠️  Response doesn't start with PDF header. First bytes: ${firstBytes}`);
-            fs.writeFileSync(`debug-final-response-${index}.bin`, responseData);
-            console.log(`📄 Binary response saved for analysis`);
-        }
+if (categoryFilter) {
+    const unknown = categoryFilter.filter(category => !scraper.classifier.categories.includes(category));
+    if (unknown.length > 0) {
+        logger.error(`❌ Unknown category: ${unknown.join(', ')}`);
+        logger.error(`Valid categories: ${scraper.classifier.categories.join(', ')}`);
+        process.exit(EXIT_CODES.error);
+    }
+}
 
-        // Process the filename
-        const pdfFilename = filename.replace(/\.djvu$/, '.pdf');
-        let s3Result = null;
+logger.info(`🏛️  Council: ${scraper.adapter.name}`);
+storage.backends.forEach(backend => {
+    logger.info(`📦 Storage ${backend.name}: ${backend.describe()} (${backend.keyTemplate})`);
+});
+
+/**
+ * Check one watched application and notify if its file list changed
+ * @param {string} appId - The planning application ID
+ * @param {Object} state - Watch state, updated in place
+ */
+async function checkWatchedApplication(appId, state) {
+    const stateKey = `${scraper.adapter.id}/${appId}`;
+    const { changed, diff, details, downloaded, snapshot } = await scraper.checkForChanges(appId, state[stateKey], { filters });
+
+    if (changed) {
+        await sendNotifications(buildPayload({
+            council: scraper.adapter.id,
+            applicationId: appId,
+            reference: details.reference,
+            diff,
+            downloaded
+        }), notifyOptions);
+    }
+
+    state[stateKey] = snapshot;
+}
 
-        // Upload to S3 if enabled using the s3Uploader module
-        if (s3Uploader.isEnabled()) {
+/**
+ * Poll the watched applications until the process is stopped (or once with --once)
+ * @param {string[]} appIds - Planning application IDs
+ */
+async function runWatch(appIds) {
+    logger.info(`👀 Watching ${appIds.length} application${appIds.length === 1 ? '' : 's'}${watchOnce ? '' : ` every ${watchIntervalMinutes} minutes`}`);
+
+    let stopping = false;
+    process.on('SIGINT', () => {
+        logger.info('\n👋 Stopping watch after the current check...');
+        stopping = true;
+    });
+
+    while (!stopping) {
+        logger.info(`\n🕒 Check started ${new Date().toISOString()}`);
+
+        for (const appId of appIds) {
+            if (stopping) break;
+            logger.info(`\n📋 Application ${appId}`);
             try {
-                s3Result = await s3Uploader.upload(responseData, pdfFilename, applicationId);
-                console.log(`☁️  S3 upload successful: ${pdfFilename}`);
-            } catch (s3Error) {
-                console.error(`⚠️  S3 upload failed, continuing with local storage: ${s3Error.message}`);
+                // Read for each check, so a state file that cannot be read fails the check and is tried again next time
+                const state = loadWatchState(watchStatePath);
+                await checkWatchedApplication(appId, state);
+                saveWatchState(state, watchStatePath);
+            } catch (error) {
+                logger.error(`❌ Check failed for ${appId}: ${error.message}`);
             }
         }
 
-        // Save locally if enabled or if S3 upload failed
-        if (s3Uploader.shouldKeepLocalFiles() || (!s3Uploader.isEnabled() || !s3Result)) {
-            const filePath = path.join(downloadsFolder, pdfFilename);
-            fs.writeFileSync(filePath, responseData);
-            console.log(`💾 Saved locally: ${pdfFilename} (${responseData.length} bytes)`);
-        }
+        if (watchOnce || stopping) break;
 
-        // Summary message
-        if (s3Uploader.isEnabled() && s3Result && !s3Uploader.shouldKeepLocalFiles()) {
-            console.log(`✅ Uploaded to S3 only: ${pdfFilename} (${responseData.length} bytes)`);
-        } else if (s3Uploader.isEnabled() && s3Result && s3Uploader.shouldKeepLocalFiles()) {
-            console.log(`✅ Saved locally + S3: ${pdfFilename} (${responseData.length} bytes)`);
-        } else {
-            console.log(`✅ Saved locally: ${pdfFilename} (${responseData.length} bytes)`);
+        logger.info(`\n💤 Next check in ${watchIntervalMinutes} minutes`);
+        const wakeAt = Date.now() + watchIntervalMinutes * 60 * 1000;
+        while (!stopping && Date.now() < wakeAt) {
+            await new Promise(resolve => setTimeout(resolve, Math.min(1000, wakeAt - Date.now())));
         }
+    }
+}
 
-        return Promise.resolve();
+/**
+ * Print the combined summary for a batch run
+ * @param {Object[]} results - Per-application results from PlanningScraper.scrapeApplications
+ */
+function printBatchSummary(results) {
+    logger.info(`\n📊 Batch Summary (${results.length} applications, ${storage.describe()}):`);
 
-    } catch (error) {
-        console.error(`❌ Failed to download ${filename}:`, error.message);
-        if (error.response) {
-            console.error(`❌ Status: ${error.response.status}`);
-            console.error(`❌ Headers:`, error.response.headers);
+    results.forEach(result => {
+        if (result.error) {
+            logger.info(`❌ ${result.applicationId}: error - ${result.error}`);
+        } else {
+            const icon = result.failCount > 0 ? '⚠️ ' : '✅';
+            const syncPart = result.sync ? ` (${result.sync.new} new, ${result.sync.unchanged} unchanged, ${result.sync.missing} missing)` : '';
+            const retryPart = result.retry ? ` (${result.retry.retrying} of ${result.retry.queued} failed retried)` : '';
+            logger.info(`${icon} ${result.applicationId}: ${result.found} found${syncPart}${retryPart}, ${result.successCount} downloaded, ${result.failCount} failed`);
         }
-        throw error;
+    });
+
+    const totals = results.reduce((acc, result) => {
+        acc.found += result.found;
+        acc.successCount += result.successCount;
+        acc.failCount += result.failCount;
+        if (result.error) acc.errored++;
+        return acc;
+    }, { found: 0, successCount: 0, failCount: 0, errored: 0 });
+
+    logger.info(`\n✅ Total downloaded: ${totals.successCount} of ${totals.found} files`);
+    logger.info(`❌ Total failed: ${totals.failCount} files`);
+    if (totals.errored > 0) {
+        logger.info(`❌ Applications with errors: ${totals.errored}`);
     }
-}
 
-function getFilenameFromUrl(url, docTitle = '') {
-    // Extract document ID from URL
-    const docidMatch = url.match(/docid=(\d+)/);
+    storage.backends.forEach(backend => {
+        const backendTotals = results.reduce((acc, result) => {
+            const stats = result.storageStats[backend.name];
+            acc.stored += stats.stored;
+            acc.failed += stats.failed;
+            acc.totalBytes += stats.totalBytes;
+            return acc;
+        }, { stored: 0, failed: 0, totalBytes: 0 });
+        const totalMB = Math.round(backendTotals.totalBytes / 1024 / 1024 * 100) / 100;
+        logger.info(`📦 ${backend.name}: ${backendTotals.stored} stored, ${backendTotals.failed} failed (${totalMB} MB)`);
+    });
+}
 
-    if (docidMatch) {
-        const docid = docidMatch[1];
+/**
+ * Scrape each application in turn and print a combined summary for batches
+ * @param {string[]} appIds - Planning application IDs
+ * @returns {Promise<Object[]>} Per-application results
+ */
+async function runBatch(appIds) {
+    const results = await scraper.scrapeApplications(appIds, { sync: syncMode, retryFailed: retryMode, dryRun, filters });
 
-        // Clean the document title if provided
-        if (docTitle && docTitle.trim()) {
-            const cleanTitle = docTitle.trim()
-                .replace(/[<>:"/\\|?*]/g, '_') // Replace invalid filename chars
-                .replace(/\s+/g, '_') // Replace spaces with underscores
-                .substring(0, 100); // Limit length
+    if (appIds.length > 1) {
+        printBatchSummary(results);
+    }
 
-            return `${docid}_${cleanTitle}.pdf`;
-        }
+    return results;
+}
 
-        // Fallback to just docid
-        return `document_${docid}.pdf`;
+/**
+ * Log the outcome of a scrape run and write the --report= file
+ * @param {Object[]} results - Per-application results
+ * @returns {number} Process exit code
+ */
+function finishRun(results) {
+    const report = buildRunReport(results, {
+        council: scraper.adapter.id,
+        storage: storage.backends.map(backend => backend.name),
+        startedAt: runStartedAt
+    });
+    const { totals } = report;
+
+    const icon = report.status === 'success' ? '🏁' : (report.status === 'partial' ? '⚠️ ' : '❌');
+    const erroredPart = totals.errored > 0 ? `, ${totals.errored} application${totals.errored === 1 ? '' : 's'} with errors` : '';
+    logger.log(report.status === 'success' ? 'info' : 'warn',
+        `${icon} Run ${report.status}: ${totals.downloaded} downloaded, ${totals.failed} failed${erroredPart} (exit code ${report.exitCode})`,
+        { event: 'run:complete', status: report.status, exitCode: report.exitCode, durationMs: report.durationMs, totals });
+
+    if (reportPath) {
+        fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+        logger.info(`🧾 Run report saved to ${reportPath}`);
     }
 
-    // Final fallback
-    const timestamp = Date.now();
-    const random = Math.random().toString(36).substr(2, 9);
-    return `document_${timestamp}_${random}.pdf`;
+    return report.exitCode;
 }
 
-async function downloadAllDocuments(links) {
-    if (links.length === 0) {
-        console.log('⚠️  No documents found to download.');
-        return;
+/**
+ * Find applications in the register, list them and save them with --save=
+ * @returns {Promise<string[]>} Discovered application IDs
+ */
+async function runDiscover() {
+    let applications;
+    try {
+        applications = await scraper.discoverApplications(discoverCriteria);
+    } catch (error) {
+        logger.error(`❌ Discover failed: ${error.message}`, { errorCategory: categorizeError(error) });
+        process.exit(EXIT_CODES.failed);
     }
 
-    console.log(`\n🚀 Starting download of ${links.length} documents...\n`);
+    console.log('');
+    applications.forEach(application => {
+        const decisionPart = application.decision ? ` - ${application.decision}${application.decisionDate ? ` (${application.decisionDate})` : ''}` : '';
+        console.log(`📋 ${application.applicationId} ${application.reference !== application.applicationId ? `(${application.reference}) ` : ''}received ${application.receivedDate || 'unknown'}${decisionPart}`);
+        console.log(`   📍 ${application.address || 'address unknown'}`);
+    });
 
-    let successCount = 0;
-    let failCount = 0;
-
-    for (let i = 0; i < links.length; i++) {
-        const linkObj = links[i];
-        const filename = getFilenameFromUrl(linkObj.url, linkObj.title);
+    if (savePath) {
+        fs.writeFileSync(savePath, savePath.endsWith('.json') ? JSON.stringify(applications, null, 2) : toCsv(applications));
+        logger.info(`🧾 Saved ${applications.length} applications to ${savePath}`);
+    }
 
-        try {
-            await downloadFile(linkObj.url, filename, i + 1, links.length);
-            successCount++;
+    return applications.map(application => application.applicationId);
+}
 
-            // Small delay between downloads to be respectful
-            await new Promise(resolve => setTimeout(resolve, 1000));
+/**
+ * Build and print the timeline of each application, without downloading documents
+ * @param {string[]} appIds - Planning application IDs
+ * @returns {Promise<number>} Exit code
+ */
+async function runTimeline(appIds) {
+    const timelines = [];
+    let errors = 0;
 
+    for (const appId of appIds) {
+        try {
+            timelines.push(await scraper.getTimeline(appId));
         } catch (error) {
-            failCount++;
-            console.error(`❌ Failed to download file ${i + 1}: ${error.message}`);
+            errors++;
+            logger.error(`❌ Timeline failed for ${appId}: ${error.message}`, { applicationId: appId, errorCategory: categorizeError(error) });
         }
     }
 
-    console.log(`\n📊 Download Summary (${storageMode.toUpperCase()} mode):`);
-    console.log(`✅ Successfully downloaded: ${successCount} files`);
-    console.log(`❌ Failed downloads: ${failCount} files`);
-
-    // Print S3 summary if enabled
-    if (s3Uploader.isEnabled()) {
-        s3Uploader.printSummary(applicationId);
+    if (jsonOutput) {
+        console.log(JSON.stringify(appIds.length === 1 ? timelines[0] ?? null : timelines, null, 2));
+    } else {
+        timelines.forEach(timeline => console.log(`\n${timelineToMarkdown(timeline)}`));
     }
 
-    // Print local summary if applicable
-    if (s3Uploader.shouldKeepLocalFiles() || !s3Uploader.isEnabled()) {
-        console.log(`📁 Files saved to: ${downloadsFolder}`);
+    if (errors === 0) {
+        return EXIT_CODES.success;
     }
+    return timelines.length > 0 ? EXIT_CODES.partial : EXIT_CODES.failed;
 }
 
-async function acceptDisclaimerAndGetDocs(appId) {
-    try {
-        const url = `${BASE_URL}/copyright.aspx?catalog=planning&id=${appId}`;
-
-        // Step 1: Load the page with the disclaimer
-        console.log('🔄 Loading disclaimer page...');
-        const response = await client.get(url);
-        const $disclaimer = cheerio.load(response.data);
-
-        // Step 2: Build form data from all hidden fields
-        const formData = new URLSearchParams();
-
-        $disclaimer('input[type="hidden"]').each((_, el) => {
-            const name = $disclaimer(el).attr('name');
-            const value = $disclaimer(el).val();
-            if (name) formData.append(name, value);
-        });
-
-        // Add checkbox and submit button
-        formData.append('chkAgree', 'on');
-        formData.append('btnAgree', 'I Agree');
-
-        const formAction = $disclaimer('form').attr('action');
-        if (!formAction) {
-            throw new Error('❌ Form action not found');
+/**
+ * Print each application's file list, narrowed by the filters, and save it with --save=
+ * @param {string[]} appIds - Planning application IDs
+ * @returns {Promise<number>} Exit code
+ */
+async function runList(appIds) {
+    const checkedFilters = scraper.checkFilters(filters);
+    const listings = [];
+    let errors = 0;
+
+    for (const appId of appIds) {
+        try {
+            const { applicationId, council: councilId, details, documents } = await scraper.listDocuments(appId);
+            listings.push({ applicationId, council: councilId, reference: details.reference || null, documents: filterDocuments(documents, checkedFilters) });
+        } catch (error) {
+            errors++;
+            logger.error(`❌ Listing failed for ${appId}: ${error.message}`, { applicationId: appId, errorCategory: categorizeError(error) });
         }
+    }
 
-        // Step 3: Submit the form
-        console.log('🔄 Submitting disclaimer agreement...');
-        const submitUrl = `${BASE_URL}/${formAction}`;
-        const confirmRes = await client.post(submitUrl, formData, {
-            headers: {
-                'Content-Type': 'application/x-www-form-urlencoded'
-            }
+    if (jsonOutput) {
+        console.log(JSON.stringify(appIds.length === 1 ? listings[0] ?? null : listings, null, 2));
+    } else {
+        listings.forEach(listing => {
+            console.log(`\n📋 ${listing.applicationId}${listing.reference && listing.reference !== listing.applicationId ? ` (${listing.reference})` : ''}: ${listing.documents.length} documents`);
+            listing.documents.forEach(doc => console.log(`   ${doc.docid} [${doc.category}] ${doc.date || 'undated'} ${doc.title}`));
         });
+    }
 
-        console.log("✅ Submitted 'I Agree' form, status:", confirmRes.status);
-
-        // Parse the returned page
-        const $confirm = cheerio.load(confirmRes.data);
+    // With discover, --save= holds the discovered applications instead
+    if (savePath && !discoverMode) {
+        fs.writeFileSync(savePath, savePath.endsWith('.json') ? JSON.stringify(listings, null, 2) : documentsToCsv(listings));
+        logger.info(`🧾 Saved the file list of ${listings.length} application${listings.length === 1 ? '' : 's'} to ${savePath}`);
+    }
 
-        // Extract hidden fields for postback
-        const postBackData = new URLSearchParams();
-        ['__VIEWSTATE', '__VIEWSTATEGENERATOR', '__EVENTVALIDATION'].forEach(field => {
-            const val = $confirm(`input[name="${field}"]`).val();
-            if (val) postBackData.append(field, val);
-        });
+    if (errors === 0) {
+        return EXIT_CODES.success;
+    }
+    return listings.length > 0 ? EXIT_CODES.partial : EXIT_CODES.failed;
+}
 
-        // Simulate the View Files button
-        postBackData.append('__EVENTTARGET', 'btnViewFiles');
-        postBackData.append('__EVENTARGUMENT', '');
+/**
+ * Check each application's portal pages and print which checks passed
+ * @param {string[]} appIds - Planning application IDs
+ * @returns {Promise<number>} Exit code
+ */
+async function runDoctor(appIds) {
+    const docid = getOption(args, 'docid') || null;
+    const diagnoses = [];
 
-        // Submit postback to trigger file listing
-        console.log('🔄 Fetching file list...');
-        const viewFilesRes = await client.post(submitUrl, postBackData, {
-            headers: {
-                'Content-Type': 'application/x-www-form-urlencoded'
-            }
-        });
+    for (const appId of appIds) {
+        try {
+            diagnoses.push({ applicationId: appId, council, ...await scraper.diagnose(appId, { docid }) });
+        } catch (error) {
+            logger.error(`❌ Doctor failed for ${appId}: ${error.message}`, { applicationId: appId, errorCategory: categorizeError(error) });
+            diagnoses.push({ applicationId: appId, council, ok: false, checks: [], bundle: null, error: error.message });
+        }
+    }
 
-        const $files = cheerio.load(viewFilesRes.data);
-        const links = [];
-
-        // Look for table rows containing document information
-        $files('tr').each((_, row) => {
-            const $row = $files(row);
-            const link = $row.find('a[href*="ViewFiles.aspx"]');
-
-            if (link.length > 0) {
-                const href = link.attr('href');
-                const docidMatch = href.match(/docid=(\d+)/);
-
-                if (docidMatch) {
-                    const docid = docidMatch[1];
-
-                    // Get document title from the second column (Comment)
-                    const cells = $row.find('td');
-                    let docTitle = '';
-                    if (cells.length >= 2) {
-                        docTitle = $files(cells[1]).text().trim();
-                    }
-
-                    // Use the actual ViewFiles URL directly
-                    const viewFilesUrl = `${BASE_URL}/${href}`;
-
-                    // Create download object with title and URL
-                    links.push({
-                        url: viewFilesUrl,
-                        title: docTitle,
-                        docid: docid
-                    });
+    if (jsonOutput) {
+        console.log(JSON.stringify(appIds.length === 1 ? diagnoses[0] : diagnoses, null, 2));
+    } else {
+        diagnoses.forEach(diagnosis => {
+            console.log(`\n🩺 ${diagnosis.applicationId} (${scraper.adapter.name}): ${diagnosis.ok ? 'portal pages look as expected' : 'portal pages have changed or are unavailable'}`);
+            diagnosis.checks.forEach(check => {
+                const icon = check.ok ? '✅' : (check.skipped ? '⏭️ ' : '❌');
+                console.log(`   ${icon} ${DOCTOR_CHECKS[check.name] || check.name}: ${check.message}${check.code ? ` [${check.code}]` : ''}`);
+                if (check.code && PORTAL_ERROR_CODES[check.code]) {
+                    console.log(`      ${PORTAL_ERROR_CODES[check.code]}`);
                 }
+            });
+            if (diagnosis.bundle) {
+                console.log(`   📁 ${diagnosis.bundle}`);
             }
         });
+    }
 
-        console.log(`✅ Found ${links.length} documents:`);
-        links.forEach((linkObj, index) => {
-            console.log(`${index + 1}. ${linkObj.url} - ${linkObj.title}`);
-        });
+    const passed = diagnoses.filter(diagnosis => diagnosis.ok).length;
+    if (passed === diagnoses.length) {
+        return EXIT_CODES.success;
+    }
+    return passed > 0 ? EXIT_CODES.partial : EXIT_CODES.failed;
+}
 
-        // Save debug info about the links
-        const linkTexts = links.map(l => `${l.url} - ${l.title}`);
-        fs.writeFileSync('debug-links.txt', linkTexts.join('\n'));
-        console.log("📄 Links saved to 'debug-links.txt'");
+const runStartedAt = new Date();
 
-        // Download all documents
-        await downloadAllDocuments(links);
+if (timelineMode) {
+    process.exit(await runTimeline(uniqueApplicationIds));
+}
+
+if (doctorMode) {
+    process.exit(await runDoctor(uniqueApplicationIds));
+}
 
-    } catch (err) {
-        console.error('❌ Error:', err.message);
+let appIdsToScrape = uniqueApplicationIds;
+if (discoverMode) {
+    appIdsToScrape = await runDiscover();
+    if (!discoverDownload || appIdsToScrape.length === 0) {
+        process.exit(EXIT_CODES.success);
     }
+    logger.info(`\n🚀 Downloading documents for ${appIdsToScrape.length} discovered application${appIdsToScrape.length === 1 ? '' : 's'}`);
+}
+
+if (listMode) {
+    process.exit(await runList(appIdsToScrape));
 }
 
-acceptDisclaimerAndGetDocs(applicationId);
\ No newline at end of file
+(watchMode ? runWatch(appIdsToScrape) : runBatch(appIdsToScrape)).then(results => {
+    if (results) {
+        process.exitCode = finishRun(results);
+    }
+}).catch(error => {
+    // e.g. a --report= path that cannot be written
+    logger.error(`❌ ${error.message}`, { errorCategory: categorizeError(error) });
+    process.exitCode = EXIT_CODES.error;
+}).finally(() => {
+    if (textIndex) {
+        textIndex.close();
+    }
+    if (catalogue) {
+        catalogue.close();
+    }
+});
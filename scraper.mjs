@@ -0,0 +1,1317 @@
+/**
+ * Planning Scraper Core
+ * Lists, downloads and stores planning documents for one council portal.
+ * Used by the CLI in scrape.mjs and importable from other Node services.
+ */
+
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import path from 'path';
+import { StorageSet, selectStorageSpecs } from './storage/index.mjs';
+import { updateManifest, saveMetadataFile } from './manifest.mjs';
+import { parseApplicationDetails } from './application-details.mjs';
+import { getAdapter, listCouncils, DEFAULT_COUNCIL } from './adapters/index.mjs';
+import { createClassifier } from './classifier.mjs';
+import { diffListing, hasChanges } from './watch.mjs';
+import { RateLimiter, withRetry, isRetryableError, mapWithConcurrency } from './throttle.mjs';
+import { logger } from './logger.mjs';
+import { categorizeError, buildRunReport } from './run-report.mjs';
+import { loadFailures, updateFailures } from './failures.mjs';
+import { normaliseCriteria, splitIntoWeeks, matchesCriteria } from './discover.mjs';
+import { extractDecision, updateDecisions } from './decisions.mjs';
+import { buildTimeline, timelineToMarkdown, TIMELINE_FILENAME, TIMELINE_MARKDOWN_FILENAME } from './timeline.mjs';
+import { detectFileType, findIntegrityProblem, convertFileToPdf, replaceExtension, CONVERTIBLE_TYPES } from './file-type.mjs';
+import { readHead, readToEnd, readFileHead, spoolDownload } from './download-stream.mjs';
+import { createBrowserFetcher } from './browser-fetcher.mjs';
+import { normaliseFilters, hasFilters, describeFilters, filterDocuments } from './document-filters.mjs';
+import { HttpClient, getSessionFile } from './http-client.mjs';
+import { Diagnostics } from './diagnostics.mjs';
+
+/**
+ * Build the filename a document is saved under
+ * @param {string} url - ViewFiles URL
+ * @param {string} docTitle - Document title from the file list
+ * @returns {string} Filename
+ */
+export function getFilenameFromUrl(url, docTitle = '') {
+    // Extract document ID from URL
+    const docidMatch = url.match(/docid=(\d+)/);
+
+    if (docidMatch) {
+        const docid = docidMatch[1];
+
+        // Clean the document title if provided
+        if (docTitle && docTitle.trim()) {
+            const cleanTitle = docTitle.trim()
+                .replace(/[<>:"/\\|?*]/g, '_') // Replace invalid filename chars
+                .replace(/\s+/g, '_') // Replace spaces with underscores
+                .substring(0, 100); // Limit length
+
+            return `${docid}_${cleanTitle}.pdf`;
+        }
+
+        // Fallback to just docid
+        return `document_${docid}.pdf`;
+    }
+
+    // Final fallback
+    const timestamp = Date.now();
+    const random = Math.random().toString(36).substr(2, 9);
+    return `document_${timestamp}_${random}.pdf`;
+}
+
+/**
+ * Get the docid a stored file was saved under
+ * @param {string} filename - Filename from getFilenameFromUrl, optionally under a category folder
+ * @returns {string|null} Document ID, or null for timestamp fallback names
+ */
+export function getDocidFromFilename(filename) {
+    const match = path.basename(filename).match(/^(?:document_)?(\d+)(?:_|\.)/);
+    return match ? match[1] : null;
+}
+
+/**
+ * Get the year an application was lodged, for {year} in key templates
+ * @param {Object} details - Parsed planning register details
+ * @returns {string} Four digit year, or "unknown"
+ */
+function getApplicationYear(details = {}) {
+    if (details.receivedDate) {
+        return details.receivedDate.slice(0, 4);
+    }
+    // References start with a two digit year, e.g. "24/2461047"
+    const referenceMatch = (details.reference || '').match(/^(\d{2})\//);
+    return referenceMatch ? `20${referenceMatch[1]}` : 'unknown';
+}
+
+// When to download documents with headless Chromium
+export const BROWSER_MODES = ['fallback', 'always', 'off'];
+
+// Failures of the HTML chain that a real browser may get past
+const BROWSER_FALLBACK_CATEGORIES = ['portal-page', 'not-pdf'];
+
+/**
+ * Build the error for a portal that sent a web page instead of the document
+ * @param {Buffer} responseData - Page content
+ * @returns {Error} Error with category and page snapshot
+ */
+function notPdfError(responseData) {
+    return Object.assign(new Error('Still receiving HTML instead of PDF content after multiple redirects'), {
+        code: 'PORTAL_NOT_DOCUMENT',
+        category: 'not-pdf',
+        artifact: { name: 'final-response', content: responseData.toString() }
+    });
+}
+
+export class PlanningScraper extends EventEmitter {
+    /**
+     * @param {Object} options - Scraper settings
+     * @param {string} options.council - Council adapter ID (default: meath)
+     * @param {PortalAdapter} options.adapter - Adapter to use instead of a registered council, e.g. for a test portal
+     * @param {string|Array|StorageSet} options.storage - Backend names ("local", "s3", "local,s3" or "both"),
+     *        an array of backend specs or instances, or a StorageSet (default: local)
+     * @param {Object} options.s3 - { bucket, region, prefix, endpoint, forcePathStyle } for the named "s3" backend
+     * @param {string} options.keyTemplate - Key template for backends without their own
+     * @param {number} options.concurrency - Documents downloaded in parallel (default: 3)
+     * @param {number} options.requestsPerSecond - Portal request rate, 0 = unlimited (default: 2)
+     * @param {number} options.retries - Retries for transient failures (default: 3)
+     * @param {Object[]} options.categoryRules - Classification rules checked before the defaults
+     * @param {TextIndex} options.textIndex - Full-text index to add downloaded PDFs to
+     * @param {Catalogue} options.catalogue - Catalogue to record applications, documents and runs in
+     * @param {string} options.outputDir - Root folder of the named "local" backend (default: .)
+     * @param {boolean} options.debugFiles - Write debug-links.txt with every listed document (default: false)
+     * @param {boolean} options.convertToPdf - Convert DjVu files and images to PDF, needs ddjvu/img2pdf (default: false)
+     * @param {boolean} options.extractDecisions - Extract outcomes, conditions and contributions from decision PDFs (default: true)
+     * @param {string} options.browser - Headless browser downloads: "fallback" when the HTML chain fails, "always" or "off" (default: fallback)
+     * @param {Object} options.browserOptions - { launchOptions, timeout } for the browser fetcher
+     * @param {Object} options.browserFetcher - Fetcher to use instead of Puppeteer ({ fetchDocument(appId, linkObj), close() })
+     * @param {Object} options.httpOptions - { userAgent, timeout, downloadTimeout, proxy, sessionFile, sessionTtl, cacheDir,
+     *        cacheTtl, conditional } for the HTTP client (see HttpClient), where sessionDir may be given instead of
+     *        sessionFile to keep the session in <sessionDir>/<council>.json
+     * @param {string|null} options.diagnosticsDir - Folder to write a diagnostics bundle to for each run that fails (default: none)
+     */
+    constructor(options = {}) {
+        super();
+
+        const {
+            council = DEFAULT_COUNCIL,
+            adapter = null,
+            storage = 'local',
+            s3 = {},
+            keyTemplate,
+            concurrency = 3,
+            requestsPerSecond = 2,
+            retries = 3,
+            categoryRules = [],
+            textIndex = null,
+            catalogue = null,
+            outputDir = '.',
+            debugFiles = false,
+            convertToPdf = false,
+            extractDecisions = true,
+            browser = 'fallback',
+            browserOptions = {},
+            browserFetcher = null,
+            httpOptions = {},
+            diagnosticsDir = null
+        } = options;
+
+        if (!BROWSER_MODES.includes(browser)) {
+            throw new Error(`Unknown browser mode: ${browser} (valid: ${BROWSER_MODES.join(', ')})`);
+        }
+
+        this.adapter = adapter || getAdapter(council);
+        if (!this.adapter) {
+            throw new Error(`Unsupported council: ${council} (supported: ${listCouncils().join(', ')})`);
+        }
+
+        if (storage instanceof StorageSet) {
+            this.storage = storage;
+        } else if (Array.isArray(storage) && storage.every(spec => typeof spec === 'object')) {
+            this.storage = new StorageSet(storage, { keyTemplate });
+        } else {
+            const namedSpecs = {
+                local: { type: 'local', name: 'local', root: outputDir },
+                s3: { type: 's3', name: 's3', ...s3 }
+            };
+            this.storage = new StorageSet(selectStorageSpecs(storage, namedSpecs), { keyTemplate });
+        }
+
+        this.concurrency = Math.max(1, Math.floor(concurrency));
+        this.requestsPerSecond = requestsPerSecond;
+        this.retries = retries;
+        this.classifier = createClassifier(categoryRules);
+        this.textIndex = textIndex;
+        this.catalogue = catalogue;
+        this.debugFiles = debugFiles;
+        this.convertToPdf = convertToPdf;
+        this.extractDecisions = extractDecisions;
+        this.browser = browser;
+        this.browserOptions = browserOptions;
+        // Started on first use and closed after each application's downloads
+        this.browserFetcher = browserFetcher;
+
+        // Requests, parser decisions and failures of the current run, written out when it fails
+        this.diagnosticsDir = diagnosticsDir;
+        this.diagnostics = new Diagnostics();
+
+        // Each scraper keeps its own portal session, saved between runs when it has a session file
+        const { sessionDir = null, ...clientOptions } = httpOptions;
+        this.httpClient = new HttpClient({
+            ...clientOptions,
+            sessionFile: clientOptions.sessionFile ?? (sessionDir ? getSessionFile(this.adapter.id, sessionDir) : null),
+            isTermsPage: this.adapter.isTermsPage,
+            onExchange: exchange => this.diagnostics.recordExchange(exchange)
+        });
+        // Disclaimer acceptance in progress after the portal bounced a request back to it
+        this.termsRenewal = null;
+
+        // One limiter for every hop (disclaimer, ViewFiles, ViewPdf, final PDF) across all workers
+        this.rateLimiter = new RateLimiter(requestsPerSecond);
+
+        // HTTP helper handed to portal adapters
+        this.http = this.createHttp();
+    }
+
+    /**
+     * Create an HTTP helper ({ get, post, trace }) for portal adapters
+     * Given an application ID, a request the portal bounces back to its disclaimer is sent again
+     * once the disclaimer has been accepted for that application. trace(step, message, data) records
+     * a parser decision for the diagnostics bundle.
+     * @param {Object|null} tracking - Object whose retries count is increased on every retry
+     * @param {string|null} appId - Application the requests are made for
+     * @returns {Object} HTTP helper
+     */
+    createHttp(tracking = null, appId = null) {
+        const { httpClient } = this;
+        // Streamed error responses are never read, so close them rather than hold their connections open
+        const closeErrorBody = error => {
+            error.response?.data?.destroy?.();
+            throw error;
+        };
+        const send = async sendRequest => {
+            const response = await this.request(sendRequest, tracking);
+            if (!appId || !this.adapter.isTermsPage?.(response)) {
+                return response;
+            }
+            response.data?.destroy?.();
+            await this.renewTerms(appId);
+            return this.request(sendRequest, tracking);
+        };
+        return {
+            // Fresh cached pages skip the rate limiter, as the portal is not asked
+            get: (url, config) => Promise.resolve(httpClient.lookup(url, config)
+                || send(() => httpClient.get(url, config).catch(closeErrorBody))),
+            post: (url, data, config) => send(() => httpClient.post(url, data, config)),
+            trace: (step, message, data) => this.diagnostics.recordDecision(step, message, data)
+        };
+    }
+
+    /**
+     * Accept the disclaimer again after the portal bounced a request back to it
+     * Workers bounced at the same time share one acceptance.
+     * @param {string} appId - The planning application ID
+     * @returns {Promise<Object>} Result of the adapter's acceptTerms
+     */
+    renewTerms(appId) {
+        if (!this.termsRenewal) {
+            logger.warn('🔁 Portal session expired, accepting the disclaimer again', { applicationId: appId });
+            this.termsRenewal = this.adapter.acceptTerms(this.http, appId).finally(() => {
+                this.termsRenewal = null;
+            });
+        }
+        return this.termsRenewal;
+    }
+
+    /**
+     * Emit a progress event both under its own name and as a generic "progress" event
+     * @param {string} type - Event name, e.g. "document:complete"
+     * @param {Object} data - Event data
+     */
+    emitProgress(type, data) {
+        this.emit(type, data);
+        this.emit('progress', { type, ...data });
+    }
+
+    /**
+     * Record something in the catalogue, if there is one
+     * A catalogue that cannot be written is reported but never fails the scrape.
+     * @param {Function} update - Called with the catalogue
+     * @returns {*} What update returned, or null
+     */
+    updateCatalogue(update) {
+        if (!this.catalogue) {
+            return null;
+        }
+        try {
+            return update(this.catalogue);
+        } catch (error) {
+            logger.warn(`⚠️  Catalogue update failed: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Send a portal request through the shared rate limiter, retrying transient failures
+     * @param {Function} sendRequest - Function that issues the axios request
+     * @param {Object|null} tracking - Object whose retries count is increased on every retry
+     * @returns {Promise<Object>} Axios response
+     */
+    request(sendRequest, tracking = null) {
+        return withRetry(() => this.rateLimiter.schedule(sendRequest), {
+            retries: this.retries,
+            rateLimiter: this.rateLimiter,
+            onRetry: this.createRetryLogger(tracking)
+        });
+    }
+
+    /**
+     * Create the onRetry callback that logs, counts and reports each retry
+     * @param {Object|null} tracking - Object whose retries count is increased on every retry
+     * @param {string|null} url - URL retried, when the error does not carry its request config
+     * @returns {Function} (error, attempt, delay) callback for withRetry
+     */
+    createRetryLogger(tracking = null, url = null) {
+        return (error, attempt, delay) => {
+            const reason = error.response ? `HTTP ${error.response.status}` : (error.code || error.message);
+            const retryUrl = error.config?.url || url;
+            if (tracking) tracking.retries++;
+            logger.warn(`🔁 Retry ${attempt}/${this.retries} in ${(delay / 1000).toFixed(1)}s (${reason})`, { attempt, delay, reason, url: retryUrl });
+            this.emitProgress('retry', { attempt, delay, reason, url: retryUrl });
+        };
+    }
+
+    /**
+     * Get the key template values identifying an application
+     * @param {string} appId - The planning application ID
+     * @param {Object} details - Parsed planning register details
+     * @returns {Object} { council, appId, year }
+     */
+    getApplicationValues(appId, details) {
+        return { council: this.adapter.id, appId, year: getApplicationYear(details) };
+    }
+
+    /**
+     * Get the key template values for one document
+     * @param {Object} application - Result of getApplicationValues
+     * @param {Object} linkObj - Document from the file list
+     * @param {string} ext - Extension of the file as downloaded, replacing the one in the URL
+     * @returns {Object} Application values plus { category, docid, filename, title, ext }
+     */
+    getDocumentValues(application, linkObj, ext = null) {
+        const urlFilename = getFilenameFromUrl(linkObj.url, linkObj.title);
+        const filename = ext ? replaceExtension(urlFilename, ext) : urlFilename;
+        return {
+            ...application,
+            category: linkObj.category,
+            docid: linkObj.docid,
+            filename,
+            title: (linkObj.title || '').trim().replace(/\s+/g, '_').substring(0, 100) || linkObj.docid,
+            ext: path.extname(filename).slice(1)
+        };
+    }
+
+    /**
+     * Fetch a document through the portal's ViewFiles and ViewPdf pages
+     * @param {Object} linkObj - Document from the file list
+     * @param {Object} http - HTTP helper for this document
+     * @param {Object} progress - { stage } updated as the document moves on
+     * @returns {Promise<Object>} { stream, headers, finalUrl }
+     */
+    async fetchWithHttp(linkObj, http, progress) {
+        const download = {
+            timeout: this.httpClient.downloadTimeout,
+            headers: {
+                'Accept': 'application/pdf,*/*',
+                'Accept-Encoding': 'identity'
+            }
+        };
+
+        // Let the council's adapter resolve the ViewFiles page to the real file URL
+        const { url: finalPdfUrl, referer, response } = await this.adapter.resolveFileUrl(http, linkObj.url, download);
+        progress.stage = 'download';
+
+        logger.debug(`📥 Downloading final PDF: ${finalPdfUrl}`);
+
+        // Stream the actual file, so large drawing sets are never held in memory
+        // The adapter has already opened it when the document page pointed straight at the file
+        const finalPdfResponse = response || await http.get(finalPdfUrl, {
+            ...download,
+            responseType: 'stream',
+            headers: { ...download.headers, 'Referer': referer }
+        });
+
+        // Check the final response
+        logger.debug(`📄 Final Content-Type: ${finalPdfResponse.headers['content-type']}`);
+        logger.debug(`📄 Final Content-Length: ${finalPdfResponse.headers['content-length']}`);
+
+        return { stream: finalPdfResponse.data, headers: finalPdfResponse.headers, finalUrl: finalPdfUrl };
+    }
+
+    /**
+     * Fetch a document with headless Chromium, which accepts the disclaimer and opens the ViewFiles page itself
+     * @param {Object} linkObj - Document from the file list
+     * @param {Object} application - Result of getApplicationValues
+     * @returns {Promise<Object>} { stream, headers, finalUrl, fetchedWith } where stream is the captured file content
+     */
+    async fetchWithBrowser(linkObj, application) {
+        if (!this.browserFetcher) {
+            const { userAgent, proxy } = this.httpClient;
+            this.browserFetcher = createBrowserFetcher({ adapter: this.adapter, userAgent, proxy, ...this.browserOptions });
+        }
+
+        // The browser's page loads count as one portal request
+        const { url, body, contentType } = await this.rateLimiter.schedule(() =>
+            this.browserFetcher.fetchDocument(application.appId, linkObj));
+        logger.info(`🌐 Fetched with headless browser: ${url}`, { docid: linkObj.docid });
+
+        return {
+            stream: body,
+            headers: { 'content-type': contentType, 'content-length': String(body.length) },
+            finalUrl: url,
+            fetchedWith: 'browser'
+        };
+    }
+
+    /**
+     * Read the start of a fetched document and work out what the portal actually sent
+     * @param {Object} fetched - Result of fetchWithHttp or fetchWithBrowser
+     * @param {Object} progress - { stage } updated as the document moves on
+     * @returns {Promise<Object>} The fetched document plus { source, fileType }, where source streams the content
+     * @throws {Error} In the "not-pdf" category, with a snapshot, when the portal sent a web page
+     */
+    async openDownload(fetched, progress) {
+        const source = await readHead(fetched.stream);
+        const fileType = detectFileType(source.head, fetched.headers);
+        logger.debug(`🔍 Detected type: ${fileType.ext} (${fileType.detectedBy})`);
+
+        if (fileType.ext === 'html') {
+            progress.stage = 'validation';
+            logger.warn(`⚠️  Still got HTML response instead of PDF`, { url: fetched.finalUrl });
+            throw notPdfError(await readToEnd(source));
+        }
+
+        return { ...fetched, source, fileType };
+    }
+
+    /**
+     * Fetch a document over HTTP, falling back to the browser when the portal pages cannot be followed
+     * @param {Object} linkObj - Document from the file list
+     * @param {Object} application - Result of getApplicationValues
+     * @param {Object} http - HTTP helper for this document
+     * @param {Object} progress - { stage } updated as the document moves on
+     * @returns {Promise<Object>} { source, fileType, headers, finalUrl, fetchedWith? } (see openDownload)
+     */
+    async fetchDocument(linkObj, application, http, progress) {
+        if (this.browser === 'always') {
+            progress.stage = 'browser';
+            return this.openDownload(await this.fetchWithBrowser(linkObj, application), progress);
+        }
+
+        try {
+            return await this.openDownload(await this.fetchWithHttp(linkObj, http, progress), progress);
+        } catch (error) {
+            if (this.browser !== 'fallback' || !BROWSER_FALLBACK_CATEGORIES.includes(categorizeError(error))) {
+                throw error;
+            }
+
+            error.stage = error.stage || progress.stage;
+            logger.warn(`🌐 ${error.message}, trying a headless browser`, { docid: linkObj.docid, stage: error.stage });
+            try {
+                return await this.openDownload(await this.fetchWithBrowser(linkObj, application), progress);
+            } catch (browserError) {
+                // Keep the portal page failure, which has the page snapshot, and say the browser failed too
+                error.message = `${error.message} (browser fallback failed: ${browserError.message.split('\n')[0]})`;
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Close the headless browser, if one was started
+     */
+    async closeBrowser() {
+        if (this.browserFetcher) {
+            await this.browserFetcher.close().catch(error =>
+                logger.warn(`⚠️  Could not close the headless browser: ${error.message}`));
+        }
+    }
+
+    /**
+     * Download one document and store it in every backend
+     * The file streams to a temporary file and every backend at once, and is only committed
+     * once it has arrived complete, so memory use does not grow with the size of the document.
+     * @param {Object} linkObj - Document from the file list
+     * @param {number} index - Position in the download, from 1
+     * @param {number} total - Number of documents being downloaded
+     * @param {Object} application - Result of getApplicationValues
+     * @returns {Promise<Object>} Manifest record, plus the retry count and readContent() and discardContent()
+     *          for the temporary copy of the file
+     * @throws {Error} With stage (see FAILURE_STAGES), retries and, for unparsable pages, an artifact
+     */
+    async downloadFile(linkObj, index, total, application) {
+        const { url } = linkObj;
+        const { filename } = this.getDocumentValues(application, linkObj);
+        // Retries of every request made for this document
+        const tracking = { retries: 0 };
+        const http = this.createHttp(tracking, application.appId);
+        // How far the document got, recorded with failures
+        const progress = { stage: 'viewfiles' };
+        // Uncommitted storage and the temporary copy, thrown away if the document fails
+        let writer = null;
+        let spooled = null;
+
+        try {
+            logger.info(`📥 Downloading ${index}/${total}: ${filename}`, { applicationId: application.appId, docid: linkObj.docid });
+            logger.debug(`🔗 ViewFiles URL: ${url}`);
+
+            const metadata = {
+                'application-id': application.appId,
+                'council': application.council,
+                'category': linkObj.category
+            };
+            let download;
+            ({ download, writer, spooled } = await this.spoolDocument(linkObj, application, http, progress, tracking, metadata));
+            const { fileType } = download;
+            const converting = !writer;
+            let storedType = fileType;
+
+            progress.stage = 'validation';
+            const integrityProblem = findIntegrityProblem(spooled, fileType.ext, download.headers);
+            if (integrityProblem) {
+                throw Object.assign(new Error(integrityProblem), { category: 'truncated' });
+            }
+
+            let convertedFrom = null;
+            if (converting) {
+                const convertedPath = `${spooled.path}.pdf`;
+                try {
+                    await convertFileToPdf(spooled.path, fileType.ext, convertedPath);
+                    storedType = { ext: 'pdf', contentType: 'application/pdf' };
+                    convertedFrom = fileType.ext;
+                    logger.info(`🔄 Converted ${fileType.ext} to PDF: ${filename}`);
+                } catch (error) {
+                    logger.warn(`⚠️  Could not convert ${fileType.ext} to PDF, keeping the original: ${error.message}`, { docid: linkObj.docid });
+                }
+
+                progress.stage = 'storage';
+                writer = this.storage.openDocument(this.getDocumentValues(application, linkObj, storedType.ext), metadata, storedType.contentType);
+                const original = spooled;
+                spooled = await spoolDownload(await readFileHead(convertedFrom ? convertedPath : original.path), writer);
+                await original.discard();
+            }
+
+            // Rename into place and complete uploads, under the key from each backend's template with the real extension
+            progress.stage = 'storage';
+            const storedValues = this.getDocumentValues(application, linkObj, storedType.ext);
+            const { locations, localPath } = await writer.commit();
+            writer = null;
+            logger.info(`✅ Saved: ${storedValues.filename} (${spooled.size} bytes)`, { applicationId: application.appId, docid: linkObj.docid, bytes: spooled.size });
+
+            // Record for the application manifest
+            return {
+                viewFilesUrl: url,
+                finalUrl: download.finalUrl,
+                ...(download.fetchedWith ? { fetchedWith: download.fetchedWith } : {}),
+                filename: storedValues.filename,
+                size: spooled.size,
+                sha256: spooled.sha256,
+                contentType: storedType.contentType,
+                ...(convertedFrom ? { convertedFrom } : {}),
+                downloadedAt: new Date().toISOString(),
+                localPath,
+                storage: locations,
+                // Handed to the text index, decision extraction and the run report, not written to the manifest
+                readContent: spooled.read,
+                discardContent: spooled.discard,
+                retries: tracking.retries
+            };
+
+        } catch (error) {
+            await writer?.abort();
+            await spooled?.discard();
+
+            error.retries = tracking.retries;
+            error.stage = error.stage || progress.stage;
+            logger.error(`❌ Failed to download ${filename} (${error.stage}): ${error.message}`, {
+                applicationId: application.appId,
+                docid: linkObj.docid,
+                errorCategory: categorizeError(error),
+                stage: error.stage,
+                status: error.response?.status
+            });
+            if (error.response) {
+                logger.debug(`❌ Status: ${error.response.status}, headers: ${JSON.stringify(error.response.headers)}`);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Fetch a document and copy it to a temporary file and, unless it is converted first, into storage
+     * A connection that drops or times out while the file is arriving is retried like a failed request:
+     * storage is aborted, the partial copy thrown away and the document fetched again from its ViewFiles page.
+     * @param {Object} linkObj - Document from the file list
+     * @param {Object} application - Result of getApplicationValues
+     * @param {Object} http - HTTP helper for this document
+     * @param {Object} progress - { stage } updated as the document moves on
+     * @param {Object} tracking - Object whose retries count is increased on every retry
+     * @param {Object} metadata - Storage metadata for the document
+     * @returns {Promise<Object>} { download, writer, spooled } where writer is null for a file to convert
+     */
+    async spoolDocument(linkObj, application, http, progress, tracking, metadata) {
+        // Requests retry their own failures, so only failures while the file arrives are retried here
+        let arriving = false;
+
+        return withRetry(async () => {
+            let writer = null;
+            arriving = false;
+            progress.stage = 'viewfiles';
+            try {
+                const download = await this.fetchDocument(linkObj, application, http, progress);
+                const { fileType } = download;
+
+                // DjVu files and scans to convert are stored after conversion; everything else streams straight into storage
+                if (!this.convertToPdf || !CONVERTIBLE_TYPES.includes(fileType.ext)) {
+                    if (fileType.ext !== 'pdf') {
+                        logger.info(`📎 Not a PDF: saving as .${fileType.ext} (${fileType.contentType})`, { docid: linkObj.docid });
+                    }
+                    writer = this.storage.openDocument(this.getDocumentValues(application, linkObj, fileType.ext), metadata, fileType.contentType);
+                }
+
+                progress.stage = 'download';
+                arriving = true;
+                const spooled = await spoolDownload(download.source, writer);
+                return { download, writer, spooled };
+            } catch (error) {
+                await writer?.abort();
+                throw error;
+            }
+        }, {
+            retries: this.retries,
+            rateLimiter: this.rateLimiter,
+            isRetryable: error => arriving && isRetryableError(error),
+            onRetry: this.createRetryLogger(tracking, linkObj.url)
+        });
+    }
+
+    /**
+     * Work out which listed documents are new, unchanged or missing from the portal
+     * A document is unchanged only when every storage backend holds it, either under the
+     * key its template gives now or under any key whose filename starts with its docid.
+     * @param {Object[]} links - Documents from the file list
+     * @param {Object} application - Result of getApplicationValues
+     * @returns {Promise<Object>} { newLinks, unchanged, missing }
+     */
+    async planSync(links, application) {
+        const listings = (await this.storage.listApplication(application)).map(({ backend, keys }) => ({
+            backend,
+            keys: new Set(keys),
+            docids: new Set(keys.map(getDocidFromFilename).filter(Boolean))
+        }));
+
+        const isStored = linkObj => listings.every(({ backend, keys, docids }) =>
+            docids.has(linkObj.docid) || keys.has(backend.getDocumentKey(this.getDocumentValues(application, linkObj))));
+        const listedDocids = new Set(links.map(linkObj => linkObj.docid));
+
+        const newLinks = links.filter(linkObj => !isStored(linkObj));
+        const unchanged = links.filter(linkObj => isStored(linkObj));
+
+        // Stored documents the portal no longer lists
+        const storedDocids = new Set(listings.flatMap(listing => [...listing.docids]));
+        const missing = [...storedDocids].filter(docid => !listedDocids.has(docid));
+
+        return { newLinks, unchanged, missing };
+    }
+
+    /**
+     * Add a downloaded document to the full-text index
+     * Indexing problems are reported but never fail the download.
+     * @param {Object} document - Manifest record for the document
+     * @param {Function} readContent - Async function returning the document content, only called when it needs indexing
+     * @param {Object} application - Result of getApplicationValues
+     */
+    async indexDocument(document, readContent, application) {
+        try {
+            const outcome = await this.textIndex.indexDocument({
+                council: application.council,
+                applicationId: application.appId,
+                docid: document.docid,
+                title: document.title,
+                category: document.category,
+                sha256: document.sha256,
+                location: document.localPath || Object.values(document.storage)[0]
+            }, readContent);
+            if (outcome === 'indexed') {
+                logger.info(`🔎 Indexed text: ${document.filename}`);
+            }
+        } catch (error) {
+            logger.warn(`⚠️  Text extraction failed for ${document.filename}: ${error.message}`, { docid: document.docid });
+        }
+    }
+
+    /**
+     * Extract the outcome, conditions and financial contributions from a downloaded decision document
+     * Extraction problems are reported but never fail the download.
+     * @param {Object} document - Manifest record for the document
+     * @param {Function} readContent - Async function returning the document content
+     * @param {Object} application - Result of getApplicationValues
+     * @returns {Promise<Object|null>} Entry for decisions.json, or null if the text could not be read
+     */
+    async extractDecisionDetails(document, readContent, application) {
+        try {
+            const decision = await extractDecision(await readContent());
+            const contributionPart = decision.contributions.length > 0 ? `, ${decision.contributions.length} financial` : '';
+            logger.info(`📜 ${document.filename}: ${decision.outcomeText || 'outcome not found'}, ${decision.conditions.length} conditions${contributionPart}`,
+                { applicationId: application.appId, docid: document.docid });
+
+            const entry = { docid: document.docid, title: document.title, filename: document.filename, ...decision };
+            this.emitProgress('decision', { applicationId: application.appId, decision: entry });
+            return entry;
+        } catch (error) {
+            logger.warn(`⚠️  Decision extraction failed for ${document.filename}: ${error.message}`, { docid: document.docid });
+        }
+
+        return null;
+    }
+
+    /**
+     * Download documents with bounded concurrency
+     * @param {Object[]} links - Documents to download
+     * @param {Object} application - Result of getApplicationValues
+     * @returns {Promise<Object>} { successCount, failCount, documents, failures, outcomes, decisions } where
+     *          outcomes has the status, bytes, duration, retries and error category of each document
+     */
+    async downloadAllDocuments(links, application) {
+        const applicationId = application.appId;
+        if (links.length === 0) {
+            logger.warn('⚠️  No documents found to download.', { applicationId });
+            return { successCount: 0, failCount: 0, documents: [], failures: [], outcomes: [], decisions: [] };
+        }
+
+        logger.info(`\n🚀 Starting download of ${links.length} documents (concurrency ${this.concurrency}, ${this.requestsPerSecond || 'unlimited'} req/s)...\n`);
+
+        let successCount = 0;
+        let failCount = 0;
+        const documents = [];
+        const failures = [];
+        const outcomes = new Array(links.length);
+        const decisions = [];
+
+        // Pacing between requests is handled by the shared rate limiter
+        await mapWithConcurrency(links, this.concurrency, async (linkObj, i) => {
+            this.emitProgress('document:start', { applicationId, docid: linkObj.docid, title: linkObj.title, index: i + 1, total: links.length });
+            const startedAt = Date.now();
+            const outcome = { docid: linkObj.docid, title: linkObj.title, category: linkObj.category };
+
+            try {
+                const { readContent, discardContent, retries, ...record } = await this.downloadFile(linkObj, i + 1, links.length, application);
+                const document = { docid: linkObj.docid, title: linkObj.title, category: linkObj.category, date: linkObj.date ?? null, ...record };
+                documents.push(document);
+                successCount++;
+                this.updateCatalogue(catalogue => catalogue.recordDownload(application.council, applicationId, document));
+                outcomes[i] = { ...outcome, status: 'downloaded', bytes: record.size, durationMs: Date.now() - startedAt, retries };
+
+                // Only these read the whole file, from its temporary copy
+                try {
+                    if (this.textIndex) {
+                        await this.indexDocument(document, readContent, application);
+                    }
+                    if (this.extractDecisions && document.category === 'decision' && document.contentType === 'application/pdf') {
+                        const decision = await this.extractDecisionDetails(document, readContent, application);
+                        if (decision) {
+                            decisions.push(decision);
+                        }
+                    }
+                } finally {
+                    await discardContent();
+                }
+                this.emitProgress('document:complete', { applicationId, document });
+            } catch (error) {
+                const errorCategory = categorizeError(error);
+                failCount++;
+                this.updateCatalogue(catalogue => catalogue.recordFailure(application.council, applicationId, {
+                    docid: linkObj.docid,
+                    title: linkObj.title,
+                    category: linkObj.category,
+                    error: error.message,
+                    errorCategory
+                }));
+                failures.push({
+                    docid: linkObj.docid,
+                    title: linkObj.title,
+                    category: linkObj.category,
+                    url: linkObj.url,
+                    stage: error.stage,
+                    error: error.message,
+                    errorCategory,
+                    errorCode: error.code ?? null,
+                    httpStatus: error.response?.status ?? null,
+                    artifact: error.artifact
+                });
+                this.diagnostics.recordProblem({ applicationId, docid: linkObj.docid, title: linkObj.title, stage: error.stage }, error);
+                outcomes[i] = {
+                    ...outcome,
+                    status: 'failed',
+                    bytes: 0,
+                    durationMs: Date.now() - startedAt,
+                    retries: error.retries || 0,
+                    errorCategory,
+                    errorCode: error.code ?? null,
+                    stage: error.stage,
+                    error: error.message
+                };
+                const retryNote = error.retries ? ` after ${error.retries} retries` : '';
+                logger.error(`❌ Failed to download file ${i + 1}${retryNote}: ${error.message}`, { applicationId, docid: linkObj.docid, errorCategory });
+                this.emitProgress('document:failed', { applicationId, docid: linkObj.docid, title: linkObj.title, error: error.message, errorCategory, errorCode: error.code ?? null, stage: error.stage });
+            }
+        });
+
+        logger.info(`\n📊 Download Summary (${this.storage.describe()}):`);
+        logger.info(`✅ Successfully downloaded: ${successCount} files`, { applicationId, downloaded: successCount });
+        logger.info(`❌ Failed downloads: ${failCount} files`, { applicationId, failed: failCount });
+
+        this.storage.printSummary(application);
+
+        return { successCount, failCount, documents, failures, outcomes, decisions };
+    }
+
+    /**
+     * Accept the disclaimer, then list and classify an application's documents
+     * @param {string} appId - The planning application ID
+     * @returns {Promise<Object>} { applicationId, council, details, documents }
+     */
+    async listDocuments(appId) {
+        const { adapter } = this;
+        const session = await adapter.acceptTerms(this.http, appId);
+        const { links, pages } = await adapter.listDocuments(this.http, appId, session);
+
+        // Planning register details are shown on the pages around the file list
+        const details = parseApplicationDetails(pages);
+        logger.info(`🏷️  ${details.reference || appId}: ${details.status || 'status unknown'}${details.decision ? ` - ${details.decision}` : ''}`);
+        if (details.address) {
+            logger.info(`📍 ${details.address}`);
+        }
+
+        links.forEach(linkObj => {
+            linkObj.category = this.classifier.classify(linkObj.title);
+        });
+
+        logger.info(`✅ Found ${links.length} documents:`, { applicationId: appId, found: links.length });
+        links.forEach((linkObj, index) => {
+            logger.debug(`${index + 1}. [${linkObj.category}] ${linkObj.url} - ${linkObj.title}`);
+        });
+
+        if (this.debugFiles) {
+            // Save debug info about the links
+            const linkTexts = links.map(l => `${l.url} - ${l.category} - ${l.title}`);
+            fs.writeFileSync('debug-links.txt', linkTexts.join('\n'));
+            logger.info("📄 Links saved to 'debug-links.txt'");
+        }
+
+        this.updateCatalogue(catalogue => catalogue.recordListing(adapter.id, appId, details, links));
+
+        this.emitProgress('listing', { applicationId: appId, details, documents: links });
+        return { applicationId: appId, council: adapter.id, details, documents: links };
+    }
+
+    /**
+     * Find applications in the council's register by date range, address keyword or decision
+     * The range is fetched a week at a time, like the register's weekly lists.
+     * @param {Object} criteria - { list, from, to, week, address, decision }, see normaliseCriteria
+     * @returns {Promise<Object[]>} Matching applications in register order, each listed once
+     */
+    async discoverApplications(criteria = {}) {
+        if (typeof this.adapter.searchApplications !== 'function') {
+            throw new Error(`${this.adapter.name} has no register search, so discover is not supported`);
+        }
+
+        const search = normaliseCriteria(criteria);
+        const found = new Map();
+
+        for (const week of splitIntoWeeks(search.from, search.to)) {
+            logger.info(`🔎 Searching ${search.list} applications ${week.from} to ${week.to}...`);
+            const applications = await this.adapter.searchApplications(this.http, { ...search, ...week });
+            applications
+                .filter(application => matchesCriteria(application, search) && !found.has(application.applicationId))
+                .forEach(application => found.set(application.applicationId, application));
+        }
+
+        const discovered = [...found.values()];
+        logger.info(`✅ Discovered ${discovered.length} application${discovered.length === 1 ? '' : 's'}`, { ...search, found: discovered.length });
+        this.emitProgress('discover', { criteria: search, applications: discovered });
+        return discovered;
+    }
+
+    /**
+     * Save application.json next to the application's documents
+     * @param {Object} application - Result of getApplicationValues
+     * @param {Object} details - Parsed planning register details
+     */
+    async saveApplicationDetails(application, details) {
+        await saveMetadataFile(this.storage, application, 'application.json', {
+            applicationId: application.appId,
+            council: this.adapter.id,
+            source: this.adapter.baseUrl,
+            scrapedAt: new Date().toISOString(),
+            ...details
+        });
+    }
+
+    /**
+     * Build the application's timeline from its file list and save it as timeline.json and timeline.md
+     * @param {Object} application - Result of getApplicationValues
+     * @param {Object} details - Parsed planning register details
+     * @param {Object[]} links - Listed documents, with their dates
+     * @returns {Promise<Object>} Timeline, see buildTimeline
+     */
+    async saveTimeline(application, details, links) {
+        const timeline = {
+            applicationId: application.appId,
+            council: this.adapter.id,
+            generatedAt: new Date().toISOString(),
+            ...buildTimeline(details, links)
+        };
+
+        await saveMetadataFile(this.storage, application, TIMELINE_FILENAME, timeline);
+        await this.storage.putMetadata(application, TIMELINE_MARKDOWN_FILENAME, Buffer.from(timelineToMarkdown(timeline)));
+        logger.debug(`🗓️  Timeline: ${timeline.events.length} events`, { applicationId: application.appId });
+
+        this.emitProgress('timeline', { applicationId: application.appId, timeline });
+        return timeline;
+    }
+
+    /**
+     * List an application's documents and build its timeline, without downloading anything
+     * @param {string} appId - The planning application ID
+     * @returns {Promise<Object>} Timeline with applicationId, council, events, durations and undated documents
+     */
+    async getTimeline(appId) {
+        const { details, documents: links } = await this.listDocuments(appId);
+        const application = this.getApplicationValues(appId, details);
+        await this.saveApplicationDetails(application, details);
+        return this.saveTimeline(application, details, links);
+    }
+
+    /**
+     * Download documents and record them in the application's manifest, failure queue and decisions
+     * @param {Object[]} links - Documents to download
+     * @param {Object} application - Result of getApplicationValues
+     * @returns {Promise<Object>} { successCount, failCount, documents, failures, outcomes, decisions }
+     */
+    async downloadAndRecord(links, application) {
+        let downloadResult;
+        try {
+            downloadResult = await this.downloadAllDocuments(links, application);
+        } finally {
+            await this.closeBrowser();
+        }
+
+        if (downloadResult.documents.length > 0) {
+            await updateManifest(this.storage, application, downloadResult.documents, {
+                source: this.adapter.baseUrl,
+                storage: this.storage.backends.map(backend => backend.name)
+            });
+        }
+
+        await updateFailures(this.storage, application, downloadResult);
+
+        if (downloadResult.decisions.length > 0) {
+            await updateDecisions(this.storage, application, downloadResult.decisions);
+        }
+
+        // Page snapshots are kept with the failure queue, not in results
+        downloadResult.failures = downloadResult.failures.map(({ artifact, ...failure }) => failure);
+        return downloadResult;
+    }
+
+    /**
+     * Check document filters, including that their categories are known
+     * @param {Object} filters - Filters as given to scrapeApplication
+     * @returns {Object} Result of normaliseFilters
+     */
+    checkFilters(filters = {}) {
+        const normalised = normaliseFilters(filters);
+        const unknown = (normalised.categories || []).filter(category => !this.classifier.categories.includes(category));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown category: ${unknown.join(', ')} (valid: ${this.classifier.categories.join(', ')})`);
+        }
+        return normalised;
+    }
+
+    /**
+     * Work out where each document would be stored, for a dry run
+     * Locations use the extension in the portal URL; a download may turn out to be another file type.
+     * @param {Object[]} links - Documents that would be downloaded
+     * @param {Object} application - Result of getApplicationValues
+     * @returns {Object[]} [{ docid, title, category, date, url, locations: { name: location } }]
+     */
+    planDownloads(links, application) {
+        logger.info(`\n🧪 Dry run: ${links.length} document${links.length === 1 ? '' : 's'} would be downloaded`);
+
+        return links.map(linkObj => {
+            const values = this.getDocumentValues(application, linkObj);
+            const locations = Object.fromEntries(this.storage.backends.map(backend => [backend.name, backend.describe(backend.getDocumentKey(values))]));
+
+            logger.info(`   📄 ${linkObj.docid} [${linkObj.category}] ${linkObj.title}`);
+            Object.entries(locations).forEach(([name, location]) => logger.info(`      → ${name}: ${location}`));
+
+            return { docid: linkObj.docid, title: linkObj.title, category: linkObj.category, date: linkObj.date ?? null, url: linkObj.url, locations };
+        });
+    }
+
+    /**
+     * Scrape one application: save its details and download its documents
+     * @param {string} appId - The planning application ID
+     * @param {Object} options - Per-run options
+     * @param {boolean} options.sync - Only download documents that are not already stored
+     * @param {boolean} options.retryFailed - Only download documents in the application's failure queue (sync is then ignored)
+     * @param {boolean} options.dryRun - Only work out which documents would be downloaded and where they would be stored;
+     *        nothing is downloaded or saved
+     * @param {Object} options.filters - Documents to include, see normaliseFilters:
+     *        { categories, includeTitle, excludeTitle, docids, sinceDocid, maxDocs }
+     * @returns {Promise<Object>} Result with counts, details, downloaded documents, per-document outcomes
+     *          and the details extracted from decision documents, or the planned documents of a dry run
+     */
+    async scrapeApplication(appId, options = {}) {
+        const { sync = false, retryFailed = false, dryRun = false } = options;
+        const filters = this.checkFilters(options.filters);
+
+        const result = {
+            applicationId: appId,
+            council: this.adapter.id,
+            found: 0,
+            successCount: 0,
+            failCount: 0,
+            documents: [],
+            failures: [],
+            outcomes: [],
+            decisions: [],
+            error: null,
+            errorCategory: null,
+            errorCode: null,
+            durationMs: 0
+        };
+        const startedAt = Date.now();
+
+        this.emitProgress('application:start', { applicationId: appId });
+
+        try {
+            const { details, documents: links } = await this.listDocuments(appId);
+            const application = this.getApplicationValues(appId, details);
+            if (!dryRun) {
+                await this.saveApplicationDetails(application, details);
+                await this.saveTimeline(application, details, links);
+            }
+            result.details = details;
+            result.found = links.length;
+
+            // Retry mode only fetches documents from the failure queue; sync mode only those not already stored
+            let linksToDownload = links;
+            if (retryFailed) {
+                const queue = await loadFailures(this.storage, application);
+                const queued = (queue?.documents || []).map(doc => doc.docid);
+                const listedDocids = new Set(links.map(linkObj => linkObj.docid));
+                const notListed = queued.filter(docid => !listedDocids.has(docid));
+                linksToDownload = links.filter(linkObj => queued.includes(linkObj.docid));
+                result.retry = { queued: queued.length, retrying: linksToDownload.length, notListed: notListed.length };
+
+                logger.info(`\n🔁 Retry: ${queued.length} failed documents queued, ${linksToDownload.length} still listed`);
+                notListed.forEach(docid => logger.warn(`   ❓ ${docid} - no longer listed by the portal, left in the queue`));
+
+                if (linksToDownload.length === 0) {
+                    logger.info('✅ No failed documents to retry.');
+                }
+            } else if (sync) {
+                const plan = await this.planSync(links, application);
+                result.sync = {
+                    new: plan.newLinks.length,
+                    unchanged: plan.unchanged.length,
+                    missing: plan.missing.length
+                };
+
+                logger.info(`\n🔄 Sync: ${result.sync.new} new, ${result.sync.unchanged} unchanged, ${result.sync.missing} missing from portal`);
+                plan.newLinks.forEach(linkObj => logger.info(`   ➕ ${linkObj.docid} - ${linkObj.title}`));
+                plan.missing.forEach(docid => logger.info(`   ❓ ${docid} - stored but no longer listed`));
+
+                linksToDownload = plan.newLinks;
+                if (linksToDownload.length === 0) {
+                    logger.info('✅ Application is up to date, nothing to download.');
+                }
+            }
+
+            if (hasFilters(filters) && linksToDownload.length > 0) {
+                linksToDownload = filterDocuments(linksToDownload, filters);
+                logger.info(`🏷️  Filters (${describeFilters(filters)}): ${linksToDownload.length} documents selected`);
+
+                if (linksToDownload.length === 0) {
+                    logger.info('✅ No documents match the filters, nothing to download.');
+                }
+            }
+
+            if (dryRun) {
+                result.plan = this.planDownloads(linksToDownload, application);
+            } else if (linksToDownload.length > 0 || (!sync && !retryFailed && !hasFilters(filters))) {
+                const { successCount, failCount, documents, failures, outcomes, decisions } = await this.downloadAndRecord(linksToDownload, application);
+                Object.assign(result, { successCount, failCount, documents, failures, outcomes, decisions });
+            }
+
+        } catch (err) {
+            result.error = err.message;
+            result.errorCategory = categorizeError(err);
+            result.errorCode = err.code ?? null;
+            this.diagnostics.recordProblem({ applicationId: appId, stage: err.stage || 'listing' }, err);
+            logger.error(`❌ Error: ${err.message}`, { applicationId: appId, errorCategory: result.errorCategory, errorCode: result.errorCode });
+        }
+
+        result.durationMs = Date.now() - startedAt;
+
+        this.emitProgress('application:complete', { applicationId: appId, result });
+        return result;
+    }
+
+    /**
+     * Scrape several applications in turn, sharing the portal session and storage clients
+     * The applications are recorded as one run in the catalogue, and a run that does not fully succeed
+     * leaves a diagnostics bundle when the scraper has a diagnostics folder.
+     * @param {string[]} appIds - Planning application IDs
+     * @param {Object} options - Per-run options, as for scrapeApplication
+     * @returns {Promise<Object[]>} Per-application results, with per-backend counters in result.storageStats
+     */
+    async scrapeApplications(appIds, options = {}) {
+        const results = [];
+        const startedAt = new Date();
+        const mode = options.dryRun ? 'dry-run' : (options.retryFailed ? 'retry-failed' : (options.sync ? 'sync' : 'scrape'));
+        this.diagnostics = new Diagnostics();
+        this.updateCatalogue(catalogue => catalogue.startRun({
+            council: this.adapter.id,
+            mode,
+            applicationIds: appIds
+        }));
+
+        for (let i = 0; i < appIds.length; i++) {
+            const appId = appIds[i];
+            if (appIds.length > 1) {
+                logger.info(`\n📋 Application ${i + 1}/${appIds.length}: ${appId}`);
+            }
+
+            // Per-application storage counters, so each summary only covers its own files
+            this.storage.resetStats();
+            const result = await this.scrapeApplication(appId, options);
+            result.storageStats = this.storage.getStats();
+
+            results.push(result);
+        }
+
+        const report = buildRunReport(results, { startedAt });
+        this.updateCatalogue(catalogue => catalogue.finishRun(report));
+        if (report.status !== 'success') {
+            this.writeDiagnostics({ mode, applicationIds: appIds, status: report.status, totals: report.totals });
+        }
+        return results;
+    }
+
+    /**
+     * Write the diagnostics bundle of the current run, if the scraper has a diagnostics folder
+     * @param {Object} summary - Run details for summary.json, e.g. { mode, applicationIds, status }
+     * @returns {string|null} Bundle folder, or null if none was written
+     */
+    writeDiagnostics(summary) {
+        if (!this.diagnosticsDir) {
+            return null;
+        }
+        try {
+            const bundleDir = this.diagnostics.writeBundle(this.diagnosticsDir, { council: this.adapter.id, ...summary });
+            logger.warn(`🩺 Diagnostics saved to ${bundleDir}`);
+            this.emitProgress('diagnostics', { path: bundleDir });
+            return bundleDir;
+        } catch (error) {
+            logger.warn(`⚠️  Could not write diagnostics: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Check that the portal still has the pages and fields the scraper relies on, for one application
+     * Goes through a download step by step - disclaimer, file list, register details, ViewFiles and
+     * ViewPdf pages, file - skipping the steps that depend on one that failed.
+     * A diagnostics bundle is written when a check fails.
+     * @param {string} appId - The planning application ID
+     * @param {Object} options - { docid } document to follow to its file (default: the first listed)
+     * @returns {Promise<Object>} { ok, checks: [{ name, ok, skipped, code, message }], bundle }
+     */
+    async diagnose(appId, { docid = null } = {}) {
+        const { adapter, http } = this;
+        this.diagnostics = new Diagnostics();
+        const checks = [];
+        // Runs one check once the one it depends on has passed, returning its value, or null if it did not pass
+        const check = async (name, ready, step) => {
+            if (!ready) {
+                checks.push({ name, ok: null, skipped: true, code: null, message: 'Skipped, as an earlier check did not pass' });
+                return null;
+            }
+            try {
+                const { value, message, skipped = false } = await step();
+                checks.push({ name, ok: skipped ? null : true, skipped, code: null, message });
+                return skipped ? null : (value ?? true);
+            } catch (error) {
+                checks.push({ name, ok: false, skipped: false, code: error.code ?? null, message: error.message });
+                this.diagnostics.recordProblem({ applicationId: appId, docid, stage: error.stage || name }, error);
+                return null;
+            }
+        };
+
+        const session = await check('disclaimer', true, async () => ({
+            value: await adapter.acceptTerms(http, appId),
+            message: 'Disclaimer accepted'
+        }));
+
+        const listing = await check('file-list', session, async () => {
+            const { links, pages } = await adapter.listDocuments(http, appId, session);
+            return { value: { links, pages }, message: `${links.length} documents listed` };
+        });
+
+        await check('details', listing, async () => {
+            const details = parseApplicationDetails(listing.pages);
+            if (!details.reference) {
+                throw Object.assign(new Error('No file number found in the planning register details'), { code: 'PORTAL_DETAILS' });
+            }
+            return { message: `${details.reference}: ${details.status || 'status unknown'}` };
+        });
+
+        const progress = { stage: 'viewfiles' };
+        const fetched = await check('file-url', listing, async () => {
+            const linkObj = docid ? listing.links.find(link => link.docid === String(docid)) : listing.links[0];
+            if (!linkObj) {
+                if (docid) {
+                    throw new Error(`Document ${docid} is not in the file list`);
+                }
+                return { skipped: true, message: 'No documents listed, so none to follow to a file' };
+            }
+            const value = await this.fetchWithHttp(linkObj, http, progress);
+            return { value, message: `${linkObj.docid}: ${value.finalUrl}` };
+        });
+
+        await check('file', fetched, async () => {
+            const { source, fileType } = await this.openDownload(fetched, progress);
+            // Only the start of the file is needed
+            await source.iterator.return?.();
+            return { message: `${fileType.ext} (${fileType.contentType})` };
+        });
+
+        const ok = checks.every(entry => entry.ok !== false);
+        const bundle = ok ? null : this.writeDiagnostics({ mode: 'doctor', applicationIds: [appId], checks });
+        return { ok, checks, bundle };
+    }
+
+    /**
+     * Compare an application's file list with its last known state and download new documents
+     * Without a previous state a baseline is taken and only documents not yet stored are downloaded.
+     * Documents whose download fails are kept as pending in the snapshot and tried again at the next check.
+     * @param {string} appId - The planning application ID
+     * @param {Object|null} previous - Last snapshot returned by this method
+     * @param {Object} options - { filters } documents to download, as for scrapeApplication
+     * @returns {Promise<Object>} { baseline, changed, diff, details, downloaded, snapshot }
+     */
+    async checkForChanges(appId, previous, options = {}) {
+        const filters = this.checkFilters(options.filters);
+        const { details, documents: links } = await this.listDocuments(appId);
+        const application = this.getApplicationValues(appId, details);
+        await this.saveApplicationDetails(application, details);
+        await this.saveTimeline(application, details, links);
+
+        const diff = diffListing(previous ? previous.documents : {}, links);
+        let linksToDownload = diff.added;
+
+        if (!previous) {
+            // Baseline: only fetch what is not already stored
+            linksToDownload = (await this.planSync(links, application)).newLinks;
+            logger.info(`👀 Baseline recorded: ${links.length} documents (${linksToDownload.length} to download)`);
+        } else if (hasChanges(diff)) {
+            logger.info(`\n🔔 Changes: ${diff.added.length} added, ${diff.removed.length} removed, ${diff.retitled.length} retitled`);
+            diff.added.forEach(linkObj => logger.info(`   ➕ ${linkObj.docid} - ${linkObj.title}`));
+            diff.removed.forEach(doc => logger.info(`   ➖ ${doc.docid} - ${doc.title}`));
+            diff.retitled.forEach(doc => logger.info(`   ✏️  ${doc.docid} - ${doc.oldTitle} → ${doc.newTitle}`));
+            diff.decisions.forEach(linkObj => logger.info(`   🏁 Decision document: ${linkObj.title}`));
+        } else {
+            logger.info('✅ No changes');
+        }
+
+        // Documents that failed at an earlier check are not new any more, but still need downloading
+        const pending = previous?.pending || {};
+        const retrying = previous ? links.filter(linkObj => linkObj.docid in pending && !diff.added.includes(linkObj)) : [];
+        if (retrying.length > 0) {
+            logger.info(`🔁 Retrying ${retrying.length} document${retrying.length === 1 ? '' : 's'} that failed at the last check`);
+            linksToDownload = [...linksToDownload, ...retrying];
+        }
+
+        if (hasFilters(filters)) {
+            linksToDownload = filterDocuments(linksToDownload, filters);
+        }
+
+        let downloaded = [];
+        let failures = [];
+        if (linksToDownload.length > 0) {
+            let documents;
+            ({ documents, failures } = await this.downloadAndRecord(linksToDownload, application));
+            downloaded = documents.map(doc => ({ docid: doc.docid, filename: doc.filename, localPath: doc.localPath, storage: doc.storage }));
+        }
+
+        this.emitProgress('application:checked', { applicationId: appId, baseline: !previous, diff });
+
+        return {
+            baseline: !previous,
+            changed: Boolean(previous) && hasChanges(diff),
+            diff,
+            details,
+            downloaded,
+            snapshot: {
+                checkedAt: new Date().toISOString(),
+                reference: details.reference,
+                documents: Object.fromEntries(links.map(linkObj => [linkObj.docid, linkObj.title])),
+                pending: Object.fromEntries(failures.map(failure => [failure.docid, failure.title]))
+            }
+        };
+    }
+}
@@ -0,0 +1,517 @@
+/**
+ * API Server Module for Planning Document Scraper
+ * HTTP service for submitting scrape jobs, tracking their progress and listing documents
+ */
+
+import http from 'http';
+import { PlanningScraper } from './scraper.mjs';
+import { getStorageSpecs, selectStorageSpecs, StorageSet } from './storage/index.mjs';
+import { getAdapter, listCouncils, DEFAULT_COUNCIL } from './adapters/index.mjs';
+import { createClassifier, loadRules } from './classifier.mjs';
+import { JobQueue, DEFAULT_JOBS_PATH } from './job-queue.mjs';
+import { logger } from './logger.mjs';
+import { getOption } from './cli-args.mjs';
+import { buildRunReport } from './run-report.mjs';
+import { Catalogue, DEFAULT_CATALOGUE_PATH } from './catalogue.mjs';
+import { getHttpOptions } from './http-client.mjs';
+import { DEFAULT_DIAGNOSTICS_DIR } from './diagnostics.mjs';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Statuses of jobs that will not send any more events
+const FINISHED_STATUSES = ['completed', 'failed'];
+
+// Application IDs end up in folder names and S3 keys
+const APPLICATION_ID = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body, null, 2));
+}
+
+/**
+ * Format a job event as a server-sent event
+ * @param {string} jobId - Job the event belongs to
+ * @param {Object} data - Event data
+ * @returns {string} Event message
+ */
+function formatEvent(jobId, data) {
+    return `event: ${data.type}\ndata: ${JSON.stringify({ jobId, ...data })}\n\n`;
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body
+ */
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(chunks.length > 0 ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {});
+            } catch (error) {
+                reject(Object.assign(new Error('Request body is not valid JSON'), { status: 400 }));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Count the documents of finished applications, as job progress
+ * @param {Object[]} results - Results of a job's finished applications
+ * @returns {Object} { total, completed, failed }
+ */
+function countDocuments(results) {
+    return results.reduce((counts, result) => ({
+        total: counts.total + result.successCount + result.failCount,
+        completed: counts.completed + result.successCount,
+        failed: counts.failed + result.failCount
+    }), { total: 0, completed: 0, failed: 0 });
+}
+
+/**
+ * Reduce a scraper progress event to what API clients need
+ * @param {Object} event - Event from PlanningScraper's "progress" event
+ * @returns {Object} Event data
+ */
+function summariseEvent(event) {
+    const { type, applicationId } = event;
+
+    switch (type) {
+        case 'listing':
+            return { type, applicationId, reference: event.details.reference, documents: event.documents.length };
+        case 'document:start':
+            return { type, applicationId, docid: event.docid, title: event.title, index: event.index, total: event.total };
+        case 'document:complete':
+            return { type, applicationId, docid: event.document.docid, filename: event.document.filename, size: event.document.size };
+        case 'document:failed':
+            return { type, applicationId, docid: event.docid, title: event.title, error: event.error, errorCode: event.errorCode };
+        case 'retry':
+            return { type, attempt: event.attempt, reason: event.reason, url: event.url };
+        case 'application:complete':
+            return { type, applicationId, found: event.result.found, successCount: event.result.successCount, failCount: event.result.failCount, error: event.result.error };
+        default:
+            return { type, applicationId };
+    }
+}
+
+/**
+ * Start the API server
+ * @param {Object} options - Server settings
+ * @param {number} options.port - Port to listen on (default: 3000)
+ * @param {string} options.host - Interface to listen on (default: 127.0.0.1)
+ * @param {string} options.jobsPath - Persistent job queue file
+ * @param {Object} options.storage - { specs, defaultSelection } from getStorageSpecs, plus an optional keyTemplate
+ * @param {Object} options.scraper - PlanningScraper options shared by every job (concurrency, catalogue, ...)
+ * @returns {Promise<Object>} { server, queue, close() }
+ */
+export async function startServer(options = {}) {
+    const {
+        port = 3000,
+        host = '127.0.0.1',
+        jobsPath = DEFAULT_JOBS_PATH,
+        storage: storageOptions = getStorageSpecs({}),
+        scraper: scraperOptions = {}
+    } = options;
+
+    const queue = new JobQueue(jobsPath);
+    const classifier = createClassifier(scraperOptions.categoryRules);
+    const subscribers = new Set();
+    const listingScrapers = new Map();
+    let stopping = false;
+    let working = false;
+
+    /**
+     * Send an event to every subscribed SSE stream
+     * @param {string} jobId - Job the event belongs to
+     * @param {Object} data - Event data
+     */
+    function broadcast(jobId, data) {
+        const message = formatEvent(jobId, data);
+        subscribers.forEach(subscriber => {
+            if (!subscriber.jobId || subscriber.jobId === jobId) {
+                subscriber.res.write(message);
+            }
+        });
+    }
+
+    /**
+     * Close the SSE streams of a finished job
+     * @param {string} jobId - Job whose streams to close
+     */
+    function endEventStreams(jobId) {
+        subscribers.forEach(subscriber => {
+            if (subscriber.jobId === jobId) {
+                subscribers.delete(subscriber);
+                subscriber.res.end();
+            }
+        });
+    }
+
+    /**
+     * Validate a POST /jobs body
+     * @param {*} body - Parsed request body
+     * @returns {Object} Job request
+     * @throws {Error} With status 400 when the body is not a valid job
+     */
+    function parseJobRequest(body) {
+        if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+            throw Object.assign(new Error('Request body must be a JSON object'), { status: 400 });
+        }
+
+        const ids = body.applicationIds || (body.applicationId ? [body.applicationId] : []);
+        const applicationIds = [...new Set((Array.isArray(ids) ? ids : [ids]).map(id => String(id).trim()))];
+        const council = body.council || DEFAULT_COUNCIL;
+        const storage = body.storage || storageOptions.defaultSelection;
+        // A comma separated list, as with --category=, or an array
+        const categories = typeof body.categories === 'string'
+            ? body.categories.split(',').map(category => category.trim()).filter(Boolean)
+            : body.categories || null;
+
+        const problems = [];
+        if (applicationIds.length === 0) {
+            problems.push('applicationIds must list at least one application ID');
+        }
+        const invalidIds = applicationIds.filter(id => !APPLICATION_ID.test(id));
+        if (invalidIds.length > 0) {
+            problems.push(`Invalid application ID: ${invalidIds.join(', ')}`);
+        }
+        if (!getAdapter(council)) {
+            problems.push(`Unsupported council: ${council} (supported: ${listCouncils().join(', ')})`);
+        }
+        let storageNames = [];
+        try {
+            const selected = selectStorageSpecs(storage, storageOptions.specs);
+            storageNames = selected.map(spec => spec.name);
+            const missingBucket = selected.find(spec => spec.type === 's3' && !spec.bucket);
+            if (missingBucket) {
+                problems.push(`Storage ${missingBucket.name} has no bucket configured on the server`);
+            }
+        } catch (error) {
+            problems.push(error.message);
+        }
+        if (categories !== null) {
+            const unknown = Array.isArray(categories) ? categories.filter(category => !classifier.categories.includes(category)) : [categories];
+            if (unknown.length > 0) {
+                problems.push(`Unknown category: ${unknown.join(', ')} (valid: ${classifier.categories.join(', ')})`);
+            }
+        }
+
+        if (problems.length > 0) {
+            throw Object.assign(new Error(problems.join('; ')), { status: 400 });
+        }
+
+        return { applicationIds, council, storage: storageNames, sync: body.sync === true, retryFailed: body.retryFailed === true, categories };
+    }
+
+    /**
+     * Run one job, recording progress and results on the job as they happen
+     * @param {Object} job - Job from the queue
+     */
+    async function runJob(job) {
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        queue.save();
+        broadcast(job.id, { type: 'job:start', status: job.status });
+        logger.info(`🚀 Job ${job.id}: ${job.applicationIds.join(', ')} (${[].concat(job.storage).join('+')})`);
+
+        const { progress } = job;
+        let scraper = null;
+
+        try {
+            const storage = new StorageSet(selectStorageSpecs(job.storage, storageOptions.specs), {
+                keyTemplate: storageOptions.keyTemplate
+            });
+            scraper = new PlanningScraper({ ...scraperOptions, council: job.council, storage });
+            scraper.updateCatalogue(catalogue => catalogue.startRun({
+                council: job.council,
+                mode: job.retryFailed ? 'retry-failed' : (job.sync ? 'sync' : 'scrape'),
+                jobId: job.id,
+                applicationIds: job.applicationIds
+            }));
+
+            scraper.on('progress', event => {
+                const data = summariseEvent(event);
+                if (event.type === 'application:start') {
+                    // Counted again from the finished applications, so a job resumed after a restart
+                    // does not count the interrupted application twice
+                    progress.current = event.applicationId;
+                    progress.documents = countDocuments(job.results);
+                } else if (event.type === 'document:start' && event.index === 1) {
+                    progress.documents.total = countDocuments(job.results).total + event.total;
+                } else if (event.type === 'document:complete') {
+                    progress.documents.completed++;
+                } else if (event.type === 'document:failed') {
+                    progress.documents.failed++;
+                }
+                // Progress is only broadcast; the queue is saved as applications finish, which is all a resumed job needs
+                broadcast(job.id, data);
+            });
+
+            for (const appId of job.applicationIds) {
+                // Skip applications finished before a restart
+                if (job.results.some(result => result.applicationId === appId)) {
+                    continue;
+                }
+
+                const result = await scraper.scrapeApplication(appId, {
+                    sync: job.sync,
+                    retryFailed: job.retryFailed,
+                    filters: { categories: job.categories }
+                });
+
+                job.results.push({
+                    ...result,
+                    documents: result.documents.map(doc => ({
+                        docid: doc.docid,
+                        title: doc.title,
+                        category: doc.category,
+                        filename: doc.filename,
+                        size: doc.size,
+                        sha256: doc.sha256,
+                        storage: doc.storage
+                    }))
+                });
+                if (result.error) {
+                    job.errors.push({ applicationId: appId, error: result.error });
+                }
+                progress.applications.done++;
+                queue.save();
+            }
+
+            job.status = job.errors.length > 0 && job.errors.length === job.applicationIds.length ? 'failed' : 'completed';
+        } catch (error) {
+            logger.error(`❌ Job ${job.id} failed: ${error.message}`);
+            job.errors.push({ applicationId: progress.current, error: error.message });
+            job.status = 'failed';
+        }
+
+        progress.current = null;
+        job.finishedAt = new Date().toISOString();
+        // Same outcome and totals as the CLI's run report
+        const report = buildRunReport(job.results, { startedAt: job.startedAt });
+        job.report = { status: report.status, totals: report.totals };
+        scraper?.updateCatalogue(catalogue => catalogue.finishRun(report));
+        if (report.status !== 'success') {
+            job.diagnostics = scraper?.writeDiagnostics({ mode: 'job', jobId: job.id, applicationIds: job.applicationIds, status: report.status, totals: report.totals }) ?? null;
+        }
+        queue.save();
+        broadcast(job.id, { type: 'job:complete', status: job.status, errors: job.errors });
+        endEventStreams(job.id);
+        logger.info(`${job.status === 'completed' ? '✅' : '❌'} Job ${job.id} ${job.status}`);
+    }
+
+    /**
+     * Work through queued jobs one at a time
+     */
+    async function work() {
+        if (working) return;
+        working = true;
+        try {
+            let job;
+            while (!stopping && (job = queue.next())) {
+                await runJob(job);
+            }
+        } finally {
+            working = false;
+        }
+    }
+
+    /**
+     * Get a read-only scraper for listing a council's documents
+     * @param {string} council - Council ID
+     * @returns {PlanningScraper} Scraper
+     */
+    function getListingScraper(council) {
+        if (!listingScrapers.has(council)) {
+            const { categoryRules, requestsPerSecond, retries, httpOptions } = scraperOptions;
+            listingScrapers.set(council, new PlanningScraper({ council, categoryRules, requestsPerSecond, retries, httpOptions }));
+        }
+        return listingScrapers.get(council);
+    }
+
+    /**
+     * Stream job events to the client as server-sent events
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     * @param {Object|null} job - Only send this job's events
+     */
+    function openEventStream(req, res, job) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        res.write(': connected\n\n');
+
+        // A finished job has nothing more to send than how it ended
+        if (job && FINISHED_STATUSES.includes(job.status)) {
+            res.end(formatEvent(job.id, { type: 'job:complete', status: job.status, errors: job.errors }));
+            return;
+        }
+
+        const subscriber = { res, jobId: job?.id ?? null };
+        subscribers.add(subscriber);
+        req.on('close', () => subscribers.delete(subscriber));
+    }
+
+    async function handleRequest(req, res) {
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+        const parts = url.pathname.split('/').filter(Boolean);
+
+        if (req.method === 'POST' && url.pathname === '/jobs') {
+            const job = queue.add(parseJobRequest(await readJsonBody(req)));
+            broadcast(job.id, { type: 'job:queued', status: job.status, applicationIds: job.applicationIds });
+            sendJson(res, 201, job);
+            work();
+            return;
+        }
+
+        if (req.method === 'GET' && url.pathname === '/jobs') {
+            sendJson(res, 200, queue.list(url.searchParams.get('status')));
+            return;
+        }
+
+        if (req.method === 'GET' && url.pathname === '/events') {
+            openEventStream(req, res, null);
+            return;
+        }
+
+        if (req.method === 'GET' && parts[0] === 'jobs' && parts.length >= 2) {
+            const job = queue.get(parts[1]);
+            if (!job) {
+                sendJson(res, 404, { error: `Job not found: ${parts[1]}` });
+            } else if (parts.length === 2) {
+                sendJson(res, 200, job);
+            } else if (parts.length === 3 && parts[2] === 'events') {
+                openEventStream(req, res, job);
+            } else {
+                sendJson(res, 404, { error: 'Not found' });
+            }
+            return;
+        }
+
+        if (req.method === 'GET' && parts[0] === 'applications' && parts.length === 3 && parts[2] === 'documents') {
+            const appId = decodeURIComponent(parts[1]);
+            const council = url.searchParams.get('council') || DEFAULT_COUNCIL;
+            if (!APPLICATION_ID.test(appId)) {
+                sendJson(res, 400, { error: `Invalid application ID: ${appId}` });
+                return;
+            }
+            if (!getAdapter(council)) {
+                sendJson(res, 400, { error: `Unsupported council: ${council} (supported: ${listCouncils().join(', ')})` });
+                return;
+            }
+
+            const listing = await getListingScraper(council).listDocuments(appId);
+            sendJson(res, 200, {
+                ...listing,
+                documents: listing.documents.map(({ docid, title, category, url: viewFilesUrl }) => ({ docid, title, category, url: viewFilesUrl }))
+            });
+            return;
+        }
+
+        sendJson(res, 404, { error: 'Not found' });
+    }
+
+    const server = http.createServer((req, res) => {
+        handleRequest(req, res).catch(error => {
+            const status = error.status || 502;
+            if (status >= 500) {
+                logger.error(`❌ ${req.method} ${req.url}: ${error.message}`);
+            }
+            if (!res.headersSent) {
+                sendJson(res, status, { error: error.message });
+            }
+        });
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, resolve);
+    });
+
+    const address = server.address();
+    logger.info(`🌐 API server listening on http://${address.address}:${address.port}`);
+    logger.info(`🗂️  Job queue: ${jobsPath} (${queue.list('queued').length} queued)`);
+
+    // Pick up jobs left in the queue by a previous run
+    work();
+
+    return {
+        server,
+        queue,
+
+        /**
+         * Stop accepting work and close the server; the current job is requeued on next start
+         */
+        async close() {
+            stopping = true;
+            subscribers.forEach(subscriber => subscriber.res.end());
+            subscribers.clear();
+            await new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+/**
+ * `serve` command: run the API server until stopped
+ * @param {string[]} args - Arguments after the command name
+ */
+export async function runServeCommand(args) {
+    const number = name => {
+        const value = getOption(args, name);
+        return value === undefined ? undefined : Number(value);
+    };
+    const rulesPath = getOption(args, 'category-rules');
+    const storage = getStorageSpecs(process.env, getOption(args, 'storage-config') || null);
+    const catalogue = args.includes('--no-catalogue') ? null : new Catalogue(getOption(args, 'catalogue') || DEFAULT_CATALOGUE_PATH);
+
+    const { close } = await startServer({
+        port: number('port') ?? (Number(process.env.PORT) || 3000),
+        host: getOption(args, 'host') || process.env.HOST || '127.0.0.1',
+        jobsPath: getOption(args, 'jobs') || DEFAULT_JOBS_PATH,
+        storage: { ...storage, keyTemplate: getOption(args, 'key-template') },
+        scraper: {
+            concurrency: number('concurrency') ?? 3,
+            requestsPerSecond: number('rps') ?? 2,
+            retries: number('retries') ?? 3,
+            categoryRules: rulesPath ? loadRules(rulesPath) : [],
+            convertToPdf: args.includes('--convert-to-pdf'),
+            extractDecisions: !args.includes('--skip-decisions'),
+            browser: args.includes('--browser') ? 'always' : (args.includes('--no-browser') ? 'off' : 'fallback'),
+            httpOptions: getHttpOptions(args),
+            diagnosticsDir: args.includes('--no-diagnostics') ? null : getOption(args, 'diagnostics') || DEFAULT_DIAGNOSTICS_DIR,
+            catalogue
+        }
+    });
+
+    // Keep running until interrupted
+    await new Promise(resolve => {
+        process.once('SIGINT', resolve);
+        process.once('SIGTERM', resolve);
+    });
+
+    logger.info('\n👋 Stopping API server...');
+    await close();
+    catalogue?.close();
+}
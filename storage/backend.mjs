@@ -0,0 +1,182 @@
+/**
+ * Storage Backend Base
+ * Key templates, content types, streaming writers and statistics shared by every storage backend
+ */
+
+import { once } from 'events';
+
+// Placeholders that identify a single document rather than the application
+const DOCUMENT_PLACEHOLDERS = /\{(category|docid|filename|title|ext)\}/;
+
+// Versions without key templates only scraped Meath and kept no council in their keys
+export const LEGACY_COUNCIL = 'meath';
+
+export const CONTENT_TYPES = {
+    'pdf': 'application/pdf',
+    'djvu': 'image/vnd.djvu',
+    'doc': 'application/msword',
+    'docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'xls': 'application/vnd.ms-excel',
+    'xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'rtf': 'application/rtf',
+    'txt': 'text/plain',
+    'md': 'text/markdown',
+    'json': 'application/json',
+    'html': 'text/html',
+    'jpg': 'image/jpeg',
+    'jpeg': 'image/jpeg',
+    'png': 'image/png',
+    'gif': 'image/gif',
+    'tif': 'image/tiff',
+    'tiff': 'image/tiff',
+    'zip': 'application/zip'
+};
+
+/**
+ * Fill in a key template such as "{council}/{year}/{appId}/{category}/{docid}.pdf"
+ * Values are cleaned so they cannot add folders or escape the storage root.
+ * @param {string} template - Key template
+ * @param {Object} values - Placeholder values
+ * @returns {string} Key
+ */
+export function renderKeyTemplate(template, values) {
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+        if (!(name in values)) {
+            throw new Error(`Unknown placeholder ${placeholder} in key template: ${template}`);
+        }
+        const value = String(values[name] ?? 'unknown').replace(/[<>:"/\\|?*]/g, '_');
+        return value === '..' || value === '.' ? '_' : value;
+    });
+}
+
+/**
+ * Get the content type for a filename
+ * @param {string} filename - The filename
+ * @returns {string} Content type
+ */
+export function getContentType(filename) {
+    const extension = filename.toLowerCase().split('.').pop();
+    return CONTENT_TYPES[extension] || 'application/octet-stream';
+}
+
+/**
+ * Write a chunk to a stream, waiting while its buffer is full
+ * @param {Writable} stream - Destination
+ * @param {Buffer} chunk - Data
+ * @param {Promise} settled - Rejects when the destination fails, for destinations that stop reading without an error event
+ * @returns {Promise<void>} Resolves when more can be written
+ */
+export async function writeChunk(stream, chunk, settled = null) {
+    if (!stream.write(chunk)) {
+        await Promise.race([once(stream, 'drain'), settled].filter(Boolean));
+    }
+}
+
+export class StorageBackend {
+    /**
+     * @param {Object} options - Backend settings
+     * @param {string} options.name - Name used in --storage= and in manifests
+     * @param {string} options.keyTemplate - Key template for documents
+     */
+    constructor({ name, keyTemplate }) {
+        this.name = name;
+        this.keyTemplate = keyTemplate;
+        this.resetStats();
+    }
+
+    /**
+     * Get the key for a document
+     * @param {Object} values - { council, appId, year, category, docid, filename, title, ext }
+     * @returns {string} Key
+     */
+    getDocumentKey(values) {
+        return renderKeyTemplate(this.keyTemplate, values);
+    }
+
+    /**
+     * Get the key prefix shared by an application's documents
+     * This is the part of the key template before the first document placeholder.
+     * Templates that do not put {appId} there get an "{appId}/" folder for metadata files.
+     * @param {Object} values - { council, appId, year }
+     * @returns {string} Prefix, empty or ending in a slash
+     */
+    getApplicationPrefix(values) {
+        const segments = this.keyTemplate.split('/').slice(0, -1);
+        const firstDocumentSegment = segments.findIndex(segment => DOCUMENT_PLACEHOLDERS.test(segment));
+        const applicationSegments = firstDocumentSegment === -1 ? segments : segments.slice(0, firstDocumentSegment);
+
+        if (!applicationSegments.some(segment => segment.includes('{appId}'))) {
+            applicationSegments.push('{appId}');
+        }
+
+        return `${renderKeyTemplate(applicationSegments.join('/'), values)}/`;
+    }
+
+    /**
+     * Get the prefixes earlier versions stored an application's documents under
+     * Sync counts documents found there as stored; nothing new is written there.
+     * @param {Object} values - { council, appId, year }
+     * @returns {string[]} Prefixes ending in a slash
+     */
+    getLegacyApplicationPrefixes(values) {
+        return [];
+    }
+
+    /**
+     * Open a writer that stores a file as it streams in
+     * Nothing appears under the key until commit(); abort() throws the partial file away.
+     * This default collects the file in memory and put()s it on commit, for backends that cannot stream.
+     * @param {string} key - Storage key
+     * @param {Object} metadata - Object metadata for backends that support it
+     * @param {string} contentType - MIME type (default: from the key's extension)
+     * @returns {Object} { write(chunk), commit(), abort() } where commit() resolves to the location
+     */
+    createWriter(key, metadata = {}, contentType = null) {
+        const chunks = [];
+        return {
+            write: async chunk => {
+                chunks.push(chunk);
+            },
+            commit: () => this.put(key, Buffer.concat(chunks), metadata, contentType),
+            abort: async () => {
+                chunks.length = 0;
+            }
+        };
+    }
+
+    /**
+     * Record a stored or failed file in the statistics
+     * @param {boolean} ok - Whether the file was stored
+     * @param {number} bytes - File size
+     */
+    recordResult(ok, bytes = 0) {
+        if (ok) {
+            this.stats.stored++;
+            this.stats.totalBytes += bytes;
+        } else {
+            this.stats.failed++;
+        }
+    }
+
+    /**
+     * Get storage statistics
+     * @returns {Object} { stored, failed, totalBytes, totalMB }
+     */
+    getStats() {
+        return {
+            ...this.stats,
+            totalMB: Math.round(this.stats.totalBytes / 1024 / 1024 * 100) / 100
+        };
+    }
+
+    /**
+     * Reset statistics (used between applications in a batch run)
+     */
+    resetStats() {
+        this.stats = {
+            stored: 0,
+            failed: 0,
+            totalBytes: 0
+        };
+    }
+}
@@ -0,0 +1,332 @@
+/**
+ * Storage Backends for Planning Document Scraper
+ * Each backend stores files by key ({ put, createWriter, get, exists, list, getUrl }); a StorageSet
+ * writes to several backends at once.
+ */
+
+import fs from 'fs';
+import { LocalStorage } from './local.mjs';
+import { S3Storage } from './s3.mjs';
+import { StorageBackend } from './backend.mjs';
+import { logger } from '../logger.mjs';
+
+export { StorageBackend, renderKeyTemplate, getContentType } from './backend.mjs';
+export { LocalStorage, DEFAULT_LOCAL_KEY_TEMPLATE } from './local.mjs';
+export { S3Storage, DEFAULT_S3_KEY_TEMPLATE } from './s3.mjs';
+
+/**
+ * @typedef {Object} StorageSpec
+ * @property {string} type - "local" or "s3"
+ * @property {string} name - Name used in --storage= and manifests (default: the type)
+ * @property {string} keyTemplate - Key template for documents
+ * Other properties are passed to the backend (root for local; bucket, region, prefix,
+ * endpoint, forcePathStyle, accessKeyId, secretAccessKey for s3).
+ */
+
+const BACKEND_TYPES = {
+    local: LocalStorage,
+    s3: S3Storage
+};
+
+// Storage names kept from the original --storage= modes
+const STORAGE_ALIASES = {
+    both: ['local', 's3']
+};
+
+/**
+ * Create a backend from a spec, passing existing backends through
+ * @param {StorageSpec|StorageBackend} spec - Backend spec or instance
+ * @returns {StorageBackend} Backend
+ */
+export function createBackend(spec) {
+    if (typeof spec.put === 'function') {
+        return spec;
+    }
+
+    const Backend = BACKEND_TYPES[spec.type];
+    if (!Backend) {
+        throw new Error(`Unknown storage type: ${spec.type} (valid: ${Object.keys(BACKEND_TYPES).join(', ')})`);
+    }
+    return new Backend(spec);
+}
+
+/**
+ * Get the built-in storage specs, configured from environment variables
+ * @param {Object} env - Environment, usually process.env
+ * @returns {Object} Specs keyed by name
+ */
+export function getDefaultStorageSpecs(env) {
+    return {
+        local: {
+            type: 'local',
+            name: 'local',
+            root: '.'
+        },
+        s3: {
+            type: 's3',
+            name: 's3',
+            bucket: env.S3_BUCKET,
+            region: env.S3_REGION,
+            prefix: env.S3_PREFIX,
+            endpoint: env.S3_ENDPOINT,
+            forcePathStyle: env.S3_FORCE_PATH_STYLE ? env.S3_FORCE_PATH_STYLE === 'true' : undefined
+        }
+    };
+}
+
+/**
+ * Load storage specs from a JSON file
+ * The file holds { "backends": [{ "name", "type", ... }] } or just the array.
+ * @param {string} configPath - Path to the JSON file
+ * @returns {Object} Specs keyed by name
+ */
+export function loadStorageConfig(configPath) {
+    const raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    const backends = Array.isArray(raw) ? raw : raw.backends;
+
+    if (!Array.isArray(backends) || backends.length === 0) {
+        throw new Error(`Storage config must list at least one backend: ${configPath}`);
+    }
+
+    return Object.fromEntries(backends.map((spec, index) => {
+        if (!spec.type) {
+            throw new Error(`Storage backend ${index + 1} needs a "type"`);
+        }
+        const name = spec.name || spec.type;
+        return [name, { ...spec, name }];
+    }));
+}
+
+/**
+ * Get every storage backend that can be selected by name
+ * Backends from a config file replace built-in ones with the same name and become the default selection.
+ * @param {Object} env - Environment, usually process.env
+ * @param {string|null} configPath - Optional JSON storage config
+ * @returns {Object} { specs, defaultSelection }
+ */
+export function getStorageSpecs(env, configPath = null) {
+    const configured = configPath ? loadStorageConfig(configPath) : {};
+    return {
+        specs: { ...getDefaultStorageSpecs(env), ...configured },
+        defaultSelection: configPath ? Object.keys(configured) : ['local']
+    };
+}
+
+/**
+ * Pick storage specs by name
+ * @param {string|string[]} selection - Names, comma separated or as an array; "both" means local and s3
+ * @param {Object} specs - Available specs keyed by name
+ * @returns {StorageSpec[]} Selected specs
+ */
+export function selectStorageSpecs(selection, specs) {
+    const names = (Array.isArray(selection) ? selection : String(selection).split(','))
+        .map(name => name.trim())
+        .filter(Boolean)
+        .flatMap(name => STORAGE_ALIASES[name] && !specs[name] ? STORAGE_ALIASES[name] : [name]);
+
+    if (names.length === 0) {
+        throw new Error('At least one storage backend is required');
+    }
+
+    const unknown = names.filter(name => !specs[name]);
+    if (unknown.length > 0) {
+        throw new Error(`Unknown storage: ${unknown.join(', ')} (available: ${Object.keys(specs).join(', ')})`);
+    }
+
+    return [...new Set(names)].map(name => specs[name]);
+}
+
+export class StorageSet {
+    /**
+     * @param {Array<StorageSpec|StorageBackend>} specs - Backends to write to
+     * @param {Object} options - { keyTemplate } used by specs without their own
+     */
+    constructor(specs, options = {}) {
+        if (!specs || specs.length === 0) {
+            throw new Error('At least one storage backend is required');
+        }
+
+        this.backends = specs.map(spec => createBackend(
+            options.keyTemplate && typeof spec.put !== 'function' && !spec.keyTemplate
+                ? { ...spec, keyTemplate: options.keyTemplate }
+                : spec
+        ));
+
+        const names = this.backends.map(backend => backend.name);
+        const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+        if (duplicate) {
+            throw new Error(`Storage backend name used twice: ${duplicate}`);
+        }
+    }
+
+    /**
+     * Names of the backends, e.g. "local+s3"
+     * @returns {string} Description
+     */
+    describe() {
+        return this.backends.map(backend => backend.name).join('+');
+    }
+
+    /**
+     * Open a writer that stores a document in every backend as it streams in
+     * A backend failing is reported and dropped; writing only fails once no backend is left,
+     * and the document only fails if no backend stored it.
+     * @param {Object} values - Key template values for the document
+     * @param {Object} metadata - Object metadata for backends that support it
+     * @param {string} contentType - MIME type, if known better than the filename says
+     * @returns {Object} { write(chunk), commit(), abort() } where commit() resolves to { locations, localPath }
+     */
+    openDocument(values, metadata = {}, contentType = null) {
+        const targets = this.backends.map(backend => {
+            // Backends passed in as plain objects with put() are written in one go on commit
+            const createWriter = backend.createWriter || StorageBackend.prototype.createWriter;
+            try {
+                return { backend, writer: createWriter.call(backend, backend.getDocumentKey(values), metadata, contentType), error: null };
+            } catch (error) {
+                return { backend, writer: null, error };
+            }
+        });
+        const active = () => targets.filter(target => !target.error);
+        const noBackendLeft = () => Object.assign(new Error(`Could not store ${values.filename} in any storage backend`), {
+            category: 'storage',
+            stage: 'storage'
+        });
+        let bytes = 0;
+
+        return {
+            write: async chunk => {
+                bytes += chunk.length;
+                await Promise.all(active().map(target => target.writer.write(chunk).catch(error => {
+                    target.error = error;
+                    return target.writer.abort().catch(() => {});
+                })));
+                if (active().length === 0) {
+                    throw noBackendLeft();
+                }
+            },
+
+            commit: async () => {
+                const locations = {};
+                let localPath = null;
+
+                for (const target of targets) {
+                    const { backend } = target;
+                    try {
+                        if (target.error) {
+                            throw target.error;
+                        }
+                        const location = await target.writer.commit();
+                        backend.recordResult(true, bytes);
+                        locations[backend.name] = location;
+                        if (backend.type === 'local' && !localPath) {
+                            localPath = location;
+                        }
+                        logger.info(`${backend.type === 'local' ? '💾' : '☁️ '} Stored in ${backend.name}: ${location} (${bytes} bytes)`);
+                    } catch (error) {
+                        backend.recordResult(false);
+                        logger.warn(`⚠️  ${backend.name} storage failed for ${values.filename}: ${error.message}`);
+                    }
+                }
+
+                if (Object.keys(locations).length === 0) {
+                    throw noBackendLeft();
+                }
+
+                return { locations, localPath };
+            },
+
+            abort: () => Promise.all(active().map(target => target.writer.abort().catch(() => {})))
+        };
+    }
+
+    /**
+     * Store a metadata file (e.g. manifest.json) with the application in every backend
+     * @param {Object} values - Key template values for the application
+     * @param {string} filename - Metadata filename
+     * @param {Buffer} body - File content
+     */
+    async putMetadata(values, filename, body) {
+        for (const backend of this.backends) {
+            try {
+                const location = await backend.put(`${backend.getApplicationPrefix(values)}${filename}`, body, {
+                    'application-id': values.appId,
+                    'council': values.council
+                });
+                logger.info(`🧾 Saved: ${location}`);
+            } catch (error) {
+                logger.warn(`⚠️  Saving ${filename} to ${backend.name} failed: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Read a metadata file from the first backend that has it
+     * A backend that cannot be read is reported and skipped.
+     * @param {Object} values - Key template values for the application
+     * @param {string} filename - Metadata filename
+     * @returns {Promise<Buffer|null>} File content, or null if no backend has it
+     */
+    async getMetadata(values, filename) {
+        for (const backend of this.backends) {
+            try {
+                const body = await backend.get(`${backend.getApplicationPrefix(values)}${filename}`);
+                if (body) {
+                    return body;
+                }
+            } catch (error) {
+                logger.warn(`⚠️  Could not read ${filename} from ${backend.name}: ${error.message}`);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * List what each backend holds for an application, including the folder earlier versions used
+     * A backend that cannot be listed is reported as holding nothing.
+     * @param {Object} values - Key template values for the application
+     * @returns {Promise<Object[]>} [{ backend, keys }]
+     */
+    async listApplication(values) {
+        const listings = [];
+
+        for (const backend of this.backends) {
+            try {
+                const keys = [];
+                // Backends passed in as plain objects have no legacy folders unless they say so
+                const getLegacyPrefixes = backend.getLegacyApplicationPrefixes || StorageBackend.prototype.getLegacyApplicationPrefixes;
+                for (const prefix of [backend.getApplicationPrefix(values), ...getLegacyPrefixes.call(backend, values)]) {
+                    keys.push(...await backend.list(prefix));
+                }
+                listings.push({ backend, keys });
+            } catch (error) {
+                logger.warn(`⚠️  Could not list ${backend.name}, treating all documents as new: ${error.message}`);
+                listings.push({ backend, keys: [] });
+            }
+        }
+
+        return listings;
+    }
+
+    /**
+     * Get statistics for every backend
+     * @returns {Object} Stats keyed by backend name
+     */
+    getStats() {
+        return Object.fromEntries(this.backends.map(backend => [backend.name, backend.getStats()]));
+    }
+
+    resetStats() {
+        this.backends.forEach(backend => backend.resetStats());
+    }
+
+    /**
+     * Print where an application's files went
+     * @param {Object} values - Key template values for the application
+     */
+    printSummary(values) {
+        this.backends.forEach(backend => {
+            const stats = backend.getStats();
+            logger.info(`📦 ${backend.name}: ${stats.stored} stored, ${stats.failed} failed (${stats.totalMB} MB) → ${backend.describe(backend.getApplicationPrefix(values))}`);
+        });
+    }
+}
@@ -0,0 +1,175 @@
+/**
+ * Local Filesystem Storage Backend
+ * Writes files under a root folder, by default in downloads_<council>_<appId>/ folders
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { finished } from 'stream/promises';
+import { StorageBackend, writeChunk, renderKeyTemplate, LEGACY_COUNCIL } from './backend.mjs';
+
+export const DEFAULT_LOCAL_KEY_TEMPLATE = 'downloads_{council}_{appId}/{category}/{filename}';
+
+// Partial folders older than this were left by a run that stopped mid-download
+const STALE_PARTIAL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Remove the ".partial-*" folders a stopped run left under a storage root
+ * Recent ones are left alone, as another process may still be writing to them.
+ * @param {string} root - Storage root
+ */
+function removeStalePartials(root) {
+    if (!fs.existsSync(root)) {
+        return;
+    }
+
+    const cutoff = Date.now() - STALE_PARTIAL_MS;
+    for (const entry of fs.readdirSync(root, { withFileTypes: true })) {
+        const folder = path.join(root, entry.name);
+        if (entry.isDirectory() && entry.name.startsWith('.partial-') && fs.statSync(folder).mtimeMs < cutoff) {
+            fs.rmSync(folder, { recursive: true, force: true });
+        }
+    }
+}
+
+/**
+ * List files under a folder, including those in subfolders
+ * @param {string} folder - Folder to walk
+ * @returns {string[]} Paths relative to the folder, with forward slashes
+ */
+function listFilesUnder(folder) {
+    if (!fs.existsSync(folder)) {
+        return [];
+    }
+
+    return fs.readdirSync(folder, { withFileTypes: true }).flatMap(entry => {
+        if (entry.isDirectory()) {
+            return listFilesUnder(path.join(folder, entry.name)).map(name => `${entry.name}/${name}`);
+        }
+        return [entry.name];
+    });
+}
+
+export class LocalStorage extends StorageBackend {
+    /**
+     * @param {Object} options - Backend settings
+     * @param {string} options.name - Backend name (default: local)
+     * @param {string} options.root - Folder keys are relative to (default: .)
+     * @param {string} options.keyTemplate - Key template for documents
+     */
+    constructor(options = {}) {
+        super({
+            name: options.name || 'local',
+            keyTemplate: options.keyTemplate || DEFAULT_LOCAL_KEY_TEMPLATE
+        });
+        this.type = 'local';
+        this.root = options.root || '.';
+        removeStalePartials(this.root);
+    }
+
+    /**
+     * Get the path a key is stored at
+     * @param {string} key - Storage key
+     * @returns {string} File path
+     */
+    getUrl(key) {
+        return path.join(this.root, key);
+    }
+
+    /**
+     * Get the downloads_<appId>/ folder earlier versions saved Meath documents in, when the default template is in use
+     * @param {Object} values - { council, appId, year }
+     * @returns {string[]} Prefixes ending in a slash
+     */
+    getLegacyApplicationPrefixes(values) {
+        if (this.keyTemplate !== DEFAULT_LOCAL_KEY_TEMPLATE || values.council !== LEGACY_COUNCIL) {
+            return [];
+        }
+        return [renderKeyTemplate('downloads_{appId}/', values)];
+    }
+
+    /**
+     * Write a file
+     * @param {string} key - Storage key
+     * @param {Buffer} body - File content
+     * @returns {Promise<string>} Path the file was written to
+     */
+    async put(key, body) {
+        const filePath = this.getUrl(key);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, body);
+        return filePath;
+    }
+
+    /**
+     * Open a writer that streams a file into a hidden ".partial-*" folder under the root,
+     * renamed into place on commit() so the file and its folders only appear once it is complete
+     * @param {string} key - Storage key
+     * @returns {Object} { write(chunk), commit(), abort() } where commit() resolves to the file path
+     */
+    createWriter(key) {
+        const filePath = this.getUrl(key);
+        fs.mkdirSync(this.root, { recursive: true });
+        const partialFolder = fs.mkdtempSync(path.join(this.root, '.partial-'));
+        const partialPath = path.join(partialFolder, path.basename(filePath));
+
+        const stream = fs.createWriteStream(partialPath);
+        const closed = finished(stream);
+        closed.catch(() => {});
+
+        return {
+            write: chunk => writeChunk(stream, chunk, closed),
+            commit: async () => {
+                stream.end();
+                await closed;
+                // Atomic on the same filesystem, so readers never see half a file
+                await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+                await fs.promises.rename(partialPath, filePath);
+                await fs.promises.rm(partialFolder, { recursive: true, force: true });
+                return filePath;
+            },
+            abort: async () => {
+                stream.destroy();
+                await closed.catch(() => {});
+                await fs.promises.rm(partialFolder, { recursive: true, force: true });
+            }
+        };
+    }
+
+    /**
+     * Read a file
+     * @param {string} key - Storage key
+     * @returns {Promise<Buffer|null>} File content, or null if missing
+     */
+    async get(key) {
+        const filePath = this.getUrl(key);
+        return fs.existsSync(filePath) ? fs.readFileSync(filePath) : null;
+    }
+
+    /**
+     * Check whether a file exists
+     * @param {string} key - Storage key
+     * @returns {Promise<boolean>} True if stored
+     */
+    async exists(key) {
+        return fs.existsSync(this.getUrl(key));
+    }
+
+    /**
+     * List the keys stored under a prefix
+     * @param {string} prefix - Key prefix ending in a slash
+     * @returns {Promise<string[]>} Keys
+     */
+    async list(prefix) {
+        return listFilesUnder(this.getUrl(prefix)).map(name => `${prefix}${name}`);
+    }
+
+    /**
+     * Describe where files go, for log output
+     * @param {string} prefix - Key prefix
+     * @returns {string} Location
+     */
+    describe(prefix = '') {
+        return this.getUrl(prefix);
+    }
+}
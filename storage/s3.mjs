@@ -0,0 +1,260 @@
+/**
+ * S3 Storage Backend
+ * Stores files in AWS S3 or an S3-compatible server such as MinIO
+ */
+
+import { S3Client, ListObjectsV2Command, GetObjectCommand, HeadObjectCommand } from '@aws-sdk/client-s3';
+import { Upload } from '@aws-sdk/lib-storage';
+import { PassThrough } from 'stream';
+import { StorageBackend, getContentType, writeChunk, renderKeyTemplate, LEGACY_COUNCIL } from './backend.mjs';
+
+export const DEFAULT_S3_KEY_TEMPLATE = '{council}/{appId}/{category}/{filename}';
+
+/**
+ * Check whether an S3 error means the object does not exist
+ * @param {Error} error - Error from the S3 client
+ * @returns {boolean} True for missing objects
+ */
+function isNotFound(error) {
+    return error.name === 'NoSuchKey' || error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404;
+}
+
+export class S3Storage extends StorageBackend {
+    /**
+     * @param {Object} options - Backend settings
+     * @param {string} options.name - Backend name (default: s3)
+     * @param {string} options.bucket - Bucket name (required)
+     * @param {string} options.region - Region (default: us-east-1)
+     * @param {string} options.prefix - Prefix added before every key (default: planning-docs)
+     * @param {string} options.endpoint - Endpoint of an S3-compatible server, e.g. http://localhost:9000
+     * @param {boolean} options.forcePathStyle - Use bucket-in-path URLs, as MinIO needs (default: true with an endpoint)
+     * @param {string} options.accessKeyId - Access key (default: AWS credential chain)
+     * @param {string} options.secretAccessKey - Secret key (default: AWS credential chain)
+     * @param {string} options.keyTemplate - Key template for documents
+     */
+    constructor(options = {}) {
+        super({
+            name: options.name || 's3',
+            keyTemplate: options.keyTemplate || DEFAULT_S3_KEY_TEMPLATE
+        });
+
+        if (!options.bucket) {
+            throw new Error(`Storage "${this.name}" needs a bucket`);
+        }
+
+        this.type = 's3';
+        this.bucket = options.bucket;
+        this.region = options.region || 'us-east-1';
+        this.prefix = (options.prefix ?? 'planning-docs').replace(/\/+$/, '');
+        this.endpoint = options.endpoint ? options.endpoint.replace(/\/+$/, '') : null;
+        this.forcePathStyle = options.forcePathStyle ?? Boolean(this.endpoint);
+
+        this.client = new S3Client({
+            region: this.region,
+            ...(this.endpoint ? { endpoint: this.endpoint } : {}),
+            forcePathStyle: this.forcePathStyle,
+            // Without explicit keys, credentials are detected from:
+            // 1. Environment variables (AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY)
+            // 2. AWS credentials file (~/.aws/credentials)
+            // 3. IAM roles (if running on EC2)
+            ...(options.accessKeyId ? {
+                credentials: {
+                    accessKeyId: options.accessKeyId,
+                    secretAccessKey: options.secretAccessKey
+                }
+            } : {})
+        });
+    }
+
+    /**
+     * Get the full object key, including the prefix
+     * @param {string} key - Storage key
+     * @returns {string} Object key
+     */
+    getObjectKey(key) {
+        return this.prefix ? `${this.prefix}/${key}` : key;
+    }
+
+    /**
+     * Get the <appId>/ folder under the prefix that earlier versions uploaded Meath documents to,
+     * when the default template is in use
+     * @param {Object} values - { council, appId, year }
+     * @returns {string[]} Prefixes ending in a slash
+     */
+    getLegacyApplicationPrefixes(values) {
+        if (this.keyTemplate !== DEFAULT_S3_KEY_TEMPLATE || values.council !== LEGACY_COUNCIL) {
+            return [];
+        }
+        return [renderKeyTemplate('{appId}/', values)];
+    }
+
+    /**
+     * Get the HTTP URL for a key (if the bucket allows public access)
+     * @param {string} key - Storage key
+     * @returns {string} URL
+     */
+    getUrl(key) {
+        const objectKey = this.getObjectKey(key);
+        if (this.endpoint) {
+            return this.forcePathStyle
+                ? `${this.endpoint}/${this.bucket}/${objectKey}`
+                : this.endpoint.replace('://', `://${this.bucket}.`) + `/${objectKey}`;
+        }
+        return `https://${this.bucket}.s3.${this.region}.amazonaws.com/${objectKey}`;
+    }
+
+    /**
+     * Upload a file
+     * @param {string} key - Storage key
+     * @param {Buffer} body - File content
+     * @param {Object} metadata - Object metadata, e.g. { 'application-id', category }
+     * @param {string} contentType - MIME type (default: from the key's extension)
+     * @returns {Promise<string>} s3:// location of the object
+     */
+    async put(key, body, metadata = {}, contentType = null) {
+        const objectKey = this.getObjectKey(key);
+
+        const upload = new Upload({
+            client: this.client,
+            params: {
+                Bucket: this.bucket,
+                Key: objectKey,
+                Body: body,
+                ContentType: contentType || getContentType(key),
+                Metadata: {
+                    'uploaded-at': new Date().toISOString(),
+                    'source': 'meath-planning-scraper',
+                    'file-size': body.length.toString(),
+                    ...metadata
+                }
+            }
+        });
+
+        await upload.done();
+        return `s3://${this.bucket}/${objectKey}`;
+    }
+
+    /**
+     * Open a writer that streams a file into a multipart upload
+     * Parts are sent as they fill, but the upload is only completed when commit() ends the body,
+     * so a download that turns out truncated never becomes an object.
+     * @param {string} key - Storage key
+     * @param {Object} metadata - Object metadata, e.g. { 'application-id', category }
+     * @param {string} contentType - MIME type (default: from the key's extension)
+     * @returns {Object} { write(chunk), commit(), abort() } where commit() resolves to the s3:// location
+     */
+    createWriter(key, metadata = {}, contentType = null) {
+        const objectKey = this.getObjectKey(key);
+        const body = new PassThrough();
+
+        const upload = new Upload({
+            client: this.client,
+            params: {
+                Bucket: this.bucket,
+                Key: objectKey,
+                Body: body,
+                ContentType: contentType || getContentType(key),
+                Metadata: {
+                    'uploaded-at': new Date().toISOString(),
+                    'source': 'meath-planning-scraper',
+                    ...metadata
+                }
+            }
+        });
+        const done = upload.done();
+        done.catch(() => {});
+
+        return {
+            write: chunk => writeChunk(body, chunk, done),
+            commit: async () => {
+                body.end();
+                await done;
+                return `s3://${this.bucket}/${objectKey}`;
+            },
+            abort: async () => {
+                // Failing the body makes lib-storage abort the multipart upload instead of completing it,
+                // and done settles once the abort has been sent
+                body.destroy(new Error('Upload aborted'));
+                await done.catch(() => {});
+            }
+        };
+    }
+
+    /**
+     * Download a file
+     * @param {string} key - Storage key
+     * @returns {Promise<Buffer|null>} File content, or null if missing
+     */
+    async get(key) {
+        try {
+            const response = await this.client.send(new GetObjectCommand({
+                Bucket: this.bucket,
+                Key: this.getObjectKey(key)
+            }));
+            return Buffer.from(await response.Body.transformToByteArray());
+        } catch (error) {
+            if (isNotFound(error)) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Check whether an object exists
+     * @param {string} key - Storage key
+     * @returns {Promise<boolean>} True if stored
+     */
+    async exists(key) {
+        try {
+            await this.client.send(new HeadObjectCommand({
+                Bucket: this.bucket,
+                Key: this.getObjectKey(key)
+            }));
+            return true;
+        } catch (error) {
+            if (isNotFound(error)) {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * List the keys stored under a prefix
+     * @param {string} prefix - Key prefix ending in a slash
+     * @returns {Promise<string[]>} Keys, without the backend prefix
+     */
+    async list(prefix) {
+        const objectPrefix = this.getObjectKey(prefix);
+        const rootLength = objectPrefix.length - prefix.length;
+        const keys = [];
+        let continuationToken;
+
+        do {
+            const response = await this.client.send(new ListObjectsV2Command({
+                Bucket: this.bucket,
+                Prefix: objectPrefix,
+                ContinuationToken: continuationToken
+            }));
+
+            (response.Contents || []).forEach(object => {
+                keys.push(object.Key.slice(rootLength));
+            });
+
+            continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+        } while (continuationToken);
+
+        return keys;
+    }
+
+    /**
+     * Describe where files go, for log output
+     * @param {string} prefix - Key prefix
+     * @returns {string} Location
+     */
+    describe(prefix = '') {
+        const server = this.endpoint ? ` (${this.endpoint})` : '';
+        return `s3://${this.bucket}/${this.getObjectKey(prefix)}${server}`;
+    }
+}
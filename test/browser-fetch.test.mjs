@@ -0,0 +1,108 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { startMockPortal, readSamplePdf } from './mock-portal.mjs';
+import { APPLICATION_ID, quietConsole, makeTempDir, createTestScraper } from './helpers.mjs';
+import { PlanningScraper } from '../scraper.mjs';
+
+const APPLICATION_FOLDER = `downloads_mock_${APPLICATION_ID}`;
+
+let portal;
+
+before(async () => {
+    quietConsole();
+    portal = await startMockPortal({ noIframe: ['2633619'], htmlInsteadOfPdf: ['2645700'] });
+});
+
+after(() => portal.close());
+
+/**
+ * Stand in for the Puppeteer fetcher, which needs Chromium
+ * @param {Error|null} failure - Error every fetch rejects with, or null to return the sample PDF
+ * @returns {Object} Fetcher recording the documents asked for and whether it was closed
+ */
+function createStandInFetcher(failure = null) {
+    const fetcher = {
+        fetched: [],
+        closed: false,
+        async fetchDocument(appId, linkObj) {
+            fetcher.fetched.push(linkObj.docid);
+            if (failure) {
+                throw failure;
+            }
+            return { url: `${portal.baseUrl}/files/${linkObj.docid}.pdf`, body: readSamplePdf(), contentType: 'application/pdf' };
+        },
+        async close() {
+            fetcher.closed = true;
+        }
+    };
+    return fetcher;
+}
+
+/**
+ * Read an application JSON file from the local backend
+ * @param {string} outputDir - Scraper output folder
+ * @param {string} name - File name
+ * @returns {Object} Parsed file
+ */
+function readApplicationJson(outputDir, name) {
+    return JSON.parse(fs.readFileSync(path.join(outputDir, APPLICATION_FOLDER, name), 'utf8'));
+}
+
+test('falls back to the browser when the portal pages cannot be followed', async () => {
+    const outputDir = makeTempDir();
+    const browserFetcher = createStandInFetcher();
+    const result = await createTestScraper(portal, { outputDir, browser: 'fallback', browserFetcher }).scrapeApplication(APPLICATION_ID);
+
+    // A ViewFiles page without the file and a file URL answering with a web page
+    assert.deepEqual(browserFetcher.fetched, ['2633619', '2645700']);
+    assert.equal(browserFetcher.closed, true);
+    assert.equal(result.successCount, 4);
+    assert.equal(result.failCount, 0);
+
+    const manifest = readApplicationJson(outputDir, 'manifest.json');
+    const fetchedWith = Object.fromEntries(manifest.documents.map(doc => [doc.docid, doc.fetchedWith ?? null]));
+    assert.deepEqual(fetchedWith, { '2633597': null, '2633619': 'browser', '2645700': 'browser', '2646005': null });
+    const stored = manifest.documents.find(doc => doc.docid === '2633619');
+    assert.deepEqual(fs.readFileSync(stored.localPath), readSamplePdf());
+});
+
+test('downloads every document with the browser when forced', async () => {
+    const browserFetcher = createStandInFetcher();
+    const viewFilesBefore = portal.requests.filter(request => request.path.endsWith('/ViewFiles.aspx')).length;
+    const result = await createTestScraper(portal, { outputDir: makeTempDir(), browser: 'always', browserFetcher }).scrapeApplication(APPLICATION_ID);
+
+    assert.equal(result.successCount, 4);
+    assert.deepEqual(browserFetcher.fetched.sort(), ['2633597', '2633619', '2645700', '2646005']);
+    assert.equal(portal.requests.filter(request => request.path.endsWith('/ViewFiles.aspx')).length, viewFilesBefore);
+});
+
+test('keeps the portal page failure when the browser fails too', async () => {
+    const outputDir = makeTempDir();
+    const browserFetcher = createStandInFetcher(new Error('Failed to launch the browser process'));
+    const result = await createTestScraper(portal, { outputDir, browser: 'fallback', browserFetcher }).scrapeApplication(APPLICATION_ID);
+
+    assert.equal(result.failCount, 2);
+    assert.equal(browserFetcher.closed, true);
+
+    const [viewFiles, finalResponse] = readApplicationJson(outputDir, 'failures.json').documents;
+    assert.equal(viewFiles.stage, 'viewfiles');
+    assert.equal(viewFiles.errorCategory, 'portal-page');
+    assert.match(viewFiles.error, /browser fallback failed: Failed to launch the browser process/);
+    assert.deepEqual(viewFiles.artifacts, ['failures/2633619-viewfiles.html']);
+    assert.equal(finalResponse.stage, 'validation');
+
+    // Forced browser downloads fail at the browser stage
+    const forced = await createTestScraper(portal, { outputDir: makeTempDir(), browser: 'always', browserFetcher }).scrapeApplication(APPLICATION_ID);
+    assert.deepEqual([...new Set(forced.failures.map(failure => failure.stage))], ['browser']);
+});
+
+test('never uses the browser when turned off, and rejects unknown modes', async () => {
+    const browserFetcher = createStandInFetcher();
+    const result = await createTestScraper(portal, { outputDir: makeTempDir(), browser: 'off', browserFetcher }).scrapeApplication(APPLICATION_ID);
+
+    assert.equal(result.failCount, 2);
+    assert.deepEqual(browserFetcher.fetched, []);
+    assert.throws(() => new PlanningScraper({ adapter: portal.adapter, browser: 'sometimes' }), /Unknown browser mode: sometimes/);
+});
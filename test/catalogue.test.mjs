@@ -0,0 +1,85 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import path from 'path';
+import { startMockPortal, readSamplePdf } from './mock-portal.mjs';
+import { APPLICATION_ID, LISTED_DOCUMENTS, quietConsole, makeTempDir, createTestScraper } from './helpers.mjs';
+import { Catalogue } from '../catalogue.mjs';
+
+let portal;
+
+before(async () => {
+    quietConsole();
+    portal = await startMockPortal({ htmlInsteadOfPdf: ['2645700'] });
+});
+
+after(() => portal.close());
+
+test('records applications, documents and runs as the scraper lists and downloads them', async () => {
+    const dbPath = path.join(makeTempDir(), 'catalogue.db');
+    const catalogue = new Catalogue(dbPath);
+    const scraper = createTestScraper(portal, { outputDir: makeTempDir(), catalogue });
+
+    const [first] = await scraper.scrapeApplications([APPLICATION_ID]);
+    assert.equal(first.failCount, 1);
+
+    const application = catalogue.getApplication(APPLICATION_ID);
+    assert.equal(application.council, 'mock');
+    assert.equal(application.reference, `24/${APPLICATION_ID}`);
+    assert.equal(application.details.reference, application.reference);
+    assert.deepEqual(application.documents.map(doc => doc.docid).sort(), LISTED_DOCUMENTS.map(doc => doc.docid));
+
+    const sha256 = crypto.createHash('sha256').update(readSamplePdf()).digest('hex');
+    const downloaded = application.documents.find(doc => doc.docid === '2633597');
+    assert.equal(downloaded.status, 'downloaded');
+    assert.equal(downloaded.sha256, sha256);
+    assert.equal(downloaded.size, readSamplePdf().length);
+    assert.equal(downloaded.storage.local, downloaded.localPath);
+    const failed = application.documents.find(doc => doc.docid === '2645700');
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.errorCategory, 'not-pdf');
+
+    // A second run keeps when each document was first seen
+    await scraper.scrapeApplications([APPLICATION_ID], { sync: true });
+    const again = catalogue.getApplication(APPLICATION_ID);
+    assert.equal(again.firstSeen, application.firstSeen);
+    assert.ok(again.lastSeen > application.lastSeen);
+    assert.equal(again.documents.find(doc => doc.docid === '2633597').firstSeen, downloaded.firstSeen);
+
+    const runs = catalogue.listRuns();
+    assert.deepEqual(runs.map(run => [run.mode, run.status, run.downloaded, run.failed]), [['sync', 'failed', 0, 1], ['scrape', 'partial', 3, 1]]);
+    assert.deepEqual(runs[0].applicationIds, [APPLICATION_ID]);
+    assert.equal(catalogue.query('SELECT COUNT(*) AS n FROM documents WHERE last_run_id = ?', [runs[0].id])[0].n, 4);
+
+    catalogue.close();
+});
+
+test('lists applications by the documents they have and runs read-only queries', async () => {
+    const dbPath = path.join(makeTempDir(), 'catalogue.db');
+    const catalogue = new Catalogue(dbPath);
+    catalogue.recordListing('mock', 'A1', { reference: '24/1', decision: 'Grant Permission' }, [
+        { docid: '1', title: 'Planners Report', category: 'planner-report', date: '2026-03-02' },
+        { docid: '2', title: 'Submission from TII', category: 'submission', date: '2026-02-10' }
+    ]);
+    catalogue.recordListing('mock', 'A2', { reference: '24/2' }, [
+        { docid: '3', title: 'Planners Report', category: 'planner-report', date: '2025-11-20' }
+    ]);
+    catalogue.recordListing('mock', 'A3', { reference: '24/3' }, [
+        { docid: '4', title: 'Decision Order', category: 'decision', date: '2026-01-15' }
+    ]);
+    // A document dropped from the file list is kept but no longer counted
+    catalogue.recordListing('mock', 'A3', { reference: '24/3' }, []);
+    catalogue.close();
+
+    const reader = new Catalogue(dbPath, { readonly: true });
+    const ids = filters => reader.listApplications(filters).map(application => application.applicationId).sort();
+    assert.deepEqual(ids({ has: 'Planners Report', missing: 'decision' }), ['A1', 'A2']);
+    assert.deepEqual(ids({ has: 'planner-report', decision: 'grant' }), ['A1']);
+    assert.deepEqual(ids({ has: 'decision' }), []);
+    assert.equal(reader.getApplication('A3').documents[0].listed, false);
+
+    const referrals = reader.query("SELECT application_id, title FROM documents WHERE title LIKE '%TII%' AND date >= '2026-01-01'");
+    assert.deepEqual(referrals, [{ application_id: 'A1', title: 'Submission from TII' }]);
+    assert.throws(() => reader.query('DELETE FROM documents'), /read-only|readonly/i);
+    reader.close();
+});
@@ -0,0 +1,156 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { startMockPortal } from './mock-portal.mjs';
+import { APPLICATION_ID, quietConsole, makeTempDir, createTestScraper, makeTextPdf } from './helpers.mjs';
+import { parseDecisionText, DECISIONS_FILENAME } from '../decisions.mjs';
+
+const APPLICATION_FOLDER = `downloads_mock_${APPLICATION_ID}`;
+
+// Laid out like the Meath notification of decision, as pdf-parse returns it
+const NOTIFICATION = [
+    'Planning & Development Act 2000 – 2023',
+    'NOTIFICATION OF DECISION',
+    'PLANNING REGISTER NUMBER: 24/61047',
+    'APPLICATION RECEIPT DATE: 02/12/2024',
+    'In pursuance of the powers conferred upon them by the above-mentioned Act, Meath County Council has by Order dated',
+    '28/05/2025 decided to GRANT PERMISSION to the above named for development of land, subject to the 4 conditions set out in the Schedule attached.',
+    'DATE: 28/05/2025',
+    'Meath County Council - Viewing Purposes Only!',
+    '-- 1 of 2 --',
+    '2461047',
+    'Schedule of Conditions',
+    '1. The development shall be constructed in accordance with the plans and particulars lodged with the',
+    'Planning Authority on 02/12/2024.',
+    'Reason: In the interest of clarity.',
+    '2.',
+    '(i) Existing hedgerows shall be preserved.',
+    '(ii) Planting shall commence no later than the first planting season',
+    'following commencement of development.',
+    'Reason: To protect the visual amenity of the area.',
+    '3. The developer shall pay the sum of €12,345.50 to the Planning Authority as a contribution towards',
+    'expenditure on public infrastructure, in accordance with the Development Contribution Scheme. The',
+    'contribution shall be paid prior to commencement of development.',
+    'Reason: It is considered reasonable that the developer should contribute towards public infrastructure.',
+    '4. Prior to commencement of development, the developer shall lodge with the Planning Authority a cash',
+    'deposit or a bond of an insurance company in the sum of €20,000 to secure the completion of roads.',
+    'Reason: To ensure the satisfactory completion of the development.',
+    'Advice Notes',
+    '(i) This permission does not confer title.'
+].join('\n');
+
+const REFUSAL = [
+    'NOTIFICATION OF DECISION',
+    'Meath County Council has by Order dated 14/03/2025 decided to REFUSE PERMISSION for the reasons set out below.',
+    'Reasons for Refusal',
+    '1. The proposed development would be contrary to policy RD POL 1 of the Development Plan.',
+    '2. The proposed development would endanger public safety by reason of traffic hazard.',
+    'DATE: 14/03/2025'
+].join('\n');
+
+let portal;
+
+before(async () => {
+    quietConsole();
+    portal = await startMockPortal({
+        files: { '2646005': { body: makeTextPdf(NOTIFICATION.split('\n')), contentType: 'application/pdf' } }
+    });
+});
+
+after(() => portal.close());
+
+test('parses the outcome, dates and numbered conditions with their reasons', () => {
+    const decision = parseDecisionText(NOTIFICATION);
+
+    assert.equal(decision.documentType, 'notification-of-decision');
+    assert.equal(decision.reference, '24/61047');
+    assert.equal(decision.outcome, 'grant');
+    assert.equal(decision.outcomeText, 'Grant Permission');
+    assert.equal(decision.decisionDate, '2025-05-28');
+    assert.equal(decision.issuedDate, '2025-05-28');
+    assert.equal(decision.statedConditionCount, 4);
+
+    assert.equal(decision.conditions.length, 4);
+    assert.deepEqual(decision.conditions[0], {
+        number: 1,
+        text: 'The development shall be constructed in accordance with the plans and particulars lodged with the Planning Authority on 02/12/2024.',
+        parts: [],
+        reason: 'In the interest of clarity.'
+    });
+    assert.deepEqual(decision.conditions[1].parts, [
+        { label: 'i', text: 'Existing hedgerows shall be preserved.' },
+        { label: 'ii', text: 'Planting shall commence no later than the first planting season following commencement of development.' }
+    ]);
+    assert.equal(decision.conditions[3].reason, 'To ensure the satisfactory completion of the development.');
+});
+
+test('finds financial contribution and bond amounts in the conditions', () => {
+    const { contributions } = parseDecisionText(NOTIFICATION);
+
+    assert.deepEqual(contributions.map(({ condition, type, amount, currency }) => ({ condition, type, amount, currency })), [
+        { condition: 3, type: 'contribution', amount: 12345.5, currency: 'EUR' },
+        { condition: 4, type: 'bond', amount: 20000, currency: 'EUR' }
+    ]);
+    assert.match(contributions[0].text, /^The developer shall pay the sum of €12,345.50/);
+});
+
+test('only counts security as a bond when it is lodged as one', () => {
+    const { contributions } = parseDecisionText([
+        'NOTIFICATION OF DECISION',
+        'Meath County Council has by Order dated 28/05/2025 decided to GRANT PERMISSION subject to the 3 conditions set out in the Schedule attached.',
+        'Schedule of Conditions',
+        '1. The developer shall pay the sum of €3,000 as a contribution towards site security and CCTV at the public car park.',
+        'Reason: In the interest of public safety.',
+        '2. Security fencing to a value of not less than €5,000 shall be erected around the site compound.',
+        'Reason: In the interest of public safety.',
+        '3. Prior to commencement of development, the developer shall lodge with the Planning Authority cash security in the sum of €15,000.',
+        'Reason: To ensure the satisfactory completion of the development.'
+    ].join('\n'));
+
+    assert.deepEqual(contributions.map(({ condition, type, amount }) => ({ condition, type, amount })), [
+        { condition: 1, type: 'contribution', amount: 3000 },
+        { condition: 3, type: 'bond', amount: 15000 }
+    ]);
+});
+
+test('parses the reasons for a refusal', () => {
+    const decision = parseDecisionText(REFUSAL);
+
+    assert.equal(decision.outcome, 'refuse');
+    assert.equal(decision.outcomeText, 'Refuse Permission');
+    assert.equal(decision.decisionDate, '2025-03-14');
+    assert.deepEqual(decision.conditions, []);
+    assert.deepEqual(decision.refusalReasons.map(reason => reason.number), [1, 2]);
+    assert.match(decision.refusalReasons[1].text, /traffic hazard/);
+});
+
+test('extracts decision documents after download into decisions.json', async () => {
+    const outputDir = makeTempDir();
+    const scraper = createTestScraper(portal, { outputDir });
+    const extracted = [];
+    scraper.on('decision', ({ decision }) => extracted.push(decision.docid));
+
+    const result = await scraper.scrapeApplication(APPLICATION_ID);
+    assert.deepEqual(extracted, ['2646005']);
+    assert.deepEqual(result.decisions.map(decision => decision.conditions.length), [4]);
+
+    const decisions = JSON.parse(fs.readFileSync(path.join(outputDir, APPLICATION_FOLDER, DECISIONS_FILENAME), 'utf8'));
+    assert.equal(decisions.applicationId, APPLICATION_ID);
+    assert.deepEqual(decisions.summary, {
+        docid: '2646005',
+        outcome: 'grant',
+        outcomeText: 'Grant Permission',
+        decisionDate: '2025-05-28',
+        conditionCount: 4,
+        refusalReasonCount: 0,
+        contributionTotal: 12345.5,
+        bondTotal: 20000
+    });
+    assert.equal(decisions.documents[0].title, 'Chief Executives Order');
+    assert.equal(decisions.documents[0].conditions[2].number, 3);
+
+    // Only decision documents are parsed, and extraction can be turned off
+    const skipped = await createTestScraper(portal, { outputDir: makeTempDir(), extractDecisions: false }).scrapeApplication(APPLICATION_ID);
+    assert.deepEqual(skipped.decisions, []);
+});
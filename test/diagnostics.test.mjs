@@ -0,0 +1,107 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { startMockPortal } from './mock-portal.mjs';
+import { APPLICATION_ID, quietConsole, makeTempDir, createTestScraper } from './helpers.mjs';
+
+let portal;
+
+before(async () => {
+    quietConsole();
+    portal = await startMockPortal({ noIframe: ['2646005'] });
+});
+
+after(() => portal.close());
+
+/**
+ * Read a JSON lines file
+ * @param {string} filePath - File path
+ * @returns {Object[]} Entries
+ */
+function readLines(filePath) {
+    return fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+test('reports a changed ViewFiles page by code and writes a diagnostics bundle for the failed run', async () => {
+    const diagnosticsDir = makeTempDir();
+    const scraper = createTestScraper(portal, { outputDir: makeTempDir(), diagnosticsDir });
+    let bundleEvent = null;
+    scraper.on('diagnostics', event => { bundleEvent = event; });
+
+    const [result] = await scraper.scrapeApplications([APPLICATION_ID]);
+    assert.equal(result.successCount, 3);
+    assert.equal(result.failures[0].errorCode, 'PORTAL_VIEWFILES_SOURCE');
+    assert.equal(result.outcomes.find(outcome => outcome.docid === '2646005').errorCode, 'PORTAL_VIEWFILES_SOURCE');
+
+    const [bundleName] = fs.readdirSync(diagnosticsDir);
+    const bundleDir = path.join(diagnosticsDir, bundleName);
+    assert.match(bundleName, /-mock$/);
+    assert.equal(bundleEvent.path, bundleDir);
+
+    const summary = JSON.parse(fs.readFileSync(path.join(bundleDir, 'summary.json'), 'utf8'));
+    assert.equal(summary.status, 'partial');
+    assert.deepEqual(summary.applicationIds, [APPLICATION_ID]);
+    assert.deepEqual(summary.codes, { PORTAL_VIEWFILES_SOURCE: 1 });
+    assert.match(summary.explanations.PORTAL_VIEWFILES_SOURCE, /no iframe or link/);
+    const [problem] = summary.problems;
+    assert.equal(problem.docid, '2646005');
+    assert.equal(problem.stage, 'viewfiles');
+    assert.match(fs.readFileSync(path.join(bundleDir, problem.snapshot), 'utf8'), /<html/i);
+
+    // Every request with its response, and the parser's choices along the way
+    const requests = readLines(path.join(bundleDir, 'requests.jsonl'));
+    assert.equal(requests.filter(request => request.method === 'POST').length, 2);
+    assert.ok(requests.some(request => /\/files\/2633597\.pdf$/.test(request.url) && request.status === 200 && request.contentType === 'application/pdf'));
+    const decisions = readLines(path.join(bundleDir, 'decisions.jsonl'));
+    assert.ok(decisions.some(decision => decision.step === 'file-list' && /4 documents/.test(decision.message)));
+    assert.ok(decisions.some(decision => decision.step === 'viewfiles'));
+
+    // A run that succeeds leaves no bundle
+    const cleanDir = makeTempDir();
+    const clean = await createTestScraper(portal, { outputDir: makeTempDir(), diagnosticsDir: cleanDir })
+        .scrapeApplications([APPLICATION_ID], { filters: { docids: '2633597' } });
+    assert.equal(clean[0].successCount, 1);
+    assert.deepEqual(fs.readdirSync(cleanDir), []);
+});
+
+test('doctor checks each portal page in turn and stops at the first that has changed', async () => {
+    const healthy = await createTestScraper(portal).diagnose(APPLICATION_ID);
+    assert.equal(healthy.ok, true);
+    assert.equal(healthy.bundle, null);
+    assert.deepEqual(healthy.checks.map(check => [check.name, check.ok]),
+        [['disclaimer', true], ['file-list', true], ['details', true], ['file-url', true], ['file', true]]);
+    assert.match(healthy.checks[4].message, /^pdf/);
+
+    // The document without a file source
+    const noSource = await createTestScraper(portal, { diagnosticsDir: makeTempDir() }).diagnose(APPLICATION_ID, { docid: '2646005' });
+    assert.equal(noSource.ok, false);
+    assert.deepEqual(noSource.checks.slice(3).map(check => [check.name, check.ok, check.code]),
+        [['file-url', false, 'PORTAL_VIEWFILES_SOURCE'], ['file', null, null]]);
+    assert.ok(fs.existsSync(path.join(noSource.bundle, 'summary.json')));
+
+    // A redesigned file list whose links no longer carry document IDs
+    const redesigned = await startMockPortal({ pageEdits: { 'file-list': html => html.replace(/docid=\d+/g, 'doc=x') } });
+    try {
+        const changed = await createTestScraper(redesigned).diagnose(APPLICATION_ID);
+        assert.equal(changed.ok, false);
+        assert.deepEqual(changed.checks.map(check => [check.name, check.ok, check.code]), [
+            ['disclaimer', true, null],
+            ['file-list', false, 'PORTAL_FILE_ROWS'],
+            ['details', null, null],
+            ['file-url', null, null],
+            ['file', null, null]
+        ]);
+    } finally {
+        await redesigned.close();
+    }
+
+    // A disclaimer page without its ViewState
+    const noViewState = await startMockPortal({ pageEdits: { copyright: html => html.replace(/name="__VIEWSTATE"/, 'name="state"') } });
+    try {
+        const changed = await createTestScraper(noViewState).diagnose(APPLICATION_ID);
+        assert.equal(changed.checks[0].code, 'PORTAL_VIEWSTATE');
+    } finally {
+        await noViewState.close();
+    }
+});
@@ -0,0 +1,90 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockPortal } from './mock-portal.mjs';
+import { quietConsole, makeTempDir, createTestScraper } from './helpers.mjs';
+import { getWeek, splitIntoWeeks, normaliseCriteria, toCsv } from '../discover.mjs';
+import { createIDocsWebAdapter } from '../adapters/idocsweb.mjs';
+
+let portal;
+
+before(async () => {
+    quietConsole();
+    portal = await startMockPortal();
+});
+
+after(() => portal.close());
+
+test('splits date ranges into Monday to Sunday weeks', () => {
+    assert.deepEqual(getWeek('2024-11-20'), { from: '2024-11-18', to: '2024-11-24' });
+    assert.deepEqual(getWeek('2024-11-24'), { from: '2024-11-18', to: '2024-11-24' });
+    assert.deepEqual(splitIntoWeeks('2024-11-14', '2024-11-26'), [
+        { from: '2024-11-14', to: '2024-11-17' },
+        { from: '2024-11-18', to: '2024-11-24' },
+        { from: '2024-11-25', to: '2024-11-26' }
+    ]);
+});
+
+test('fills in and checks discover criteria', () => {
+    assert.deepEqual(normaliseCriteria({}, '2024-11-26'),
+        { list: 'received', from: '2024-11-20', to: '2024-11-26', address: null, decision: null });
+    assert.deepEqual(normaliseCriteria({ week: '2024-11-20', decision: 'grant' }),
+        { list: 'decided', from: '2024-11-18', to: '2024-11-24', address: null, decision: 'grant' });
+    assert.throws(() => normaliseCriteria({ list: 'appealed' }), /Unknown list: appealed/);
+    assert.throws(() => normaliseCriteria({ from: '2024-11-26', to: '2024-11-01' }), /is after/);
+    assert.throws(() => normaliseCriteria({ from: '26/11/2024' }), /Invalid date/);
+});
+
+test('discovers applications received in a date range, following result pages', async () => {
+    const scraper = createTestScraper(portal);
+    const applications = await scraper.discoverApplications({ from: '2024-11-14', to: '2024-11-26' });
+
+    assert.deepEqual(applications.map(application => application.applicationId), ['2461047', '2461052', '2461060', '2461071', '2461088']);
+    assert.deepEqual(applications[0], {
+        applicationId: '2461047',
+        reference: '24/61047',
+        status: 'Decided',
+        applicant: 'Headfort Arms Hotel Ltd',
+        address: 'Headfort Arms Hotel, Headfort Place, Kells, Co. Meath',
+        description: null,
+        receivedDate: '2024-11-15',
+        decision: 'Grant Permission',
+        decisionDate: '2025-06-03',
+        detailsUrl: portal.baseUrl.replace('/iDocsWebDPSS', '/MockCC/AppFileRefDetails/2461047/0')
+    });
+
+    // One search per week, the second week spread over two pages
+    const searches = portal.requests.filter(request => request.path.endsWith('/SearchListing/RECEIVED'));
+    assert.deepEqual(searches.map(request => [request.query.DateFrom, request.query.DateTo, request.query.page]), [
+        ['14/11/2024', '17/11/2024', undefined],
+        ['18/11/2024', '24/11/2024', undefined],
+        ['18/11/2024', '24/11/2024', '2'],
+        ['25/11/2024', '26/11/2024', undefined]
+    ]);
+});
+
+test('filters by address keyword and decision', async () => {
+    const scraper = createTestScraper(portal);
+
+    const navan = await scraper.discoverApplications({ from: '2024-11-14', to: '2024-11-26', address: 'navan' });
+    assert.deepEqual(navan.map(application => application.applicationId), ['2461052', '2461060', '2461088']);
+
+    const granted = await scraper.discoverApplications({ from: '2025-01-01', to: '2025-01-31', decision: 'grant' });
+    assert.deepEqual(granted.map(application => application.applicationId), ['2461088']);
+
+    const csv = toCsv(granted).split('\n');
+    assert.equal(csv[0], 'application_id,reference,received_date,status,decision,decision_date,address,description');
+    assert.equal(csv[1], '2461088,24/61088,2024-11-26,Decided,Grant Permission,2025-01-17,"Kells Road, Navan, Co. Meath",');
+});
+
+test('downloads the documents of discovered applications', async () => {
+    const scraper = createTestScraper(portal, { outputDir: makeTempDir() });
+    const applications = await scraper.discoverApplications({ week: '2024-11-25' });
+    const results = await scraper.scrapeApplications(applications.map(application => application.applicationId));
+
+    assert.deepEqual(results.map(result => [result.applicationId, result.successCount]), [['2461088', 4]]);
+});
+
+test('refuses to discover on portals without a register search', async () => {
+    const scraper = createTestScraper({ adapter: createIDocsWebAdapter({ id: 'docs', name: 'Documents Only', baseUrl: portal.baseUrl }) });
+    await assert.rejects(scraper.discoverApplications({}), /Documents Only has no register search/);
+});
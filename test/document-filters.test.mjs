@@ -0,0 +1,77 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { startMockPortal } from './mock-portal.mjs';
+import { APPLICATION_ID, LISTED_DOCUMENTS, quietConsole, makeTempDir, createTestScraper } from './helpers.mjs';
+import { normaliseFilters, filterDocuments, documentsToCsv } from '../document-filters.mjs';
+import { listDocuments } from '../index.mjs';
+
+let portal;
+
+before(async () => {
+    quietConsole();
+    portal = await startMockPortal();
+});
+
+after(() => portal.close());
+
+/**
+ * Filter the documents in the fixture file list
+ * @param {Object} filters - Filters for normaliseFilters
+ * @returns {string[]} Document IDs left
+ */
+function filteredIds(filters) {
+    return filterDocuments(LISTED_DOCUMENTS, normaliseFilters(filters)).map(doc => doc.docid);
+}
+
+test('filters the file list by title, document ID and count', () => {
+    assert.deepEqual(filteredIds({}), ['2633597', '2633619', '2645700', '2646005']);
+    assert.deepEqual(filteredIds({ includeTitle: 'plan' }), ['2633597', '2633619']);
+    assert.deepEqual(filteredIds({ includeTitle: 'plan', excludeTitle: '^\\d+ planning' }), ['2633597']);
+    assert.deepEqual(filteredIds({ docids: '2633597-2633619,2646005' }), ['2633597', '2633619', '2646005']);
+    assert.deepEqual(filteredIds({ sinceDocid: '2633619' }), ['2645700', '2646005']);
+    assert.deepEqual(filteredIds({ categories: ['drawing', 'decision'], maxDocs: 1 }), ['2646005']);
+
+    // The newest documents are kept in file list order
+    const shuffled = [LISTED_DOCUMENTS[3], LISTED_DOCUMENTS[0], LISTED_DOCUMENTS[2]];
+    assert.deepEqual(filterDocuments(shuffled, normaliseFilters({ maxDocs: 2 })).map(doc => doc.docid), ['2646005', '2645700']);
+
+    assert.throws(() => normaliseFilters({ includeTitle: 'plan(' }), /Invalid include-title pattern: plan\(/);
+    assert.throws(() => normaliseFilters({ docids: '2646005-2633597' }), /start is after end/);
+    assert.throws(() => normaliseFilters({ docids: 'abc' }), /Invalid document ID: abc/);
+    assert.throws(() => normaliseFilters({ maxDocs: '0' }), /Invalid max-docs: 0/);
+
+    assert.equal(documentsToCsv([{ applicationId: APPLICATION_ID, documents: [{ docid: '1', title: 'Site Plan, rev "B"', category: 'drawing', date: null, url: 'u' }] }]),
+        `application_id,docid,title,category,date,url\n${APPLICATION_ID},1,"Site Plan, rev ""B""",drawing,,u\n`);
+});
+
+test('downloads only the documents that match the filters', async () => {
+    const result = await createTestScraper(portal, { outputDir: makeTempDir() }).scrapeApplication(APPLICATION_ID, {
+        filters: { excludeTitle: 'report', maxDocs: 1 }
+    });
+
+    assert.equal(result.found, 4);
+    assert.deepEqual(result.documents.map(doc => doc.docid), ['2646005']);
+
+    const listing = await listDocuments(APPLICATION_ID, { adapter: portal.adapter, requestsPerSecond: 0, filters: { docids: '2633597-2633619' } });
+    assert.deepEqual(listing.documents.map(doc => doc.docid), ['2633597', '2633619']);
+});
+
+test('a dry run shows where documents would be stored without fetching or saving anything', async () => {
+    const outputDir = makeTempDir();
+    const requestsBefore = portal.requests.length;
+    const result = await createTestScraper(portal, { outputDir }).scrapeApplication(APPLICATION_ID, {
+        dryRun: true,
+        filters: { categories: ['drawing', 'decision'] }
+    });
+
+    assert.equal(result.successCount, 0);
+    assert.deepEqual(result.documents, []);
+    assert.deepEqual(result.plan.map(doc => [doc.docid, doc.category]), [['2633597', 'drawing'], ['2646005', 'decision']]);
+    assert.equal(result.plan[0].locations.local, path.join(outputDir, `downloads_mock_${APPLICATION_ID}`, 'drawing', '2633597_42_PA-101-B_Proposed_Ground_Floor_Plan_2-2.pdf'));
+
+    // Only the disclaimer and file list were requested, and nothing was written
+    assert.equal(portal.requests.slice(requestsBefore).some(request => /ViewFiles|ViewPdf|\/files\//.test(request.path)), false);
+    assert.deepEqual(fs.readdirSync(outputDir), []);
+});
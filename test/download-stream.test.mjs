@@ -0,0 +1,161 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+import { startMockPortal } from './mock-portal.mjs';
+import { startS3StandIn } from './s3-stand-in.mjs';
+import { APPLICATION_ID, quietConsole, makeTempDir, createTestScraper } from './helpers.mjs';
+import { readHead, spoolDownload, TAIL_BYTES } from '../download-stream.mjs';
+import { findIntegrityProblem } from '../file-type.mjs';
+
+const APPLICATION_FOLDER = `downloads_mock_${APPLICATION_ID}`;
+
+// Larger than lib-storage's 5 MB part size, so S3 gets a multipart upload
+const LARGE_PDF = Buffer.concat([Buffer.from('%PDF-1.4\n'), Buffer.alloc(11 * 1024 * 1024, 'x'), Buffer.from('\n%%EOF\n')]);
+
+let portal;
+
+before(async () => {
+    quietConsole();
+    portal = await startMockPortal({
+        files: {
+            '2633619': { body: LARGE_PDF, contentType: 'application/pdf' },
+            // The connection drops after the first S3 part has been sent
+            '2645700': { body: LARGE_PDF, contentType: 'application/pdf', cutOffAt: 6 * 1024 * 1024 }
+        }
+    });
+});
+
+after(() => portal.close());
+
+/**
+ * Hash content the way the manifest does
+ * @param {Buffer} content - Content
+ * @returns {string} SHA-256 hex digest
+ */
+function sha256(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+test('hashes a stream and keeps its first and last bytes while writing it to a temporary file', async () => {
+    const expected = crypto.createHash('sha256');
+    for (let index = 0; index < 40; index++) {
+        expected.update(Buffer.alloc(64 * 1024, index));
+    }
+
+    // Each chunk is made when it is read, so the whole stream is never in memory
+    const stream = Readable.from((function* () {
+        for (let index = 0; index < 40; index++) {
+            yield Buffer.alloc(64 * 1024, index);
+        }
+    })());
+    const source = await readHead(stream, 100000);
+    assert.equal(source.head.length, 2 * 64 * 1024);
+
+    const spooled = await spoolDownload(source);
+    assert.equal(spooled.size, 40 * 64 * 1024);
+    assert.equal(spooled.sha256, expected.digest('hex'));
+    assert.deepEqual(spooled.tail, Buffer.alloc(TAIL_BYTES, 39));
+    assert.equal(fs.statSync(spooled.path).size, spooled.size);
+    assert.equal(findIntegrityProblem(spooled, 'bin', { 'content-length': String(spooled.size) }), null);
+    assert.match(findIntegrityProblem(spooled, 'pdf'), /no %%EOF/);
+
+    await spooled.discard();
+    assert.equal(fs.existsSync(spooled.path), false);
+});
+
+test('streams large documents to local storage and a multipart upload, committing only complete ones', async () => {
+    const outputDir = makeTempDir();
+    const s3 = await startS3StandIn();
+
+    try {
+        const scraper = createTestScraper(portal, {
+            storage: [
+                { type: 'local', name: 'local', root: outputDir },
+                { type: 's3', name: 's3', bucket: s3.bucket, endpoint: s3.endpoint, accessKeyId: 'test', secretAccessKey: 'test' }
+            ]
+        });
+        const result = await scraper.scrapeApplication(APPLICATION_ID);
+        assert.equal(result.successCount, 3);
+
+        const large = result.documents.find(doc => doc.docid === '2633619');
+        assert.equal(large.size, LARGE_PDF.length);
+        assert.equal(large.sha256, sha256(LARGE_PDF));
+        assert.equal(sha256(fs.readFileSync(large.localPath)), large.sha256);
+
+        const objectKey = large.storage.s3.replace(`s3://${s3.bucket}/`, '');
+        assert.equal(sha256(s3.objects.get(objectKey).body), large.sha256);
+        const [upload] = [...s3.uploads.values()].filter(entry => entry.key === objectKey);
+        assert.equal(upload.status, 'completed');
+        assert.equal(upload.parts.size, 3);
+
+        // The dropped download is neither renamed into place nor completed as an object
+        const [failure] = result.failures;
+        assert.equal(failure.docid, '2645700');
+        assert.equal(failure.stage, 'download');
+        assert.equal(fs.existsSync(path.join(outputDir, APPLICATION_FOLDER, 'further-information')), false);
+        const abandoned = [...s3.uploads.values()].filter(entry => entry.key.includes('/2645700_'));
+        assert.ok(abandoned.length > 0);
+        abandoned.forEach(entry => assert.equal(entry.status, 'aborted'));
+        assert.equal([...s3.objects.keys()].some(key => key.includes('/2645700_')), false);
+
+        // No partial files are left behind
+        assert.deepEqual(fs.readdirSync(outputDir).filter(name => name.startsWith('.partial-')), []);
+    } finally {
+        await s3.close();
+    }
+});
+
+test('fetches a document again when its connection drops while the file is arriving', async () => {
+    const droppingPortal = await startMockPortal({ cutOffOnce: ['2633597'], files: { '2633597': { body: LARGE_PDF, contentType: 'application/pdf' } } });
+    const outputDir = makeTempDir();
+
+    try {
+        const retries = [];
+        const scraper = createTestScraper(droppingPortal, { outputDir, retries: 1 });
+        scraper.on('retry', event => retries.push(event));
+        const result = await scraper.scrapeApplication(APPLICATION_ID, { filters: { docids: '2633597' } });
+
+        assert.equal(result.successCount, 1);
+        assert.equal(result.failCount, 0);
+        assert.equal(retries.length, 1);
+        assert.match(retries[0].url, /ViewFiles\.aspx\?docid=2633597/);
+        const [document] = result.documents;
+        assert.equal(document.size, LARGE_PDF.length);
+        assert.equal(sha256(fs.readFileSync(document.localPath)), sha256(LARGE_PDF));
+        assert.equal(result.outcomes[0].retries, 1);
+
+        // The file was asked for twice, and the first partial copy was not kept
+        assert.equal(droppingPortal.requests.filter(request => request.path.endsWith('/files/2633597.pdf')).length, 2);
+        assert.deepEqual(fs.readdirSync(outputDir).filter(name => name.startsWith('.partial-')), []);
+    } finally {
+        await droppingPortal.close();
+    }
+});
+
+test('downloads a file the ViewFiles page points straight at with a single request', async () => {
+    const directPortal = await startMockPortal({ directFile: ['2633619'], files: { '2633619': { body: LARGE_PDF, contentType: 'application/pdf' } } });
+    const cacheDir = makeTempDir();
+
+    try {
+        const scraper = createTestScraper(directPortal, { outputDir: makeTempDir(), httpOptions: { cacheDir, cacheTtl: 60000 } });
+        const result = await scraper.scrapeApplication(APPLICATION_ID, { filters: { docids: '2633619' } });
+
+        assert.equal(result.successCount, 1);
+        const [document] = result.documents;
+        assert.equal(document.size, LARGE_PDF.length);
+        assert.equal(sha256(fs.readFileSync(document.localPath)), sha256(LARGE_PDF));
+
+        // No ViewPdf page, the file fetched once, and only the portal pages cached
+        const paths = directPortal.requests.map(request => request.path);
+        assert.equal(paths.filter(requestPath => requestPath.endsWith('/files/2633619.pdf')).length, 1);
+        assert.ok(!paths.some(requestPath => requestPath.endsWith('/ViewPdf.aspx')));
+        const cached = fs.readdirSync(cacheDir).map(name => JSON.parse(fs.readFileSync(path.join(cacheDir, name), 'utf8')).url);
+        assert.ok(cached.some(url => /ViewFiles\.aspx\?docid=2633619/.test(url)));
+        assert.ok(!cached.some(url => url.endsWith('/files/2633619.pdf')));
+    } finally {
+        await directPortal.close();
+    }
+});
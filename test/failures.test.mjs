@@ -0,0 +1,93 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { startMockPortal } from './mock-portal.mjs';
+import { APPLICATION_ID, quietConsole, makeTempDir, createTestScraper } from './helpers.mjs';
+import { findFailedApplications, FAILURES_FILENAME } from '../failures.mjs';
+
+const APPLICATION_FOLDER = `downloads_mock_${APPLICATION_ID}`;
+
+let portal;
+let brokenPortal;
+
+before(async () => {
+    quietConsole();
+    portal = await startMockPortal();
+    brokenPortal = await startMockPortal({ noIframe: ['2633619'], htmlInsteadOfPdf: ['2645700'] });
+});
+
+after(async () => {
+    await portal.close();
+    await brokenPortal.close();
+});
+
+/**
+ * Read an application's failure queue
+ * @param {string} outputDir - Scraper output folder
+ * @returns {Object} Parsed failures.json
+ */
+function readFailures(outputDir) {
+    return JSON.parse(fs.readFileSync(path.join(outputDir, APPLICATION_FOLDER, FAILURES_FILENAME), 'utf8'));
+}
+
+test('records failed documents with their stage and page snapshots', async () => {
+    const outputDir = makeTempDir();
+    const workingDir = fs.readdirSync('.');
+    await createTestScraper(brokenPortal, { outputDir }).scrapeApplication(APPLICATION_ID);
+
+    const queue = readFailures(outputDir);
+    assert.equal(queue.applicationId, APPLICATION_ID);
+    assert.equal(queue.failureCount, 2);
+
+    const [viewFiles, finalResponse] = queue.documents;
+    assert.equal(viewFiles.docid, '2633619');
+    assert.equal(viewFiles.stage, 'viewfiles');
+    assert.equal(viewFiles.errorCategory, 'portal-page');
+    assert.equal(viewFiles.attempts, 1);
+    assert.deepEqual(viewFiles.artifacts, ['failures/2633619-viewfiles.html']);
+    assert.match(fs.readFileSync(path.join(outputDir, APPLICATION_FOLDER, viewFiles.artifacts[0]), 'utf8'), /<html/i);
+
+    assert.equal(finalResponse.docid, '2645700');
+    assert.equal(finalResponse.stage, 'validation');
+    assert.equal(finalResponse.errorCategory, 'not-pdf');
+    assert.deepEqual(finalResponse.artifacts, ['failures/2645700-final-response.html']);
+
+    // Nothing is left behind in the working directory
+    assert.deepEqual(fs.readdirSync('.'), workingDir);
+});
+
+test('counts repeated failures and only retries queued documents', async () => {
+    const outputDir = makeTempDir();
+    await createTestScraper(brokenPortal, { outputDir }).scrapeApplication(APPLICATION_ID);
+
+    const retriedBroken = await createTestScraper(brokenPortal, { outputDir }).scrapeApplication(APPLICATION_ID, { retryFailed: true });
+    assert.deepEqual(retriedBroken.retry, { queued: 2, retrying: 2, notListed: 0 });
+    assert.equal(retriedBroken.failCount, 2);
+    assert.equal(readFailures(outputDir).documents[0].attempts, 2);
+
+    const fixed = createTestScraper(portal, { outputDir });
+    const started = [];
+    fixed.on('document:start', ({ docid }) => started.push(docid));
+    const retried = await fixed.scrapeApplication(APPLICATION_ID, { retryFailed: true });
+
+    assert.deepEqual(started.sort(), ['2633619', '2645700']);
+    assert.equal(retried.successCount, 2);
+    assert.deepEqual(readFailures(outputDir).documents, []);
+
+    const manifest = JSON.parse(fs.readFileSync(path.join(outputDir, APPLICATION_FOLDER, 'manifest.json'), 'utf8'));
+    assert.equal(manifest.documentCount, 4);
+
+    const nothingLeft = await fixed.scrapeApplication(APPLICATION_ID, { retryFailed: true });
+    assert.deepEqual(nothingLeft.retry, { queued: 0, retrying: 0, notListed: 0 });
+    assert.equal(nothingLeft.successCount, 0);
+});
+
+test('finds the applications with failed documents in a download folder', async () => {
+    const outputDir = makeTempDir();
+    assert.deepEqual(findFailedApplications(outputDir, 'mock'), []);
+
+    await createTestScraper(brokenPortal, { outputDir }).scrapeApplication(APPLICATION_ID);
+    assert.deepEqual(findFailedApplications(outputDir, 'mock'), [APPLICATION_ID]);
+    assert.deepEqual(findFailedApplications(outputDir, 'meath'), []);
+});
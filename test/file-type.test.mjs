@@ -0,0 +1,108 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { startMockPortal, readSamplePdf } from './mock-portal.mjs';
+import { startS3StandIn } from './s3-stand-in.mjs';
+import { APPLICATION_ID, quietConsole, makeTempDir, createTestScraper } from './helpers.mjs';
+import { detectFileType, findIntegrityProblem, replaceExtension } from '../file-type.mjs';
+
+const APPLICATION_FOLDER = `downloads_mock_${APPLICATION_ID}`;
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]), Buffer.alloc(24)]);
+const DJVU = Buffer.concat([Buffer.from('AT&TFORM'), Buffer.from([0, 0, 0, 32]), Buffer.from('DJVUINFO'), Buffer.alloc(24)]);
+const TRUNCATED_PDF = readSamplePdf().subarray(0, 400);
+
+let portal;
+
+before(async () => {
+    quietConsole();
+    portal = await startMockPortal({
+        files: {
+            '2633597': { body: PNG, contentType: 'application/pdf' },
+            '2633619': { body: DJVU, contentType: 'application/octet-stream' },
+            '2645700': { body: TRUNCATED_PDF, contentType: 'application/pdf' }
+        }
+    });
+});
+
+after(() => portal.close());
+
+test('detects files from their magic bytes before the headers', () => {
+    assert.deepEqual(detectFileType(readSamplePdf(), { 'content-type': 'text/html' }),
+        { ext: 'pdf', contentType: 'application/pdf', detectedBy: 'magic' });
+    assert.equal(detectFileType(PNG, { 'content-type': 'application/pdf' }).ext, 'png');
+    assert.equal(detectFileType(DJVU).ext, 'djvu');
+    assert.equal(detectFileType(Buffer.from('<!DOCTYPE html><html></html>')).ext, 'html');
+});
+
+test('falls back to Content-Disposition, Content-Type and plain text', () => {
+    const unknown = Buffer.from([0x00, 0x01, 0x02, 0x03]);
+    assert.deepEqual(detectFileType(unknown, { 'content-disposition': 'attachment; filename="Site Layout.DWG.xlsx"' }),
+        { ext: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', detectedBy: 'headers' });
+    assert.equal(detectFileType(unknown, { 'content-disposition': 'attachment; filename="50%_plan.docx"' }).ext, 'docx');
+    assert.equal(detectFileType(unknown, { 'content-disposition': "attachment; filename=\"plan.bin\"; filename*=UTF-8''Fl%C3%A4che%20plan.rtf" }).ext, 'rtf');
+    assert.equal(detectFileType(unknown, { 'content-disposition': "attachment; filename=\"plan.doc\"; filename*=UTF-8''50%_plan.rtf" }).ext, 'doc');
+    assert.equal(detectFileType(unknown, { 'content-type': 'image/vnd.djvu' }).ext, 'djvu');
+    assert.equal(detectFileType(Buffer.from('Planning notes\n')).detectedBy, 'text');
+    assert.deepEqual(detectFileType(unknown), { ext: 'bin', contentType: 'application/octet-stream', detectedBy: 'unknown' });
+});
+
+test('finds short and truncated downloads', () => {
+    const pdf = readSamplePdf();
+    assert.equal(findIntegrityProblem(pdf, 'pdf', { 'content-length': String(pdf.length) }), null);
+    assert.equal(findIntegrityProblem(pdf, 'pdf', { 'content-length': String(pdf.length + 10) }), `Received ${pdf.length} of ${pdf.length + 10} bytes`);
+    assert.equal(findIntegrityProblem(pdf, 'pdf', { 'content-length': '10', 'content-encoding': 'gzip' }), null);
+    assert.match(findIntegrityProblem(TRUNCATED_PDF, 'pdf'), /no %%EOF/);
+    assert.equal(findIntegrityProblem(PNG, 'png'), null);
+    assert.equal(replaceExtension('2633597_Floor_Plan.pdf', 'png'), '2633597_Floor_Plan.png');
+    assert.equal(replaceExtension('document_2633597', 'djvu'), 'document_2633597.djvu');
+});
+
+test('saves each document with its real extension and content type', async () => {
+    const outputDir = makeTempDir();
+    const s3 = await startS3StandIn();
+    try {
+        const scraper = createTestScraper(portal, {
+            storage: [
+                { type: 'local', name: 'local', root: outputDir },
+                { type: 's3', name: 's3', bucket: s3.bucket, endpoint: s3.endpoint, accessKeyId: 'test', secretAccessKey: 'test' }
+            ]
+        });
+        const result = await scraper.scrapeApplication(APPLICATION_ID);
+
+        const png = result.documents.find(doc => doc.docid === '2633597');
+        assert.equal(path.extname(png.localPath), '.png');
+        assert.deepEqual(fs.readFileSync(png.localPath), PNG);
+        assert.equal(s3.objects.get(png.storage.s3.replace(`s3://${s3.bucket}/`, '')).contentType, 'image/png');
+
+        const manifest = JSON.parse(fs.readFileSync(path.join(outputDir, APPLICATION_FOLDER, 'manifest.json'), 'utf8'));
+        const djvu = manifest.documents.find(doc => doc.docid === '2633619');
+        assert.match(djvu.filename, /\.djvu$/);
+        assert.equal(djvu.contentType, 'image/vnd.djvu');
+    } finally {
+        await s3.close();
+    }
+});
+
+test('fails truncated PDFs instead of saving them', async () => {
+    const outputDir = makeTempDir();
+    const result = await createTestScraper(portal, { outputDir }).scrapeApplication(APPLICATION_ID);
+
+    const outcome = result.outcomes.find(doc => doc.docid === '2645700');
+    assert.equal(outcome.status, 'failed');
+    assert.equal(outcome.errorCategory, 'truncated');
+    assert.equal(result.successCount, 3);
+    assert.ok(!fs.existsSync(path.join(outputDir, APPLICATION_FOLDER, 'further-information')));
+});
+
+test('keeps the original file when conversion to PDF fails', async () => {
+    const outputDir = makeTempDir();
+    const scraper = createTestScraper(portal, { outputDir, convertToPdf: true });
+    const result = await scraper.scrapeApplication(APPLICATION_ID, { filters: { categories: ['applicant-report'] } });
+
+    // The DjVu fixture is only a header, so ddjvu fails on it even where it is installed
+    assert.equal(result.successCount, 1);
+    const [document] = result.documents;
+    assert.equal(path.extname(document.localPath), '.djvu');
+    assert.equal(document.convertedFrom, undefined);
+});
@@ -0,0 +1,84 @@
+/**
+ * Shared helpers for the test suite
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { mock } from 'node:test';
+import { PlanningScraper } from '../scraper.mjs';
+
+export const APPLICATION_ID = '2461047';
+
+// Documents listed in test/fixtures/idocsweb/file-list.html
+export const LISTED_DOCUMENTS = [
+    { docid: '2633597', title: '42 PA-101-B Proposed Ground Floor Plan 2-2', category: 'drawing' },
+    { docid: '2633619', title: '6 Planning Report', category: 'applicant-report' },
+    { docid: '2645700', title: 'F.I. Request Letter', category: 'further-information' },
+    { docid: '2646005', title: 'Chief Executives Order', category: 'decision' }
+];
+
+/**
+ * Silence the scraper's progress output for the rest of the test file
+ */
+export function quietConsole() {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+}
+
+/**
+ * Create an empty temporary folder, removed again when the process exits
+ * @returns {string} Folder path
+ */
+export function makeTempDir() {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'planning-scraper-test-'));
+    process.on('exit', () => fs.rmSync(folder, { recursive: true, force: true }));
+    return folder;
+}
+
+/**
+ * Create a scraper for a mock portal, without rate limiting, retries or the headless browser
+ * @param {Object} portal - Result of startMockPortal
+ * @param {Object} options - Extra PlanningScraper options
+ * @returns {PlanningScraper} Scraper
+ */
+export function createTestScraper(portal, options = {}) {
+    return new PlanningScraper({
+        adapter: portal.adapter,
+        requestsPerSecond: 0,
+        retries: 0,
+        browser: 'off',
+        ...options
+    });
+}
+
+/**
+ * Build a one-page PDF holding lines of plain text, for documents whose content is parsed
+ * @param {string[]} lines - Text lines, top to bottom
+ * @returns {Buffer} PDF content
+ */
+export function makeTextPdf(lines) {
+    // WinAnsi has the euro sign at 0x80
+    const escape = text => text.replace(/[\\()]/g, match => `\\${match}`).replace(/€/g, '\x80');
+    const content = ['BT', '/F1 9 Tf', '11 TL', '40 800 Td',
+        ...lines.map(line => `(${escape(line)}) Tj T*`), 'ET'].join('\n');
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Resources << /Font << /F1 4 0 R >> >> /Contents 5 0 R >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+        `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`
+    ];
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, index) => {
+        const offset = Buffer.byteLength(pdf, 'latin1');
+        pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+    const xref = Buffer.byteLength(pdf, 'latin1');
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return Buffer.from(pdf, 'latin1');
+}
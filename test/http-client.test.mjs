@@ -0,0 +1,131 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { startMockPortal } from './mock-portal.mjs';
+import { APPLICATION_ID, quietConsole, makeTempDir, createTestScraper } from './helpers.mjs';
+import { HttpClient } from '../http-client.mjs';
+
+let portal;
+
+before(async () => {
+    quietConsole();
+    portal = await startMockPortal();
+});
+
+after(() => portal.close());
+
+/**
+ * Get the portal requests made since a point
+ * @param {number} from - Length of portal.requests before
+ * @returns {Object[]} Requests
+ */
+function requestsSince(from) {
+    return portal.requests.slice(from);
+}
+
+/**
+ * Count the forms posted to the disclaimer page (agreement and file list postback)
+ * @param {Object[]} requests - Portal requests
+ * @returns {number} POST requests
+ */
+function countPosts(requests) {
+    return requests.filter(request => request.method === 'POST').length;
+}
+
+/**
+ * Start a forwarding HTTP proxy that counts the requests passed through it
+ * @returns {Promise<Object>} { url, forwarded, close }
+ */
+async function startProxy() {
+    const forwarded = [];
+    const server = http.createServer((req, res) => {
+        forwarded.push(req.url);
+        const upstream = http.request(req.url, { method: req.method, headers: req.headers }, upstreamRes => {
+            res.writeHead(upstreamRes.statusCode, upstreamRes.headers);
+            upstreamRes.pipe(res);
+        });
+        req.pipe(upstream);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        forwarded,
+        close: () => new Promise(resolve => {
+            server.close(resolve);
+            server.closeAllConnections();
+        })
+    };
+}
+
+test('reuses a saved session and accepts the disclaimer again when the portal bounces a request back to it', async () => {
+    const sessionFile = path.join(makeTempDir(), 'sessions', 'mock.json');
+    const httpOptions = { sessionFile };
+
+    let from = portal.requests.length;
+    const first = await createTestScraper(portal, { outputDir: makeTempDir(), httpOptions }).scrapeApplication(APPLICATION_ID);
+    assert.equal(first.successCount, 4);
+    // Agreement and file list postback
+    assert.equal(countPosts(requestsSince(from)), 2);
+    assert.match(fs.readFileSync(sessionFile, 'utf8'), /ASP\.NET_SessionId/);
+
+    // The next run goes straight to the file list with the saved session
+    from = portal.requests.length;
+    const scraper = createTestScraper(portal, { outputDir: makeTempDir(), httpOptions, concurrency: 1 });
+    assert.equal(scraper.httpClient.sessionRestored, true);
+    const listing = await scraper.listDocuments(APPLICATION_ID);
+    assert.equal(listing.documents.length, 4);
+    assert.equal(countPosts(requestsSince(from)), 1);
+
+    // The portal drops the session before the downloads, so the first document is bounced to the disclaimer
+    from = portal.requests.length;
+    scraper.once('listing', () => portal.expireSessions());
+    const second = await scraper.scrapeApplication(APPLICATION_ID);
+    assert.equal(second.successCount, 4);
+    assert.equal(second.failCount, 0);
+    const requests = requestsSince(from);
+    assert.ok(requests.some(request => request.path.endsWith('/copyright.aspx') && request.query.id === undefined));
+    // File list postback, then the agreement once more
+    assert.equal(countPosts(requests), 2);
+
+    // A session unused for longer than it lasts on the portal is not restored
+    const saved = JSON.parse(fs.readFileSync(sessionFile, 'utf8'));
+    fs.writeFileSync(sessionFile, JSON.stringify({ ...saved, lastUsed: Date.now() - 21 * 60 * 1000 }));
+    assert.equal(new HttpClient({ sessionFile }).sessionRestored, false);
+});
+
+test('sends the configured User-Agent through the proxy and caches pages revalidated with conditional requests', async () => {
+    const proxy = await startProxy();
+    const cacheDir = makeTempDir();
+    const httpOptions = { userAgent: 'PlanningBot/1.0 (+mailto:planning@example.com)', proxy: proxy.url, cacheDir };
+
+    try {
+        let from = portal.requests.length;
+        const first = await createTestScraper(portal, { outputDir: makeTempDir(), httpOptions }).scrapeApplication(APPLICATION_ID);
+        assert.equal(first.successCount, 4);
+        let requests = requestsSince(from);
+        assert.ok(requests.every(request => request.headers['user-agent'] === httpOptions.userAgent));
+        assert.equal(proxy.forwarded.length, requests.length);
+        assert.equal(fs.readdirSync(cacheDir).length, 8);
+
+        // ViewFiles pages have ETags, so the next run only asks whether they changed
+        from = portal.requests.length;
+        const second = await createTestScraper(portal, { outputDir: makeTempDir(), httpOptions }).scrapeApplication(APPLICATION_ID);
+        assert.equal(second.successCount, 4);
+        const viewFiles = requestsSince(from).filter(request => request.path.endsWith('/ViewFiles.aspx'));
+        assert.deepEqual(viewFiles.map(request => request.headers['if-none-match']).sort(),
+            ['"viewfiles-2633597"', '"viewfiles-2633619"', '"viewfiles-2645700"', '"viewfiles-2646005"']);
+
+        // Fresh cached pages are used without asking the portal at all
+        from = portal.requests.length;
+        const third = await createTestScraper(portal, { outputDir: makeTempDir(), httpOptions: { ...httpOptions, cacheTtl: 60000 } })
+            .scrapeApplication(APPLICATION_ID);
+        assert.equal(third.successCount, 4);
+        requests = requestsSince(from);
+        assert.equal(requests.some(request => /ViewFiles|ViewPdf/.test(request.path)), false);
+        assert.equal(requests.filter(request => /\/files\/\d+\.pdf$/.test(request.path)).length, 4);
+    } finally {
+        await proxy.close();
+    }
+});
@@ -0,0 +1,65 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockPortal } from './mock-portal.mjs';
+import { APPLICATION_ID, LISTED_DOCUMENTS, quietConsole, makeTempDir, createTestScraper } from './helpers.mjs';
+
+let portal;
+let scraper;
+
+before(async () => {
+    quietConsole();
+    portal = await startMockPortal({ noIframe: ['2646005'], linkOnly: ['2645700'] });
+    scraper = createTestScraper(portal, { outputDir: makeTempDir() });
+});
+
+after(() => portal.close());
+
+test('accepts the disclaimer and lists the files from the postback', async () => {
+    const listing = await scraper.listDocuments(APPLICATION_ID);
+
+    assert.deepEqual(
+        listing.documents.map(({ docid, title, category }) => ({ docid, title, category })),
+        LISTED_DOCUMENTS
+    );
+    assert.equal(listing.documents[0].url, `${portal.baseUrl}/ViewFiles.aspx?docid=2633597&format=djvu`);
+    assert.equal(listing.council, 'mock');
+
+    const postbacks = portal.requests.filter(request => request.method === 'POST');
+    assert.equal(postbacks.length, 2, 'disclaimer agreement and View Files postback');
+});
+
+test('parses the planning register details around the file list', async () => {
+    const { details } = await scraper.listDocuments(APPLICATION_ID);
+
+    assert.equal(details.reference, `24/${APPLICATION_ID}`);
+    assert.equal(details.status, 'Decided');
+    assert.equal(details.decision, 'Grant Permission');
+    assert.equal(details.receivedDate, '2024-11-15');
+    assert.equal(details.decisionDate, '2025-06-03');
+    assert.equal(details.applicant, 'Johnstown Estate Ltd');
+});
+
+test('follows the ViewFiles iframe and ViewPdf wrapper to the file', async () => {
+    const resolved = await portal.adapter.resolveFileUrl(scraper.http, `${portal.baseUrl}/ViewFiles.aspx?docid=2633619&format=djvu`);
+
+    assert.equal(resolved.url, `${portal.baseUrl}/files/2633619.pdf`);
+    assert.match(resolved.referer, /ViewPdf\.aspx\?file=2633619\.pdf$/);
+});
+
+test('falls back to the direct link when the ViewFiles page has no iframe', async () => {
+    const resolved = await portal.adapter.resolveFileUrl(scraper.http, `${portal.baseUrl}/ViewFiles.aspx?docid=2645700&format=djvu`);
+
+    assert.equal(resolved.url, `${portal.baseUrl}/files/2645700.pdf`);
+});
+
+test('reports a ViewFiles page with no iframe or link, keeping the page for debugging', async () => {
+    await assert.rejects(
+        portal.adapter.resolveFileUrl(scraper.http, `${portal.baseUrl}/ViewFiles.aspx?docid=2646005&format=djvu`),
+        error => {
+            assert.equal(error.message, 'No PDF URL found in ViewFiles page');
+            assert.equal(error.artifact.name, 'viewfiles');
+            assert.match(error.artifact.content, /not available for viewing/);
+            return true;
+        }
+    );
+});
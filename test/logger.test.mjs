@@ -0,0 +1,70 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { logger, configureLogger } from '../logger.mjs';
+import { makeTempDir } from './helpers.mjs';
+
+afterEach(() => {
+    configureLogger();
+    mock.restoreAll();
+});
+
+/**
+ * Capture what the logger writes to the console
+ * @returns {Object} { out, err } arrays of written lines
+ */
+function captureConsole() {
+    const out = [];
+    const err = [];
+    mock.method(console, 'log', line => out.push(line));
+    mock.method(console, 'error', line => err.push(line));
+    return { out, err };
+}
+
+test('writes text to stdout and warnings to stderr, filtered by level', () => {
+    const { out, err } = captureConsole();
+    configureLogger({ level: 'info' });
+
+    logger.debug('🔗 Found PDF URL');
+    logger.info('✅ Saved: a.pdf');
+    logger.warn('⚠️  s3 storage failed');
+
+    assert.deepEqual(out, ['✅ Saved: a.pdf']);
+    assert.deepEqual(err, ['⚠️  s3 storage failed']);
+
+    configureLogger({ level: 'warn' });
+    logger.info('✅ Saved: b.pdf');
+    assert.equal(out.length, 1);
+});
+
+test('writes JSON lines with fields and without the leading emoji', () => {
+    const { out } = captureConsole();
+    configureLogger({ level: 'debug', json: true });
+
+    logger.error('❌ Failed to download a.pdf: timeout', { docid: '1', errorCategory: 'timeout' });
+
+    const entry = JSON.parse(out[0]);
+    assert.equal(entry.level, 'error');
+    assert.equal(entry.msg, 'Failed to download a.pdf: timeout');
+    assert.equal(entry.docid, '1');
+    assert.equal(entry.errorCategory, 'timeout');
+    assert.ok(!Number.isNaN(Date.parse(entry.time)));
+});
+
+test('appends JSON lines to a log file alongside the text output', () => {
+    const { out } = captureConsole();
+    const file = path.join(makeTempDir(), 'scrape.log');
+    configureLogger({ file });
+
+    logger.info('🚀 Starting', { applicationId: '2461047' });
+    logger.info('📦 Done');
+
+    assert.deepEqual(out, ['🚀 Starting', '📦 Done']);
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(lines.map(line => [line.msg, line.applicationId]), [['Starting', '2461047'], ['Done', undefined]]);
+});
+
+test('rejects unknown levels', () => {
+    assert.throws(() => configureLogger({ level: 'loud' }), /Unknown log level: loud/);
+});
@@ -0,0 +1,281 @@
+/**
+ * Mock iDocsWeb Portal for the test suite
+ * Serves recorded pages from test/fixtures/idocsweb: the copyright.aspx disclaimer,
+ * the VIEWSTATE postback file list, ViewFiles iframe pages, ViewPdf wrappers and the files.
+ * Also answers ePlanning register searches from test/fixtures/eplanning/register.json.
+ */
+
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createIDocsWebAdapter } from '../adapters/idocsweb.mjs';
+import { createEPlanningSearch } from '../adapters/eplanning.mjs';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const PORTAL_PATH = '/iDocsWebDPSS';
+const REGISTER_PATH = '/MockCC';
+// Rows per register results page, small so paging is exercised
+const REGISTER_PAGE_SIZE = 2;
+const SESSION_COOKIE = 'ASP.NET_SessionId';
+
+/**
+ * Read a recorded page and fill in its {{placeholders}}
+ * @param {string} name - Fixture name without extension
+ * @param {Object} values - Placeholder values, e.g. { appId, docid }
+ * @returns {string} Page HTML
+ */
+export function renderFixture(name, values = {}) {
+    const html = fs.readFileSync(path.join(FIXTURES_DIR, 'idocsweb', `${name}.html`), 'utf8');
+    return html.replace(/\{\{(\w+)\}\}/g, (_, key) => values[key] ?? '');
+}
+
+/**
+ * Read the sample PDF served for every document
+ * @returns {Buffer} PDF content
+ */
+export function readSamplePdf() {
+    return fs.readFileSync(path.join(FIXTURES_DIR, 'sample.pdf'));
+}
+
+/**
+ * Read the applications in the mock register
+ * @returns {Object[]} Applications with reference, dates (dd/mm/yyyy), decision and address
+ */
+export function readRegister() {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'eplanning', 'register.json'), 'utf8'));
+}
+
+/**
+ * Convert a register date (dd/mm/yyyy) to a sortable yyyy-mm-dd
+ * @param {string} value - Register date
+ * @returns {string} ISO date, or an empty string
+ */
+function toIsoDate(value) {
+    const [day, month, year] = (value || '').split('/');
+    return year ? `${year}-${month}-${day}` : '';
+}
+
+/**
+ * Render one page of register search results like the ePlanning SearchListing page
+ * @param {URL} url - Request URL, with DateFrom, DateTo, Address and page parameters
+ * @param {string} list - RECEIVED or DECIDED
+ * @returns {string} Page HTML
+ */
+function renderRegisterPage(url, list) {
+    const dateField = list === 'DECIDED' ? 'decisionDate' : 'receivedDate';
+    const from = toIsoDate(url.searchParams.get('DateFrom'));
+    const to = toIsoDate(url.searchParams.get('DateTo'));
+    const address = (url.searchParams.get('Address') || '').toLowerCase();
+    const page = Number(url.searchParams.get('page') || 1);
+
+    const matches = readRegister().filter(application => {
+        const date = toIsoDate(application[dateField]);
+        return date && date >= from && date <= to && application.address.toLowerCase().includes(address);
+    });
+    const rows = matches.slice((page - 1) * REGISTER_PAGE_SIZE, page * REGISTER_PAGE_SIZE).map(application => `
+        <tr>
+            <td><a href="../AppFileRefDetails/${application.reference.replace('/', '')}/0">${application.reference}</a></td>
+            <td>${application.status}</td>
+            <td>${application.decisionDueDate || ''}</td>
+            <td>${application.decisionDate || ''}</td>
+            <td>${application.decision || ''}</td>
+            <td>${application.receivedDate}</td>
+            <td>${application.applicant}</td>
+            <td>${application.address}</td>
+        </tr>`);
+
+    const nextParams = new URLSearchParams(url.searchParams);
+    nextParams.set('page', page + 1);
+    const next = page * REGISTER_PAGE_SIZE < matches.length ? `<a href="?${nextParams}">Next &gt;</a>` : '';
+
+    return `<html><body><h1>Search Results</h1>
+        <table class="table">
+            <tr><th>File Number</th><th>Application Status</th><th>Decision Due Date</th><th>Decision Date</th>
+                <th>Decision Code</th><th>Received Date</th><th>Applicant Name</th><th>Development Address</th></tr>${rows.join('')}
+        </table>${next}</body></html>`;
+}
+
+/**
+ * Get the __VIEWSTATE value a recorded page carries
+ * @param {string} name - Fixture name
+ * @param {string} appId - Application ID
+ * @returns {string} VIEWSTATE value
+ */
+function getViewState(name, appId) {
+    return renderFixture(name, { appId }).match(/name="__VIEWSTATE"[^>]*value="([^"]*)"/)[1];
+}
+
+/**
+ * Start a mock portal on a free local port
+ * Like the real portal, the file list is only returned to a session that has agreed to the
+ * disclaimer and posts back the VIEWSTATE of the page it came from. A session that has agreed
+ * goes straight to the application page, and documents asked for without one are redirected
+ * to the disclaimer. ViewFiles pages carry an ETag and answer If-None-Match with 304.
+ * @param {Object} options - Scenario settings
+ * @param {string[]} options.noIframe - Document IDs whose ViewFiles page has no iframe or link
+ * @param {string[]} options.htmlInsteadOfPdf - Document IDs whose file URL returns an HTML page
+ * @param {string[]} options.linkOnly - Document IDs whose ViewFiles page only has the iOS fallback link
+ * @param {string[]} options.directFile - Document IDs whose ViewFiles page points straight at the file, without a ViewPdf page
+ * @param {string[]} options.busyOnce - Document IDs whose file URL answers 503 (Retry-After: 0) the first time
+ * @param {string[]} options.cutOffOnce - Document IDs whose file connection drops halfway through the first time
+ * @param {Object} options.files - Document IDs mapped to { body, contentType, cutOffAt } served instead of the sample PDF,
+ *        where cutOffAt closes the connection after that many bytes
+ * @param {Object} options.pageEdits - Fixture names ("copyright", "application", "file-list") mapped to
+ *        (html) => html, to serve a page as a redesigned portal would
+ * @returns {Promise<Object>} { baseUrl, adapter, requests, expireSessions, close } where the adapter also searches
+ *          the mock register and expireSessions() makes every session agree to the disclaimer again
+ */
+export async function startMockPortal(options = {}) {
+    const {
+        noIframe = [],
+        htmlInsteadOfPdf = [],
+        linkOnly = [],
+        directFile = [],
+        busyOnce = [],
+        cutOffOnce = [],
+        files = {},
+        pageEdits = {}
+    } = options;
+
+    const requests = [];
+    const sessions = new Set();
+    const agreedSessions = new Set();
+    const busyServed = new Set();
+    const cutOffServed = new Set();
+    let nextSession = 1;
+
+    const renderPage = (name, values) => (pageEdits[name] || (html => html))(renderFixture(name, values));
+    const send = (res, status, body, contentType = 'text/html; charset=utf-8', headers = {}) => {
+        res.writeHead(status, { 'Content-Type': contentType, 'Content-Length': Buffer.byteLength(body), ...headers });
+        res.end(body);
+    };
+
+    const handle = (req, res, body) => {
+        const url = new URL(req.url, 'http://localhost');
+        const route = url.pathname.startsWith(PORTAL_PATH) ? url.pathname.slice(PORTAL_PATH.length) : null;
+        const session = (req.headers.cookie || '').match(new RegExp(`${SESSION_COOKIE}=(\\w+)`))?.[1];
+        requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), headers: req.headers });
+
+        if (route === '/copyright.aspx') {
+            const appId = url.searchParams.get('id');
+
+            if (req.method === 'GET') {
+                if (agreedSessions.has(session)) {
+                    return send(res, 200, renderPage('application', { appId }));
+                }
+                if (sessions.has(session)) {
+                    return send(res, 200, renderPage('copyright', { appId }));
+                }
+                const newSession = `s${nextSession++}`;
+                sessions.add(newSession);
+                return send(res, 200, renderPage('copyright', { appId }), undefined, {
+                    'Set-Cookie': `${SESSION_COOKIE}=${newSession}; path=/; HttpOnly`
+                });
+            }
+
+            const form = new URLSearchParams(body);
+
+            if (form.get('btnAgree')) {
+                if (!session || form.get('chkAgree') !== 'on' || form.get('__VIEWSTATE') !== getViewState('copyright', appId)) {
+                    return send(res, 200, renderPage('copyright', { appId }));
+                }
+                agreedSessions.add(session);
+                return send(res, 200, renderPage('application', { appId }));
+            }
+
+            if (form.get('__EVENTTARGET') === 'btnViewFiles') {
+                if (!agreedSessions.has(session) || form.get('__VIEWSTATE') !== getViewState('application', appId)) {
+                    return send(res, 200, renderPage('copyright', { appId }));
+                }
+                return send(res, 200, renderPage('file-list', { appId }));
+            }
+
+            return send(res, 400, 'Unexpected postback', 'text/plain');
+        }
+
+        const isDocumentRoute = route === '/ViewFiles.aspx' || route === '/files/ViewPdf.aspx' || /^\/files\/\d+\.pdf$/.test(route || '');
+        if (isDocumentRoute && !agreedSessions.has(session)) {
+            res.writeHead(302, { Location: `${PORTAL_PATH}/copyright.aspx?catalog=planning` });
+            return res.end();
+        }
+
+        if (route === '/ViewFiles.aspx') {
+            const docid = url.searchParams.get('docid');
+            const etag = `"viewfiles-${docid}"`;
+            if (req.headers['if-none-match'] === etag) {
+                res.writeHead(304, { ETag: etag });
+                return res.end();
+            }
+            if (noIframe.includes(docid)) {
+                return send(res, 200, renderFixture('viewfiles-no-iframe', { docid }));
+            }
+            let page = renderFixture('viewfiles', { docid });
+            if (linkOnly.includes(docid)) {
+                page = page.replace(/<iframe[^>]*><\/iframe>/, '');
+            }
+            if (directFile.includes(docid)) {
+                page = page.replace(/files\\ViewPdf\.aspx\?file=/g, 'files\\');
+            }
+            return send(res, 200, page, undefined, { ETag: etag });
+        }
+
+        if (route === '/files/ViewPdf.aspx') {
+            const docid = (url.searchParams.get('file') || '').replace(/\.pdf$/, '');
+            return send(res, 200, renderFixture('viewpdf', { docid }));
+        }
+
+        const fileMatch = route && route.match(/^\/files\/(\d+)\.pdf$/);
+        if (fileMatch) {
+            if (busyOnce.includes(fileMatch[1]) && !busyServed.has(fileMatch[1])) {
+                busyServed.add(fileMatch[1]);
+                return send(res, 503, 'Server Too Busy', 'text/plain', { 'Retry-After': '0' });
+            }
+            if (htmlInsteadOfPdf.includes(fileMatch[1])) {
+                return send(res, 200, renderFixture('session-expired'));
+            }
+            const { body: file, contentType, cutOffAt: fileCutOffAt } = files[fileMatch[1]] || { body: readSamplePdf(), contentType: 'application/pdf' };
+            let cutOffAt = fileCutOffAt;
+            if (cutOffOnce.includes(fileMatch[1]) && !cutOffServed.has(fileMatch[1])) {
+                cutOffServed.add(fileMatch[1]);
+                cutOffAt = Math.floor(file.length / 2);
+            }
+            res.writeHead(200, { 'Content-Type': contentType, 'Content-Length': file.length });
+            if (cutOffAt !== undefined) {
+                return res.write(file.subarray(0, cutOffAt), () => res.socket.destroy());
+            }
+            return res.end(file);
+        }
+
+        const registerMatch = url.pathname.match(new RegExp(`^${REGISTER_PATH}/SearchListing/(RECEIVED|DECIDED)$`));
+        if (registerMatch) {
+            return send(res, 200, renderRegisterPage(url, registerMatch[1]));
+        }
+
+        return send(res, 404, 'Not found', 'text/plain');
+    };
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => handle(req, res, Buffer.concat(chunks).toString()));
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const origin = `http://127.0.0.1:${server.address().port}`;
+    const baseUrl = `${origin}${PORTAL_PATH}`;
+
+    return {
+        baseUrl,
+        adapter: {
+            ...createIDocsWebAdapter({ id: 'mock', name: 'Mock County Council', baseUrl }),
+            ...createEPlanningSearch({ searchUrl: `${origin}${REGISTER_PATH}` })
+        },
+        requests,
+        expireSessions: () => agreedSessions.clear(),
+        close: () => new Promise(resolve => {
+            server.close(resolve);
+            server.closeAllConnections();
+        })
+    };
+}
@@ -0,0 +1,64 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockPortal, readSamplePdf } from './mock-portal.mjs';
+import { APPLICATION_ID, quietConsole, makeTempDir, createTestScraper } from './helpers.mjs';
+import { buildRunReport, categorizeError, EXIT_CODES } from '../run-report.mjs';
+
+let portal;
+
+before(async () => {
+    quietConsole();
+    portal = await startMockPortal({ busyOnce: ['2633597'], htmlInsteadOfPdf: ['2645700'] });
+});
+
+after(() => portal.close());
+
+test('sorts errors into categories', () => {
+    assert.equal(categorizeError(Object.assign(new Error('x'), { category: 'storage' })), 'storage');
+    assert.equal(categorizeError(Object.assign(new Error('timeout of 30000ms exceeded'), { code: 'ECONNABORTED' })), 'timeout');
+    assert.equal(categorizeError(Object.assign(new Error('x'), { response: { status: 404 } })), 'http-4xx');
+    assert.equal(categorizeError(Object.assign(new Error('x'), { response: { status: 503 } })), 'http-5xx');
+    assert.equal(categorizeError(Object.assign(new Error('x'), { code: 'ECONNREFUSED' })), 'network');
+    assert.equal(categorizeError(new Error('x')), 'other');
+});
+
+test('reports each document with bytes, duration, retries and error category', async () => {
+    const scraper = createTestScraper(portal, { outputDir: makeTempDir(), retries: 1 });
+    const results = await scraper.scrapeApplications([APPLICATION_ID]);
+    const report = buildRunReport(results, { council: 'mock', storage: ['local'], startedAt: new Date(Date.now() - 1000) });
+
+    assert.equal(report.status, 'partial');
+    assert.equal(report.exitCode, EXIT_CODES.partial);
+    assert.ok(report.durationMs >= 1000);
+    assert.deepEqual(
+        report.totals,
+        { applications: 1, applicationsOk: 0, errored: 0, found: 4, downloaded: 3, failed: 1, bytes: 3 * readSamplePdf().length, retries: 1 }
+    );
+
+    const [application] = report.applications;
+    assert.equal(application.reference, `24/${APPLICATION_ID}`);
+    assert.equal(application.status, 'partial');
+    assert.equal(application.storage.local.stored, 3);
+
+    const byDocid = Object.fromEntries(application.documents.map(doc => [doc.docid, doc]));
+    assert.equal(byDocid['2633597'].status, 'downloaded');
+    assert.equal(byDocid['2633597'].retries, 1);
+    assert.equal(byDocid['2633597'].bytes, readSamplePdf().length);
+    assert.equal(typeof byDocid['2633597'].durationMs, 'number');
+    assert.equal(byDocid['2645700'].status, 'failed');
+    assert.equal(byDocid['2645700'].errorCategory, 'not-pdf');
+    assert.equal(byDocid['2645700'].bytes, 0);
+});
+
+test('exit codes tell partial from total failure', () => {
+    const result = (successCount, failCount, error = null) => ({
+        applicationId: '1', found: successCount + failCount, successCount, failCount, error, outcomes: []
+    });
+
+    assert.equal(buildRunReport([result(4, 0)]).exitCode, EXIT_CODES.success);
+    assert.equal(buildRunReport([result(0, 0)]).exitCode, EXIT_CODES.success);
+    assert.equal(buildRunReport([result(3, 1)]).exitCode, EXIT_CODES.partial);
+    assert.equal(buildRunReport([result(4, 0), result(0, 0, 'Portal unavailable')]).exitCode, EXIT_CODES.partial);
+    assert.equal(buildRunReport([result(0, 4)]).exitCode, EXIT_CODES.failed);
+    assert.equal(buildRunReport([result(0, 0, 'Portal unavailable')]).exitCode, EXIT_CODES.failed);
+});
@@ -0,0 +1,172 @@
+/**
+ * Local S3 Stand-in for the test suite
+ * Answers the path-style requests S3Storage makes (PutObject, multipart uploads, GetObject,
+ * HeadObject, ListObjectsV2) from memory, and can refuse uploads to test storage failures.
+ */
+
+import http from 'http';
+
+/**
+ * Escape text for an XML response
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+    return String(value).replace(/[<>&'"]/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Decode an aws-chunked request body (used by the SDK for streamed uploads)
+ * @param {Buffer} body - Raw body
+ * @returns {Buffer} Object content
+ */
+function decodeAwsChunked(body) {
+    const parts = [];
+    let offset = 0;
+
+    while (offset < body.length) {
+        const lineEnd = body.indexOf('\r\n', offset);
+        const size = parseInt(body.slice(offset, lineEnd).toString().split(';')[0], 16);
+        if (!size) {
+            break;
+        }
+        parts.push(body.slice(lineEnd + 2, lineEnd + 2 + size));
+        offset = lineEnd + 2 + size + 2;
+    }
+
+    return Buffer.concat(parts);
+}
+
+/**
+ * Start an S3 stand-in on a free local port
+ * @param {Object} options - Settings
+ * @param {string} options.bucket - The only bucket that exists (default: planning-test)
+ * @param {boolean} options.failUploads - Answer every upload with 403 AccessDenied
+ * @returns {Promise<Object>} { endpoint, bucket, objects, uploads, close } where objects maps keys to
+ *          { body, contentType, metadata } and uploads maps multipart upload IDs to { key, parts, status }
+ */
+export async function startS3StandIn(options = {}) {
+    const { bucket = 'planning-test', failUploads = false } = options;
+    const objects = new Map();
+    const uploads = new Map();
+
+    const sendXml = (res, status, xml) => {
+        const body = `<?xml version="1.0" encoding="UTF-8"?>\n${xml}`;
+        res.writeHead(status, { 'Content-Type': 'application/xml', 'Content-Length': Buffer.byteLength(body) });
+        res.end(body);
+    };
+
+    const sendError = (res, status, code, message) => sendXml(res, status,
+        `<Error><Code>${code}</Code><Message>${escapeXml(message)}</Message></Error>`);
+
+    const handle = (req, res, body) => {
+        const url = new URL(req.url, 'http://localhost');
+        const [, bucketName, ...keyParts] = url.pathname.split('/');
+        const key = decodeURIComponent(keyParts.join('/'));
+
+        if (bucketName !== bucket) {
+            return sendError(res, 404, 'NoSuchBucket', 'The specified bucket does not exist');
+        }
+
+        if (!key && req.method === 'GET' && url.searchParams.get('list-type') === '2') {
+            const prefix = url.searchParams.get('prefix') || '';
+            const contents = [...objects.keys()]
+                .filter(name => name.startsWith(prefix))
+                .sort()
+                .map(name => `<Contents><Key>${escapeXml(name)}</Key><Size>${objects.get(name).body.length}</Size></Contents>`);
+            return sendXml(res, 200, `<ListBucketResult><Name>${bucket}</Name><Prefix>${escapeXml(prefix)}</Prefix>` +
+                `<KeyCount>${contents.length}</KeyCount><IsTruncated>false</IsTruncated>${contents.join('')}</ListBucketResult>`);
+        }
+
+        const encoded = (req.headers['content-encoding'] || '').includes('aws-chunked') ||
+            (req.headers['x-amz-content-sha256'] || '').startsWith('STREAMING-');
+        const content = encoded ? decodeAwsChunked(body) : body;
+        const uploadId = url.searchParams.get('uploadId');
+        const getObjectDetails = () => ({
+            contentType: req.headers['content-type'],
+            metadata: Object.fromEntries(Object.entries(req.headers)
+                .filter(([name]) => name.startsWith('x-amz-meta-'))
+                .map(([name, value]) => [name.slice('x-amz-meta-'.length), value]))
+        });
+
+        // Multipart uploads: start, upload parts, then complete or abort
+        if (req.method === 'POST' && url.searchParams.has('uploads')) {
+            if (failUploads) {
+                return sendError(res, 403, 'AccessDenied', 'Access Denied');
+            }
+            const id = `upload-${uploads.size + 1}`;
+            uploads.set(id, { key, parts: new Map(), status: 'open', ...getObjectDetails() });
+            return sendXml(res, 200, `<InitiateMultipartUploadResult><Bucket>${bucket}</Bucket><Key>${escapeXml(key)}</Key>` +
+                `<UploadId>${id}</UploadId></InitiateMultipartUploadResult>`);
+        }
+        if (uploadId) {
+            const upload = uploads.get(uploadId);
+            if (!upload || upload.status !== 'open') {
+                return sendError(res, 404, 'NoSuchUpload', 'The specified upload does not exist');
+            }
+            if (req.method === 'PUT') {
+                const partNumber = Number(url.searchParams.get('partNumber'));
+                upload.parts.set(partNumber, content);
+                res.writeHead(200, { 'ETag': `"${uploadId}-${partNumber}"`, 'Content-Length': 0 });
+                return res.end();
+            }
+            if (req.method === 'POST') {
+                upload.status = 'completed';
+                const parts = [...upload.parts.keys()].sort((a, b) => a - b).map(number => upload.parts.get(number));
+                objects.set(key, { body: Buffer.concat(parts), contentType: upload.contentType, metadata: upload.metadata });
+                return sendXml(res, 200, `<CompleteMultipartUploadResult><Bucket>${bucket}</Bucket><Key>${escapeXml(key)}</Key>` +
+                    `<ETag>"${uploadId}"</ETag></CompleteMultipartUploadResult>`);
+            }
+            if (req.method === 'DELETE') {
+                upload.status = 'aborted';
+                res.writeHead(204);
+                return res.end();
+            }
+        }
+
+        if (req.method === 'PUT') {
+            if (failUploads) {
+                return sendError(res, 403, 'AccessDenied', 'Access Denied');
+            }
+            objects.set(key, { body: content, ...getObjectDetails() });
+            res.writeHead(200, { 'ETag': `"${objects.size}"`, 'Content-Length': 0 });
+            return res.end();
+        }
+
+        const object = objects.get(key);
+
+        if (req.method === 'HEAD') {
+            res.writeHead(object ? 200 : 404, object ? { 'Content-Length': object.body.length } : {});
+            return res.end();
+        }
+
+        if (req.method === 'GET') {
+            if (!object) {
+                return sendError(res, 404, 'NoSuchKey', 'The specified key does not exist.');
+            }
+            res.writeHead(200, { 'Content-Type': object.contentType || 'application/octet-stream', 'Content-Length': object.body.length });
+            return res.end(object.body);
+        }
+
+        return sendError(res, 405, 'MethodNotAllowed', `${req.method} is not supported by the stand-in`);
+    };
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => handle(req, res, Buffer.concat(chunks)));
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        endpoint: `http://127.0.0.1:${server.address().port}`,
+        bucket,
+        objects,
+        uploads,
+        close: () => new Promise(resolve => {
+            server.close(resolve);
+            server.closeAllConnections();
+        })
+    };
+}
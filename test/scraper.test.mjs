@@ -0,0 +1,155 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { startMockPortal, readSamplePdf } from './mock-portal.mjs';
+import { APPLICATION_ID, LISTED_DOCUMENTS, quietConsole, makeTempDir, createTestScraper } from './helpers.mjs';
+
+const APPLICATION_FOLDER = `downloads_mock_${APPLICATION_ID}`;
+
+let portal;
+
+before(async () => {
+    quietConsole();
+    portal = await startMockPortal();
+});
+
+after(() => portal.close());
+
+/**
+ * Read a JSON file from an application's download folder
+ * @param {string} outputDir - Scraper output folder
+ * @param {string} filename - File in the application folder
+ * @returns {Object} Parsed JSON
+ */
+function readApplicationJson(outputDir, filename) {
+    return JSON.parse(fs.readFileSync(path.join(outputDir, APPLICATION_FOLDER, filename), 'utf8'));
+}
+
+test('downloads every listed document into category folders', async () => {
+    const outputDir = makeTempDir();
+    const scraper = createTestScraper(portal, { outputDir });
+    const completed = [];
+    scraper.on('document:complete', ({ document }) => completed.push(document.docid));
+
+    const result = await scraper.scrapeApplication(APPLICATION_ID);
+
+    assert.equal(result.error, null);
+    assert.equal(result.found, 4);
+    assert.equal(result.successCount, 4);
+    assert.equal(result.failCount, 0);
+    assert.deepEqual(completed.sort(), LISTED_DOCUMENTS.map(doc => doc.docid));
+
+    const pdf = readSamplePdf();
+    for (const { docid, title, category } of LISTED_DOCUMENTS) {
+        const filePath = path.join(outputDir, APPLICATION_FOLDER, category, `${docid}_${title.replace(/\s+/g, '_')}.pdf`);
+        assert.ok(fs.existsSync(filePath), `${filePath} should exist`);
+        assert.deepEqual(fs.readFileSync(filePath), pdf);
+    }
+});
+
+test('records the documents in manifest.json and the details in application.json', async () => {
+    const outputDir = makeTempDir();
+    await createTestScraper(portal, { outputDir }).scrapeApplication(APPLICATION_ID);
+
+    const manifest = readApplicationJson(outputDir, 'manifest.json');
+    const sha256 = crypto.createHash('sha256').update(readSamplePdf()).digest('hex');
+    assert.equal(manifest.applicationId, APPLICATION_ID);
+    assert.equal(manifest.council, 'mock');
+    assert.deepEqual(manifest.storage, ['local']);
+    assert.equal(manifest.documentCount, 4);
+    manifest.documents.forEach(doc => {
+        assert.equal(doc.sha256, sha256);
+        assert.equal(doc.contentType, 'application/pdf');
+        assert.equal(doc.storage.local, doc.localPath);
+        assert.equal(doc.buffer, undefined);
+    });
+
+    const application = readApplicationJson(outputDir, 'application.json');
+    assert.equal(application.reference, `24/${APPLICATION_ID}`);
+    assert.equal(application.source, portal.baseUrl);
+});
+
+test('sync only downloads documents that are not stored yet', async () => {
+    const outputDir = makeTempDir();
+    const scraper = createTestScraper(portal, { outputDir });
+    await scraper.scrapeApplication(APPLICATION_ID, { filters: { categories: ['decision'] } });
+
+    const result = await scraper.scrapeApplication(APPLICATION_ID, { sync: true });
+
+    assert.deepEqual(result.sync, { new: 3, unchanged: 1, missing: 0 });
+    assert.equal(result.successCount, 3);
+    assert.equal(readApplicationJson(outputDir, 'manifest.json').documentCount, 4);
+
+    const rerun = await scraper.scrapeApplication(APPLICATION_ID, { sync: true });
+    assert.deepEqual(rerun.sync, { new: 0, unchanged: 4, missing: 0 });
+    assert.equal(rerun.successCount, 0);
+});
+
+test('sync counts Meath documents in the downloads_<appId> folder of earlier versions as stored', async () => {
+    const outputDir = makeTempDir();
+    const legacyFolder = path.join(outputDir, `downloads_${APPLICATION_ID}`);
+    fs.mkdirSync(legacyFolder);
+    fs.writeFileSync(path.join(legacyFolder, '2633597_42_PA-101-B_Proposed_Ground_Floor_Plan_2-2.pdf'), readSamplePdf());
+    fs.writeFileSync(path.join(legacyFolder, '2600001_Withdrawn_Drawing.pdf'), readSamplePdf());
+
+    const scraper = createTestScraper({ adapter: { ...portal.adapter, id: 'meath' } }, { outputDir });
+    const result = await scraper.scrapeApplication(APPLICATION_ID, { sync: true });
+
+    assert.deepEqual(result.sync, { new: 3, unchanged: 1, missing: 1 });
+    assert.equal(result.successCount, 3);
+    assert.equal(fs.existsSync(path.join(outputDir, `downloads_meath_${APPLICATION_ID}`, 'drawing')), false);
+    assert.equal(fs.readdirSync(legacyFolder).length, 2);
+
+    // Other councils never shared that folder
+    const mock = await createTestScraper(portal, { outputDir }).scrapeApplication(APPLICATION_ID, { sync: true });
+    assert.deepEqual(mock.sync, { new: 4, unchanged: 0, missing: 0 });
+});
+
+test('records a document whose ViewFiles page has no iframe as failed', async () => {
+    const brokenPortal = await startMockPortal({ noIframe: ['2633619'] });
+    const outputDir = makeTempDir();
+
+    try {
+        const result = await createTestScraper(brokenPortal, { outputDir }).scrapeApplication(APPLICATION_ID);
+
+        assert.equal(result.successCount, 3);
+        assert.equal(result.failCount, 1);
+        assert.equal(result.failures.length, 1);
+        const { url, ...failure } = result.failures[0];
+        assert.match(url, /ViewFiles\.aspx\?docid=2633619/);
+        assert.deepEqual(failure, {
+            docid: '2633619',
+            title: '6 Planning Report',
+            category: 'applicant-report',
+            stage: 'viewfiles',
+            error: 'No PDF URL found in ViewFiles page',
+            errorCategory: 'portal-page',
+            errorCode: 'PORTAL_VIEWFILES_SOURCE',
+            httpStatus: null
+        });
+        assert.ok(!readApplicationJson(outputDir, 'manifest.json').documents.some(doc => doc.docid === '2633619'));
+    } finally {
+        await brokenPortal.close();
+    }
+});
+
+test('refuses to store an HTML page served in place of a PDF', async () => {
+    const brokenPortal = await startMockPortal({ htmlInsteadOfPdf: ['2645700'] });
+    const outputDir = makeTempDir();
+    const failed = [];
+
+    try {
+        const scraper = createTestScraper(brokenPortal, { outputDir });
+        scraper.on('document:failed', event => failed.push(event));
+        const result = await scraper.scrapeApplication(APPLICATION_ID);
+
+        assert.equal(result.successCount, 3);
+        assert.deepEqual(failed.map(event => event.docid), ['2645700']);
+        assert.match(failed[0].error, /HTML instead of PDF/);
+        assert.ok(!fs.existsSync(path.join(outputDir, APPLICATION_FOLDER, 'further-information')));
+    } finally {
+        await brokenPortal.close();
+    }
+});
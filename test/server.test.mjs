@@ -0,0 +1,175 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { startMockPortal } from './mock-portal.mjs';
+import { APPLICATION_ID, quietConsole, makeTempDir } from './helpers.mjs';
+import { startServer } from '../server.mjs';
+
+const SECOND_APPLICATION_ID = '2461048';
+
+let portal;
+
+before(async () => {
+    quietConsole();
+    portal = await startMockPortal();
+});
+
+after(() => portal.close());
+
+/**
+ * Start an API server whose jobs download from the mock portal into a temporary folder
+ * @param {string} jobsPath - Job queue file
+ * @returns {Promise<Object>} Result of startServer plus { baseUrl, outputDir }
+ */
+async function startTestServer(jobsPath = path.join(makeTempDir(), 'jobs.json')) {
+    const outputDir = makeTempDir();
+    const api = await startServer({
+        port: 0,
+        jobsPath,
+        storage: { specs: { local: { type: 'local', name: 'local', root: outputDir } }, defaultSelection: ['local'] },
+        scraper: { adapter: portal.adapter, requestsPerSecond: 0, retries: 0, browser: 'off' }
+    });
+    return { ...api, baseUrl: `http://127.0.0.1:${api.server.address().port}`, outputDir };
+}
+
+/**
+ * Post a job request
+ * @param {string} baseUrl - Server URL
+ * @param {string} body - Raw request body
+ * @returns {Promise<Object>} { status, body }
+ */
+async function postJob(baseUrl, body) {
+    const response = await fetch(`${baseUrl}/jobs`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body });
+    return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Wait until a job has finished
+ * @param {JobQueue} queue - Server job queue
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} The finished job
+ */
+async function waitForJob(queue, jobId) {
+    for (let attempt = 0; attempt < 200; attempt++) {
+        const job = queue.get(jobId);
+        if (job && ['completed', 'failed'].includes(job.status)) {
+            return job;
+        }
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    throw new Error(`Job ${jobId} did not finish`);
+}
+
+test('runs a submitted job and reports its progress and results', async () => {
+    const api = await startTestServer();
+    const save = mock.method(api.queue, 'save');
+    try {
+        const created = await postJob(api.baseUrl, JSON.stringify({ applicationId: APPLICATION_ID, categories: 'drawing, decision' }));
+        assert.equal(created.status, 201);
+        assert.deepEqual(created.body.applicationIds, [APPLICATION_ID]);
+        assert.deepEqual(created.body.categories, ['drawing', 'decision']);
+
+        await waitForJob(api.queue, created.body.id);
+        const job = await (await fetch(`${api.baseUrl}/jobs/${created.body.id}`)).json();
+        assert.equal(job.status, 'completed');
+        assert.deepEqual(job.progress.applications, { total: 1, done: 1 });
+        assert.deepEqual(job.progress.documents, { total: 2, completed: 2, failed: 0 });
+        assert.deepEqual(job.results[0].documents.map(doc => doc.docid), ['2633597', '2646005']);
+        assert.equal(job.report.status, 'success');
+
+        // The queue file holds the finished job, and nothing was written to the working directory
+        assert.equal(JSON.parse(fs.readFileSync(api.queue.jobsPath, 'utf8'))[0].status, 'completed');
+        assert.equal(fs.existsSync('debug-links.txt'), false);
+
+        // Saved when queued, started, at the end of its application and when finished, not for every document
+        assert.equal(save.mock.callCount(), 4);
+
+        // The events of a finished job end with how it finished
+        const events = await (await fetch(`${api.baseUrl}/jobs/${created.body.id}/events`)).text();
+        assert.match(events, /^event: job:complete\ndata: .*"status":"completed"/m);
+
+        const listed = await (await fetch(`${api.baseUrl}/jobs?status=completed`)).json();
+        assert.deepEqual(listed.map(entry => entry.id), [created.body.id]);
+        assert.equal((await fetch(`${api.baseUrl}/jobs/unknown`)).status, 404);
+    } finally {
+        await api.close();
+    }
+});
+
+test('rejects job bodies that are not valid job requests', async () => {
+    const api = await startTestServer();
+    try {
+        const rejected = async (body, message) => {
+            const { status, body: response } = await postJob(api.baseUrl, body);
+            assert.equal(status, 400, body);
+            assert.match(response.error, message);
+        };
+
+        await rejected('null', /must be a JSON object/);
+        await rejected('[]', /must be a JSON object/);
+        await rejected('"2461047"', /must be a JSON object/);
+        await rejected('{', /not valid JSON/);
+        await rejected('{}', /at least one application ID/);
+        await rejected(JSON.stringify({ applicationIds: ['../etc'] }), /Invalid application ID: \.\.\/etc/);
+        await rejected(JSON.stringify({ applicationId: APPLICATION_ID, council: 'nowhere' }), /Unsupported council: nowhere/);
+        await rejected(JSON.stringify({ applicationId: APPLICATION_ID, storage: 'ftp' }), /Unknown storage: ftp/);
+        await rejected(JSON.stringify({ applicationId: APPLICATION_ID, categories: 'drawing,menus' }), /Unknown category: menus/);
+
+        assert.deepEqual(api.queue.list(), []);
+    } finally {
+        await api.close();
+    }
+});
+
+test('resumes an interrupted job without counting its documents twice', async () => {
+    const jobsPath = path.join(makeTempDir(), 'jobs.json');
+    // Stopped while the second application was downloading: its first two documents were already counted
+    fs.writeFileSync(jobsPath, JSON.stringify([{
+        id: 'interrupted',
+        status: 'running',
+        applicationIds: [APPLICATION_ID, SECOND_APPLICATION_ID],
+        council: 'meath',
+        storage: ['local'],
+        sync: false,
+        retryFailed: false,
+        categories: null,
+        createdAt: '2025-07-13T10:00:00.000Z',
+        startedAt: '2025-07-13T10:00:01.000Z',
+        finishedAt: null,
+        progress: {
+            applications: { total: 2, done: 1 },
+            documents: { total: 8, completed: 6, failed: 0 },
+            current: SECOND_APPLICATION_ID
+        },
+        results: [{ applicationId: APPLICATION_ID, council: 'meath', found: 4, successCount: 4, failCount: 0, documents: [], outcomes: [] }],
+        errors: []
+    }]));
+
+    const requestsBefore = portal.requests.length;
+    const api = await startTestServer(jobsPath);
+    try {
+        const job = await waitForJob(api.queue, 'interrupted');
+        assert.equal(job.status, 'completed');
+        assert.deepEqual(job.progress.applications, { total: 2, done: 2 });
+        assert.deepEqual(job.progress.documents, { total: 8, completed: 8, failed: 0 });
+        assert.deepEqual(job.results.map(result => result.applicationId), [APPLICATION_ID, SECOND_APPLICATION_ID]);
+
+        // Only the unfinished application was fetched again
+        const listed = portal.requests.slice(requestsBefore).filter(request => request.query.id).map(request => request.query.id);
+        assert.ok(listed.length > 0);
+        assert.ok(listed.every(id => id === SECOND_APPLICATION_ID));
+    } finally {
+        await api.close();
+    }
+});
+
+test('names a job queue file that cannot be read', async () => {
+    const jobsPath = path.join(makeTempDir(), 'jobs.json');
+    fs.writeFileSync(jobsPath, '[{"id": "cut-off", "status": ');
+
+    await assert.rejects(startTestServer(jobsPath), error => error.message.includes(jobsPath) && /could not be read/.test(error.message));
+
+    fs.writeFileSync(jobsPath, '{}');
+    await assert.rejects(startTestServer(jobsPath), error => error.message === `Job queue file must contain an array: ${jobsPath}`);
+});
@@ -0,0 +1,136 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { startMockPortal, readSamplePdf } from './mock-portal.mjs';
+import { startS3StandIn } from './s3-stand-in.mjs';
+import { APPLICATION_ID, LISTED_DOCUMENTS, quietConsole, makeTempDir, createTestScraper } from './helpers.mjs';
+import { StorageBackend, StorageSet, LocalStorage, renderKeyTemplate } from '../storage/index.mjs';
+
+let portal;
+
+before(async () => {
+    quietConsole();
+    portal = await startMockPortal();
+});
+
+after(() => portal.close());
+
+/**
+ * Storage specs for a local folder and an S3 stand-in
+ * @param {string} root - Local storage root
+ * @param {Object} s3 - Result of startS3StandIn
+ * @returns {Object[]} Storage specs
+ */
+function localAndS3(root, s3) {
+    return [
+        { type: 'local', name: 'local', root },
+        { type: 's3', name: 's3', bucket: s3.bucket, endpoint: s3.endpoint, accessKeyId: 'test', secretAccessKey: 'test' }
+    ];
+}
+
+test('key templates fill in values without leaving the storage root', () => {
+    const key = renderKeyTemplate('{council}/{year}/{appId}/{filename}', {
+        council: 'meath', year: '2024', appId: '..', filename: 'a/b:c.pdf'
+    });
+    assert.equal(key, 'meath/2024/_/a_b_c.pdf');
+    assert.throws(() => renderKeyTemplate('{nope}/{filename}', { filename: 'x.pdf' }), /Unknown placeholder \{nope\}/);
+
+    const backend = new StorageBackend({ name: 'test', keyTemplate: '{council}/{year}/{category}/{docid}.pdf' });
+    assert.equal(backend.getApplicationPrefix({ council: 'meath', year: '2024', appId: '123' }), 'meath/2024/123/');
+});
+
+test('uploads documents and the manifest to an S3-compatible server', async () => {
+    const s3 = await startS3StandIn();
+    const outputDir = makeTempDir();
+
+    try {
+        const scraper = createTestScraper(portal, { storage: localAndS3(outputDir, s3) });
+        const [result] = await scraper.scrapeApplications([APPLICATION_ID]);
+
+        assert.equal(result.successCount, 4);
+        assert.deepEqual(result.storageStats.s3, { stored: 4, failed: 0, totalBytes: 4 * readSamplePdf().length, totalMB: 0 });
+
+        const prefix = `planning-docs/mock/${APPLICATION_ID}/`;
+        for (const { docid, title, category } of LISTED_DOCUMENTS) {
+            const object = s3.objects.get(`${prefix}${category}/${docid}_${title.replace(/\s+/g, '_')}.pdf`);
+            assert.ok(object, `${docid} should be uploaded`);
+            assert.equal(object.contentType, 'application/pdf');
+            assert.equal(object.metadata['application-id'], APPLICATION_ID);
+            assert.equal(object.metadata.category, category);
+        }
+
+        const manifest = JSON.parse(s3.objects.get(`${prefix}manifest.json`).body);
+        assert.deepEqual(manifest.storage, ['local', 's3']);
+        assert.match(manifest.documents[0].storage.s3, new RegExp(`^s3://${s3.bucket}/${prefix}`));
+    } finally {
+        await s3.close();
+    }
+});
+
+test('keeps the local copy when the S3 upload fails', async () => {
+    const s3 = await startS3StandIn({ failUploads: true });
+    const outputDir = makeTempDir();
+
+    try {
+        const scraper = createTestScraper(portal, { storage: localAndS3(outputDir, s3) });
+        const [result] = await scraper.scrapeApplications([APPLICATION_ID]);
+
+        assert.equal(result.successCount, 4);
+        assert.equal(result.failCount, 0);
+        assert.equal(result.storageStats.local.stored, 4);
+        assert.equal(result.storageStats.s3.failed, 4);
+        result.documents.forEach(doc => assert.deepEqual(Object.keys(doc.storage), ['local']));
+
+        const manifest = JSON.parse(fs.readFileSync(path.join(outputDir, `downloads_mock_${APPLICATION_ID}`, 'manifest.json'), 'utf8'));
+        assert.equal(manifest.documentCount, 4);
+        assert.equal(s3.objects.size, 0);
+    } finally {
+        await s3.close();
+    }
+});
+
+test('fails the documents when the only storage backend refuses them', async () => {
+    const s3 = await startS3StandIn({ failUploads: true });
+
+    try {
+        const scraper = createTestScraper(portal, { storage: localAndS3(makeTempDir(), s3).slice(1) });
+        const result = await scraper.scrapeApplication(APPLICATION_ID);
+
+        assert.equal(result.successCount, 0);
+        assert.equal(result.failCount, 4);
+        result.failures.forEach(failure => assert.match(failure.error, /Could not store .* in any storage backend/));
+    } finally {
+        await s3.close();
+    }
+});
+
+test('lists a backend passed in as a plain object', async () => {
+    const stored = { [`mock/${APPLICATION_ID}/2633597_plan.pdf`]: Buffer.from('%PDF-') };
+    const memory = {
+        name: 'memory',
+        put: async (key, body) => { stored[key] = body; return key; },
+        list: async prefix => Object.keys(stored).filter(key => key.startsWith(prefix)),
+        getApplicationPrefix: values => `${values.council}/${values.appId}/`
+    };
+
+    const [listing] = await new StorageSet([memory]).listApplication({ council: 'mock', appId: APPLICATION_ID });
+    assert.equal(listing.backend, memory);
+    assert.deepEqual(listing.keys, [`mock/${APPLICATION_ID}/2633597_plan.pdf`]);
+});
+
+test('removes partial folders a stopped run left in the local storage root', () => {
+    const root = makeTempDir();
+    const stale = path.join(root, '.partial-stale');
+    const current = path.join(root, '.partial-current');
+    fs.mkdirSync(stale);
+    fs.writeFileSync(path.join(stale, '2633597_plan.pdf'), '%PDF-1.4 cut off');
+    fs.mkdirSync(current);
+    const twoDaysAgo = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
+    fs.utimesSync(stale, twoDaysAgo, twoDaysAgo);
+
+    new LocalStorage({ root });
+
+    assert.equal(fs.existsSync(stale), false);
+    assert.equal(fs.existsSync(current), true);
+});
@@ -0,0 +1,123 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { startMockPortal } from './mock-portal.mjs';
+import { APPLICATION_ID, quietConsole, makeTempDir, createTestScraper, makeTextPdf } from './helpers.mjs';
+import { EXIT_CODES } from '../run-report.mjs';
+import { TextIndex, runIndexCommand, runSearchCommand } from '../text-index.mjs';
+
+const SECOND_APPLICATION_ID = '2461048';
+
+let portal;
+
+before(async () => {
+    quietConsole();
+    portal = await startMockPortal({
+        files: {
+            '2633619': {
+                body: makeTextPdf(['Planning Report', 'The proposed extension retains the existing hedgerows along the northern boundary.']),
+                contentType: 'application/pdf'
+            },
+            '2645700': {
+                body: makeTextPdf(['Further Information Request', 'Please submit a revised drainage layout and a traffic survey.']),
+                contentType: 'application/pdf'
+            },
+            '2646005': { body: Buffer.from('<html><body>Chief Executives Order</body></html>'), contentType: 'text/html' }
+        }
+    });
+});
+
+after(() => portal.close());
+
+/**
+ * Console lines printed since the given call count
+ * @param {number} from - Number of console.log calls to skip
+ * @returns {string} Printed text
+ */
+function printedSince(from) {
+    return console.log.mock.calls.slice(from).map(call => call.arguments.join(' ')).join('\n');
+}
+
+test('indexes downloaded PDFs and searches them by phrase, council and application', async () => {
+    const index = new TextIndex(path.join(makeTempDir(), 'search.db'));
+    try {
+        const outputDir = makeTempDir();
+        await createTestScraper(portal, { outputDir, textIndex: index }).scrapeApplications([APPLICATION_ID, SECOND_APPLICATION_ID]);
+
+        // The HTML page served instead of the decision is not indexed
+        assert.equal(index.count(), 6);
+
+        const [match, ...others] = index.search('hedgerows boundary', { applicationId: APPLICATION_ID });
+        assert.deepEqual(others, []);
+        assert.equal(match.council, 'mock');
+        assert.equal(match.docid, '2633619');
+        assert.equal(match.title, '6 Planning Report');
+        assert.equal(match.category, 'applicant-report');
+        assert.match(match.snippet, /\[hedgerows\]/);
+        assert.ok(match.location.startsWith(outputDir));
+
+        assert.deepEqual(index.search('"drainage layout"').map(result => [result.applicationId, result.docid]).sort(),
+            [[APPLICATION_ID, '2645700'], [SECOND_APPLICATION_ID, '2645700']]);
+        assert.deepEqual(index.search('"layout drainage"'), []);
+        assert.deepEqual(index.search('traffic', { council: 'meath' }), []);
+        assert.equal(index.search('traffic', { council: 'mock', limit: 1 }).length, 1);
+
+        // Titles are searched too, and punctuation falls back to quoted terms
+        assert.equal(index.search('PA-101-B', { applicationId: SECOND_APPLICATION_ID })[0].docid, '2633597');
+
+        // Downloading again leaves documents with the same hash alone
+        const indexedBefore = index.db.prepare('SELECT indexed_at FROM documents ORDER BY id').all();
+        await createTestScraper(portal, { outputDir: makeTempDir(), textIndex: index }).scrapeApplication(APPLICATION_ID);
+        assert.deepEqual(index.db.prepare('SELECT indexed_at FROM documents ORDER BY id').all(), indexedBefore);
+    } finally {
+        index.close();
+    }
+});
+
+test('index and search commands work from the manifests of earlier downloads', async () => {
+    const outputDir = makeTempDir();
+    await createTestScraper(portal, { outputDir }).scrapeApplications([APPLICATION_ID, SECOND_APPLICATION_ID]);
+
+    const indexDb = path.join(makeTempDir(), 'search.db');
+    assert.equal(await runIndexCommand([SECOND_APPLICATION_ID, `--root=${outputDir}`, '--council=mock', `--index-db=${indexDb}`]), EXIT_CODES.success);
+
+    const index = new TextIndex(indexDb);
+    try {
+        assert.equal(index.count(), 3);
+        assert.deepEqual(index.search('traffic').map(result => result.applicationId), [SECOND_APPLICATION_ID]);
+    } finally {
+        index.close();
+    }
+
+    const calls = console.log.mock.calls.length;
+    await runSearchCommand(['traffic', 'survey', '--council=mock', `--application=${SECOND_APPLICATION_ID}`, `--index-db=${indexDb}`]);
+    const printed = printedSince(calls);
+    assert.match(printed, /1 result for "traffic survey"/);
+    assert.match(printed, new RegExp(`mock/${SECOND_APPLICATION_ID} #2645700 - F\\.I\\. Request Letter`));
+    assert.match(printed, /\[traffic\] \[survey\]/);
+});
+
+test('drops the text of a document that is no longer a PDF when downloaded again', async () => {
+    const index = new TextIndex(path.join(makeTempDir(), 'search.db'));
+    try {
+        const doc = { council: 'mock', applicationId: APPLICATION_ID, docid: '2633619', title: '6 Planning Report', category: 'applicant-report', sha256: 'a' };
+        assert.equal(await index.indexDocument(doc, makeTextPdf(['The existing hedgerows are retained.'])), 'indexed');
+        assert.equal(index.search('hedgerows').length, 1);
+
+        assert.equal(await index.indexDocument({ ...doc, sha256: 'b' }, Buffer.from('<html>Session expired</html>')), 'skipped');
+        assert.equal(index.count(), 0);
+        assert.deepEqual(index.search('hedgerows'), []);
+    } finally {
+        index.close();
+    }
+});
+
+test('search command reports an index it cannot read instead of throwing', async () => {
+    const indexDb = path.join(makeTempDir(), 'search.db');
+    fs.writeFileSync(indexDb, 'not a database, just some text that is long enough to have a header');
+
+    const errors = console.error.mock.calls.length;
+    assert.equal(await runSearchCommand(['traffic', `--index-db=${indexDb}`]), EXIT_CODES.error);
+    assert.match(console.error.mock.calls.slice(errors).map(call => call.arguments.join(' ')).join('\n'), /❌ Search failed: /);
+});
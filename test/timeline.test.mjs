@@ -0,0 +1,116 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { startMockPortal } from './mock-portal.mjs';
+import { APPLICATION_ID, quietConsole, makeTempDir, createTestScraper } from './helpers.mjs';
+import { buildTimeline, timelineToMarkdown, getStageForTitle } from '../timeline.mjs';
+
+const APPLICATION_FOLDER = `downloads_mock_${APPLICATION_ID}`;
+
+// File list of a decided application with referrals, further information and a final grant
+const DETAILS = {
+    reference: '24/61047',
+    address: 'Johnstown, Navan, Co. Meath',
+    receivedDate: '2024-11-15',
+    decision: 'Grant Permission',
+    decisionDate: '2025-06-03'
+};
+const DOCUMENTS = [
+    { docid: '1', title: 'Fee Receipt', date: '2024-11-15' },
+    { docid: '2', title: '42 PA-101-B Proposed Ground Floor Plan 2-2', date: '2024-11-15' },
+    { docid: '3', title: 'External Referral - TII', date: '2024-11-20' },
+    { docid: '4', title: 'External Referral - Irish Water', date: '2024-11-20' },
+    { docid: '5', title: 'External_Referral_-_HSE', date: '2024-11-20' },
+    { docid: '6', title: 'External Prescribed Body Report - (E) TII', date: '2024-12-10' },
+    { docid: '7', title: 'Planners Report', date: '2025-01-09' },
+    { docid: '8', title: 'F.I. Request Letter', date: '2025-01-10' },
+    { docid: '9', title: 'Further Information Acknowledgement', date: '2025-03-28' },
+    { docid: '10', title: 'Revised Site Layout Plan', date: '2025-03-28' },
+    { docid: '11', title: 'Significant FI Newspaper Notice', date: '2025-04-04' },
+    { docid: '12', title: 'Chief Executives Order', date: '2025-06-03' },
+    { docid: '13', title: 'Notification of Decision to Submitter', date: '2025-06-03' },
+    { docid: '14', title: 'Notification of Final Grant', date: '2025-07-15' },
+    { docid: '15', title: 'Correspondence to Applicant', date: null }
+];
+
+let portal;
+
+before(async () => {
+    quietConsole();
+    portal = await startMockPortal();
+});
+
+after(() => portal.close());
+
+test('maps document titles to lifecycle stages', () => {
+    assert.equal(getStageForTitle('F.I. Request Letter'), 'further-information-request');
+    assert.equal(getStageForTitle('Further_Information_Acknowledgement'), 'further-information-response');
+    assert.equal(getStageForTitle('Significant FI Site Notice'), 'significant-further-information');
+    assert.equal(getStageForTitle('Clarification of Further Information'), 'clarification');
+    assert.equal(getStageForTitle('Notification of Final Grant'), 'final-grant');
+    assert.equal(getStageForTitle('Transportation Report FI'), 'referral-response');
+    assert.equal(getStageForTitle('Site Notice'), 'lodgement');
+    assert.equal(getStageForTitle('PA-010 Proposed Landscape Plan'), null);
+});
+
+test('orders events, groups referrals by agency and derives durations', () => {
+    const timeline = buildTimeline(DETAILS, DOCUMENTS);
+
+    assert.deepEqual(timeline.events.map(event => [event.date, event.stage, event.documents.map(doc => doc.docid)]), [
+        ['2024-11-15', 'lodgement', ['1', '2']],
+        ['2024-11-20', 'referral', ['3', '4', '5']],
+        ['2024-12-10', 'referral-response', ['6']],
+        ['2025-01-09', 'planner-report', ['7']],
+        ['2025-01-10', 'further-information-request', ['8']],
+        ['2025-03-28', 'further-information-response', ['9', '10']],
+        ['2025-04-04', 'significant-further-information', ['11']],
+        ['2025-06-03', 'decision', ['12', '13']],
+        ['2025-07-15', 'final-grant', ['14']]
+    ]);
+    assert.deepEqual(timeline.events[1].agencies, ['TII', 'Uisce Éireann', 'HSE']);
+    assert.equal(timeline.events[7].decision, 'Grant Permission');
+    assert.deepEqual(timeline.undated.map(doc => doc.docid), ['15']);
+
+    assert.deepEqual(timeline.durations, {
+        lodgementToFiRequest: 56,
+        fiRequestToFiResponse: 77,
+        fiResponseToDecision: 67,
+        lodgementToDecision: 200,
+        decisionToFinalGrant: 42
+    });
+
+    const markdown = timelineToMarkdown(timeline);
+    assert.match(markdown, /^# Timeline: 24\/61047\n/);
+    assert.match(markdown, /\| 2024-11-20 \| Referred for comment \(TII, Uisce Éireann, HSE\) \| External Referral - TII; /);
+    assert.match(markdown, /\| Lodgement to further information request \| 56 \|/);
+    assert.match(markdown, /## Undated documents\n\n- Correspondence to Applicant/);
+});
+
+test('leaves durations empty when a stage never happened', () => {
+    const timeline = buildTimeline({ receivedDate: '2024-11-15' }, [{ docid: '1', title: 'Site Notice', date: '2024-11-15' }]);
+
+    assert.equal(timeline.events.length, 1);
+    assert.deepEqual(Object.values(timeline.durations), [null, null, null, null, null]);
+    assert.match(timelineToMarkdown(timeline), /\| Lodgement to decision \| - \|/);
+});
+
+test('reads document dates from the file list and saves the timeline with the application', async () => {
+    const outputDir = makeTempDir();
+    const scraper = createTestScraper(portal, { outputDir });
+
+    const listing = await scraper.listDocuments(APPLICATION_ID);
+    assert.deepEqual(listing.documents.map(doc => doc.date), ['2024-11-15', '2024-11-15', '2025-01-10', '2025-06-03']);
+
+    const timeline = await scraper.getTimeline(APPLICATION_ID);
+    assert.deepEqual(timeline.events.map(event => event.stage), ['lodgement', 'further-information-request', 'decision']);
+    assert.equal(timeline.durations.lodgementToFiRequest, 56);
+    assert.equal(timeline.durations.lodgementToDecision, 200);
+
+    const saved = JSON.parse(fs.readFileSync(path.join(outputDir, APPLICATION_FOLDER, 'timeline.json'), 'utf8'));
+    assert.deepEqual(saved.events, timeline.events);
+    assert.match(fs.readFileSync(path.join(outputDir, APPLICATION_FOLDER, 'timeline.md'), 'utf8'), /# Timeline: 24\/2461047/);
+
+    // Nothing was downloaded
+    assert.equal(portal.requests.filter(request => request.path.endsWith('.pdf')).length, 0);
+});
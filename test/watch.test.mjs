@@ -0,0 +1,151 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { startMockPortal } from './mock-portal.mjs';
+import { APPLICATION_ID, LISTED_DOCUMENTS, quietConsole, makeTempDir, createTestScraper } from './helpers.mjs';
+import { loadWatchState, saveWatchState, diffListing, hasChanges, buildPayload, sendNotifications } from '../watch.mjs';
+
+const DECISION_NOTICE = { docid: '2650001', title: 'Notification of Decision to Grant', category: 'decision' };
+
+let portal;
+
+before(async () => {
+    quietConsole();
+    // The decision's file is busy the first time it is asked for
+    portal = await startMockPortal({ busyOnce: ['2646005'] });
+});
+
+after(() => portal.close());
+
+/**
+ * Titles of the listed documents as the watch state keeps them
+ * @param {Object[]} links - Documents from the file list
+ * @returns {Object} { docid: title }
+ */
+function titlesOf(links) {
+    return Object.fromEntries(links.map(linkObj => [linkObj.docid, linkObj.title]));
+}
+
+/**
+ * Start a webhook receiver on a free port
+ * @param {number} status - Status to answer with
+ * @returns {Promise<Object>} { url, received, close }
+ */
+async function startWebhook(status = 200) {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ method: req.method, contentType: req.headers['content-type'], body: JSON.parse(body) });
+            res.writeHead(status).end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        received,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+test('reports added, removed and retitled documents against the last known list', () => {
+    const previous = titlesOf(LISTED_DOCUMENTS);
+    assert.equal(hasChanges(diffListing(previous, LISTED_DOCUMENTS)), false);
+
+    const [drawing, report, letter] = LISTED_DOCUMENTS;
+    const added = { docid: '2650002', title: 'Revised Site Layout', category: 'drawing' };
+    const diff = diffListing(previous, [drawing, { ...report, title: '6 Planning Report (Revised)' }, letter, added]);
+
+    assert.equal(hasChanges(diff), true);
+    assert.deepEqual(diff.added, [added]);
+    assert.deepEqual(diff.removed, [{ docid: '2646005', title: 'Chief Executives Order' }]);
+    assert.deepEqual(diff.retitled, [{ docid: '2633619', oldTitle: '6 Planning Report', newTitle: '6 Planning Report (Revised)' }]);
+    assert.deepEqual(diff.decisions, []);
+
+    // A first check reports every document as added
+    assert.deepEqual(diffListing({}, LISTED_DOCUMENTS).added, LISTED_DOCUMENTS);
+});
+
+test('recognises new decision and final grant notices by title', () => {
+    const previous = titlesOf(LISTED_DOCUMENTS);
+    const finalGrant = { docid: '2650003', title: 'FINAL GRANT', category: 'decision' };
+
+    assert.deepEqual(diffListing(previous, [...LISTED_DOCUMENTS, DECISION_NOTICE, finalGrant]).decisions, [DECISION_NOTICE, finalGrant]);
+    assert.deepEqual(diffListing(previous, [...LISTED_DOCUMENTS, { docid: '2650004', title: 'Decision Appeal Submission', category: 'submission' }]).decisions, []);
+
+    // A decision notice already seen is not reported again
+    assert.deepEqual(diffListing(titlesOf([...LISTED_DOCUMENTS, DECISION_NOTICE]), [...LISTED_DOCUMENTS, DECISION_NOTICE]).decisions, []);
+});
+
+test('posts the change payload to the webhook', async () => {
+    const previous = titlesOf(LISTED_DOCUMENTS.slice(0, 3));
+    const diff = diffListing(previous, [...LISTED_DOCUMENTS.slice(0, 3), DECISION_NOTICE]);
+    const payload = buildPayload({ council: 'meath', applicationId: APPLICATION_ID, reference: '24/61047', diff,
+        downloaded: [{ docid: '2650001', filename: '2650001_Notification_of_Decision_to_Grant.pdf' }] });
+
+    assert.equal(payload.event, 'application.decision');
+    assert.deepEqual(payload.decision, { documents: [{ docid: '2650001', title: 'Notification of Decision to Grant', category: 'decision' }] });
+    assert.deepEqual(payload.added, payload.decision.documents);
+    assert.equal(payload.downloaded[0].docid, '2650001');
+    assert.match(payload.checkedAt, /^\d{4}-\d{2}-\d{2}T/);
+
+    const changed = buildPayload({ council: 'meath', applicationId: APPLICATION_ID, diff: diffListing(titlesOf(LISTED_DOCUMENTS), LISTED_DOCUMENTS.slice(1)), downloaded: [] });
+    assert.equal(changed.event, 'application.changed');
+    assert.equal(changed.reference, null);
+    assert.equal(changed.decision, null);
+    assert.deepEqual(changed.removed, [{ docid: '2633597', title: '42 PA-101-B Proposed Ground Floor Plan 2-2' }]);
+
+    const webhook = await startWebhook();
+    try {
+        await sendNotifications(payload, { webhookUrl: webhook.url });
+        assert.deepEqual(webhook.received, [{ method: 'POST', contentType: 'application/json', body: payload }]);
+    } finally {
+        await webhook.close();
+    }
+
+    // A failing webhook is reported, not thrown
+    const failing = await startWebhook(500);
+    try {
+        await sendNotifications(payload, { webhookUrl: failing.url });
+        assert.equal(failing.received.length, 1);
+    } finally {
+        await failing.close();
+    }
+});
+
+test('keeps state across checks and names a state file that cannot be read', () => {
+    const statePath = path.join(makeTempDir(), 'watch-state.json');
+    assert.deepEqual(loadWatchState(statePath), {});
+
+    const state = { [`meath/${APPLICATION_ID}`]: { documents: titlesOf(LISTED_DOCUMENTS) } };
+    saveWatchState(state, statePath);
+    assert.deepEqual(loadWatchState(statePath), state);
+    assert.equal(fs.existsSync(`${statePath}.tmp`), false);
+
+    fs.writeFileSync(statePath, '{"meath/2461047": {"documents": {');
+    assert.throws(() => loadWatchState(statePath), error => error.message.includes(statePath) && /could not be read/.test(error.message));
+
+    fs.writeFileSync(statePath, '[]');
+    assert.throws(() => loadWatchState(statePath), error => error.message === `Watch state file must contain an object: ${statePath}`);
+});
+
+test('downloads a document that failed at the last check again without reporting it as new', async () => {
+    const scraper = createTestScraper(portal, { outputDir: makeTempDir() });
+
+    const baseline = await scraper.checkForChanges(APPLICATION_ID, null);
+    assert.equal(baseline.baseline, true);
+    assert.deepEqual(baseline.downloaded.map(doc => doc.docid).sort(), ['2633597', '2633619', '2645700']);
+    assert.deepEqual(baseline.snapshot.documents, titlesOf(LISTED_DOCUMENTS));
+    assert.deepEqual(baseline.snapshot.pending, { '2646005': 'Chief Executives Order' });
+
+    const next = await scraper.checkForChanges(APPLICATION_ID, baseline.snapshot);
+    assert.equal(next.changed, false);
+    assert.deepEqual(next.downloaded.map(doc => doc.docid), ['2646005']);
+    assert.deepEqual(next.snapshot.pending, {});
+
+    const quiet = await scraper.checkForChanges(APPLICATION_ID, next.snapshot);
+    assert.deepEqual(quiet.downloaded, []);
+});
@@ -0,0 +1,275 @@
+/**
+ * Text Index Module for Planning Document Scraper
+ * Extracts text from downloaded PDFs into a SQLite FTS5 index and searches it
+ */
+
+import { createRequire } from 'module';
+const require = createRequire(
+    import.meta.url);
+
+const Database = require('better-sqlite3');
+import fs from 'fs';
+import { PDFParse } from 'pdf-parse';
+import { logger } from './logger.mjs';
+import { getOption } from './cli-args.mjs';
+import { EXIT_CODES } from './run-report.mjs';
+import { findMetadataFiles, MANIFEST_FILENAME } from './manifest.mjs';
+import { DEFAULT_COUNCIL } from './adapters/index.mjs';
+
+export const DEFAULT_INDEX_PATH = process.env.SEARCH_INDEX_PATH || 'search-index.db';
+
+/**
+ * Extract plain text from a PDF
+ * @param {Buffer} buffer - PDF content
+ * @returns {Promise<Object>} { text, pages }
+ */
+export async function extractPdfText(buffer) {
+    const parser = new PDFParse({ data: new Uint8Array(buffer) });
+    try {
+        const result = await parser.getText();
+        return { text: result.text, pages: result.total };
+    } finally {
+        await parser.destroy();
+    }
+}
+
+export class TextIndex {
+    /**
+     * @param {string} dbPath - SQLite database file
+     */
+    constructor(dbPath = DEFAULT_INDEX_PATH) {
+        this.dbPath = dbPath;
+        this.db = new Database(dbPath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS documents (
+                id INTEGER PRIMARY KEY,
+                council TEXT NOT NULL,
+                application_id TEXT NOT NULL,
+                docid TEXT NOT NULL,
+                title TEXT,
+                category TEXT,
+                sha256 TEXT,
+                location TEXT,
+                pages INTEGER,
+                indexed_at TEXT,
+                UNIQUE (council, application_id, docid)
+            );
+            CREATE VIRTUAL TABLE IF NOT EXISTS documents_fts USING fts5(
+                title,
+                body,
+                tokenize = 'porter unicode61'
+            );
+        `);
+    }
+
+    /**
+     * Add or refresh a document, skipping it if its hash has not changed
+     * @param {Object} doc - { council, applicationId, docid, title, category, sha256, location }
+     * @param {Buffer|Function} content - PDF buffer, or async function returning one (only called when needed)
+     * @returns {Promise<string>} "indexed", "unchanged" or "skipped" (not a PDF, and any earlier version is removed)
+     */
+    async indexDocument(doc, content) {
+        const existing = this.db.prepare(
+            'SELECT id, sha256 FROM documents WHERE council = ? AND application_id = ? AND docid = ?'
+        ).get(doc.council, doc.applicationId, doc.docid);
+
+        if (existing && existing.sha256 === doc.sha256) {
+            return 'unchanged';
+        }
+
+        const buffer = typeof content === 'function' ? await content() : content;
+        if (!buffer || buffer.subarray(0, 5).toString() !== '%PDF-') {
+            // The text indexed for an earlier download no longer belongs to this document
+            if (existing) {
+                this.remove(existing.id);
+            }
+            return 'skipped';
+        }
+
+        const { text, pages } = await extractPdfText(buffer);
+
+        const save = this.db.transaction(() => {
+            let id;
+            if (existing) {
+                id = existing.id;
+                this.db.prepare(`
+                    UPDATE documents SET title = ?, category = ?, sha256 = ?, location = ?, pages = ?, indexed_at = ?
+                    WHERE id = ?
+                `).run(doc.title, doc.category, doc.sha256, doc.location, pages, new Date().toISOString(), id);
+                this.db.prepare('DELETE FROM documents_fts WHERE rowid = ?').run(id);
+            } else {
+                id = this.db.prepare(`
+                    INSERT INTO documents (council, application_id, docid, title, category, sha256, location, pages, indexed_at)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `).run(doc.council, doc.applicationId, doc.docid, doc.title, doc.category, doc.sha256, doc.location, pages, new Date().toISOString()).lastInsertRowid;
+            }
+            this.db.prepare('INSERT INTO documents_fts (rowid, title, body) VALUES (?, ?, ?)').run(id, doc.title || '', text);
+        });
+        save();
+
+        return 'indexed';
+    }
+
+    /**
+     * Remove a document and its text from the index
+     * @param {number} id - Row ID in the documents table
+     */
+    remove(id) {
+        this.db.transaction(() => {
+            this.db.prepare('DELETE FROM documents_fts WHERE rowid = ?').run(id);
+            this.db.prepare('DELETE FROM documents WHERE id = ?').run(id);
+        })();
+    }
+
+    /**
+     * Search indexed documents
+     * @param {string} query - FTS5 query; plain words must all match, "quoted phrases" match exactly
+     * @param {Object} options - { council, applicationId, limit }
+     * @returns {Object[]} Matches with application, docid, title and snippet
+     */
+    search(query, options = {}) {
+        const { council = null, applicationId = null, limit = 20 } = options;
+        const statement = this.db.prepare(`
+            SELECT d.council, d.application_id AS applicationId, d.docid, d.title, d.category, d.location,
+                   snippet(documents_fts, 1, '[', ']', '…', 16) AS snippet
+            FROM documents_fts
+            JOIN documents d ON d.id = documents_fts.rowid
+            WHERE documents_fts MATCH ?
+              AND (? IS NULL OR d.council = ?)
+              AND (? IS NULL OR d.application_id = ?)
+            ORDER BY rank
+            LIMIT ?
+        `);
+
+        try {
+            return statement.all(query, council, council, applicationId, applicationId, limit);
+        } catch (error) {
+            if (error.code !== 'SQLITE_ERROR') {
+                throw error;
+            }
+            // Punctuation such as "-" or "." is FTS5 syntax; retry with every term quoted
+            const quoted = query.split(/\s+/).filter(Boolean).map(term => `"${term.replace(/"/g, '""')}"`).join(' ');
+            return statement.all(quoted, council, council, applicationId, applicationId, limit);
+        }
+    }
+
+    /**
+     * Count indexed documents
+     * @returns {number} Document count
+     */
+    count() {
+        return this.db.prepare('SELECT COUNT(*) AS n FROM documents').get().n;
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+/**
+ * `index` command: index documents already downloaded, using each application's manifest
+ * @param {string[]} args - Arguments after the command name
+ * @returns {Promise<number>} Exit code
+ */
+export async function runIndexCommand(args) {
+    const council = getOption(args, 'council') || DEFAULT_COUNCIL;
+    const index = new TextIndex(getOption(args, 'index-db'));
+    const requestedIds = args.filter(arg => !arg.startsWith('--'));
+
+    const manifests = findMetadataFiles(getOption(args, 'root') || '.', MANIFEST_FILENAME)
+        .map(manifestPath => JSON.parse(fs.readFileSync(manifestPath, 'utf8')))
+        .filter(manifest => manifest.council === council)
+        .filter(manifest => requestedIds.length === 0 || requestedIds.includes(manifest.applicationId));
+
+    const missingIds = requestedIds.filter(id => !manifests.some(manifest => manifest.applicationId === id));
+    missingIds.forEach(id => logger.warn(`⚠️  No manifest for ${id}, skipping`));
+
+    const counts = { indexed: 0, unchanged: 0, skipped: 0, failed: 0 };
+
+    for (const manifest of manifests) {
+        logger.info(`🔎 Indexing ${manifest.applicationId} (${manifest.documents.length} documents)`);
+
+        for (const doc of manifest.documents) {
+            // Older manifests kept the path under storage.localPath
+            const localPath = doc.localPath || doc.storage?.localPath;
+            if (!localPath || !fs.existsSync(localPath)) {
+                counts.skipped++;
+                continue;
+            }
+
+            try {
+                const outcome = await index.indexDocument({
+                    council,
+                    applicationId: manifest.applicationId,
+                    docid: doc.docid,
+                    title: doc.title,
+                    category: doc.category,
+                    sha256: doc.sha256,
+                    location: localPath
+                }, () => fs.readFileSync(localPath));
+                counts[outcome]++;
+            } catch (error) {
+                counts.failed++;
+                logger.error(`❌ Could not index ${doc.filename}: ${error.message}`);
+            }
+        }
+    }
+
+    logger.info(`\n📊 Index: ${counts.indexed} indexed, ${counts.unchanged} unchanged, ${counts.skipped} skipped, ${counts.failed} failed`);
+    logger.info(`🗂️  ${index.count()} documents in ${index.dbPath}`);
+    index.close();
+
+    if (counts.failed === 0) {
+        return EXIT_CODES.success;
+    }
+    return counts.indexed + counts.unchanged > 0 ? EXIT_CODES.partial : EXIT_CODES.failed;
+}
+
+/**
+ * `search` command: full-text search across all indexed applications
+ * @param {string[]} args - Arguments after the command name
+ * @returns {Promise<number>} Exit code
+ */
+export async function runSearchCommand(args) {
+    const query = args.filter(arg => !arg.startsWith('--')).join(' ').trim();
+    if (!query) {
+        console.log('📋 Usage: node scrape.mjs search <QUERY> [--council=ID] [--application=ID] [--limit=N] [--index-db=PATH]');
+        process.exit(1);
+    }
+
+    const dbPath = getOption(args, 'index-db') || DEFAULT_INDEX_PATH;
+    if (!fs.existsSync(dbPath)) {
+        logger.error(`❌ Search index not found: ${dbPath}`);
+        logger.error('Build it with: node scrape.mjs index');
+        process.exit(1);
+    }
+
+    let index;
+    let results;
+    try {
+        index = new TextIndex(dbPath);
+        results = index.search(query, {
+            council: getOption(args, 'council') || null,
+            applicationId: getOption(args, 'application') || null,
+            limit: Number(getOption(args, 'limit')) || 20
+        });
+    } catch (error) {
+        logger.error(`❌ Search failed: ${error.message}`);
+        index?.close();
+        return EXIT_CODES.error;
+    }
+
+    console.log(`🔎 ${results.length} result${results.length === 1 ? '' : 's'} for "${query}"\n`);
+    results.forEach(result => {
+        console.log(`📄 ${result.council}/${result.applicationId} #${result.docid} - ${result.title}`);
+        console.log(`   ${result.snippet.replace(/\s+/g, ' ').trim()}`);
+        if (result.location) {
+            console.log(`   ${result.location}`);
+        }
+        console.log('');
+    });
+
+    index.close();
+    return EXIT_CODES.success;
+}
@@ -0,0 +1,143 @@
+/**
+ * Throttling Module for Planning Document Scraper
+ * Rate limiting, retry with backoff and bounded concurrency for portal requests
+ */
+
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH'];
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export class RateLimiter {
+    /**
+     * @param {number} requestsPerSecond - Maximum request rate (0 disables limiting)
+     */
+    constructor(requestsPerSecond) {
+        this.interval = requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0;
+        this.nextSlot = 0;
+    }
+
+    /**
+     * Run a request function once the next request slot is free
+     * @param {Function} fn - Function returning a promise
+     * @returns {Promise<*>} Result of fn
+     */
+    async schedule(fn) {
+        const now = Date.now();
+        const slot = Math.max(now, this.nextSlot);
+        this.nextSlot = slot + this.interval;
+
+        if (slot > now) {
+            await sleep(slot - now);
+        }
+
+        return fn();
+    }
+
+    /**
+     * Hold back every queued request, e.g. after a 429 with Retry-After
+     * @param {number} ms - Pause length in milliseconds
+     */
+    pause(ms) {
+        this.nextSlot = Math.max(this.nextSlot, Date.now() + ms);
+    }
+}
+
+/**
+ * Check whether a failed request is worth retrying
+ * @param {Error} error - Axios error
+ * @returns {boolean} True for network errors, timeouts, 429 and 5xx responses
+ */
+export function isRetryableError(error) {
+    if (error.response) {
+        const status = error.response.status;
+        return status === 429 || status >= 500;
+    }
+    return RETRYABLE_ERROR_CODES.includes(error.code) || /timeout/i.test(error.message);
+}
+
+/**
+ * Read a Retry-After header (seconds or HTTP date)
+ * @param {Error} error - Axios error
+ * @returns {number|null} Delay in milliseconds, or null if absent
+ */
+export function getRetryAfterMs(error) {
+    const header = error.response?.headers?.['retry-after'];
+    if (!header) {
+        return null;
+    }
+
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Run a request function, retrying transient failures with exponential backoff and jitter
+ * @param {Function} fn - Function returning a promise
+ * @param {Object} options - Retry options
+ * @param {number} options.retries - Maximum number of retries
+ * @param {number} options.baseDelay - First backoff delay in milliseconds
+ * @param {number} options.maxDelay - Upper bound for any single delay
+ * @param {RateLimiter} options.rateLimiter - Limiter to pause when the server sends Retry-After
+ * @param {Function} options.isRetryable - (error) => true if the error is worth retrying (default: isRetryableError)
+ * @param {Function} options.onRetry - Called with (error, attempt, delay) before each retry
+ * @returns {Promise<*>} Result of fn
+ */
+export async function withRetry(fn, options = {}) {
+    const { retries = 3, baseDelay = 1000, maxDelay = 60000, rateLimiter = null, isRetryable = isRetryableError, onRetry = null } = options;
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn();
+        } catch (error) {
+            if (attempt >= retries || !isRetryable(error)) {
+                error.retries = attempt;
+                throw error;
+            }
+
+            const retryAfter = getRetryAfterMs(error);
+            let delay;
+            if (retryAfter !== null) {
+                delay = Math.min(retryAfter, maxDelay);
+                if (rateLimiter) rateLimiter.pause(delay);
+            } else {
+                // Exponential backoff with jitter between 50% and 100% of the step
+                const step = Math.min(baseDelay * 2 ** attempt, maxDelay);
+                delay = Math.round(step / 2 + Math.random() * step / 2);
+            }
+
+            if (onRetry) onRetry(error, attempt + 1, delay);
+            await sleep(delay);
+        }
+    }
+}
+
+/**
+ * Map items through an async function with at most `limit` running at once
+ * Results keep the order of the input items.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent workers
+ * @param {Function} fn - Async function called with (item, index)
+ * @returns {Promise<Array>} Results in input order
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    async function worker() {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await fn(items[index], index);
+        }
+    }
+
+    const workers = Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker);
+    await Promise.all(workers);
+    return results;
+}
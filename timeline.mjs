@@ -0,0 +1,229 @@
+/**
+ * Timeline Module for Planning Document Scraper
+ * Turns an application's dated file list into an ordered lifecycle timeline
+ * (lodgement, referrals, further information, decision, final grant) with derived durations
+ */
+
+export const TIMELINE_FILENAME = 'timeline.json';
+export const TIMELINE_MARKDOWN_FILENAME = 'timeline.md';
+
+// Lifecycle stages in the order they normally happen, used to order events on the same day
+export const TIMELINE_STAGES = {
+    'lodgement': 'Application lodged',
+    'referral': 'Referred for comment',
+    'submission': 'Submission or observation received',
+    'referral-response': 'Report from referral body',
+    'planner-report': "Planner's report",
+    'further-information-request': 'Further information requested',
+    'further-information-response': 'Further information received',
+    'significant-further-information': 'Significant further information notices',
+    'clarification': 'Clarification of further information',
+    'decision': 'Decision',
+    'final-grant': 'Final grant',
+    'appeal': 'Appeal',
+    'other': 'Documents received'
+};
+
+// Checked in order against document titles, first match wins. Decision documents come first
+// because their titles mention earlier stages ("Notification of Decision to Submitter").
+export const TIMELINE_RULES = [
+    { stage: 'final-grant', pattern: /final grant/i },
+    { stage: 'appeal', pattern: /\bappeal|an bord plean[aá]la|an coimisi[uú]n plean[aá]la/i },
+    { stage: 'decision', pattern: /notification of decision|chief executive'?s? order|\bdecision\b|grant of permission|refusal/i },
+    { stage: 'significant-further-information', pattern: /significant (f\.?\s?i\b|further information)|revised public notices?/i },
+    { stage: 'clarification', pattern: /clarification/i },
+    { stage: 'further-information-request', pattern: /(\bf\.?\s?i\.?|further information) request\b|request for (f\.?\s?i\b|further information)/i },
+    { stage: 'planner-report', pattern: /planner'?s'?\s*report/i },
+    { stage: 'referral-response', pattern: /external (prescribed )?body|prescribed body|report received|executive scientist|environment department|(transportation|conservation officer|section planning|flooding-surface water)\s*report/i },
+    { stage: 'referral', pattern: /referral/i },
+    { stage: 'further-information-response', pattern: /further information|\bf\.?\s?i\b|unsolicited/i },
+    { stage: 'submission', pattern: /submission|observation|objection|^\[e\]/i },
+    { stage: 'lodgement', pattern: /receipt|cover letter|application form|site notice|press notice|newspaper notice|public notice/i }
+];
+
+// Bodies that applications are referred to, recognised in referral and report titles
+export const REFERRAL_AGENCIES = [
+    { agency: 'TII', pattern: /\btii\b|transport infrastructure ireland/i },
+    { agency: 'Uisce Éireann', pattern: /uisce [eé]ireann|irish water/i },
+    { agency: 'HSE', pattern: /\bhse\b|\bnehs\b|health service/i },
+    { agency: 'DAU', pattern: /\bdau\b|dev(elopment)?\.? app(lication)?s/i },
+    { agency: 'NPWS', pattern: /\bnpws\b|national parks/i },
+    { agency: 'An Taisce', pattern: /an taisce/i },
+    { agency: 'Fáilte Ireland', pattern: /f[aá]ilte ireland/i },
+    { agency: 'Heritage Council', pattern: /heritage council/i },
+    { agency: 'EPA', pattern: /\bepa\b|environmental protection agency/i },
+    { agency: 'Inland Fisheries Ireland', pattern: /inland fisheries|\bifi\b/i }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Find the lifecycle stage for a document title
+ * @param {string} title - Document title from the file list
+ * @returns {string|null} Stage, or null if the title does not say
+ */
+export function getStageForTitle(title) {
+    const text = (title || '').replace(/_/g, ' ').trim();
+    const match = TIMELINE_RULES.find(rule => rule.pattern.test(text));
+    return match ? match.stage : null;
+}
+
+/**
+ * Find the referral bodies named in a document title
+ * @param {string} title - Document title from the file list
+ * @returns {string[]} Agency names
+ */
+export function getAgenciesForTitle(title) {
+    const text = (title || '').replace(/_/g, ' ');
+    return REFERRAL_AGENCIES.filter(({ pattern }) => pattern.test(text)).map(({ agency }) => agency);
+}
+
+/**
+ * Count the days between two ISO dates
+ * @param {string|null} from - Earlier date, yyyy-mm-dd
+ * @param {string|null} to - Later date, yyyy-mm-dd
+ * @returns {number|null} Days, or null if either date is missing
+ */
+function daysBetween(from, to) {
+    if (!from || !to) {
+        return null;
+    }
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * Build an application's timeline from its register details and dated file list
+ * Documents are grouped into one event per date and stage. Documents whose titles do not name
+ * a stage (drawings, reports) join another event on the same day, so the drawings lodged with
+ * an application or a further information response are counted with it.
+ * @param {Object} details - Planning register details (receivedDate, decisionDate, decision, appeal)
+ * @param {Object[]} documents - Listed documents with docid, title, category and date (yyyy-mm-dd)
+ * @returns {Object} { reference, address, events, durations, undated } where each event has date, stage,
+ *          label, documents and, for referrals, agencies
+ */
+export function buildTimeline(details = {}, documents = []) {
+    const events = new Map();
+    const undated = [];
+    const unstaged = [];
+
+    const getEvent = (date, stage) => {
+        const key = `${date}|${stage}`;
+        if (!events.has(key)) {
+            events.set(key, { date, stage, label: TIMELINE_STAGES[stage], documents: [], agencies: [] });
+        }
+        return events.get(key);
+    };
+
+    // Register dates are authoritative even when no document marks them
+    if (details.receivedDate && ISO_DATE.test(details.receivedDate)) {
+        getEvent(details.receivedDate, 'lodgement');
+    }
+    if (details.decisionDate && ISO_DATE.test(details.decisionDate)) {
+        getEvent(details.decisionDate, 'decision').decision = details.decision || null;
+    }
+    if (details.appeal?.decisionDate && ISO_DATE.test(details.appeal.decisionDate)) {
+        getEvent(details.appeal.decisionDate, 'appeal').decision = details.appeal.decision || null;
+    }
+
+    documents.forEach(doc => {
+        const entry = { docid: doc.docid, title: doc.title, category: doc.category || null };
+        if (!doc.date || !ISO_DATE.test(doc.date)) {
+            undated.push(entry);
+            return;
+        }
+
+        const stage = getStageForTitle(doc.title);
+        if (!stage) {
+            unstaged.push({ date: doc.date, entry });
+            return;
+        }
+
+        const event = getEvent(doc.date, stage);
+        event.documents.push(entry);
+        getAgenciesForTitle(doc.title)
+            .filter(agency => !event.agencies.includes(agency))
+            .forEach(agency => event.agencies.push(agency));
+    });
+
+    const stageOrder = Object.keys(TIMELINE_STAGES);
+    const byDateAndStage = (a, b) => a.date.localeCompare(b.date) || stageOrder.indexOf(a.stage) - stageOrder.indexOf(b.stage);
+
+    unstaged.forEach(({ date, entry }) => {
+        const sameDay = [...events.values()].filter(event => event.date === date).sort(byDateAndStage);
+        (sameDay[0] || getEvent(date, 'other')).documents.push(entry);
+    });
+
+    const ordered = [...events.values()].sort(byDateAndStage).map(({ agencies, ...event }) =>
+        (agencies.length > 0 ? { ...event, agencies } : event));
+
+    const first = stage => ordered.find(event => event.stage === stage)?.date || null;
+    const lodged = details.receivedDate || first('lodgement');
+    const fiRequested = first('further-information-request');
+    const fiReceived = ordered.find(event => event.stage === 'further-information-response' &&
+        (!fiRequested || event.date >= fiRequested))?.date || null;
+    const decided = details.decisionDate || first('decision');
+
+    return {
+        reference: details.reference || null,
+        address: details.address || null,
+        events: ordered,
+        durations: {
+            lodgementToFiRequest: daysBetween(lodged, fiRequested),
+            fiRequestToFiResponse: daysBetween(fiRequested, fiReceived),
+            fiResponseToDecision: daysBetween(fiReceived, decided),
+            lodgementToDecision: daysBetween(lodged, decided),
+            decisionToFinalGrant: daysBetween(decided, first('final-grant'))
+        },
+        undated
+    };
+}
+
+// Duration labels for the Markdown summary, in display order
+const DURATION_LABELS = {
+    lodgementToFiRequest: 'Lodgement to further information request',
+    fiRequestToFiResponse: 'Further information request to response',
+    fiResponseToDecision: 'Further information response to decision',
+    lodgementToDecision: 'Lodgement to decision',
+    decisionToFinalGrant: 'Decision to final grant'
+};
+
+/**
+ * Escape text for a Markdown table cell
+ * @param {string} text - Cell text
+ * @returns {string} Escaped text
+ */
+function cell(text) {
+    return String(text ?? '').replace(/\|/g, '\\|').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Format a timeline as Markdown: an events table followed by the durations
+ * @param {Object} timeline - Result of buildTimeline
+ * @returns {string} Markdown
+ */
+export function timelineToMarkdown(timeline) {
+    const lines = [`# Timeline: ${timeline.reference || timeline.applicationId || 'application'}`, ''];
+    if (timeline.address) {
+        lines.push(timeline.address, '');
+    }
+
+    lines.push('| Date | Stage | Documents |', '| --- | --- | --- |');
+    timeline.events.forEach(event => {
+        const stage = [event.label, event.agencies ? `(${event.agencies.join(', ')})` : '', event.decision ? `- ${event.decision}` : '']
+            .filter(Boolean).join(' ');
+        lines.push(`| ${event.date} | ${cell(stage)} | ${cell(event.documents.map(doc => doc.title).join('; '))} |`);
+    });
+
+    lines.push('', '## Durations', '', '| Interval | Days |', '| --- | --- |');
+    Object.entries(DURATION_LABELS).forEach(([key, label]) => {
+        lines.push(`| ${label} | ${timeline.durations[key] ?? '-'} |`);
+    });
+
+    if (timeline.undated.length > 0) {
+        lines.push('', '## Undated documents', '');
+        timeline.undated.forEach(doc => lines.push(`- ${doc.title || doc.docid}`));
+    }
+
+    return lines.join('\n') + '\n';
+}
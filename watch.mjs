@@ -0,0 +1,174 @@
+/**
+ * Watch Module for Planning Document Scraper
+ * Remembers each application's file list, detects changes and sends notifications
+ */
+
+import { createRequire } from 'module';
+const require = createRequire(
+    import.meta.url);
+
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+import fs from 'fs';
+import { logger } from './logger.mjs';
+
+export const DEFAULT_STATE_PATH = process.env.WATCH_STATE_PATH || 'watch-state.json';
+
+// Titles that mean the application has been decided or granted
+const DECISION_TITLE = /notification of (decision|final grant)|final grant/i;
+
+/**
+ * Load the last known state for all watched applications
+ * @param {string} statePath - State file
+ * @returns {Object} State keyed by "<council>/<applicationId>"
+ */
+export function loadWatchState(statePath = DEFAULT_STATE_PATH) {
+    if (!fs.existsSync(statePath)) {
+        return {};
+    }
+
+    let state;
+    try {
+        state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Watch state file could not be read: ${statePath} (${error.message}). Fix or delete it to start afresh`);
+    }
+    if (!state || typeof state !== 'object' || Array.isArray(state)) {
+        throw new Error(`Watch state file must contain an object: ${statePath}`);
+    }
+    return state;
+}
+
+/**
+ * Save the watch state, writing to a temp file first so a crash cannot corrupt it
+ * @param {Object} state - State keyed by "<council>/<applicationId>"
+ * @param {string} statePath - State file
+ */
+export function saveWatchState(state, statePath = DEFAULT_STATE_PATH) {
+    const tmpPath = `${statePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2));
+    fs.renameSync(tmpPath, statePath);
+}
+
+/**
+ * Compare the current file list with the last known one
+ * @param {Object} previous - Last known documents, { docid: title }
+ * @param {Object[]} links - Current documents from the file list
+ * @returns {Object} { added, removed, retitled, decisions }
+ */
+export function diffListing(previous, links) {
+    const current = new Map(links.map(linkObj => [linkObj.docid, linkObj]));
+
+    const added = links.filter(linkObj => !(linkObj.docid in previous));
+    const removed = Object.keys(previous)
+        .filter(docid => !current.has(docid))
+        .map(docid => ({ docid, title: previous[docid] }));
+    const retitled = links
+        .filter(linkObj => linkObj.docid in previous && previous[linkObj.docid] !== linkObj.title)
+        .map(linkObj => ({ docid: linkObj.docid, oldTitle: previous[linkObj.docid], newTitle: linkObj.title }));
+    const decisions = added.filter(linkObj => DECISION_TITLE.test(linkObj.title));
+
+    return { added, removed, retitled, decisions };
+}
+
+/**
+ * Check whether a diff has anything to report
+ * @param {Object} diff - Result of diffListing
+ * @returns {boolean} True if documents were added, removed or retitled
+ */
+export function hasChanges(diff) {
+    return diff.added.length > 0 || diff.removed.length > 0 || diff.retitled.length > 0;
+}
+
+/**
+ * Build the notification payload for a changed application
+ * @param {Object} change - { council, applicationId, reference, diff, downloaded }
+ * @returns {Object} JSON payload
+ */
+export function buildPayload({ council, applicationId, reference, diff, downloaded }) {
+    const summarise = linkObj => ({ docid: linkObj.docid, title: linkObj.title, category: linkObj.category });
+
+    return {
+        event: diff.decisions.length > 0 ? 'application.decision' : 'application.changed',
+        council,
+        applicationId,
+        reference: reference || null,
+        checkedAt: new Date().toISOString(),
+        added: diff.added.map(summarise),
+        removed: diff.removed,
+        retitled: diff.retitled,
+        decision: diff.decisions.length > 0 ? { documents: diff.decisions.map(summarise) } : null,
+        downloaded
+    };
+}
+
+/**
+ * Format a payload as a plain-text email
+ * @param {Object} payload - Result of buildPayload
+ * @returns {Object} { subject, text }
+ */
+function formatEmail(payload) {
+    const name = payload.reference || payload.applicationId;
+    const subject = payload.decision
+        ? `Planning ${name}: decision issued`
+        : `Planning ${name}: ${payload.added.length} new, ${payload.removed.length} removed, ${payload.retitled.length} retitled`;
+
+    const lines = [`Application ${payload.applicationId} (${payload.council}) changed at ${payload.checkedAt}.`, ''];
+    if (payload.decision) {
+        lines.push('Decision documents:', ...payload.decision.documents.map(doc => `  * ${doc.title} (${doc.docid})`), '');
+    }
+    if (payload.added.length > 0) {
+        lines.push('Added:', ...payload.added.map(doc => `  + ${doc.title} (${doc.docid}, ${doc.category})`), '');
+    }
+    if (payload.removed.length > 0) {
+        lines.push('Removed:', ...payload.removed.map(doc => `  - ${doc.title} (${doc.docid})`), '');
+    }
+    if (payload.retitled.length > 0) {
+        lines.push('Retitled:', ...payload.retitled.map(doc => `  ~ ${doc.oldTitle} -> ${doc.newTitle} (${doc.docid})`), '');
+    }
+
+    return { subject, text: lines.join('\n') };
+}
+
+/**
+ * Send a change notification to the configured webhook and/or email address
+ * Failures are logged; they never stop the watch loop.
+ * @param {Object} payload - Result of buildPayload
+ * @param {Object} options - { webhookUrl, emailTo, smtpUrl, emailFrom }
+ */
+export async function sendNotifications(payload, options) {
+    const { webhookUrl, emailTo, smtpUrl, emailFrom } = options;
+
+    if (webhookUrl) {
+        try {
+            await axios.post(webhookUrl, payload, {
+                timeout: 15000,
+                headers: { 'Content-Type': 'application/json' }
+            });
+            logger.info(`📣 Webhook notified: ${webhookUrl}`);
+        } catch (error) {
+            logger.warn(`⚠️  Webhook notification failed: ${error.message}`);
+        }
+    }
+
+    if (emailTo) {
+        if (!smtpUrl) {
+            logger.warn('⚠️  Email notification skipped: SMTP_URL is not set');
+            return;
+        }
+        try {
+            const transport = nodemailer.createTransport(smtpUrl);
+            const { subject, text } = formatEmail(payload);
+            await transport.sendMail({
+                from: emailFrom || 'planning-scraper@localhost',
+                to: emailTo,
+                subject,
+                text,
+                attachments: [{ filename: 'changes.json', content: JSON.stringify(payload, null, 2) }]
+            });
+            logger.info(`📧 Email sent to ${emailTo}`);
+        } catch (error) {
+            logger.warn(`⚠️  Email notification failed: ${error.message}`);
+        }
+    }
+}